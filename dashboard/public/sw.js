@@ -0,0 +1,61 @@
+// Offline shell for the dashboard (registered in src/main.jsx for production builds). The page and
+// its hashed bundles are kept in a cache named after SHELL_VERSION; data files are not, the app
+// keeps those in IndexedDB itself (fetchPublished in src/utils.js). Bump the version to drop old caches.
+const SHELL_VERSION = 'smartcredit-shell-v2';
+// Files that only change with a new build; anything else (data files, the API) goes to the network
+const STATIC = /\/assets\/|\.(?:png|svg|webmanifest)$/;
+// The app's own page. The sync server serves the dashboard too, so other navigations on this origin
+// (an /api URL opened in a tab) must never be taken for it.
+const APP_PAGE = new URL('./', self.location).pathname;
+const isAppPage = (url) => url.pathname === APP_PAGE || url.pathname === `${APP_PAGE}index.html`;
+
+// The built index.html names the bundles, so it is fetched and everything it links to cached with it
+const cacheShell = async () => {
+    const cache = await caches.open(SHELL_VERSION);
+    const page = await fetch('./', { cache: 'no-cache' });
+    const html = await page.clone().text();
+    const linked = [...html.matchAll(/(?:src|href)="(\.\/[^"]+)"/g)].map(m => m[1]).filter(url => STATIC.test(url));
+    await cache.put('./', page);
+    await cache.addAll(linked);
+};
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(k => k !== SHELL_VERSION).map(k => caches.delete(k))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // The page: network first so a new build is picked up, the cached copy when offline
+    if (request.mode === 'navigate') {
+        if (!isAppPage(url)) return;
+        event.respondWith(fetch(request)
+            .then(res => {
+                if (res.ok && (res.headers.get('content-type') || '').includes('text/html')) {
+                    const copy = res.clone();
+                    caches.open(SHELL_VERSION).then(cache => cache.put('./', copy));
+                }
+                return res;
+            })
+            .catch(() => caches.match('./')));
+        return;
+    }
+
+    // Bundles and icons: cache first, filled in as a new build's files are fetched
+    if (!STATIC.test(url.pathname)) return;
+    event.respondWith(caches.match(request).then(hit => hit || fetch(request).then(res => {
+        if (res.ok) {
+            const copy = res.clone();
+            caches.open(SHELL_VERSION).then(cache => cache.put(request, copy));
+        }
+        return res;
+    })));
+});
@@ -1,20 +1,15 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import {
   Menu, X, Home, Wallet, Users, RefreshCw, ChevronRight,
   ChevronDown, TrendingUp, Search, ArrowLeft, Download, Filter, Clock,
-  AlertTriangle, Calendar, Layers, LayoutGrid, List, CheckCircle, AlertCircle
+  AlertTriangle, Calendar, Layers, LayoutGrid, List, CheckCircle, AlertCircle,
+  Settings, ArrowUp, ArrowDown, EyeOff, Save, Building2, History, Lock, LogIn, LogOut,
+  CalendarCheck, PhoneCall, MapPin, MessageSquare, Trash2, Send, BellOff, Plus, Activity, Banknote,
+  ClipboardList, Printer, WifiOff
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
-import { formatCurrency, formatDate, calculateAging, getEndpoints, parseDate } from './utils';
-
-// Define locally to prevent ReferenceError if import fails during build optimization
-const determineRiskCategory = (aging) => {
-  if (aging['90+'] > 0) return '90+';
-  if (aging['60-90'] > 0) return '60-90';
-  if (aging['30-60'] > 0) return '30-60';
-  return '0-30';
-};
+import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip, LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Legend, ComposedChart } from 'recharts';
+import { formatCurrency, formatDate, ledgerAging, getEndpoints, parseDate, watchSyncJob, SYNC_PHASE_LABELS, isLocal, mergeCompanyData, ALL_COMPANIES, mergeArchives, usableArchives, withOpeningDate, createApiSource, createBlobSource, openEnvelope, unlockData, forgetDataKey, hasRememberedKey, apiFetch, authStatus, logIn, logOut, getSession, can, AUTH_REQUIRED_EVENT, VOUCHER_CATEGORIES, voucherCategory, voucherBreakdown, fetchPublished, sendOrQueue, queuedWrites, flushOutbox, OUTBOX_EVENT } from './utils';
 
 // --- SHARED COMPONENTS ---
 const Card = ({ children, className = "" }) => (
@@ -23,6 +18,13 @@ const Card = ({ children, className = "" }) => (
   </div>
 );
 
+// Shows a toast through App's toast list; they close themselves after 5 seconds
+const pushToast = (setToasts, msg, type = 'success') => {
+  const id = Date.now();
+  setToasts(prev => [...prev, { id, msg, type }]);
+  setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), 5000);
+};
+
 const Toast = ({ message, type, onClose }) => {
   useEffect(() => { const timer = setTimeout(onClose, 5000); return () => clearTimeout(timer); }, [onClose]);
   const bg = type === 'error' ? 'bg-red-500' : type === 'warning' ? 'bg-orange-500' : 'bg-green-500';
@@ -88,10 +90,208 @@ const processLedgerData = (ledger) => {
   };
 };
 
-const LedgerDetail = ({ ledger, onBack }) => {
+// Pending bills as Tally tracks them bill by bill, oldest due first
+const OutstandingBills = ({ bills }) => {
+  const today = new Date();
+  return (
+    <div className="bg-[#1a1d29] rounded-xl border border-gray-800 mb-6 overflow-hidden">
+      <div className="px-4 py-3 border-b border-gray-800 text-xs font-bold text-gray-400 uppercase tracking-wider">Outstanding Bills</div>
+      <div className="max-h-56 overflow-auto custom-scrollbar">
+        <table className="w-full text-left text-sm">
+          <thead className="text-gray-500 text-xs"><tr><th className="px-4 py-2">Bill</th><th className="px-4 py-2">Bill Date</th><th className="px-4 py-2">Due Date</th><th className="px-4 py-2 text-right">Overdue</th><th className="px-4 py-2 text-right">Pending</th></tr></thead>
+          <tbody className="divide-y divide-gray-800/50">
+            {bills.map((b, i) => {
+              const days = b.dueDate ? Math.floor((today - new Date(b.dueDate + 'T00:00:00')) / (1000 * 60 * 60 * 24)) : null;
+              return (
+                <tr key={i} className="hover:bg-white/5"><td className="px-4 py-2 text-gray-300 font-mono text-xs">{b.ref}</td><td className="px-4 py-2 text-gray-400 text-xs">{b.date || '-'}</td><td className="px-4 py-2 text-gray-400 text-xs">{b.dueDate || '-'}{b.creditDays !== null && <span className="text-gray-600"> ({b.creditDays}d)</span>}</td><td className={`px-4 py-2 text-right text-xs ${days > 90 ? 'text-red-400' : days > 0 ? 'text-orange-400' : 'text-gray-500'}`}>{days === null ? '-' : days > 0 ? `${days} days` : 'Not due'}</td><td className="px-4 py-2 text-right font-mono text-gray-200">{formatCurrency(b.amount)} <span className="text-[10px] text-gray-500">{b.sign}</span></td></tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Statement rows between two YYYY-MM-DD dates (either may be empty). The opening is the running
+// balance just before `from`, so a range inside a long history still reconciles.
+const sliceStatement = ({ opAmt, opType, rows, closingAmt, closingType }, { from, to }) => {
+  if (!from && !to) return { opAmt, opType, rows, endAmt: closingAmt, endType: closingType };
+  const fromD = from ? new Date(from + 'T00:00:00') : null;
+  const toD = to ? new Date(to + 'T23:59:59') : null;
+  let openVal = opType === 'Dr' ? -opAmt : opAmt;
+  const inRange = rows.filter(r => {
+    const d = parseDate(r.date);
+    if (fromD && d < fromD) { openVal = r.runningVal; return false; }
+    return !toD || d <= toD;
+  });
+  const endVal = inRange.length ? inRange[inRange.length - 1].runningVal : openVal;
+  return { opAmt: Math.abs(openVal), opType: openVal < 0 ? 'Dr' : 'Cr', rows: inRange, endAmt: Math.abs(endVal), endType: endVal < 0 ? 'Dr' : 'Cr' };
+};
+
+const SyncProgress = ({ job }) => {
+  if (!job) return null;
+  const pct = job.phase === 'vouchers' && job.total ? Math.round((job.done / job.total) * 100) : null;
+  const order = ['queued', 'structure', 'balances', 'vouchers', 'publish'];
+  // Phases without a count still move the bar so it never sits at zero
+  const width = job.status !== 'running' ? 100 : pct !== null ? 30 + pct * 0.6 : Math.max(5, order.indexOf(job.phase) * 15);
+  return (
+    <div className="mb-3">
+      <div className="flex justify-between text-[10px] text-gray-400 mb-1"><span>{SYNC_PHASE_LABELS[job.phase] || job.phase}</span>{pct !== null && <span className="font-mono">{job.done}/{job.total}</span>}</div>
+      <div className="w-full h-1.5 bg-gray-700 rounded-full overflow-hidden"><div className={`h-full transition-all duration-500 ${job.status === 'failed' ? 'bg-red-500' : 'bg-blue-500'}`} style={{ width: `${width}%` }}></div></div>
+      {job.warnings?.length > 0 && <p className="text-[10px] text-orange-400 mt-1 truncate" title={job.warnings.join('\n')}>{job.warnings.length} warning{job.warnings.length > 1 ? 's' : ''}</p>}
+    </div>
+  );
+};
+
+const RUN_BADGE = {
+  done: { label: 'OK', cls: 'bg-green-500/10 text-green-400 border-green-500/20' },
+  failed: { label: 'Failed', cls: 'bg-red-500/10 text-red-400 border-red-500/20' },
+  skipped: { label: 'Skipped', cls: 'bg-gray-500/10 text-gray-400 border-gray-500/20' }
+};
+
+const formatRunTime = (iso) => new Date(iso).toLocaleString('en-IN', { day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+// Above every view: the data is from the device (`offline`, when that copy was fetched) or more than
+// STALE_HOURS old, or writes are waiting for a network
+const STALE_HOURS = 24;
+const StalenessBanner = ({ updatedAt, offline, queued }) => {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => { const timer = setInterval(() => setNow(Date.now()), 60000); return () => clearInterval(timer); }, []);
+  const hours = updatedAt ? (now - new Date(updatedAt).getTime()) / 36e5 : 0;
+  const stale = hours > STALE_HOURS;
+  if (!offline && !stale && !queued) return null;
+  return (
+    <div className={`print:hidden flex flex-wrap items-center gap-x-4 gap-y-1 px-6 py-2 text-xs border-b ${offline ? 'bg-yellow-500/10 border-yellow-500/20 text-yellow-300' : 'bg-gray-800/40 border-gray-800 text-gray-300'}`}>
+      {offline && <span className="flex items-center gap-2 font-medium"><WifiOff size={14} /> Offline: the copy saved on this device on {formatRunTime(offline)}</span>}
+      {updatedAt && (offline || stale) && <span>Data as of {formatRunTime(updatedAt)}{stale && ` (${hours < 48 ? `${Math.floor(hours)} hours` : `${Math.floor(hours / 24)} days`} old)`}</span>}
+      {offline && <span className="opacity-70">Refreshes when the connection is back</span>}
+      {queued > 0 && <span className="flex items-center gap-2"><Clock size={14} /> {queued} {queued === 1 ? 'entry' : 'entries'} waiting to be sent</span>}
+    </div>
+  );
+};
+
+// Sidebar "LAST SYNC" body: run history from the server, or just the data timestamp in cloud mode
+const SyncHistory = ({ history, updatedAt }) => {
+  const [open, setOpen] = useState(false);
+  const last = history?.history?.[0];
+  if (!last) return <p className="text-xs text-gray-500 mb-3">{updatedAt ? formatRunTime(updatedAt) : 'N/A'}</p>;
+  const badge = RUN_BADGE[last.status] || RUN_BADGE.done;
+  // Runs recorded before publish targets carry `gitResult` instead
+  const result = last.publish || last.gitResult;
+  const publish = result ? (result.refused ? 'not published' : result.skipped ? 'publish skipped' : result.success ? 'published' : 'publish failed') : null;
+  // Ledgers Tally failed on or answered oddly for (runs recorded before these reports have none)
+  const reports = last.reports || [];
+  const failed = reports.reduce((n, r) => n + r.failedCount, 0);
+  const suspicious = reports.reduce((n, r) => n + r.suspiciousCount, 0);
+  const problems = reports.flatMap(r => [...r.failed.map(f => `${f.ledger}: ${f.error}`), ...r.suspicious.map(f => `${f.ledger}: ${f.reason}`)]).join('\n');
+  return (
+    <div className="mb-3 text-xs text-gray-500 space-y-1">
+      <div className="flex items-center justify-between"><span>{formatRunTime(last.startedAt)}</span><span className={`text-[10px] px-2 py-0.5 rounded-full border ${badge.cls}`}>{badge.label}</span></div>
+      <p className="truncate" title={last.error || ''}>{last.status === 'done' ? `${last.ledgers} ledgers · ${last.mode}${publish ? ` · ${publish}` : ''}` : last.error}</p>
+      {(failed > 0 || suspicious > 0) && <p className={`truncate ${reports.some(r => r.refused) ? 'text-red-400' : 'text-orange-400'}`} title={problems}>{reports.some(r => r.refused) ? 'Refused: ' : ''}{[failed && `${failed} ledger${failed > 1 ? 's' : ''} failed`, suspicious && `${suspicious} suspicious`].filter(Boolean).join(' · ')}</p>}
+      {history.nextRunAt && <p className="text-gray-600">Next auto sync {formatRunTime(history.nextRunAt)}</p>}
+      {history.history.length > 1 && <button onClick={() => setOpen(!open)} className="flex items-center gap-1 text-blue-400 hover:text-blue-300">{open ? <ChevronDown size={12} /> : <ChevronRight size={12} />} Recent runs</button>}
+      {open && <div className="max-h-32 overflow-y-auto custom-scrollbar space-y-1 pt-1">{history.history.slice(1, 10).map((h, i) => (<div key={i} className="flex justify-between gap-2" title={h.error || ''}><span>{formatRunTime(h.startedAt)} <span className="text-gray-600">{h.trigger}</span></span><span className={h.status === 'failed' ? 'text-red-400' : h.status === 'skipped' ? 'text-gray-500' : 'text-green-400'}>{(RUN_BADGE[h.status] || RUN_BADGE.done).label}</span></div>))}</div>}
+    </div>
+  );
+};
+
+// One ledger listing from the data source, a page at a time; `more` appends the next page
+const useLedgerPages = (source, query) => {
+  const [result, setResult] = useState({ total: 0, page: 0, ledgers: [], loading: true, error: null });
+  // Callers pass a fresh query object every render; the listing only reloads when its contents change
+  const key = JSON.stringify(query);
+  const load = useCallback((page, isLive = () => true) => source.ledgers({ ...JSON.parse(key), page })
+    .then(res => { if (isLive()) setResult(prev => ({ ...res, ledgers: page === 1 ? res.ledgers : [...prev.ledgers, ...res.ledgers], loading: false, error: null })); })
+    .catch(e => { if (isLive()) setResult(prev => ({ ...prev, loading: false, error: e.message })); }), [source, key]);
+  useEffect(() => {
+    if (!source) return;
+    let live = true;
+    load(1, () => live);
+    return () => { live = false; };
+  }, [source, load]);
+  return { ...result, more: result.ledgers.length < result.total ? () => load(result.page + 1) : null };
+};
+
+// Statement PDF downloads: which one is running (a key) and the last error
+const useDownload = () => {
+  const [state, setState] = useState({ busy: null, error: null });
+  const run = (key, download) => {
+    setState({ busy: key, error: null });
+    download().then(() => setState({ busy: null, error: null })).catch(e => setState({ busy: null, error: e.message }));
+  };
+  return { ...state, run };
+};
+
+// CSV and Excel downloads of a report as currently filtered; local server only
+const ExportButtons = ({ source, report, params }) => {
+  const download = useDownload();
+  if (!source?.exportReport) return null;
+  return (
+    <div className="flex items-center gap-2">
+      {download.error && <span className="text-xs text-red-400">{download.error}</span>}
+      {[['csv', 'CSV'], ['xlsx', 'Excel']].map(([format, label]) => (<button key={format} onClick={() => download.run(format, () => source.exportReport(report, params, format))} disabled={!!download.busy} title={`Export as ${label}`} className="flex items-center gap-2 px-3 py-2 bg-gray-800 hover:bg-gray-700 disabled:opacity-50 text-gray-300 text-sm rounded-lg border border-gray-700 transition-colors">{download.busy === format ? <RefreshCw size={14} className="animate-spin" /> : <Download size={14} />} {label}</button>))}
+    </div>
+  );
+};
+
+const RISK_STYLES = { high: 'border-red-500/30 text-red-400', medium: 'border-yellow-500/30 text-yellow-400', low: 'border-emerald-500/30 text-emerald-400' };
+const RISK_FACTORS = { utilisation: 'Limit used', daysToPay: 'Late payment', regularity: 'Irregular payment', overdue: 'Overdue amount' };
+
+// Score pill for list rows; debtors only
+const RiskBadge = ({ row }) => row.risk && (
+  <span className="flex items-center gap-1.5"><span title={`Risk score ${row.risk.score} of 100`} className={`text-[10px] px-1.5 py-0.5 rounded border font-mono ${RISK_STYLES[row.risk.level]}`}>{row.risk.score}</span>{row.overLimit && <span className="text-[10px] px-1.5 py-0.5 rounded bg-red-500/10 border border-red-500/30 text-red-400 uppercase">Over limit</span>}</span>
+);
+
+// Credit limit and risk score breakdown on a debtor's ledger
+const CreditRisk = ({ ledger }) => {
+  const { risk } = ledger;
+  const stat = (label, value, note) => (<div><div className="text-[10px] text-gray-500 uppercase tracking-wider">{label}</div><div className="text-sm font-mono text-gray-200 mt-1">{value}</div>{note && <div className="text-[10px] text-gray-500">{note}</div>}</div>);
+  return (
+    <div className="bg-[#1a1d29] border border-gray-800 rounded-xl p-4 mb-6 flex flex-col md:flex-row gap-6">
+      <div className={`flex flex-col items-center justify-center px-4 md:border-r border-gray-800 ${RISK_STYLES[risk.level].split(' ')[1]}`}><span className="text-3xl font-bold font-mono">{risk.score}</span><span className="text-[10px] uppercase tracking-wider">{risk.level} risk</span></div>
+      <div className="flex-1 grid grid-cols-2 md:grid-cols-4 gap-4">
+        {stat('Credit limit', ledger.creditLimit ? formatCurrency(ledger.creditLimit) : 'None in Tally', risk.utilisation !== null && <span className={risk.overLimit ? 'text-red-400' : ''}>{Math.round(risk.utilisation * 100)}% used{risk.overLimit && ' · over limit'}</span>)}
+        {stat('Credit period', `${ledger.creditPeriod ?? 30} days`, ledger.creditPeriod == null && 'Not set in Tally; assumed')}
+        {stat('Avg days to pay', risk.avgDaysToPay ?? '-', 'Unpaid bills count to today')}
+        {stat('Overdue', formatCurrency(risk.overdue))}
+      </div>
+      <div className="md:w-56 space-y-1.5">{Object.entries(RISK_FACTORS).map(([k, label]) => (<div key={k} className="text-[10px] text-gray-500"><div className="flex justify-between"><span>{label}</span><span>{risk.factors[k] === null ? 'no data' : Math.round(risk.factors[k] * 100)}</span></div><div className="h-1 bg-gray-800 rounded-full overflow-hidden"><div className="h-full bg-blue-500" style={{ width: `${(risk.factors[k] || 0) * 100}%` }}></div></div></div>))}</div>
+    </div>
+  );
+};
+
+const VOUCHER_STYLES = {
+  sale: 'border-orange-500/20 text-orange-400', receipt: 'border-emerald-500/20 text-emerald-400', return: 'border-purple-500/20 text-purple-400',
+  discount: 'border-yellow-500/20 text-yellow-400', adjustment: 'border-gray-700 text-gray-400', reversal: 'border-red-500/20 text-red-400',
+  purchase: 'border-blue-500/20 text-blue-400', payment: 'border-cyan-500/20 text-cyan-400'
+};
+
+// Vouchers by category. For debtors, money received (less bounced cheques) is set apart from the
+// credits that brought the balance down without cash: credit notes, discounts, journals.
+const VoucherBreakdown = ({ breakdown, kind = 'debtor', className = '' }) => {
+  const categories = VOUCHER_CATEGORIES.filter(c => breakdown[c]);
+  if (!categories.length) return null;
+  const receipts = breakdown.receipt?.cr || 0;
+  const nonCash = categories.reduce((s, c) => s + breakdown[c].cr, 0) - receipts;
+  return (
+    <div className={`flex flex-wrap items-center gap-2 text-xs ${className}`}>
+      {kind === 'debtor' && <><span className="text-gray-400">Received <span className="font-mono text-emerald-400">{formatCurrency(receipts - (breakdown.reversal?.dr || 0))}</span></span><span className="text-gray-400 mr-2">Non-cash credits <span className="font-mono text-purple-400">{formatCurrency(nonCash)}</span></span></>}
+      {categories.map(c => (<span key={c} title={`Dr ${formatCurrency(breakdown[c].dr)} · Cr ${formatCurrency(breakdown[c].cr)}`} className={`px-2 py-0.5 rounded-full border capitalize ${VOUCHER_STYLES[c]}`}>{c} <span className="font-mono">{formatCurrency(breakdown[c].dr + breakdown[c].cr)}</span></span>))}
+    </div>
+  );
+};
+
+const LoadMore = ({ page }) => (page.error ? <p className="text-center py-6 text-sm text-red-400">{page.error}</p> : page.more && <button onClick={page.more} className="w-full py-4 text-sm text-blue-400 hover:text-blue-300">Load more <span className="text-gray-500">({page.ledgers.length} of {page.total})</span></button>);
+
+// `download` ({ busy, error, run } from useDownload) is only given when the source renders statements.
+// onDownload(format) takes 'pdf' for the statement, 'csv' or 'xlsx' for the vouchers.
+const LedgerDetail = ({ ledger, range, onRangeChange, onBack, download, onDownload }) => {
   if (!ledger) return null;
-  const { opAmt, opType, rows, closingAmt, closingType } = useMemo(() => processLedgerData(ledger), [ledger]);
-  const aging = useMemo(() => calculateAging(ledger.transactions || [], ledger.openingBalance), [ledger]);
+  const { opAmt: fullOpAmt, opType: fullOpType, rows: allRows, closingAmt, closingType } = useMemo(() => processLedgerData(ledger), [ledger]);
+  const { opAmt, opType, rows, endAmt, endType } = sliceStatement({ opAmt: fullOpAmt, opType: fullOpType, rows: allRows, closingAmt, closingType }, range);
+  const aging = useMemo(() => ledgerAging(ledger), [ledger]);
 
   return (
     <motion.div initial={{ opacity: 0, y: 10 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: 10 }} className="h-full flex flex-col max-w-7xl mx-auto p-4 md:p-6">
@@ -100,7 +300,7 @@ const LedgerDetail = ({ ledger, onBack }) => {
           <button onClick={onBack} className="p-3 bg-gray-800 hover:bg-gray-700 rounded-xl transition-colors"><ArrowLeft className="text-gray-400" size={20} /></button>
           <div>
             <h1 className="text-2xl font-bold text-white">{ledger.name}</h1>
-            <p className="text-sm text-gray-400">{ledger.type === 'Dr' ? 'Sundry Debtor' : 'Sundry Creditor'}</p>
+            <p className="text-sm text-gray-400">{ledger.type === 'Dr' ? 'Sundry Debtor' : 'Sundry Creditor'}{ledger.company && <span className="text-gray-500"> · {ledger.company}</span>}{ledger.phone && <a href={`tel:${ledger.phone}`} className="text-gray-500 hover:text-blue-400"> · {ledger.phone}</a>}</p>
           </div>
         </div>
         <div className="bg-[#1a1d29] p-4 rounded-xl border border-gray-800 flex flex-col items-end">
@@ -113,11 +313,26 @@ const LedgerDetail = ({ ledger, onBack }) => {
       <div className="grid grid-cols-4 gap-4 mb-6">
         {[{ L: '<30 Days', V: aging['0-30'] }, { L: '30-60 Days', V: aging['30-60'] }, { L: '60-90 Days', V: aging['60-90'] }, { L: '>90 Days', V: aging['90+'] }].map((x, i) => (
           <div key={i} className="bg-[#1a1d29] border border-gray-800 p-3 rounded-lg">
-            <div className="text-xs text-gray-500 mb-1">{x.L}</div>
+            <div className="text-xs text-gray-500 mb-1">{x.L}{ledger.billWise ? ' overdue' : ''}</div>
             <div className="text-lg font-mono font-bold text-white">{formatCurrency(x.V)}</div>
+            {i === 0 && aging.notDue > 0 && <div className="text-[10px] text-gray-500 mt-1">incl. {formatCurrency(aging.notDue)} not yet due</div>}
           </div>
         ))}
       </div>
+      <p className="text-[10px] text-gray-500 -mt-4 mb-6">{ledger.billWise ? 'Aged by bill due dates from Tally' : 'No bill-wise details in Tally: aged first-in first-out from invoice dates'}</p>
+      {ledger.risk && <CreditRisk ledger={ledger} />}
+      <VoucherBreakdown breakdown={voucherBreakdown(ledger.transactions)} kind={ledger.kind || (ledger.type === 'Dr' ? 'debtor' : 'creditor')} className="mb-6" />
+      {ledger.bills?.length > 0 && <OutstandingBills bills={ledger.bills} />}
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-xs text-gray-400">
+        <Calendar size={14} className="text-gray-500" />
+        <label className="flex items-center gap-2">From <input type="date" value={range.from} onChange={e => onRangeChange({ ...range, from: e.target.value })} className="bg-[#1a1d29] border border-gray-700 rounded-lg px-2 py-1 text-gray-200 focus:outline-none focus:border-blue-500" /></label>
+        <label className="flex items-center gap-2">To <input type="date" value={range.to} onChange={e => onRangeChange({ ...range, to: e.target.value })} className="bg-[#1a1d29] border border-gray-700 rounded-lg px-2 py-1 text-gray-200 focus:outline-none focus:border-blue-500" /></label>
+        {(range.from || range.to) && <button onClick={() => onRangeChange({ from: '', to: '' })} className="text-blue-400 hover:text-blue-300">Clear</button>}
+        {allRows.length > 0 && <span className="ml-auto text-gray-500">{allRows[0].date} to {allRows[allRows.length - 1].date}</span>}
+        {download && <div className={`flex items-center gap-2 ${allRows.length ? '' : 'ml-auto'}`}>{[['csv', 'CSV'], ['xlsx', 'Excel']].map(([format, label]) => (<button key={format} onClick={() => onDownload(format)} disabled={!!download.busy} title={`Export vouchers as ${label}`} className="flex items-center gap-2 px-3 py-1.5 bg-gray-800 hover:bg-gray-700 disabled:opacity-50 text-gray-300 rounded-lg border border-gray-700 transition-colors">{download.busy === format ? <RefreshCw size={14} className="animate-spin" /> : <Download size={14} />} {label}</button>))}<button onClick={() => onDownload('pdf')} disabled={!!download.busy} className="flex items-center gap-2 px-3 py-1.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white rounded-lg transition-colors">{download.busy === 'pdf' ? <RefreshCw size={14} className="animate-spin" /> : <Download size={14} />} Download statement</button></div>}
+      </div>
+      {download?.error && <p className="text-xs text-red-400 -mt-1 mb-3 text-right">{download.error}</p>}
+      <div className="flex-1 flex flex-col lg:flex-row gap-6 min-h-0">
       <div className="bg-[#1a1d29] rounded-xl border border-gray-800 flex-1 flex flex-col overflow-hidden shadow-xl">
         <div className="overflow-auto flex-1 custom-scrollbar">
           <table className="w-full text-left text-sm border-collapse">
@@ -127,75 +342,908 @@ const LedgerDetail = ({ ledger, onBack }) => {
             <tbody className="divide-y divide-gray-800/50">
               <tr className="bg-[#161822]/50 italic"><td className="p-4 text-gray-500"></td><td className="p-4 text-gray-300 font-medium">Opening Balance</td><td colSpan="2"></td><td className="p-4 text-right font-mono text-gray-400">{opType === 'Dr' ? formatCurrency(opAmt) : ''}</td><td className="p-4 text-right font-mono text-gray-400">{opType === 'Cr' ? formatCurrency(opAmt) : ''}</td><td className="p-4 text-right font-mono font-bold text-white bg-[#161822]">{formatCurrency(opAmt)} {opType}</td></tr>
               {rows.map((row, i) => (
-                <tr key={i} className="hover:bg-white/5 transition-colors group"><td className="p-4 text-gray-400 font-mono text-xs">{formatDate(row.date)}</td><td className="p-4 text-gray-300">{row.account || 'As per details'}</td><td className="p-4 text-gray-500 text-xs">{row.type}</td><td className="p-4 text-gray-500 text-xs">{row.no}</td><td className="p-4 text-right font-mono text-orange-400">{row.sign === 'Dr' ? formatCurrency(row.amount) : '-'}</td><td className="p-4 text-right font-mono text-emerald-400">{row.sign === 'Cr' ? formatCurrency(row.amount) : '-'}</td><td className="p-4 text-right font-mono font-semibold text-white bg-[#161822] group-hover:bg-[#1f222e]">{formatCurrency(row.runningBalAbs)} <span className="text-[10px] text-gray-500">{row.runningBalType}</span></td></tr>
+                <tr key={i} className="hover:bg-white/5 transition-colors group"><td className="p-4 text-gray-400 font-mono text-xs">{formatDate(row.date)}</td><td className="p-4 text-gray-300">{row.account || 'As per details'}</td><td className="p-4 text-xs"><span title={voucherCategory(row)} className={`px-1.5 py-0.5 rounded border ${VOUCHER_STYLES[voucherCategory(row)]}`}>{row.type}</span></td><td className="p-4 text-gray-500 text-xs">{row.no}</td><td className="p-4 text-right font-mono text-orange-400">{row.sign === 'Dr' ? formatCurrency(row.amount) : '-'}</td><td className="p-4 text-right font-mono text-emerald-400">{row.sign === 'Cr' ? formatCurrency(row.amount) : '-'}</td><td className="p-4 text-right font-mono font-semibold text-white bg-[#161822] group-hover:bg-[#1f222e]">{formatCurrency(row.runningBalAbs)} <span className="text-[10px] text-gray-500">{row.runningBalType}</span></td></tr>
               ))}
-              <tr className="bg-[#161822] border-t-2 border-gray-700 font-bold"><td colSpan="4" className="p-4 text-right uppercase text-xs tracking-wider text-gray-400">Closing Balance</td><td className="p-4 text-right font-mono text-orange-400">{closingType === 'Dr' ? formatCurrency(closingAmt) : ''}</td><td className="p-4 text-right font-mono text-emerald-400">{closingType === 'Cr' ? formatCurrency(closingAmt) : ''}</td><td className="p-4 bg-[#0f111a]"></td></tr>
+              <tr className="bg-[#161822] border-t-2 border-gray-700 font-bold"><td colSpan="4" className="p-4 text-right uppercase text-xs tracking-wider text-gray-400">Closing Balance</td><td className="p-4 text-right font-mono text-orange-400">{endType === 'Dr' ? formatCurrency(endAmt) : ''}</td><td className="p-4 text-right font-mono text-emerald-400">{endType === 'Cr' ? formatCurrency(endAmt) : ''}</td><td className="p-4 bg-[#0f111a]"></td></tr>
             </tbody>
           </table>
         </div>
       </div>
+      {isLocal() && ledger.kind === 'debtor' && <FollowUpTimeline ledger={ledger} />}
+      </div>
     </motion.div>
   );
 };
 
-const GroupCard = ({ name, ledgers, onClick }) => {
-  const total = ledgers.reduce((sum, l) => sum + (l.type === 'Dr' ? l.amount : -l.amount), 0);
+const CHANNEL_ICONS = { call: PhoneCall, visit: MapPin, message: MessageSquare, other: MessageSquare };
+const PROMISE_BADGE = { open: 'border-blue-500/20 text-blue-400', kept: 'border-emerald-500/20 text-emerald-400', broken: 'border-red-500/20 text-red-400' };
+const todayIso = () => new Date().toLocaleDateString('en-CA');
+const EMPTY_FOLLOW_UP = { note: '', amount: '', promiseDate: '', nextActionDate: '' };
+const REMINDER_BADGE = { sent: 'border-emerald-500/20 text-emerald-400', failed: 'border-red-500/20 text-red-400', skipped: 'border-gray-700 text-gray-400' };
+
+// Call/visit notes, promises to pay, next actions and the payment reminders sent for one debtor, newest
+// first. Kept on the local server, so syncs never touch them; promises turn kept or broken when a later
+// sync brings the receipts in.
+const FollowUpTimeline = ({ ledger }) => {
+  const [entries, setEntries] = useState(null);
+  const [reminders, setReminders] = useState([]);
+  const [form, setForm] = useState({ channel: 'call', ...EMPTY_FOLLOW_UP });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const endpoints = getEndpoints();
+  const me = getSession()?.user;
+  useEffect(() => {
+    let live = true;
+    apiFetch(getEndpoints().followUps(ledger.company, ledger.name)).then(r => r.json()).then(res => { if (live) setEntries(res.followUps || []); }).catch(e => { if (live) setError(e.message); });
+    apiFetch(getEndpoints().reminderLog(ledger.company, ledger.name)).then(r => r.json()).then(res => { if (live) setReminders(res.reminders || []); }).catch(() => { });
+    return () => { live = false; };
+  }, [ledger.company, ledger.name]);
+  const save = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const body = { company: ledger.company, ledger: ledger.name, channel: form.channel, note: form.note, nextActionDate: form.nextActionDate || null, promise: form.amount ? { amount: parseFloat(form.amount), date: form.promiseDate } : null };
+      const res = await sendOrQueue(endpoints.followUp(), { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }, `Follow-up for ${ledger.name}`);
+      // No network: shown as waiting until the queue is sent
+      const json = res ? await res.json() : { followUp: { ...body, id: `queued-${Date.now()}`, by: me?.username, at: new Date().toISOString(), promise: body.promise && { ...body.promise, status: 'open', received: 0 }, queued: true } };
+      if (res && !res.ok) throw new Error(json.error || "Could not save");
+      setEntries(prev => [json.followUp, ...(prev || [])]);
+      setForm({ channel: form.channel, ...EMPTY_FOLLOW_UP });
+    } catch (err) { setError(err.message); } finally { setSaving(false); }
+  };
+  const remove = async (id) => {
+    const res = await apiFetch(endpoints.followUp(id), { method: 'DELETE' });
+    if (res.ok) setEntries(prev => prev.filter(x => x.id !== id));
+    else setError((await res.json().catch(() => ({}))).error || "Could not delete");
+  };
+  const input = "bg-[#0f111a] border border-gray-700 rounded-lg px-2 py-1.5 text-xs text-gray-200 focus:outline-none focus:border-blue-500";
+  return (
+    <div className="bg-[#1a1d29] rounded-xl border border-gray-800 flex flex-col overflow-hidden shadow-xl lg:w-96 shrink-0">
+      <form onSubmit={save} className="p-4 border-b border-gray-800 space-y-2">
+        <div className="flex items-center justify-between"><h3 className="text-sm font-bold text-white flex items-center gap-2"><CalendarCheck size={16} className="text-blue-400" /> Follow-ups</h3><select value={form.channel} onChange={e => setForm({ ...form, channel: e.target.value })} className={input}>{Object.keys(CHANNEL_ICONS).map(c => <option key={c} value={c}>{c}</option>)}</select></div>
+        <textarea rows={2} value={form.note} onChange={e => setForm({ ...form, note: e.target.value })} placeholder="What did the party say?" className={`${input} w-full resize-none`} />
+        <div className="grid grid-cols-2 gap-2"><input type="number" min="0" value={form.amount} onChange={e => setForm({ ...form, amount: e.target.value })} placeholder="Promised amount" className={input} /><input type="date" value={form.promiseDate} onChange={e => setForm({ ...form, promiseDate: e.target.value })} title="Promised payment date" className={input} /></div>
+        <label className="flex items-center gap-2 text-xs text-gray-400">Next action <input type="date" value={form.nextActionDate} onChange={e => setForm({ ...form, nextActionDate: e.target.value })} className={`${input} flex-1`} /></label>
+        {error && <p className="text-xs text-red-400">{error}</p>}
+        <button type="submit" disabled={saving} className="w-full py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded-lg text-xs font-medium text-white flex items-center justify-center gap-2"><Save size={14} />{saving ? 'Saving...' : 'Add follow-up'}</button>
+      </form>
+      <div className="overflow-auto flex-1 custom-scrollbar p-4 space-y-4">
+        {entries === null ? <RefreshCw size={16} className="animate-spin text-blue-500 mx-auto" /> : entries.length + reminders.length === 0 ? <p className="text-xs text-gray-500 text-center py-6">No follow-ups yet.</p> : [...entries, ...reminders.map(r => ({ ...r, reminder: true }))].sort((a, b) => b.at.localeCompare(a.at)).map(f => {
+          if (f.reminder) return (
+            <div key={f.id} className="flex gap-3"><div className="w-7 h-7 rounded-full bg-gray-800 flex items-center justify-center shrink-0"><Send size={13} className="text-gray-400" /></div><div className="flex-1 min-w-0">
+              <div className="text-[10px] text-gray-500">{formatRunTime(f.at)} · {f.by}</div>
+              <p className="text-sm text-gray-400 italic mt-0.5 whitespace-pre-wrap break-words">{f.body}</p>
+              <p title={f.error || undefined} className={`mt-1 inline-block text-[10px] px-2 py-0.5 rounded border ${REMINDER_BADGE[f.status]}`}>Reminder to {f.to} · {f.status}</p>
+            </div></div>
+          );
+          const Icon = CHANNEL_ICONS[f.channel] || MessageSquare;
+          return (
+            <div key={f.id} className="flex gap-3 group"><div className="w-7 h-7 rounded-full bg-gray-800 flex items-center justify-center shrink-0"><Icon size={13} className="text-gray-400" /></div><div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between text-[10px] text-gray-500"><span>{formatRunTime(f.at)} · {f.by}{f.queued && <span className="text-yellow-400"> · waiting to be sent</span>}</span>{!f.queued && (f.by === me?.username || me?.role === 'admin') && <button onClick={() => remove(f.id)} title="Delete" className="opacity-0 group-hover:opacity-100 hover:text-red-400"><Trash2 size={12} /></button>}</div>
+              {f.note && <p className="text-sm text-gray-300 mt-0.5 whitespace-pre-wrap break-words">{f.note}</p>}
+              {f.promise && <p className={`mt-1 inline-block text-[10px] px-2 py-0.5 rounded border ${PROMISE_BADGE[f.promise.status]}`}>Promised {formatCurrency(f.promise.amount)} by {formatDate(f.promise.date)} · {f.promise.status}{f.promise.status !== 'kept' && f.promise.received > 0 ? ` (${formatCurrency(f.promise.received)} received)` : ''}</p>}
+              {f.nextActionDate && <p className="text-[10px] text-gray-500 mt-1">Next action {formatDate(f.nextActionDate)}</p>}
+            </div></div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+// Parties whose next action or promised payment falls due by the chosen day, overdue ones first
+const DueFollowUps = ({ company, onSelectLedger }) => {
+  const [date, setDate] = useState(todayIso);
+  const [result, setResult] = useState(null);
+  useEffect(() => {
+    let live = true;
+    apiFetch(getEndpoints().followUpsDue(company, date)).then(r => r.json()).then(res => { if (live) setResult(res); }).catch(e => { if (live) setResult({ due: [], error: e.message }); });
+    return () => { live = false; };
+  }, [company, date]);
+  const due = result?.due || [];
+  return (
+    <div className="max-w-5xl mx-auto"><div className="flex flex-wrap items-end justify-between gap-4 mb-6"><div><h2 className="text-3xl font-bold text-white">Due Follow-ups</h2><p className="text-gray-400 mt-2">{date === todayIso() ? 'Today' : formatDate(date)}, including anything overdue.</p></div><input type="date" value={date} onChange={e => setDate(e.target.value || todayIso())} className="bg-[#1a1d29] border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-blue-500" /></div>
+      <div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden">{due.map(d => (<button key={`${d.company}|${d.ledger}`} onClick={() => onSelectLedger({ name: d.ledger, company: d.company })} className="w-full flex items-center justify-between gap-4 p-4 border-b border-gray-800 hover:bg-white/5 text-left transition-colors"><div className="min-w-0"><h4 className="font-medium text-gray-200 truncate">{d.ledger}</h4><p className="text-xs text-gray-500 truncate">{d.group}{d.last.note && ` · ${d.last.note}`}</p><div className="flex flex-wrap gap-2 mt-1.5">{d.promise && <span className={`text-[10px] px-2 py-0.5 rounded border ${d.promise.date < date ? PROMISE_BADGE.broken : PROMISE_BADGE.open}`}>Promised {formatCurrency(d.promise.amount)} by {formatDate(d.promise.date)}</span>}{d.nextActionDate && <span className={`text-[10px] px-2 py-0.5 rounded border ${d.nextActionDate < date ? 'border-orange-500/20 text-orange-400' : 'border-gray-700 text-gray-400'}`}>Next action {formatDate(d.nextActionDate)}</span>}</div></div><span className={`font-mono font-semibold shrink-0 ${d.type === 'Dr' ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(d.amount)}</span></button>))}{result && due.length === 0 && <p className="text-center py-16 text-gray-500">{result.error || 'Nothing due. Add follow-ups from a party\'s statement.'}</p>}{!result && <div className="flex justify-center py-16"><RefreshCw className="animate-spin text-blue-500" /></div>}</div></div>
+  );
+};
+
+const fullDate = (iso) => new Date(`${iso}T00:00:00`).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+const COLLECTION_STATUS = { pending: 'text-yellow-400', reconciled: 'text-emerald-400', unmatched: 'text-red-400' };
+
+// A route group's parties with a balance, for an agent to take out on the line: most overdue first
+// or in the saved visit order. Prints on A4; on a phone each party is a card. Amounts typed in are
+// saved as pending collections, which the next sync reconciles against the receipts in Tally.
+const CollectionSheet = ({ company, groups, addToast }) => {
+  const [group, setGroup] = useState('');
+  const [date, setDate] = useState(todayIso);
+  const [order, setOrder] = useState('overdue');
+  const [sheet, setSheet] = useState(null);
+  const [version, setVersion] = useState(0);
+  const [inputs, setInputs] = useState({});
+  // The parties in visiting order while it is being edited
+  const [visits, setVisits] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const current = group || groups[0]?.name || '';
+  useEffect(() => {
+    if (!current) return;
+    let live = true;
+    apiFetch(getEndpoints().collectionSheet({ company, group: current, date, order })).then(r => r.json()).then(res => { if (live) setSheet(res.success === false ? { entries: [], error: res.error } : res); }).catch(e => { if (live) setSheet({ entries: [], error: e.message }); });
+    return () => { live = false; };
+  }, [company, current, date, order, version]);
+
+  const keyOf = (e) => `${e.company}|${e.ledger}`;
+  const input = (e) => inputs[keyOf(e)] || { amount: '', mode: 'cash', note: '' };
+  const setInput = (e, patch) => setInputs(prev => ({ ...prev, [keyOf(e)]: { ...input(e), ...patch } }));
+  const entered = (sheet?.entries || []).filter(e => Number(input(e).amount) > 0);
+  const send = async (url, method, body) => {
+    const res = await apiFetch(url, { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const json = await res.json();
+    if (!json.success) throw new Error(json.error);
+    return json;
+  };
+  const save = async () => {
+    setSaving(true);
+    try {
+      const body = { group: current, date, entries: entered.map(e => ({ company: e.company, ledger: e.ledger, amount: Number(input(e).amount), mode: input(e).mode, note: input(e).note })) };
+      const res = await sendOrQueue(getEndpoints().collections, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }, `Collections for ${current} on ${fullDate(date)}`);
+      if (!res) {
+        addToast(`Offline: ${entered.length} collection${entered.length === 1 ? '' : 's'} queued, sent when the server can be reached`, "warning");
+        setInputs({});
+        return;
+      }
+      const json = await res.json();
+      if (!json.success) throw new Error(json.error);
+      addToast(`Saved ${json.collections.length} collection${json.collections.length === 1 ? '' : 's'} as pending`, "success");
+      setInputs({});
+      setVersion(v => v + 1);
+    } catch (e) { addToast(e.message, "error"); } finally { setSaving(false); }
+  };
+  const saveVisits = async () => {
+    setSaving(true);
+    try {
+      await send(getEndpoints().visitOrder, 'PUT', { group: current, ledgers: visits.map(e => ({ company: e.company, ledger: e.ledger })) });
+      addToast("Visit order saved", "success");
+      setVisits(null);
+      setOrder('visit');
+      setVersion(v => v + 1);
+    } catch (e) { addToast(e.message, "error"); } finally { setSaving(false); }
+  };
+  const move = (i, by) => setVisits(prev => { const next = [...prev]; [next[i], next[i + by]] = [next[i + by], next[i]]; return next; });
+
+  const field = "bg-[#0f111a] border border-gray-700 rounded-lg px-2 py-1.5 text-sm text-gray-200 focus:outline-none focus:border-blue-500 print:border-0 print:border-b print:rounded-none";
+  const control = "bg-[#1a1d29] border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-blue-500";
+  const overdue = (e) => (e.oldestOverdue ? <>{e.oldestOverdue.ref || '-'} of {fullDate(e.oldestOverdue.date)}<span className="block text-[10px] text-red-400">{e.oldestOverdue.overdueDays} days overdue · {formatCurrency(e.oldestOverdue.amount)}</span></> : <span className="text-gray-500">Nothing overdue</span>);
+  const receipt = (e) => (e.lastReceipt ? <>{formatCurrency(e.lastReceipt.amount)}<span className="block text-[10px] text-gray-500">{fullDate(e.lastReceipt.date)}</span></> : <span className="text-gray-500">None synced</span>);
+  const saved = (e) => e.collected.length > 0 && <span className="block text-[10px] print:hidden">{e.collected.map(c => (<span key={c.id} className={`mr-2 ${COLLECTION_STATUS[c.status]}`}>{formatCurrency(c.amount)} {c.mode} · {c.status}</span>))}</span>;
+  const inputsFor = (e) => (<>
+    <input type="number" inputMode="decimal" min="0" value={input(e).amount} onChange={ev => setInput(e, { amount: ev.target.value })} placeholder="₹" className={`${field} w-28 text-right font-mono`} />
+    <select value={input(e).mode} onChange={ev => setInput(e, { mode: ev.target.value })} className={`${field} print:hidden`}>{(sheet.modes || []).map(m => <option key={m} value={m}>{m === 'upi' ? 'UPI' : m.charAt(0).toUpperCase() + m.slice(1)}</option>)}</select>
+    <input value={input(e).note} onChange={ev => setInput(e, { note: ev.target.value })} placeholder="Note / cheque no." className={`${field} flex-1 min-w-0`} />
+  </>);
+
+  if (!current) return <p className="text-center py-20 text-gray-500">No route groups yet. Run a sync first.</p>;
+  return (
+    <div className="max-w-6xl mx-auto print-sheet">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-6"><div><h2 className="text-3xl font-bold text-white">Collection Sheet</h2><p className="text-gray-400 mt-2">{current} · {fullDate(date)}{sheet && !sheet.error && ` · ${sheet.entries.length} parties · ${formatCurrency(sheet.total)} outstanding`}</p></div>
+        <div className="flex flex-wrap items-center gap-2 print:hidden"><select value={current} onChange={e => { setGroup(e.target.value); setInputs({}); setVisits(null); }} className={control}>{groups.map(g => <option key={g.name} value={g.name}>{g.name}</option>)}</select><input type="date" value={date} onChange={e => setDate(e.target.value || todayIso())} className={control} />
+          <div className="flex bg-gray-900/50 rounded-lg p-1 border border-gray-700">{[['overdue', 'Most overdue'], ['visit', 'Visit order']].map(([id, label]) => (<button key={id} onClick={() => setOrder(id)} className={`px-3 py-1.5 rounded-md text-xs font-medium transition-all ${order === id ? 'bg-blue-600 text-white' : 'text-gray-400 hover:text-white'}`}>{label}</button>))}</div>
+          <button onClick={() => window.print()} className="flex items-center gap-2 px-3 py-2 bg-gray-800 hover:bg-gray-700 text-gray-200 rounded-lg text-sm"><Printer size={16} /> Print</button></div></div>
+      {!sheet ? <div className="flex justify-center py-20"><RefreshCw className="animate-spin text-blue-500" /></div> : sheet.error ? <p className="text-center py-20 text-gray-500">{sheet.error}</p> : visits ? (
+        <Card><div className="flex justify-between items-center mb-4"><h3 className="font-bold text-white">Visit order for {current}</h3><div className="flex gap-2"><button onClick={() => setVisits(null)} className="px-3 py-2 text-sm text-gray-400 hover:text-white">Cancel</button><button onClick={saveVisits} disabled={saving} className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white rounded-lg text-sm"><Save size={16} /> Save order</button></div></div>
+          {visits.map((e, i) => (<div key={keyOf(e)} className="flex items-center gap-3 py-2 border-b border-gray-800"><span className="w-6 text-xs text-gray-500 text-right">{i + 1}</span><span className="flex-1 text-sm text-gray-200 truncate">{e.ledger}</span><button onClick={() => move(i, -1)} disabled={i === 0} className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ArrowUp size={16} /></button><button onClick={() => move(i, 1)} disabled={i === visits.length - 1} className="p-1 text-gray-400 hover:text-white disabled:opacity-30"><ArrowDown size={16} /></button></div>))}</Card>
+      ) : sheet.entries.length === 0 ? <p className="text-center py-20 text-gray-500">No party in {current} has a balance to collect.</p> : (<>
+        <div className="hidden md:block print:block bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden"><table className="w-full text-sm"><thead><tr className="text-[10px] text-gray-500 uppercase tracking-wider text-left border-b border-gray-800"><th className="p-3 w-8">#</th><th className="p-3">Party</th><th className="p-3 text-right">Outstanding</th><th className="p-3">Oldest overdue bill</th><th className="p-3">Last receipt</th><th className="p-3">Collected</th></tr></thead>
+          <tbody>{sheet.entries.map((e, i) => (<tr key={keyOf(e)} className="border-b border-gray-800 align-top break-inside-avoid"><td className="p-3 text-gray-500">{i + 1}</td><td className="p-3 text-gray-200">{e.ledger}{e.phone && <span className="block text-[10px] text-gray-500">{e.phone}</span>}{saved(e)}</td><td className="p-3 text-right font-mono text-orange-400">{formatCurrency(e.outstanding)}</td><td className="p-3 text-gray-300">{overdue(e)}</td><td className="p-3 font-mono text-gray-300">{receipt(e)}</td><td className="p-3"><div className="flex gap-2">{inputsFor(e)}</div></td></tr>))}</tbody></table></div>
+        <div className="md:hidden print:hidden space-y-3">{sheet.entries.map((e, i) => (<Card key={keyOf(e)}><div className="flex justify-between gap-3 mb-3"><div className="min-w-0"><p className="text-gray-200 font-medium">{i + 1}. {e.ledger}</p>{e.phone && <a href={`tel:${e.phone}`} className="text-xs text-blue-400">{e.phone}</a>}{saved(e)}</div><p className="font-mono font-bold text-orange-400">{formatCurrency(e.outstanding)}</p></div><div className="grid grid-cols-2 gap-3 text-xs text-gray-300 mb-3"><div><p className="text-[10px] text-gray-500 uppercase">Oldest overdue</p>{overdue(e)}</div><div><p className="text-[10px] text-gray-500 uppercase">Last receipt</p>{receipt(e)}</div></div><div className="flex flex-wrap gap-2">{inputsFor(e)}</div></Card>))}</div>
+        <div className="hidden print:flex justify-between mt-12 text-sm"><span>Agent: ____________________</span><span>Total collected: ____________________</span><span>Checked by: ____________________</span></div>
+        <div className="flex flex-wrap justify-between items-center gap-3 mt-6 print:hidden"><button onClick={() => setVisits(sheet.entries)} className="flex items-center gap-2 px-3 py-2 text-sm text-gray-400 hover:text-white"><MapPin size={16} /> Edit visit order{!sheet.hasVisitOrder && ' (none saved yet)'}</button><button onClick={save} disabled={saving || !entered.length} className="flex items-center gap-2 px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white rounded-lg text-sm"><Save size={16} /> Save {entered.length || ''} collection{entered.length === 1 ? '' : 's'}{entered.length > 0 && ` · ${formatCurrency(entered.reduce((s, e) => s + Number(input(e).amount), 0))}`}</button></div>
+      </>)}
+    </div>
+  );
+};
+
+// Templates (admins and accountants) and the messaging provider (admins)
+const ReminderSettings = ({ config, user, onSaved, addToast }) => {
+  const [templates, setTemplates] = useState(config.templates);
+  const [provider, setProvider] = useState({ ...config.provider, countryCode: config.countryCode });
+  const [saving, setSaving] = useState(null);
+  const endpoints = getEndpoints();
+  const put = async (what, url, body) => {
+    setSaving(what);
+    try {
+      const res = await apiFetch(url, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+      const json = await res.json();
+      if (!json.success) throw new Error(json.error);
+      addToast(`Reminder ${what} saved`, "success");
+      onSaved(json);
+    } catch (e) { addToast(e.message, "error"); } finally { setSaving(null); }
+  };
+  const update = (i, patch) => setTemplates(templates.map((t, j) => (j === i ? { ...t, ...patch } : t)));
+  const { countryCode, ...providerFields } = provider;
+  const input = "px-3 py-2 bg-[#0f111a] border border-gray-700 rounded-lg text-sm text-gray-200 focus:outline-none focus:border-blue-500";
+  return (
+    <div className="bg-[#1a1d29] border border-gray-800 rounded-xl p-4 mb-6 space-y-4">
+      <div className="flex items-center justify-between"><h3 className="font-bold text-white">Templates</h3><div className="flex gap-2"><button onClick={() => setTemplates([...templates, { id: `template-${Date.now().toString(36)}`, name: '', body: '' }])} className="px-3 py-2 rounded-lg border border-gray-700 text-sm text-gray-300 hover:text-white flex items-center gap-2"><Plus size={14} /> Add</button><button onClick={() => put('templates', endpoints.reminderTemplates, { templates })} disabled={!!saving} className="px-3 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded-lg text-sm font-medium text-white flex items-center gap-2"><Save size={14} />{saving === 'templates' ? 'Saving...' : 'Save templates'}</button></div></div>
+      <div className="flex flex-wrap gap-1.5">{Object.entries(config.placeholders).map(([key, label]) => (<span key={key} title={label} className="text-[10px] font-mono px-2 py-0.5 rounded border border-gray-700 text-gray-400">{`{${key}}`}</span>))}</div>
+      {templates.map((t, i) => (<div key={t.id} className="flex flex-col md:flex-row gap-3"><input value={t.name} onChange={e => update(i, { name: e.target.value })} placeholder="Template name" className={`${input} md:w-56`} /><textarea rows={3} value={t.body} onChange={e => update(i, { body: e.target.value })} className={`${input} flex-1 resize-y`} /><button onClick={() => setTemplates(templates.filter((_, j) => j !== i))} disabled={templates.length === 1} title="Remove" className="p-2 text-gray-500 hover:text-red-400 disabled:opacity-20 self-start"><Trash2 size={16} /></button></div>))}
+      {can(user, 'admin') && (<div className="pt-4 border-t border-gray-800 flex flex-wrap items-center gap-3"><h3 className="font-bold text-white mr-auto">Provider</h3>
+        <select value={provider.type} onChange={e => setProvider({ type: e.target.value, countryCode })} className={input}>{config.providerTypes.map(type => <option key={type} value={type}>{type}</option>)}</select>
+        {provider.type === 'file' && <input value={provider.path || ''} onChange={e => setProvider({ ...provider, path: e.target.value })} placeholder="outbox.jsonl" className={input} />}
+        {provider.type === 'webhook' && <><input value={provider.url || ''} onChange={e => setProvider({ ...provider, url: e.target.value })} placeholder="https://gateway.example/send" className={`${input} md:w-72`} /><input type="password" value={provider.token || ''} onChange={e => setProvider({ ...provider, token: e.target.value })} placeholder="Token (optional)" className={input} /></>}
+        <label className="flex items-center gap-2 text-xs text-gray-400">Country code +<input value={countryCode} onChange={e => setProvider({ ...provider, countryCode: e.target.value })} className={`${input} w-16`} /></label>
+        <button onClick={() => put('provider', endpoints.reminderProvider, { provider: providerFields, countryCode })} disabled={!!saving} className="px-3 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded-lg text-sm font-medium text-white flex items-center gap-2"><Save size={14} />{saving === 'provider' ? 'Saving...' : 'Save provider'}</button>
+      </div>)}
+    </div>
+  );
+};
+
+// Bulk payment reminders: pick a template and a route group or aging bucket, read the preview,
+// untick anyone to leave out this time, send. Opting out is remembered for the party.
+const Reminders = ({ company, groups, user, addToast }) => {
+  const [config, setConfig] = useState(null);
+  const [filter, setFilter] = useState({ template: '', group: '', bucket: '' });
+  const [preview, setPreview] = useState(null);
+  const [excluded, setExcluded] = useState(() => new Set());
+  const [results, setResults] = useState({});
+  const [sending, setSending] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const endpoints = getEndpoints();
+  const template = filter.template || config?.templates[0]?.id || '';
+  useEffect(() => {
+    let live = true;
+    apiFetch(getEndpoints().reminders).then(r => r.json()).then(res => { if (live) setConfig(res); }).catch(() => addToast("Could not load reminder settings", "error"));
+    return () => { live = false; };
+  }, [addToast]);
+  useEffect(() => {
+    if (!template) return;
+    let live = true;
+    apiFetch(getEndpoints().reminderPreview({ company, template, group: filter.group, bucket: filter.bucket })).then(r => r.json()).then(res => {
+      if (!live) return;
+      setPreview({ messages: res.messages || [], error: res.messages ? null : res.error });
+      setExcluded(new Set());
+      setResults({});
+    }).catch(e => { if (live) setPreview({ messages: [], error: e.message }); });
+    return () => { live = false; };
+  }, [company, template, filter.group, filter.bucket]);
+
+  const key = (m) => `${m.company}|${m.ledger}`;
+  const messages = preview?.messages || [];
+  const sendable = (m) => m.to && !m.optedOut;
+  const selected = messages.filter(m => sendable(m) && !excluded.has(key(m)));
+  const toggle = (m) => { const next = new Set(excluded); if (next.has(key(m))) next.delete(key(m)); else next.add(key(m)); setExcluded(next); };
+  const optOut = async (m) => {
+    const res = await apiFetch(endpoints.reminderOptOut, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ company: m.company, ledger: m.ledger, optOut: !m.optedOut }) });
+    const json = await res.json();
+    if (!json.success) return addToast(json.error, "error");
+    setPreview({ ...preview, messages: messages.map(x => (key(x) === key(m) ? { ...x, optedOut: json.optOut } : x)) });
+  };
+  const send = async () => {
+    if (!window.confirm(`Send ${selected.length} reminder${selected.length === 1 ? '' : 's'}?`)) return;
+    setSending(true);
+    try {
+      const res = await apiFetch(endpoints.reminderSend, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ template, parties: selected.map(m => ({ company: m.company, ledger: m.ledger })) }) });
+      const json = await res.json();
+      if (!json.success) throw new Error(json.error);
+      setResults(Object.fromEntries(json.results.map(r => [key(r), r])));
+      addToast(`${json.sent} sent${json.failed ? `, ${json.failed} failed` : ''}${json.skipped ? `, ${json.skipped} skipped` : ''}`, json.failed ? "error" : "success");
+    } catch (e) { addToast(e.message, "error"); } finally { setSending(false); }
+  };
+
+  if (!config) return <div className="flex justify-center py-20"><RefreshCw className="animate-spin text-blue-500" /></div>;
+  const select = "bg-[#1a1d29] border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-blue-500";
+  return (
+    <div className="max-w-5xl mx-auto"><div className="flex flex-wrap justify-between items-start gap-4 mb-6"><div><h2 className="text-3xl font-bold text-white mb-2">Payment Reminders</h2><p className="text-gray-400">Parties with a debit balance. Numbers come from the ledger's mobile or phone in Tally.</p></div>{can(user, 'admin', 'accountant') && <button onClick={() => setEditing(!editing)} className="px-4 py-2.5 rounded-lg border border-gray-700 text-sm text-gray-300 hover:text-white flex items-center gap-2"><Settings size={16} /> Templates</button>}</div>
+      {editing && <ReminderSettings config={config} user={user} onSaved={(json) => setConfig({ ...config, ...json })} addToast={addToast} />}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select value={template} onChange={e => setFilter({ ...filter, template: e.target.value })} className={select}>{config.templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}</select>
+        <select value={filter.group} onChange={e => setFilter({ ...filter, group: e.target.value })} className={select}><option value="">All route groups</option>{groups.map(g => <option key={g.name} value={g.name}>{g.name}</option>)}</select>
+        <select value={filter.bucket} onChange={e => setFilter({ ...filter, bucket: e.target.value })} className={select}><option value="">Any age</option>{Object.entries(BUCKET_LABELS).map(([id, label]) => <option key={id} value={id}>Oldest {label.toLowerCase()}</option>)}</select>
+        <button onClick={send} disabled={sending || !selected.length} className="ml-auto px-4 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded-lg text-sm font-medium text-white flex items-center gap-2">{sending ? <RefreshCw size={16} className="animate-spin" /> : <Send size={16} />} Send {selected.length} reminder{selected.length === 1 ? '' : 's'}</button>
+      </div>
+      <div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden">{messages.map(m => {
+        const result = results[key(m)];
+        return (
+          <div key={key(m)} className={`flex gap-4 p-4 border-b border-gray-800 ${sendable(m) ? '' : 'opacity-50'}`}>
+            <input type="checkbox" checked={sendable(m) && !excluded.has(key(m))} disabled={!sendable(m)} onChange={() => toggle(m)} className="mt-1 accent-blue-500" />
+            <div className="flex-1 min-w-0">
+              <div className="flex flex-wrap items-center justify-between gap-2"><h4 className="font-medium text-gray-200 truncate">{m.ledger}</h4><span className="font-mono text-sm text-orange-400">{formatCurrency(m.amount)}</span></div>
+              <p className="text-xs text-gray-500">{m.group}{company === 'all' && m.company && ` · ${m.company}`} · {m.to || 'no number in Tally'}{m.optedOut && ' · opted out'}</p>
+              <p className="text-sm text-gray-400 mt-2 whitespace-pre-wrap break-words">{m.body}</p>
+              <div className="flex items-center gap-3 mt-2">{result && <span title={result.error || undefined} className={`text-[10px] px-2 py-0.5 rounded border ${REMINDER_BADGE[result.status]}`}>{result.status}{result.error ? `: ${result.error}` : ''}</span>}<button onClick={() => optOut(m)} className="text-[10px] text-gray-500 hover:text-gray-300 flex items-center gap-1"><BellOff size={10} />{m.optedOut ? 'Opt back in' : 'Opt out of reminders'}</button></div>
+            </div>
+          </div>
+        );
+      })}{preview && messages.length === 0 && <p className="text-center py-16 text-gray-500">{preview.error || 'No parties with a balance here.'}</p>}{!preview && <div className="flex justify-center py-16"><RefreshCw className="animate-spin text-blue-500" /></div>}</div>
+    </div>
+  );
+};
+
+// List rows carry no vouchers; the full ledger is fetched when a statement is opened
+const LedgerLoader = ({ source, row, ...props }) => {
+  const [state, setState] = useState({ ledger: null, error: null });
+  const download = useDownload();
+  useEffect(() => {
+    let live = true;
+    source.ledger(row)
+      .then(ledger => { if (live) setState({ ledger, error: ledger ? null : `${row.name} is not in the synced data` }); })
+      .catch(e => { if (live) setState({ ledger: null, error: e.message }); });
+    return () => { live = false; };
+  }, [source, row]);
+  if (state.error) return <div className="max-w-7xl mx-auto p-6"><button onClick={props.onBack} className="flex items-center text-gray-400 hover:text-white gap-2 transition-colors text-sm mb-4"><ArrowLeft size={16} /> Back</button><p className="text-center py-20 text-gray-500">{state.error}</p></div>;
+  if (!state.ledger) return <div className="flex justify-center py-20"><RefreshCw className="animate-spin text-blue-500" /></div>;
+  const downloads = source.statement ? { download, onDownload: (format) => download.run(format, () => (format === 'pdf' ? source.statement(row, props.range) : source.exportLedger(row, props.range, format))) } : {};
+  return <LedgerDetail ledger={state.ledger} {...downloads} {...props} />;
+};
+
+const GroupCard = ({ name, count, total, onClick }) => {
   const isPos = total > 0;
   return (
-    <motion.div whileHover={{ y: -5 }} onClick={onClick} className="glass-panel p-5 rounded-xl cursor-pointer hover:border-blue-500/30 transition-all flex flex-col justify-between h-40 relative group overflow-hidden"><div className={`absolute top-0 left-0 w-1 h-full ${isPos ? 'bg-orange-500' : 'bg-emerald-500'} opacity-50`}></div><div className="flex justify-between items-start"><div className="p-2.5 bg-gray-800 rounded-lg group-hover:bg-blue-600 group-hover:text-white transition-colors text-gray-400"><Users size={20} /></div><div className="px-2 py-1 bg-gray-900 rounded text-[10px] text-gray-500 border border-gray-800">{ledgers.length} ACCOUNTS</div></div><div><h3 className="font-semibold text-gray-200 text-lg truncate mb-1">{name}</h3><p className={`font-mono text-xl font-bold ${isPos ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(Math.abs(total))} <span className="text-sm text-gray-500 ml-1">{isPos ? 'Dr' : 'Cr'}</span></p></div></motion.div>
+    <motion.div whileHover={{ y: -5 }} onClick={onClick} className="glass-panel p-5 rounded-xl cursor-pointer hover:border-blue-500/30 transition-all flex flex-col justify-between h-40 relative group overflow-hidden"><div className={`absolute top-0 left-0 w-1 h-full ${isPos ? 'bg-orange-500' : 'bg-emerald-500'} opacity-50`}></div><div className="flex justify-between items-start"><div className="p-2.5 bg-gray-800 rounded-lg group-hover:bg-blue-600 group-hover:text-white transition-colors text-gray-400"><Users size={20} /></div><div className="px-2 py-1 bg-gray-900 rounded text-[10px] text-gray-500 border border-gray-800">{count} ACCOUNTS</div></div><div><h3 className="font-semibold text-gray-200 text-lg truncate mb-1">{name}</h3><p className={`font-mono text-xl font-bold ${isPos ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(Math.abs(total))} <span className="text-sm text-gray-500 ml-1">{isPos ? 'Dr' : 'Cr'}</span></p></div></motion.div>
   );
 };
 
-const LedgerList = ({ groupName, ledgers, onSelect, onBack }) => {
+// `range` is the statement period, used for PDF downloads
+const LedgerList = ({ source, groupName, search, range, onSelect, onBack }) => {
+  // Drill path into the Tally sub-groups below this route group
+  const [subPath, setSubPath] = useState([]);
+  const download = useDownload();
+  // Sub-group chips need the whole group, so it loads in large pages
+  const page = useLedgerPages(source, { kind: 'debtor', group: groupName, search, pageSize: 1000 });
+  const inPath = (l) => subPath.every((g, i) => (l.subPath || [])[i] === g);
+  const ledgers = page.ledgers.filter(inPath);
+  const subGroups = [...new Set(ledgers.map(l => (l.subPath || [])[subPath.length]).filter(Boolean))].sort();
+  const directCount = ledgers.filter(l => (l.subPath || []).length === subPath.length).length;
+  const breakdown = {};
+  ledgers.forEach(l => Object.entries(l.breakdown || {}).forEach(([c, v]) => { breakdown[c] = { dr: (breakdown[c]?.dr || 0) + v.dr, cr: (breakdown[c]?.cr || 0) + v.cr }; }));
   return (
-    <div className="p-6 max-w-7xl mx-auto h-full flex flex-col"><div className="mb-6"><button onClick={onBack} className="flex items-center text-gray-400 hover:text-white gap-2 transition-colors text-sm mb-4"><ArrowLeft size={16} /> Back to Dashboard</button><h2 className="text-2xl font-bold text-white"><span className="text-gray-500 font-normal">Group / </span> {groupName}</h2></div><div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 overflow-y-auto pb-10">{ledgers.map((l, i) => (<div key={i} onClick={() => onSelect(l)} className="bg-[#1a1d29] border border-gray-800 hover:border-blue-500/50 p-4 rounded-xl cursor-pointer hover:shadow-lg transition-all flex items-center justify-between group"><div><h4 className="font-medium text-gray-300 group-hover:text-white truncate max-w-[180px]">{l.name}</h4><p className="text-xs text-gray-500 mt-1">{l.transactions?.length || 0} Txns</p></div><div className={`text-right font-mono font-semibold ${l.type === 'Dr' ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(l.amount)}</div></div>))}</div></div>
+    <div className="p-6 max-w-7xl mx-auto h-full flex flex-col"><div className="mb-6"><button onClick={onBack} className="flex items-center text-gray-400 hover:text-white gap-2 transition-colors text-sm mb-4"><ArrowLeft size={16} /> Back to Dashboard</button><div className="flex flex-wrap items-center justify-between gap-4"><h2 className="text-2xl font-bold text-white"><span className="text-gray-500 font-normal">Group / </span> <button onClick={() => setSubPath([])} className={subPath.length ? 'hover:text-blue-400' : ''}>{groupName}</button>{subPath.map((g, i) => (<span key={g}><span className="text-gray-500 font-normal"> / </span><button onClick={() => setSubPath(subPath.slice(0, i + 1))} className="hover:text-blue-400">{g}</button></span>))}</h2><div className="flex flex-wrap items-center gap-2"><ExportButtons source={source} report="parties" params={{ kind: 'debtor', group: groupName, search }} />{source.groupStatements && <button onClick={() => download.run(groupName, () => source.groupStatements(groupName, range))} disabled={!!download.busy} title={`One PDF for every party with a balance in ${groupName}`} className="flex items-center gap-2 px-3 py-2 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 text-white text-sm rounded-lg transition-colors">{download.busy === groupName ? <RefreshCw size={14} className="animate-spin" /> : <Download size={14} />} Download statements</button>}</div></div>
+      {download.error && <p className="text-xs text-red-400 mt-2">{download.error}</p>}
+      <VoucherBreakdown breakdown={breakdown} className="mt-3" />
+      {subGroups.length > 0 && (<div className="flex flex-wrap gap-2 mt-4">{subGroups.map(g => { const list = ledgers.filter(l => l.subPath[subPath.length] === g); const total = list.reduce((sum, l) => sum + (l.type === 'Dr' ? l.amount : -l.amount), 0); return (<button key={g} onClick={() => setSubPath([...subPath, g])} className="flex items-center gap-2 px-3 py-2 bg-[#1a1d29] border border-gray-800 hover:border-blue-500/50 rounded-lg text-sm text-gray-300 transition-all"><Layers size={14} className="text-blue-400" />{g}<span className="text-xs text-gray-500">{list.length}</span><span className={`font-mono text-xs ${total > 0 ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(Math.abs(total))}</span></button>); })}{directCount > 0 && <span className="px-3 py-2 text-xs text-gray-500">+ {directCount} directly in {subPath[subPath.length - 1] || groupName}</span>}</div>)}
+    </div><div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 overflow-y-auto pb-10">{ledgers.map((l, i) => (<div key={i} onClick={() => onSelect(l)} className="bg-[#1a1d29] border border-gray-800 hover:border-blue-500/50 p-4 rounded-xl cursor-pointer hover:shadow-lg transition-all flex items-center justify-between group"><div><h4 className="font-medium text-gray-300 group-hover:text-white truncate max-w-[180px]">{l.name}</h4><div className="flex items-center gap-2 mt-1"><p className="text-xs text-gray-500">{l.voucherCount} Txns</p><RiskBadge row={l} /></div></div><div className="flex items-center gap-3"><div className={`text-right font-mono font-semibold ${l.type === 'Dr' ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(l.amount)}</div>{source.statement && <button onClick={e => { e.stopPropagation(); download.run(`${l.company}|${l.name}`, () => source.statement(l, range)); }} disabled={!!download.busy} title="Download statement" className="p-1.5 text-gray-500 hover:text-blue-400 disabled:opacity-50 transition-colors">{download.busy === `${l.company}|${l.name}` ? <RefreshCw size={14} className="animate-spin" /> : <Download size={14} />}</button>}</div></div>))}</div><LoadMore page={page} /></div>
   );
 };
 
-const AgingView = ({ data, onSelectLedger }) => {
-  const [subTab, setSubTab] = useState('0-30');
-  const processedData = useMemo(() => {
-    if (!data) return {};
-    const buckets = { '0-30': [], '30-60': [], '60-90': [], '90+': [] };
-    if (data.debtors) {
-      const allParties = [...Object.values(data.debtors).flat(), ...(data.creditors || [])];
-      allParties.forEach(l => {
-        const aging = calculateAging(l.transactions || [], l.openingBalance);
-        const cat = determineRiskCategory(aging);
-        if (l.amount > 1) buckets[cat].push({ ...l, category: cat });
-      });
-    }
-    return buckets;
-  }, [data]);
+const BUCKET_LABELS = { '0-30': '< 30 Days', '30-60': '30-60 Days', '60-90': '60-90 Days', '90+': '> 90 Days' };
+const signedBalance = (v) => `${formatCurrency(Math.abs(v))} ${v >= 0 ? 'Dr' : 'Cr'}`;
+
+const ChangeSection = ({ title, count, children }) => count > 0 && (
+  <div className="mb-8"><h3 className="text-lg font-bold text-white mb-3">{title} <span className="text-sm text-gray-500 font-normal">({count})</span></h3><div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden divide-y divide-gray-800">{children}</div></div>
+);
+const ChangeRow = ({ onClick, children }) => (<button onClick={onClick} className="w-full flex items-center justify-between gap-4 p-4 hover:bg-white/5 text-left transition-colors">{children}</button>);
+
+// What changed between two sync snapshots; by default the last sync against the one before it
+const ChangesView = ({ company, onSelectLedger, addToast }) => {
+  const [snapshots, setSnapshots] = useState(null);
+  const [range, setRange] = useState({ from: '', to: '' });
+  const [diff, setDiff] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    apiFetch(getEndpoints().snapshots(company)).then(r => r.json()).then(res => setSnapshots(res.snapshots)).catch(() => addToast("Could not load snapshots", "error"));
+  }, [company, addToast]);
 
-  const currentList = processedData[subTab] || [];
+  useEffect(() => {
+    if (!snapshots) return;
+    apiFetch(getEndpoints().snapshotDiff(company, range.from, range.to)).then(r => r.json()).then(res => {
+      if (res.success === false) { setDiff(null); setError(res.error); } else { setDiff(res); setError(null); }
+    }).catch(() => addToast("Could not load changes", "error"));
+  }, [snapshots, range, company, addToast]);
+
+  const open = (name) => onSelectLedger({ name, company: company || null });
+  const stamp = (s) => new Date(s.takenAt).toLocaleString('en-IN', { day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+  if (!snapshots) return <div className="flex justify-center py-20"><RefreshCw className="animate-spin text-blue-500" /></div>;
+  return (
+    <div className="max-w-5xl mx-auto">
+      <h2 className="text-3xl font-bold text-white mb-2">Changes</h2>
+      <p className="text-gray-400 mb-6">What moved between two syncs. Each sync keeps a snapshot on this machine.</p>
+      {snapshots.length > 1 && (
+        <div className="flex flex-wrap items-center gap-3 mb-8 text-sm text-gray-400">
+          {['from', 'to'].map(k => (
+            <label key={k} className="flex items-center gap-2 capitalize">{k}<select value={range[k]} onChange={e => setRange({ ...range, [k]: e.target.value })} className="bg-[#1a1d29] border border-gray-700 rounded-lg px-3 py-2 text-gray-200 focus:outline-none focus:border-blue-500"><option value="">{k === 'to' ? 'Latest sync' : 'Sync before it'}</option>{snapshots.map(s => (<option key={s.id} value={s.id}>{stamp(s)}</option>))}</select></label>
+          ))}
+        </div>
+      )}
+      {error && <p className="text-gray-500 py-10 text-center">{error}</p>}
+      {diff && (<>
+        <p className="text-xs text-gray-500 mb-4">{stamp(diff.from)} → {stamp(diff.to)}</p>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-8">
+          {[{ L: 'Received', V: formatCurrency(diff.summary.received), c: 'text-emerald-400' }, { L: 'Billed', V: formatCurrency(diff.summary.billed), c: 'text-orange-400' }, { L: 'Non-cash credits', V: formatCurrency(diff.summary.credits || 0), c: 'text-purple-400' }, { L: 'Balances changed', V: diff.summary.balanceChanges, c: 'text-white' }, { L: 'Moved into 90+', V: diff.summary.movedInto90, c: diff.summary.movedInto90 ? 'text-red-400' : 'text-white' }].map(x => (
+            <Card key={x.L} className="!p-4"><p className="text-xs text-gray-500 uppercase tracking-wider mb-1">{x.L}</p><p className={`text-2xl font-bold font-mono ${x.c}`}>{x.V}</p></Card>
+          ))}
+        </div>
+        {diff.summary.balanceChanges + diff.summary.newParties + diff.summary.removedParties + diff.summary.newVouchers + diff.bucketMoves.length === 0 && <p className="text-gray-500 py-10 text-center">Nothing changed between these syncs.</p>}
+        <ChangeSection title="Aging moves" count={diff.bucketMoves.length}>{diff.bucketMoves.map(m => (<ChangeRow key={m.name} onClick={() => open(m.name)}><span className="text-gray-200 truncate">{m.name}<span className="block text-[10px] text-gray-500">{m.group}</span></span><span className={`text-xs whitespace-nowrap ${m.direction === 'worse' ? 'text-red-400' : 'text-emerald-400'}`}>{BUCKET_LABELS[m.from] || 'Settled'} → {BUCKET_LABELS[m.to] || 'Settled'}</span></ChangeRow>))}</ChangeSection>
+        <ChangeSection title="Balance changes" count={diff.balanceChanges.length}>{diff.balanceChanges.map(c => (<ChangeRow key={c.name} onClick={() => open(c.name)}><span className="text-gray-200 truncate">{c.name}<span className="block text-[10px] text-gray-500">{c.kind === 'creditor' ? 'Creditor' : c.group}</span></span><span className="text-right font-mono text-sm whitespace-nowrap"><span className="text-gray-500">{signedBalance(c.before)} → </span><span className="text-white">{signedBalance(c.after)}</span><span className={`block text-xs ${c.change > 0 ? 'text-orange-400' : 'text-emerald-400'}`}>{c.change > 0 ? <ArrowUp size={10} className="inline" /> : <ArrowDown size={10} className="inline" />} {formatCurrency(Math.abs(c.change))}</span></span></ChangeRow>))}</ChangeSection>
+        <ChangeSection title="New parties" count={diff.newParties.length}>{diff.newParties.map(p => (<ChangeRow key={p.name} onClick={() => open(p.name)}><span className="text-gray-200 truncate">{p.name}<span className="block text-[10px] text-gray-500">{p.kind === 'creditor' ? 'Creditor' : p.group}</span></span><span className="font-mono text-sm text-white">{signedBalance(p.balance)}</span></ChangeRow>))}</ChangeSection>
+        <ChangeSection title="Removed parties" count={diff.removedParties.length}>{diff.removedParties.map(p => (<div key={p.name} className="flex items-center justify-between p-4"><span className="text-gray-400 truncate">{p.name}</span><span className="font-mono text-sm text-gray-500">{signedBalance(p.balance)}</span></div>))}</ChangeSection>
+        <ChangeSection title="New vouchers" count={diff.newVouchers.length}>{diff.newVouchers.map((v, i) => (<ChangeRow key={i} onClick={() => open(v.ledger)}><span className="text-gray-200 truncate">{v.ledger}<span className="block text-[10px] text-gray-500">{v.date} · {v.type}{v.no ? ` #${v.no}` : ''} · {v.account}</span></span><span className={`font-mono text-sm ${v.sign === 'Dr' ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(v.amount)} {v.sign}</span></ChangeRow>))}</ChangeSection>
+      </>)}
+    </div>
+  );
+};
+
+const RouteGroupSettings = ({ onSaved, addToast }) => {
+  const [summary, setSummary] = useState(null);
+  const [rows, setRows] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const endpoints = getEndpoints();
+
+  const load = (res) => {
+    setSummary(res);
+    const rules = res.config.rules || {};
+    // Rows follow the configured order (by display name), then Tally's own order
+    const rank = (r) => { const i = res.config.order.indexOf(rules[r.name]?.rename || r.name); return i === -1 ? Infinity : i; };
+    setRows([...res.tree].sort((a, b) => rank(a) - rank(b)).map(n => ({ name: n.name, children: n.children, rename: rules[n.name]?.rename || '', mergeInto: rules[n.name]?.mergeInto || '', hidden: !!rules[n.name]?.hidden })));
+  };
+
+  useEffect(() => {
+    apiFetch(getEndpoints().routeGroups).then(r => r.json()).then(load).catch(() => addToast("Could not load route groups", "error"));
+  }, [addToast]);
+
+  const update = (i, patch) => setRows(rows.map((r, j) => (j === i ? { ...r, ...patch } : r)));
+  const move = (i, d) => { const next = [...rows]; [next[i], next[i + d]] = [next[i + d], next[i]]; setRows(next); };
+
+  const save = async () => {
+    setSaving(true);
+    const rules = {};
+    rows.forEach(r => { if (r.rename || r.mergeInto || r.hidden) rules[r.name] = { rename: r.rename, mergeInto: r.mergeInto, hidden: r.hidden }; });
+    const order = rows.filter(r => !r.mergeInto).map(r => r.rename || r.name);
+    try {
+      const res = await apiFetch(endpoints.routeGroups, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ rules, order }) });
+      const json = await res.json();
+      if (!json.success) throw new Error(json.error);
+      load(json);
+      addToast("Route groups saved", "success");
+      onSaved();
+    } catch (e) { addToast(e.message, "error"); } finally { setSaving(false); }
+  };
+
+  const childNames = (nodes) => nodes.flatMap(n => [n.name, ...childNames(n.children)]);
+
+  if (!summary) return <div className="flex justify-center py-20"><RefreshCw className="animate-spin text-blue-500" /></div>;
+  return (
+    <div className="max-w-5xl mx-auto"><div className="flex justify-between items-start mb-8"><div><h2 className="text-3xl font-bold text-white mb-2">Route Groups</h2><p className="text-gray-400">Groups are discovered from the sub-groups under Sundry Debtors in Tally. Rename, merge, hide or reorder them here. Hidden groups are left out of the dashboard and its totals.</p></div><button onClick={save} disabled={saving} className="px-4 py-2.5 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm font-medium text-white flex items-center gap-2 shrink-0"><Save size={16} />{saving ? 'Saving...' : 'Save'}</button></div>
+      <div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden">{rows.map((r, i) => (
+        <div key={r.name} className={`flex flex-col md:flex-row md:items-center gap-3 p-4 border-b border-gray-800 ${r.hidden ? 'opacity-50' : ''}`}>
+          <div className="flex gap-1"><button disabled={i === 0} onClick={() => move(i, -1)} className="p-1 text-gray-500 hover:text-white disabled:opacity-20"><ArrowUp size={14} /></button><button disabled={i === rows.length - 1} onClick={() => move(i, 1)} className="p-1 text-gray-500 hover:text-white disabled:opacity-20"><ArrowDown size={14} /></button></div>
+          <div className="flex-1 min-w-0"><h4 className="font-medium text-gray-200 truncate">{r.name}</h4><p className="text-xs text-gray-500 truncate">{summary.counts[r.name] || 0} parties{r.children.length > 0 && ` · sub-groups: ${childNames(r.children).join(', ')}`}</p></div>
+          <input value={r.rename} onChange={e => update(i, { rename: e.target.value })} placeholder="Display name" disabled={!!r.mergeInto} className="px-3 py-2 bg-[#0f111a] border border-gray-700 rounded-lg text-sm text-gray-200 focus:outline-none focus:border-blue-500 disabled:opacity-40 md:w-48" />
+          <select value={r.mergeInto} onChange={e => update(i, { mergeInto: e.target.value })} className="px-3 py-2 bg-[#0f111a] border border-gray-700 rounded-lg text-sm text-gray-300 md:w-48"><option value="">Don't merge</option>{rows.filter(o => o.name !== r.name && !o.mergeInto).map(o => (<option key={o.name} value={o.name}>Merge into {o.rename || o.name}</option>))}</select>
+          <button onClick={() => update(i, { hidden: !r.hidden })} className={`px-3 py-2 rounded-lg border text-sm flex items-center gap-2 ${r.hidden ? 'border-orange-500/50 text-orange-400' : 'border-gray-700 text-gray-400 hover:text-white'}`}><EyeOff size={14} />{r.hidden ? 'Hidden' : 'Hide'}</button>
+        </div>
+      ))}{rows.length === 0 && <div className="text-center py-16 text-gray-500">No route groups yet. Run a sync to discover them from Tally.</div>}</div>
+    </div>
+  );
+};
+
+// Categories for Tally voucher types. Saving re-classifies the synced vouchers and archives.
+const VoucherTypeSettings = ({ onSaved, addToast }) => {
+  const [summary, setSummary] = useState(null);
+  const [types, setTypes] = useState({});
+  const [saving, setSaving] = useState(false);
+  const endpoints = getEndpoints();
+
+  const load = (res) => {
+    setSummary(res);
+    setTypes(Object.fromEntries(res.types.filter(t => t.mapped).map(t => [t.type, t.category])));
+  };
+
+  useEffect(() => {
+    let live = true;
+    apiFetch(getEndpoints().voucherTypes).then(r => r.json())
+      .then(res => { if (live) { setSummary(res.error ? { error: res.error } : res); setTypes(Object.fromEntries((res.types || []).filter(t => t.mapped).map(t => [t.type, t.category]))); } })
+      .catch(() => { if (live) setSummary({ error: 'Could not load voucher types' }); });
+    return () => { live = false; };
+  }, []);
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      const res = await apiFetch(endpoints.voucherTypes, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ types }) });
+      const json = await res.json();
+      if (!json.success) throw new Error(json.error);
+      load(json);
+      addToast("Voucher types saved", "success");
+      onSaved();
+    } catch (e) { addToast(e.message, "error"); } finally { setSaving(false); }
+  };
+
+  if (!summary) return <div className="flex justify-center py-20"><RefreshCw className="animate-spin text-blue-500" /></div>;
+  if (summary.error) return <p className="text-center py-10 text-gray-500">{summary.error}</p>;
+  return (
+    <div className="max-w-5xl mx-auto"><div className="flex justify-between items-start mb-8"><div><h2 className="text-3xl font-bold text-white mb-2">Voucher Types</h2><p className="text-gray-400">What each Tally voucher type means for a party. Receipts count as money received; credit notes, discounts and journals are non-cash credits, and reversals take a bounced receipt back. Types left on "Guess" are judged by their name.</p></div><button onClick={save} disabled={saving} className="px-4 py-2.5 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm font-medium text-white flex items-center gap-2 shrink-0"><Save size={16} />{saving ? 'Saving...' : 'Save'}</button></div>
+      <div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden">{summary.types.map(t => (
+        <div key={t.type} className="flex flex-col md:flex-row md:items-center gap-3 p-4 border-b border-gray-800">
+          <div className="flex-1 min-w-0"><h4 className="font-medium text-gray-200 truncate">{t.type}</h4><p className="text-xs text-gray-500">{t.count} vouchers</p></div>
+          <span className={`self-start md:self-auto px-2 py-0.5 rounded-full border text-xs capitalize ${VOUCHER_STYLES[types[t.type] || voucherCategory({ type: t.type })]}`}>{types[t.type] || voucherCategory({ type: t.type })}</span>
+          <select value={types[t.type] || ''} onChange={e => { const { [t.type]: _, ...rest } = types; setTypes(e.target.value ? { ...rest, [t.type]: e.target.value } : rest); }} className="px-3 py-2 bg-[#0f111a] border border-gray-700 rounded-lg text-sm text-gray-300 capitalize md:w-48"><option value="">Guess ({voucherCategory({ type: t.type })})</option>{summary.categories.map(c => <option key={c} value={c}>{c}</option>)}</select>
+        </div>
+      ))}{summary.types.length === 0 && <div className="text-center py-16 text-gray-500">No vouchers yet. Run a sync to list the voucher types Tally uses.</div>}</div>
+    </div>
+  );
+};
+
+// Receivables by days since the bill, or payables (when the user may see creditors) by days past due
+const AgingView = ({ source, payables, onSelectLedger }) => {
+  const [subTab, setSubTab] = useState('0-30');
+  const [kind, setKind] = useState('debtor');
+  const page = useLedgerPages(source, { kind, bucket: subTab, minAmount: 1, sort: 'amount', order: 'desc' });
+  const currentList = page.ledgers;
   const tabs = [{ id: '0-30', label: '< 30 Days', color: 'blue' }, { id: '30-60', label: '30 - 60 Days', color: 'yellow' }, { id: '60-90', label: '60 - 90 Days', color: 'orange' }, { id: '90+', label: '> 90 Days', color: 'red' }];
   const getColor = (c) => { if (c === 'blue') return 'text-blue-400 bg-blue-500/10 border-blue-500/50'; if (c === 'yellow') return 'text-yellow-400 bg-yellow-500/10 border-yellow-500/50'; if (c === 'orange') return 'text-orange-400 bg-orange-500/10 border-orange-500/50'; return 'text-red-400 bg-red-500/10 border-red-500/50'; };
   return (
-    <div className="max-w-7xl mx-auto p-6"><h2 className="text-3xl font-bold text-white mb-2">Aging Analysis</h2><p className="text-gray-400 mb-8">Classification based on oldest overdue bill.</p><div className="flex flex-wrap gap-2 mb-8">{tabs.map(t => (<button key={t.id} onClick={() => setSubTab(t.id)} className={`px-6 py-3 rounded-xl border text-sm font-medium transition-all ${subTab === t.id ? getColor(t.color) + ' shadow-lg scale-105' : 'border-gray-800 text-gray-400 hover:bg-white/5'}`}>{t.label}</button>))}</div><div className="flex justify-between items-center mb-4"><span className="text-gray-400 text-sm">Found {currentList.length} Parties in this category</span></div><div className="grid grid-cols-1 gap-3">{currentList.map((l, i) => (<div key={i} onClick={() => onSelectLedger(l)} className="glass-panel p-4 rounded-xl flex items-center justify-between hover:bg-white/5 cursor-pointer group transition-all"><div className="flex items-center gap-4"><div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold text-sm ${subTab === '90+' ? 'bg-red-500/20 text-red-500' : 'bg-gray-800 text-gray-400'}`}>{i + 1}</div><div><h4 className="text-gray-200 font-medium group-hover:text-white transition-colors">{l.name}</h4><div className="flex items-center gap-2 mt-1"><span className={`text-[10px] px-1.5 py-0.5 rounded border ${l.type === 'Dr' ? 'border-blue-500/20 text-blue-400' : 'border-purple-500/20 text-purple-400'}`}>{l.type === 'Dr' ? 'DEBTOR' : 'CREDITOR'}</span></div></div></div><div className="text-right"><p className="text-xs text-gray-500 uppercase">Total Due</p><p className={`font-mono font-bold text-lg ${l.type === 'Dr' ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(l.amount)}</p></div></div>))}{currentList.length === 0 && (<div className="text-center py-20 text-gray-500"><AlertTriangle className="mx-auto mb-4 opacity-50" />No parties found in this risk category.</div>)}</div></div>
+    <div className="max-w-7xl mx-auto p-6"><div className="flex flex-wrap justify-between items-center gap-4 mb-2"><h2 className="text-3xl font-bold text-white">Aging Analysis</h2>{payables && <div className="flex bg-gray-900/50 rounded-lg p-1 border border-gray-700">{[['debtor', 'Receivables'], ['creditor', 'Payables']].map(([id, label]) => (<button key={id} onClick={() => setKind(id)} className={`px-3 py-1.5 rounded-md text-xs font-medium transition-all ${kind === id ? 'bg-blue-600 text-white' : 'text-gray-400 hover:text-white'}`}>{label}</button>))}</div>}</div><div className="flex flex-wrap justify-between items-start gap-4 mb-8"><p className="text-gray-400">{kind === 'creditor' ? 'Supplier bills by days past their due date, after the payments made.' : 'Classification based on oldest overdue bill.'}</p><ExportButtons source={source} report="aging" params={{ kind, minAmount: 1 }} /></div><div className="flex flex-wrap gap-2 mb-8">{tabs.map(t => (<button key={t.id} onClick={() => setSubTab(t.id)} className={`px-6 py-3 rounded-xl border text-sm font-medium transition-all ${subTab === t.id ? getColor(t.color) + ' shadow-lg scale-105' : 'border-gray-800 text-gray-400 hover:bg-white/5'}`}>{t.label}</button>))}</div><div className="flex justify-between items-center mb-4"><span className="text-gray-400 text-sm">Found {page.total} Parties in this category</span></div><div className="grid grid-cols-1 gap-3">{currentList.map((l, i) => (<div key={i} onClick={() => onSelectLedger(l)} className="glass-panel p-4 rounded-xl flex items-center justify-between hover:bg-white/5 cursor-pointer group transition-all"><div className="flex items-center gap-4"><div className={`w-10 h-10 rounded-full flex items-center justify-center font-bold text-sm ${subTab === '90+' ? 'bg-red-500/20 text-red-500' : 'bg-gray-800 text-gray-400'}`}>{i + 1}</div><div><h4 className="text-gray-200 font-medium group-hover:text-white transition-colors">{l.name}</h4><div className="flex items-center gap-2 mt-1"><span className={`text-[10px] px-1.5 py-0.5 rounded border ${l.type === 'Dr' ? 'border-blue-500/20 text-blue-400' : 'border-purple-500/20 text-purple-400'}`}>{l.type === 'Dr' ? 'DEBTOR' : 'CREDITOR'}</span></div></div></div><div className="text-right"><p className="text-xs text-gray-500 uppercase">Total Due</p><p className={`font-mono font-bold text-lg ${l.type === 'Dr' ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(l.amount)}</p></div></div>))}{!page.loading && currentList.length === 0 && (<div className="text-center py-20 text-gray-500"><AlertTriangle className="mx-auto mb-4 opacity-50" />No parties found in this risk category.</div>)}</div><LoadMore page={page} /></div>
+  );
+};
+
+const TREND_COLORS = ['#3b82f6', '#f97316', '#10b981', '#a855f7', '#eab308', '#ef4444', '#06b6d4', '#ec4899'];
+const TREND_METRICS = { dso: ['DSO (days)', v => `${v} days`], efficiency: ['Collection efficiency', v => `${v}%`], closing: ['Receivables', v => formatCurrency(v)] };
+const monthLabel = (m) => new Date(Number(m.slice(0, 4)), Number(m.slice(5)) - 1, 1).toLocaleDateString('en-IN', { month: 'short', year: '2-digit' });
+const monthsAgo = (n) => { const d = new Date(); d.setMonth(d.getMonth() - n, 1); return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`; };
+const chartTooltip = { contentStyle: { background: '#1a1d29', border: '1px solid #374151', borderRadius: '8px' }, labelStyle: { color: '#9ca3af' }, labelFormatter: monthLabel };
+const chartAxes = (yFormat) => [<CartesianGrid key="g" strokeDasharray="3 3" stroke="#1f2937" />, <XAxis key="x" dataKey="month" tickFormatter={monthLabel} stroke="#6b7280" fontSize={11} />, <YAxis key="y" stroke="#6b7280" fontSize={11} tickFormatter={yFormat} width={70} />];
+const compact = (v) => new Intl.NumberFormat('en-IN', { notation: 'compact', maximumFractionDigits: 1 }).format(v);
+
+// Monthly billing, receipts, receivables, DSO and collection efficiency: company-wide, for one
+// route group or party, or route groups side by side
+const AnalyticsView = ({ source, groups }) => {
+  const [filter, setFilter] = useState({ from: monthsAgo(11), to: '', group: '', ledger: '', compare: false });
+  const [metric, setMetric] = useState('dso');
+  const [parties, setParties] = useState([]);
+  const [trend, setTrend] = useState(null);
+  useEffect(() => {
+    let live = true;
+    source.ledgers({ kind: 'debtor', group: filter.group, pageSize: 1000 }).then(res => { if (live) setParties(res.ledgers.map(l => l.name)); }).catch(() => { });
+    return () => { live = false; };
+  }, [source, filter.group]);
+  useEffect(() => {
+    let live = true;
+    const params = filter.compare ? { by: 'group', from: filter.from, to: filter.to } : { group: filter.group, ledger: filter.ledger, from: filter.from, to: filter.to };
+    source.trends(params).then(res => { if (live) setTrend({ ...res, error: null }); }).catch(e => { if (live) setTrend({ series: [], error: e.message }); });
+    return () => { live = false; };
+  }, [source, filter.from, filter.to, filter.group, filter.ledger, filter.compare]);
+
+  const input = "bg-[#1a1d29] border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-blue-500";
+  const months = trend?.series[0]?.months || [];
+  const latest = months[months.length - 1];
+  const sum = (k) => months.reduce((s, m) => s + m[k], 0);
+  // Compare mode: one row per month with a column per route group (the eight largest)
+  const compared = (trend?.series || []).slice(0, TREND_COLORS.length);
+  const pivot = filter.compare ? months.map((m, i) => Object.fromEntries([['month', m.month], ...compared.map(s => [s.name, s.months[i]?.[metric] ?? null])])) : [];
+  return (
+    <div className="max-w-7xl mx-auto p-6"><h2 className="text-3xl font-bold text-white mb-2">Collection Trends</h2><p className="text-gray-400 mb-6">Monthly billing and collections from the synced vouchers of debtors.</p>
+      <div className="flex flex-wrap items-center gap-3 mb-6">
+        <div className="flex bg-gray-900/50 rounded-lg p-1 border border-gray-700">{[[false, 'Single view'], [true, 'Compare groups']].map(([compare, label]) => (<button key={label} onClick={() => setFilter({ ...filter, compare })} className={`px-3 py-1.5 rounded-md text-xs font-medium transition-all ${filter.compare === compare ? 'bg-blue-600 text-white' : 'text-gray-400 hover:text-white'}`}>{label}</button>))}</div>
+        {!filter.compare && <><select value={filter.group} onChange={e => setFilter({ ...filter, group: e.target.value, ledger: '' })} className={input}><option value="">All route groups</option>{groups.map(g => <option key={g.name} value={g.name}>{g.name}</option>)}</select><select value={filter.ledger} onChange={e => setFilter({ ...filter, ledger: e.target.value })} className={`${input} max-w-[220px]`}><option value="">All parties</option>{parties.map(name => <option key={name} value={name}>{name}</option>)}</select></>}
+        <div className="ml-auto flex flex-wrap items-center gap-2 text-xs text-gray-400"><Calendar size={14} className="text-gray-500" />{[[5, '6M'], [11, '12M'], [null, 'All']].map(([n, label]) => (<button key={label} onClick={() => setFilter({ ...filter, from: n === null ? '' : monthsAgo(n), to: '' })} className={`px-2 py-1 rounded border ${filter.from === (n === null ? '' : monthsAgo(n)) && !filter.to ? 'border-blue-500 text-blue-400' : 'border-gray-700 hover:text-white'}`}>{label}</button>))}<input type="month" value={filter.from} onChange={e => setFilter({ ...filter, from: e.target.value })} className={input} /> to <input type="month" value={filter.to} onChange={e => setFilter({ ...filter, to: e.target.value })} className={input} /></div>
+      </div>
+      {!trend ? <div className="flex justify-center py-20"><RefreshCw className="animate-spin text-blue-500" /></div> : trend.error || !months.length ? <p className="text-center py-20 text-gray-500">{trend.error || 'No vouchers in this period.'}</p> : filter.compare ? (
+        <Card><div className="flex flex-wrap items-center justify-between gap-3 mb-4"><h3 className="font-bold text-white">Route groups by month</h3><div className="flex bg-gray-900/50 rounded-lg p-1 border border-gray-700">{Object.entries(TREND_METRICS).map(([id, [label]]) => (<button key={id} onClick={() => setMetric(id)} className={`px-3 py-1.5 rounded-md text-xs font-medium transition-all ${metric === id ? 'bg-blue-600 text-white' : 'text-gray-400 hover:text-white'}`}>{label}</button>))}</div></div>
+          <div className="h-96"><ResponsiveContainer width="100%" height="100%"><LineChart data={pivot}>{chartAxes(metric === 'closing' ? compact : undefined)}<Tooltip {...chartTooltip} formatter={(v) => (v === null ? '-' : TREND_METRICS[metric][1](v))} /><Legend />{compared.map((s, i) => <Line key={s.name} dataKey={s.name} name={s.name} stroke={TREND_COLORS[i]} strokeWidth={2} dot={false} connectNulls />)}</LineChart></ResponsiveContainer></div>
+          {trend.series.length > compared.length && <p className="text-xs text-gray-500 mt-2">The {compared.length} route groups with the largest receivables are shown.</p>}
+        </Card>
+      ) : (
+        <div className="space-y-6">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">{[['Billed', formatCurrency(sum('billed'))], ['Received', formatCurrency(sum('receipts'))], ['Receivables now', formatCurrency(latest.closing)], ['DSO', latest.dso === null ? '-' : `${latest.dso} days`], ['Collection efficiency', latest.efficiency === null ? '-' : `${latest.efficiency}%`]].map(([label, value]) => (<Card key={label}><p className="text-[10px] text-gray-500 uppercase tracking-wider">{label}</p><p className="text-lg font-mono font-bold text-white mt-1">{value}</p></Card>))}</div>
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <Card><h3 className="font-bold text-white mb-4">Billed, received and credited</h3><div className="h-72"><ResponsiveContainer width="100%" height="100%"><BarChart data={months}>{chartAxes(compact)}<Tooltip {...chartTooltip} formatter={(v) => formatCurrency(v)} /><Legend /><Bar dataKey="billed" name="Billed" fill="#f97316" radius={[4, 4, 0, 0]} /><Bar dataKey="receipts" name="Received" fill="#10b981" radius={[4, 4, 0, 0]} /><Bar dataKey="credits" name="Non-cash credits" fill="#a855f7" radius={[4, 4, 0, 0]} /></BarChart></ResponsiveContainer></div></Card>
+            <Card><h3 className="font-bold text-white mb-4">Receivables at month end</h3><div className="h-72"><ResponsiveContainer width="100%" height="100%"><LineChart data={months}>{chartAxes(compact)}<Tooltip {...chartTooltip} formatter={(v) => formatCurrency(v)} /><Line dataKey="closing" name="Receivables" stroke="#3b82f6" strokeWidth={2} dot={false} /></LineChart></ResponsiveContainer></div></Card>
+            <Card className="lg:col-span-2"><h3 className="font-bold text-white mb-1">DSO and collection efficiency</h3><p className="text-xs text-gray-500 mb-4">DSO: receivables against the last three months of billing. Efficiency: money received as a share of the opening balance plus the month's billing.</p><div className="h-72"><ResponsiveContainer width="100%" height="100%"><LineChart data={months}>{chartAxes()}<YAxis yAxisId="pct" orientation="right" stroke="#6b7280" fontSize={11} unit="%" /><Tooltip {...chartTooltip} formatter={(v, name) => (v === null ? '-' : name === 'DSO' ? `${v} days` : `${v}%`)} /><Legend /><Line dataKey="dso" name="DSO" stroke="#a855f7" strokeWidth={2} dot={false} connectNulls /><Line yAxisId="pct" dataKey="efficiency" name="Efficiency" stroke="#10b981" strokeWidth={2} dot={false} connectNulls /></LineChart></ResponsiveContainer></div></Card>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const shortDate = (iso) => new Date(`${iso}T00:00:00`).toLocaleDateString('en-IN', { day: '2-digit', month: 'short' });
+
+// Parties behind one side of a forecast week, with the bills expected from (or due to) them
+const ForecastParties = ({ title, parties, color }) => (
+  <div className="flex-1 min-w-0"><h4 className={`text-xs font-bold uppercase tracking-wider mb-2 ${color}`}>{title}</h4>{parties.length === 0 ? <p className="text-xs text-gray-500">Nothing expected.</p> : parties.map(p => (
+    <div key={`${p.company}|${p.name}`} className="py-2 border-b border-gray-800"><div className="flex justify-between gap-3"><span className="text-sm text-gray-200 truncate">{p.name}{p.group && <span className="text-[10px] text-gray-500"> · {p.group}</span>}</span><span className="font-mono text-sm text-gray-200">{formatCurrency(p.amount)}</span></div>
+      {p.bills.map((b, i) => (<div key={i} className="flex justify-between text-[10px] text-gray-500"><span>{b.ref || '-'} of {shortDate(b.date)} · expected {shortDate(b.expected)}{b.late && <span className="text-orange-400"> · late</span>}</span><span className="font-mono">{formatCurrency(b.amount)}</span></div>))}
+    </div>))}</div>
+);
+
+// Week-by-week receipts from debtors' open bills against payments due to creditors. Cash in hand
+// only shifts the running position, so it is applied here rather than refetched.
+const ForecastView = ({ source }) => {
+  const [weeks, setWeeks] = useState(12);
+  const [cash, setCash] = useState('');
+  const [forecast, setForecast] = useState(null);
+  const [selected, setSelected] = useState(0);
+  useEffect(() => {
+    let live = true;
+    source.forecast({ weeks }).then(res => { if (live) setForecast({ ...res, error: null }); }).catch(e => { if (live) setForecast({ weeks: [], error: e.message }); });
+    return () => { live = false; };
+  }, [source, weeks]);
+
+  if (!forecast) return <div className="flex justify-center py-20"><RefreshCw className="animate-spin text-blue-500" /></div>;
+  const opening = Number(cash) || 0;
+  const rows = forecast.weeks.map(w => ({ ...w, position: w.position + opening, label: shortDate(w.from) }));
+  const week = rows[selected] || rows[0];
+  const total = (k) => rows.reduce((s, w) => s + w[k], 0);
+  const end = rows.length ? rows[rows.length - 1].position : opening;
+  const input = "bg-[#1a1d29] border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-blue-500";
+  return (
+    <div className="max-w-7xl mx-auto p-6"><div className="flex flex-wrap justify-between items-start gap-4 mb-6"><div><h2 className="text-3xl font-bold text-white mb-2">Cash-Flow Forecast</h2><p className="text-gray-400">Debtors expected on their usual days to pay; creditors on their due dates.</p></div>
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-400"><label className="flex items-center gap-2">Cash in hand<input type="number" value={cash} onChange={e => setCash(e.target.value)} placeholder="0" className={`${input} w-32`} /></label><select value={weeks} onChange={e => { setWeeks(Number(e.target.value)); setSelected(0); }} className={input}>{[8, 9, 10, 11, 12].map(n => <option key={n} value={n}>{n} weeks</option>)}</select></div></div>
+      {forecast.error ? <p className="text-center py-20 text-gray-500">{forecast.error}</p> : (<div className="space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">{[['Expected in', formatCurrency(total('inflow')), 'text-emerald-400'], ['Due out', formatCurrency(total('outflow')), 'text-red-400'], [`Position after ${rows.length} weeks`, formatCurrency(end), end < 0 ? 'text-red-400' : 'text-white'], ['Doubtful, left out', formatCurrency(forecast.doubtful.amount), 'text-gray-400']].map(([label, value, color]) => (<Card key={label}><p className="text-[10px] text-gray-500 uppercase tracking-wider">{label}</p><p className={`text-lg font-mono font-bold mt-1 ${color}`}>{value}</p></Card>))}</div>
+        <p className="text-xs text-gray-500 -mt-3">{forecast.doubtful.parties > 0 && `${forecast.doubtful.parties} ${forecast.doubtful.parties === 1 ? 'party has' : 'parties have'} bills over 90 days past their usual payment day. `}Beyond the forecast: {formatCurrency(forecast.later.inflow)} in, {formatCurrency(forecast.later.outflow)} out.</p>
+        <Card><h3 className="font-bold text-white mb-1">Weekly cash position</h3><p className="text-xs text-gray-500 mb-4">Click a week to see the parties behind it.</p><div className="h-80"><ResponsiveContainer width="100%" height="100%"><ComposedChart data={rows} onClick={(e) => { if (e?.activeTooltipIndex != null) setSelected(Number(e.activeTooltipIndex)); }}><CartesianGrid strokeDasharray="3 3" stroke="#1f2937" /><XAxis dataKey="label" stroke="#6b7280" fontSize={11} /><YAxis stroke="#6b7280" fontSize={11} tickFormatter={compact} width={70} /><Tooltip contentStyle={chartTooltip.contentStyle} labelStyle={chartTooltip.labelStyle} formatter={(v) => formatCurrency(v)} /><Legend /><Bar dataKey="inflow" name="Expected in" fill="#10b981" radius={[4, 4, 0, 0]} cursor="pointer" /><Bar dataKey="outflow" name="Due out" fill="#ef4444" radius={[4, 4, 0, 0]} cursor="pointer" /><Line dataKey="position" name="Cash position" stroke="#3b82f6" strokeWidth={2} /></ComposedChart></ResponsiveContainer></div></Card>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden self-start"><div className="grid grid-cols-4 p-3 border-b border-gray-800 text-[10px] text-gray-500 uppercase tracking-wider"><span>Week of</span><span className="text-right">In</span><span className="text-right">Out</span><span className="text-right">Position</span></div>{rows.map((w, i) => (<button key={w.from} onClick={() => setSelected(i)} className={`w-full grid grid-cols-4 p-3 border-b border-gray-800 text-xs font-mono text-left transition-colors ${w === week ? 'bg-blue-500/10' : 'hover:bg-white/5'}`}><span className="text-gray-300 font-sans">{w.label}</span><span className="text-right text-emerald-400">{compact(w.inflow)}</span><span className="text-right text-red-400">{compact(w.outflow)}</span><span className={`text-right ${w.position < 0 ? 'text-red-400' : 'text-gray-200'}`}>{compact(w.position)}</span></button>))}</div>
+          {week && <Card className="lg:col-span-2"><h3 className="font-bold text-white mb-4">{shortDate(week.from)} to {shortDate(week.to)}{selected === 0 && <span className="text-xs font-normal text-gray-500"> · includes anything already late</span>}</h3><div className="flex flex-col md:flex-row gap-6"><ForecastParties title={`Expected in · ${formatCurrency(week.inflow)}`} parties={week.inflows} color="text-emerald-400" /><ForecastParties title={`Due out · ${formatCurrency(week.outflow)}`} parties={week.outflows} color="text-red-400" /></div></Card>}
+        </div>
+      </div>)}
+    </div>
   );
 };
 
+// Shown when the published data is encrypted and no key is at hand
+const UnlockScreen = ({ locked, onUnlocked }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [remember, setRemember] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(locked.message === 'Passphrase required' ? null : locked.message);
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await unlockData(passphrase, locked.envelope, remember);
+      onUnlocked();
+    } catch (err) { setError(err.message); setBusy(false); }
+  };
+  return (
+    <div className="h-screen bg-[#0f111a] flex items-center justify-center p-6 text-gray-200">
+      <form onSubmit={submit} className="glass-panel rounded-2xl p-8 w-full max-w-sm space-y-5">
+        <div className="flex items-center gap-3"><div className="w-10 h-10 rounded-xl bg-blue-600/20 flex items-center justify-center"><Lock className="text-blue-400" size={20} /></div><div><h1 className="font-bold text-white">Encrypted data</h1><p className="text-xs text-gray-500">Enter the passphrase set on the sync server.</p></div></div>
+        <input type="password" autoFocus value={passphrase} onChange={e => setPassphrase(e.target.value)} placeholder="Passphrase" className="w-full px-3 py-2.5 bg-[#0f111a] border border-gray-700 rounded-lg text-sm text-gray-200 focus:outline-none focus:border-blue-500" />
+        <label className="flex items-center gap-2 text-xs text-gray-400"><input type="checkbox" checked={remember} onChange={e => setRemember(e.target.checked)} /> Remember on this device (trusted devices only)</label>
+        {error && <p className="text-xs text-red-400">{error}</p>}
+        <button type="submit" disabled={busy || !passphrase} className="w-full py-2.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded-lg text-sm font-medium text-white flex items-center justify-center gap-2">{busy ? <RefreshCw size={16} className="animate-spin" /> : <Lock size={16} />}{busy ? 'Unlocking...' : 'Unlock'}</button>
+      </form>
+    </div>
+  );
+};
+
+// Local server login; on first run (no users yet) it creates the admin instead
+const LoginScreen = ({ onLoggedIn, onCancel }) => {
+  const [form, setForm] = useState({ username: '', password: '' });
+  const [setup, setSetup] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  useEffect(() => {
+    let live = true;
+    authStatus().then(res => { if (live) setSetup(res.setupRequired); }).catch(() => { if (live) setError("Sync server not reachable"); });
+    return () => { live = false; };
+  }, []);
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try { onLoggedIn(await logIn(form.username, form.password, setup)); }
+    catch (err) { setError(err.message); setBusy(false); }
+  };
+  const field = (key, props) => <input {...props} value={form[key]} onChange={e => setForm({ ...form, [key]: e.target.value })} className="w-full px-3 py-2.5 bg-[#0f111a] border border-gray-700 rounded-lg text-sm text-gray-200 focus:outline-none focus:border-blue-500" />;
+  return (
+    <div className="h-screen bg-[#0f111a] flex items-center justify-center p-6 text-gray-200">
+      <form onSubmit={submit} className="glass-panel rounded-2xl p-8 w-full max-w-sm space-y-5">
+        <div className="flex items-center gap-3"><div className="w-10 h-10 rounded-xl bg-blue-600/20 flex items-center justify-center"><LogIn className="text-blue-400" size={20} /></div><div><h1 className="font-bold text-white">{setup ? 'Create the admin account' : 'Log in'}</h1><p className="text-xs text-gray-500">{setup ? 'First run: this account can sync, change settings and add users.' : 'Sign in to the SmartCredit sync server.'}</p></div></div>
+        {field('username', { autoFocus: true, autoComplete: 'username', placeholder: 'Username' })}
+        {field('password', { type: 'password', autoComplete: setup ? 'new-password' : 'current-password', placeholder: setup ? 'Password (8+ characters)' : 'Password' })}
+        {error && <p className="text-xs text-red-400">{error}</p>}
+        <button type="submit" disabled={busy || !form.username || !form.password} className="w-full py-2.5 bg-blue-600 hover:bg-blue-500 disabled:opacity-50 rounded-lg text-sm font-medium text-white flex items-center justify-center gap-2">{busy ? <RefreshCw size={16} className="animate-spin" /> : <LogIn size={16} />}{busy ? 'Signing in...' : setup ? 'Create & log in' : 'Log in'}</button>
+        {onCancel && <button type="button" onClick={onCancel} className="w-full text-xs text-gray-500 hover:text-gray-300">Cancel</button>}
+      </form>
+    </div>
+  );
+};
+
+const PARTY_SORTS = { name: ['Name', 'asc'], balance: ['Balance', 'desc'], risk: ['Risk score', 'desc'] };
+const PARTY_FILTERS = { all: ['All parties', {}], risky: ['High risk', { minRisk: 65 }], overLimit: ['Over limit', { overLimit: 1 }] };
+// Query parameters for the party view's { sort, show } (also used by its export)
+const partyParams = ({ sort, show }) => ({ sort, order: PARTY_SORTS[sort][1], ...PARTY_FILTERS[show][1] });
+
+const PartyList = ({ source, search, view, onViewChange, onSelect }) => {
+  const page = useLedgerPages(source, { kind: 'debtor', search, ...partyParams(view) });
+  return (
+    <div><div className="flex flex-wrap items-center gap-3 mb-4"><div className="flex bg-gray-900/50 rounded-lg p-1 border border-gray-700">{Object.entries(PARTY_FILTERS).map(([id, [label]]) => (<button key={id} onClick={() => onViewChange({ ...view, show: id })} className={`px-3 py-1.5 rounded-md text-xs font-medium transition-all ${view.show === id ? 'bg-blue-600 text-white' : 'text-gray-400 hover:text-white'}`}>{label}</button>))}</div><label className="ml-auto flex items-center gap-2 text-xs text-gray-400">Sort by<select value={view.sort} onChange={e => onViewChange({ ...view, sort: e.target.value })} className="bg-[#1a1d29] border border-gray-700 rounded-lg px-2 py-1.5 text-gray-200 focus:outline-none focus:border-blue-500">{Object.entries(PARTY_SORTS).map(([id, [label]]) => <option key={id} value={id}>{label}</option>)}</select></label></div>
+    <div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden shadow-2xl">{page.ledgers.map((l, i) => (<div key={i} onClick={() => onSelect(l)} className="flex items-center justify-between p-4 border-b border-gray-800 hover:bg-white/5 cursor-pointer transition-colors group"><div className="flex items-center gap-4"><div className="w-9 h-9 rounded-full bg-blue-500/10 flex items-center justify-center text-blue-400 font-bold text-sm">{l.name.charAt(0)}</div><div><h4 className="font-medium text-gray-300 group-hover:text-white transition-colors">{l.name}</h4><div className="flex gap-2 items-center"><span className="text-xs text-gray-500">{l.voucherCount} Txns</span><RiskBadge row={l} /></div></div></div><div className={`text-right font-mono font-semibold ${l.type === 'Dr' ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(l.amount)}</div></div>))}{!page.loading && page.ledgers.length === 0 && <p className="text-center py-16 text-gray-500">No parties match.</p>}<LoadMore page={page} /></div></div>
+  );
+};
+
+// Creditor bills overdue or falling due this week and next, and the cash each needs. Bills can be
+// marked as scheduled for payment; the marks are kept by the local server.
+const PaymentPlan = ({ company, onSelect, addToast }) => {
+  const [plan, setPlan] = useState(null);
+  const [version, setVersion] = useState(0);
+  const [saving, setSaving] = useState(null);
+  useEffect(() => {
+    let live = true;
+    apiFetch(getEndpoints().paymentPlan({ company })).then(r => r.json()).then(res => { if (live) setPlan(res); }).catch(e => { if (live) setPlan({ periods: [], error: e.message }); });
+    return () => { live = false; };
+  }, [company, version]);
+  const toggle = async (b) => {
+    const key = `${b.company}|${b.ledger}|${b.ref}|${b.date}`;
+    setSaving(key);
+    try {
+      const res = await apiFetch(getEndpoints().paymentSchedule, { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ company: b.company, ledger: b.ledger, ref: b.ref, date: b.date, scheduled: !b.scheduled }) });
+      const json = await res.json();
+      if (!json.success) throw new Error(json.error);
+      setVersion(v => v + 1);
+    } catch (e) { addToast(e.message, "error"); } finally { setSaving(null); }
+  };
+  if (!plan) return null;
+  if (plan.error) return <p className="text-sm text-red-400 mb-6">{plan.error}</p>;
+  return (
+    <Card className="mb-6"><div className="flex flex-wrap justify-between items-start gap-4 mb-4"><div><h3 className="font-bold text-white">Payment plan</h3><p className="text-xs text-gray-500">Supplier bills overdue or due by {shortDate(plan.periods[plan.periods.length - 1].to)}. Tick a bill once its payment is scheduled.</p></div><div className="text-right"><p className="font-mono font-bold text-lg text-red-400">{formatCurrency(plan.total)}</p><p className="text-xs text-gray-500">{formatCurrency(plan.scheduled)} scheduled · {formatCurrency(plan.total - plan.scheduled)} to plan</p></div></div>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">{plan.periods.map(p => (<div key={p.id} className="bg-[#0f111a] border border-gray-800 rounded-lg overflow-hidden self-start"><div className="flex justify-between items-baseline p-3 border-b border-gray-800"><span className={`text-xs font-bold uppercase tracking-wider ${p.id === 'overdue' ? 'text-red-400' : 'text-gray-300'}`}>{p.label}<span className="font-normal normal-case tracking-normal text-gray-500">{p.from && ` · ${shortDate(p.from)}-${shortDate(p.to)}`}</span></span><span className="font-mono text-sm text-white">{formatCurrency(p.total)}</span></div>
+        {p.bills.length === 0 ? <p className="p-3 text-xs text-gray-500">Nothing due.</p> : p.bills.map(b => { const key = `${b.company}|${b.ledger}|${b.ref}|${b.date}`; return (<div key={key} className={`flex items-start gap-3 p-3 border-b border-gray-800 ${b.scheduled ? 'opacity-60' : ''}`}><button onClick={() => toggle(b)} disabled={saving === key} title={b.scheduled ? `Scheduled by ${b.scheduled.by}` : 'Mark as scheduled'} className={`mt-0.5 ${b.scheduled ? 'text-emerald-400' : 'text-gray-600 hover:text-gray-300'}`}>{saving === key ? <RefreshCw size={16} className="animate-spin" /> : <CheckCircle size={16} />}</button><div className="min-w-0 flex-1"><button onClick={() => onSelect({ name: b.ledger, company: b.company })} className="text-sm text-gray-200 hover:text-white truncate block max-w-full text-left">{b.ledger}</button><p className="text-[10px] text-gray-500">{b.ref || '-'} of {shortDate(b.date)} · due {shortDate(b.due)}{b.days > 0 && <span className="text-red-400"> · {b.days} days late</span>}</p></div><span className="font-mono text-sm text-gray-200">{formatCurrency(b.amount)}</span></div>); })}
+        {p.scheduled > 0 && <p className="p-3 text-[10px] text-gray-500">{formatCurrency(p.scheduled)} scheduled, {formatCurrency(p.total - p.scheduled)} still to plan</p>}</div>))}</div>
+    </Card>
+  );
+};
+
+const CreditorList = ({ source, company, onSelect, addToast }) => {
+  const page = useLedgerPages(source, { kind: 'creditor' });
+  return (
+    <div className="max-w-5xl mx-auto"><div className="flex flex-wrap justify-between items-center gap-4 mb-6"><h2 className="text-3xl font-bold text-white">Sundry Creditors</h2><ExportButtons source={source} report="parties" params={{ kind: 'creditor' }} /></div>{isLocal() && <PaymentPlan company={company} onSelect={onSelect} addToast={addToast} />}<div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden">{page.ledgers.map((c, i) => (<div key={i} onClick={() => onSelect(c)} className="flex items-center justify-between p-4 border-b border-gray-800 hover:bg-white/5 cursor-pointer transition-colors"><div className="flex items-center gap-4"><div className="w-8 h-8 rounded-full bg-purple-500/10 flex items-center justify-center text-purple-400"><Wallet size={16} /></div><span className="font-medium text-gray-300">{c.name}</span></div><span className="font-mono text-emerald-400 font-bold">{formatCurrency(c.amount)}</span></div>))}<LoadMore page={page} /></div></div>
+  );
+};
+
+// A published file opened, noting in `copies` when it came from the device instead of the network
+const fetchDataset = async (url, copies) => {
+  const file = await fetchPublished(url);
+  if (file?.cached) copies.push(file.fetchedAt);
+  return file && openEnvelope(file.json);
+};
+
 function App() {
-  const [data, setData] = useState(null);
+  // Where views read ledgers from: the local server's query API, or the published data file (cloud)
+  const [source, setSource] = useState(null);
+  const [overview, setOverview] = useState(null);
+  // { envelope, message } while encrypted cloud data waits for a passphrase
+  const [locked, setLocked] = useState(null);
+  // Logged-in user of the local server; roles decide which views and actions show
+  const [user, setUser] = useState(() => getSession()?.user || null);
+  // Cloud mode only asks for a login when an action needs the local server (Sync Now)
+  const [askLogin, setAskLogin] = useState(false);
   const [loading, setLoading] = useState(true);
   const [view, setView] = useState('overview');
   const [activeGroup, setActiveGroup] = useState(null);
   const [activeLedger, setActiveLedger] = useState(null);
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [syncing, setSyncing] = useState(false);
+  const [syncJob, setSyncJob] = useState(null);
+  const [syncHistory, setSyncHistory] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [debtorViewMode, setDebtorViewMode] = useState('group');
+  // Party view: sort and risk filter ({ sort, show }, see partyParams)
+  const [partyView, setPartyView] = useState({ sort: 'name', show: 'all' });
   const [toasts, setToasts] = useState([]);
+  const [companyIndex, setCompanyIndex] = useState(null);
+  // '' = default company, ALL_COMPANIES = consolidated, otherwise a company name
+  const [company, setCompany] = useState(() => localStorage.getItem('smartcredit.company') || '');
+  // '' = running FY only, otherwise the first archived FY to load ("2023-24")
+  const [period, setPeriod] = useState(() => localStorage.getItem('smartcredit.period') || '');
+  // Statement date filter, shared by every ledger opened
+  const [statementRange, setStatementRange] = useState({ from: '', to: '' });
+  // When the data shown is a copy from the device (no network), the time it was fetched; else null
+  const [offline, setOffline] = useState(null);
+  // Bumped to try the network again while on a device copy
+  const [reconnects, setReconnects] = useState(0);
+  // Bumped to fetch the data again once a sync has finished
+  const [reloads, setReloads] = useState(0);
+  // Writes waiting in the outbox (see sendOrQueue)
+  const [queued, setQueued] = useState(0);
 
-  const endpoints = getEndpoints();
+  // Read once, so the fetch callbacks below keep their identity between renders
+  const endpoints = useMemo(() => getEndpoints(), []);
+  // What fetchData last put on screen: null for nothing, else the fetch time of the device copy shown (null when fresh)
+  const shown = useRef(null);
+
+  // Stable, so views can list it in their effects' dependencies
+  const addToast = useCallback((msg, type = 'success') => pushToast(setToasts, msg, type), []);
+
+  // A device copy is replaced as soon as the network is back. Patchy signal often leaves
+  // navigator.onLine true, so it is also retried every minute.
+  useEffect(() => {
+    if (!offline) return;
+    const retry = () => setReconnects(n => n + 1);
+    window.addEventListener('online', retry);
+    const timer = setInterval(retry, 60000);
+    return () => { window.removeEventListener('online', retry); clearInterval(timer); };
+  }, [offline]);
+
+  // Queued writes go out when the network is back, after a login, and on a minute's retry
+  useEffect(() => {
+    let live = true;
+    const count = () => queuedWrites().then(q => { if (live) setQueued(q.length); });
+    const send = () => flushOutbox().then(r => {
+      if (r.sent) pushToast(setToasts, `Sent ${r.sent} queued ${r.sent === 1 ? 'entry' : 'entries'}`, 'success');
+      r.rejected.forEach(w => pushToast(setToasts, `${w.label} was not saved: ${w.error}`, 'error'));
+    });
+    count();
+    send();
+    window.addEventListener(OUTBOX_EVENT, count);
+    window.addEventListener('online', send);
+    const timer = setInterval(send, 60000);
+    return () => { live = false; window.removeEventListener(OUTBOX_EVENT, count); window.removeEventListener('online', send); clearInterval(timer); };
+  }, [user]);
+
+  useEffect(() => {
+    const onAuthRequired = () => { setUser(null); if (!isLocal()) setAskLogin(true); };
+    window.addEventListener(AUTH_REQUIRED_EVENT, onAuthRequired);
+    return () => window.removeEventListener(AUTH_REQUIRED_EVENT, onAuthRequired);
+  }, []);
 
-  useEffect(() => { fetchData(); }, []);
-  const fetchData = async () => {
+  // `copies` collects the fetch time of every file that came from the device instead of the network
+  const fetchCompanyIndex = useCallback(async (copies) => {
     try {
-      const res = await fetch(endpoints.data + '?t=' + Date.now());
-      if (res.ok) {
-        const json = await res.json();
+      const file = await fetchPublished(endpoints.companies, { bust: !isLocal() });
+      if (!file) return null;
+      if (file.cached) copies.push(file.fetchedAt);
+      const index = await openEnvelope(file.json);
+      setCompanyIndex(index);
+      return index;
+    } catch (e) {
+      if (e.code === 'PASSPHRASE_REQUIRED') throw e;
+      console.warn("Company list unavailable", e);
+      return null;
+    }
+  }, [endpoints]);
+
+  const chooseCompany = (name) => {
+    localStorage.setItem('smartcredit.company', name);
+    setActiveGroup(null);
+    setActiveLedger(null);
+    setCompany(name);
+  };
+
+  const choosePeriod = (fy) => {
+    localStorage.setItem('smartcredit.period', fy);
+    setActiveLedger(null);
+    setPeriod(fy);
+  };
+
+  // Company data with its archived years from `period` onward joined in. Archives never change, so no cache buster.
+  const fetchWithHistory = useCallback(async (entry, copies) => {
+    const raw = await fetchDataset(entry ? endpoints.companyData(entry) : endpoints.data, copies);
+    if (!raw) return raw;
+    const data = withOpeningDate(raw);
+    if (!period || !entry) return data;
+    const wanted = usableArchives(entry.archives).filter(a => a.fy >= period);
+    const archives = await Promise.all(wanted.map(a => fetchPublished(endpoints.archive(entry, a), { bust: false }).then(f => f && openEnvelope(f.json)).catch(() => null)));
+    return mergeArchives(data, archives.filter(Boolean));
+  }, [endpoints, period]);
+
+  const fetchData = useCallback(async () => {
+    const copies = [];
+    try {
+      const index = await fetchCompanyIndex(copies);
+      if (isLocal()) {
+        setSource(createApiSource(company, period));
+        shown.current = { copy: null };
+        return;
+      }
+      const known = index?.companies || [];
+      const entry = known.find(c => c.name === (company || index?.default));
+      let json;
+      if (company === ALL_COMPANIES && known.length) {
+        json = mergeCompanyData((await Promise.all(known.map(e => fetchWithHistory(e, copies)))).filter(Boolean));
+      } else {
+        json = await fetchWithHistory(entry, copies);
+      }
+      const fromDevice = copies.sort()[0] || null;
+      // A retry that still found no network: keep what is on screen
+      if (fromDevice && fromDevice === shown.current?.copy) return;
+      setOffline(fromDevice);
+      if (json) {
 
         // RECALCULATE BALANCES FOR ALL LEDGERS TO FIX DISCREPANCIES
         // This runs the logic on the client side to propagate closing balances to the top level JSON
@@ -220,87 +1268,118 @@ function App() {
           json.creditors = json.creditors.map(recalcInfo);
         }
 
-        setData(json);
+        setSource(createBlobSource(json));
+        shown.current = { copy: fromDevice };
       }
     } catch (e) {
-      addToast("Connect Failed", "error");
-      console.error(e);
+      if (e.code === 'PASSPHRASE_REQUIRED') setLocked({ envelope: e.envelope, message: e.message });
+      else if (e instanceof TypeError && !shown.current) { addToast("Offline, and no copy of the data on this device yet", "error"); console.error(e); }
+      else if (!(e instanceof TypeError)) { addToast("Connect Failed", "error"); console.error(e); }
     } finally {
       setLoading(false);
     }
-  };
+  }, [company, period, fetchCompanyIndex, fetchWithHistory, addToast]);
 
-  const addToast = (msg, type = 'success') => {
-    const id = Date.now();
-    setToasts(prev => [...prev, { id, msg, type }]);
-    setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), 5000);
-  };
+  useEffect(() => { if (!isLocal() || user) fetchData(); }, [fetchData, user, reconnects, reloads]);
+
+  const fetchSyncHistory = useCallback(async () => {
+    if (!isLocal() || !can(user, 'admin', 'accountant')) return;
+    try {
+      const res = await apiFetch(getEndpoints().syncHistory + '?limit=10');
+      if (res.ok) setSyncHistory(await res.json());
+    } catch (e) { console.warn("Sync history unavailable", e); }
+  }, [user]);
+
+  const followSyncJob = useCallback(async (jobId) => {
+    setSyncing(true);
+    try {
+      const job = await watchSyncJob(jobId, setSyncJob);
+      if (job.status === 'done') {
+        const { publish } = job.result;
+        if (publish?.refused) { addToast(`Sync refused, data kept as it was. ${publish.error}`, "error"); }
+        else if (publish && !publish.success) { addToast(`Sync OK, Publish Failed: ${publish.error}`, "warning"); }
+        else if (job.warnings.length) { addToast(`Synced with ${job.warnings.length} warning(s)`, "warning"); }
+        else { addToast(publish?.skipped ? "Synced!" : "Synced & Published!", "success"); }
+        setReloads(n => n + 1);
+      } else { addToast("Sync Failed: " + job.error, "error"); }
+    } finally { setSyncing(false); fetchSyncHistory(); }
+  }, [addToast, fetchSyncHistory]);
 
   const sync = async () => {
     setSyncing(true);
+    setSyncJob(null);
     try {
-      const res = await fetch(endpoints.sync);
+      const target = company === ALL_COMPANIES ? 'all' : company || null;
+      const res = await apiFetch(endpoints.sync, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ company: target }) });
       if (!res.ok) {
         const err = await res.json().catch(() => ({}));
         throw new Error(err.error || "Sync Error");
       }
-      const result = await res.json();
-      if (result.success) {
-        if (result.gitResult && !result.gitResult.success) { addToast(`Sync OK, Cloud Failed: ${result.gitResult.error}`, "warning"); }
-        else { addToast("Synced & Pushed to Cloud!", "success"); }
-        await fetchData();
-      } else { addToast("Sync Failed: " + result.error, "error"); }
-    } catch (e) { addToast(e.message, "error"); } finally { setSyncing(false); }
+      const { jobId, alreadyRunning } = await res.json();
+      if (alreadyRunning) addToast("A sync is already running, following it", "warning");
+      await followSyncJob(jobId);
+    } catch (e) { addToast(e.message, "error"); setSyncing(false); }
   };
 
-  const stats = useMemo(() => {
-    if (!data) return { dr: 0, cr: 0, count: 0 };
-    const dr = Object.values(data.debtors || {}).flat().reduce((s, l) => s + (l.type === 'Dr' ? l.amount : -l.amount), 0);
-    const cr = (data.creditors || []).reduce((s, l) => s + (l.type === 'Cr' ? l.amount : -l.amount), 0);
-    return { dr, cr, count: Object.values(data.debtors || {}).flat().length };
-  }, [data]);
-
-  const filteredGroups = useMemo(() => {
-    if (!data || !data.debtors) return {};
-    if (!searchTerm) return data.debtors;
-    const res = {};
-    Object.entries(data.debtors).forEach(([g, list]) => {
-      const matches = list.filter(l => l.name.toLowerCase().includes(searchTerm.toLowerCase()));
-      if (matches.length) res[g] = matches;
-    });
-    return res;
-  }, [data, searchTerm]);
+  // Pick up a sync started from another tab or by a script
+  useEffect(() => {
+    if (!isLocal() || !can(user, 'admin', 'accountant')) return;
+    fetchSyncHistory();
+    apiFetch(getEndpoints().syncJob('current')).then(r => r.ok ? r.json() : null).then(res => { if (res?.job) followSyncJob(res.job.id); }).catch(() => { });
+  }, [user, fetchSyncHistory, followSyncJob]);
+
+  // Overview totals and route group cards; the search box narrows them
+  useEffect(() => {
+    if (!source) return;
+    let live = true;
+    source.groups({ search: searchTerm }).then(res => { if (live) setOverview(res); }).catch(e => { addToast("Connect Failed", "error"); console.error(e); });
+    return () => { live = false; };
+  }, [source, searchTerm, addToast]);
+
+  const stats = overview?.totals || { dr: 0, cr: 0, debtors: 0, creditors: 0 };
+  const debtorGroups = overview?.groups || [];
+
+  // Archived FYs the period selector offers for the selected company (any company in the consolidated view)
+  const periodOptions = useMemo(() => {
+    const known = companyIndex?.companies || [];
+    const entries = company === ALL_COMPANIES ? known : known.filter(c => c.name === (company || companyIndex?.default));
+    return [...new Set(entries.flatMap(c => usableArchives(c.archives).map(a => a.fy)))].sort().reverse();
+  }, [companyIndex, company]);
 
   const resetNav = (newView) => { setView(newView); setActiveGroup(null); setActiveLedger(null); setSidebarOpen(false); };
 
+  if ((isLocal() && !user) || askLogin) return <LoginScreen onLoggedIn={(u) => { setAskLogin(false); setUser(u); }} onCancel={isLocal() ? null : () => setAskLogin(false)} />;
   if (loading) return <div className="h-screen bg-[#0f111a] flex items-center justify-center"><RefreshCw className="animate-spin text-blue-500" /></div>;
+  if (locked) return <UnlockScreen locked={locked} onUnlocked={() => { setLocked(null); fetchData(); }} />;
+
+  const lock = () => { forgetDataKey(); setSource(null); shown.current = null; setOverview(null); fetchData(); };
+  const signOut = () => { logOut(); setUser(null); setSource(null); shown.current = null; setOverview(null); setView('overview'); };
+  // Views by role: agents work their route groups' receivables; Changes and Settings need the local server
+  const navItems = [{ id: 'overview', icon: Home, label: 'Dashboard' }, { id: 'aging', icon: Clock, label: 'Aging Analysis' }, { id: 'analytics', icon: Activity, label: 'Trends' }, { id: 'debtors', icon: Users, label: 'Receivables' }, ...(isLocal() ? [{ id: 'followups', icon: CalendarCheck, label: 'Follow-ups' }, { id: 'reminders', icon: Send, label: 'Reminders' }, { id: 'collections', icon: ClipboardList, label: 'Collection Sheet' }] : []), ...(!isLocal() || can(user, 'admin', 'accountant') ? [{ id: 'creditors', icon: Wallet, label: 'Payables' }, { id: 'forecast', icon: Banknote, label: 'Cash Flow' }] : []), ...(can(user, 'admin', 'accountant') ? [{ id: 'changes', icon: History, label: 'Changes' }] : []), ...(can(user, 'admin') ? [{ id: 'settings', icon: Settings, label: 'Settings' }] : [])];
+  const canSync = !isLocal() || can(user, 'admin');
 
   return (
-    <div className="flex h-screen bg-[#0f111a] text-gray-200 font-sans selection:bg-blue-500/30">
+    <div className="flex h-screen bg-[#0f111a] text-gray-200 font-sans selection:bg-blue-500/30 print:block print:h-auto print:bg-white">
       <AnimatePresence>
         {toasts.map(t => (<Toast key={t.id} message={t.msg} type={t.type} onClose={() => setToasts(prev => prev.filter(x => x.id !== t.id))} />))}
       </AnimatePresence>
 
-      <aside className={`fixed inset-y-0 left-0 z-50 w-72 bg-[#0f111a]/95 backdrop-blur-xl border-r border-gray-800 shadow-2xl transition-transform duration-300 md:relative md:translate-x-0 ${sidebarOpen ? 'translate-x-0' : '-translate-x-full'}`}>
+      <aside className={`print:hidden fixed inset-y-0 left-0 z-50 w-72 bg-[#0f111a]/95 backdrop-blur-xl border-r border-gray-800 shadow-2xl transition-transform duration-300 md:relative md:translate-x-0 ${sidebarOpen ? 'translate-x-0' : '-translate-x-full'}`}>
         <div className="p-6 flex items-center gap-3 border-b border-gray-800/50"><div className="w-10 h-10 rounded-xl bg-gradient-to-br from-blue-600 to-indigo-600 flex items-center justify-center shadow-lg shadow-blue-900/40"><TrendingUp className="text-white" size={20} /></div><div><h1 className="font-bold text-white text-lg tracking-tight">SmartCredit</h1><p className="text-xs text-blue-400 font-medium">Finance Dashboard</p></div></div>
-        <nav className="p-4 space-y-2 mt-4">{[{ id: 'overview', icon: Home, label: 'Dashboard' }, { id: 'aging', icon: Clock, label: 'Aging Analysis' }, { id: 'debtors', icon: Users, label: 'Receivables' }, { id: 'creditors', icon: Wallet, label: 'Payables' }].map(item => (<button key={item.id} onClick={() => resetNav(item.id)} className={`w-full flex items-center gap-3 px-4 py-3.5 rounded-xl transition-all duration-200 group ${view === item.id ? 'bg-gradient-to-r from-blue-600/20 to-transparent border-l-4 border-blue-500 text-white' : 'text-gray-500 hover:bg-white/5 hover:text-gray-300'}`}><item.icon size={20} className={view === item.id ? 'text-blue-400' : 'text-gray-500 group-hover:text-gray-300'} /><span className="font-medium">{item.label}</span></button>))}</nav>
-        <div className="absolute bottom-6 left-6 right-6"><div className="p-4 rounded-2xl bg-gradient-to-br from-gray-800 to-gray-900 border border-gray-700/50"><div className="flex items-center justify-between mb-3"><span className="text-xs font-semibold text-gray-400">LAST SYNC</span><span className="text-[10px] px-2 py-0.5 rounded-full bg-green-500/10 text-green-400 border border-green-500/20">Active</span></div><p className="text-xs text-gray-500 mb-3">{data?.updatedAt ? new Date(data.updatedAt).toLocaleTimeString() : 'N/A'}</p><button onClick={sync} disabled={syncing} className="w-full py-2.5 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm font-medium text-white shadow-lg shadow-blue-900/50 flex items-center justify-center gap-2 transition-all active:scale-95"><RefreshCw size={16} className={syncing ? 'animate-spin' : ''} />{syncing ? 'Syncing...' : 'Sync Now'}</button></div></div>
+        <nav className="p-4 space-y-2 mt-4">{navItems.map(item => (<button key={item.id} onClick={() => resetNav(item.id)} className={`w-full flex items-center gap-3 px-4 py-3.5 rounded-xl transition-all duration-200 group ${view === item.id ? 'bg-gradient-to-r from-blue-600/20 to-transparent border-l-4 border-blue-500 text-white' : 'text-gray-500 hover:bg-white/5 hover:text-gray-300'}`}><item.icon size={20} className={view === item.id ? 'text-blue-400' : 'text-gray-500 group-hover:text-gray-300'} /><span className="font-medium">{item.label}</span></button>))}</nav>
+        <div className="absolute bottom-6 left-6 right-6"><div className="p-4 rounded-2xl bg-gradient-to-br from-gray-800 to-gray-900 border border-gray-700/50"><div className="flex items-center justify-between mb-3"><span className="text-xs font-semibold text-gray-400">LAST SYNC</span>{syncHistory?.schedule?.enabled && <span className="text-[10px] px-2 py-0.5 rounded-full bg-blue-500/10 text-blue-400 border border-blue-500/20">Auto</span>}</div><SyncHistory history={syncHistory} updatedAt={overview?.updatedAt} />{(syncing || syncJob?.status === 'failed') && <SyncProgress job={syncJob} />}{canSync && <button onClick={sync} disabled={syncing} className="w-full py-2.5 bg-blue-600 hover:bg-blue-500 rounded-lg text-sm font-medium text-white shadow-lg shadow-blue-900/50 flex items-center justify-center gap-2 transition-all active:scale-95"><RefreshCw size={16} className={syncing ? 'animate-spin' : ''} />{syncing ? 'Syncing...' : 'Sync Now'}</button>}{user && <button onClick={signOut} className="w-full mt-2 text-[10px] text-gray-500 hover:text-gray-300 flex items-center justify-center gap-1"><LogOut size={10} /> Log out {user.username} ({user.role})</button>}{!isLocal() && hasRememberedKey() && <button onClick={lock} className="w-full mt-2 text-[10px] text-gray-500 hover:text-gray-300 flex items-center justify-center gap-1"><Lock size={10} /> Forget saved key</button>}</div></div>
       </aside>
 
-      <main className="flex-1 overflow-y-auto bg-gradient-to-br from-[#0f111a] via-[#13151f] to-[#0f111a] relative">
-        <div className="sticky top-0 z-30 bg-[#0f111a]/80 backdrop-blur-md border-b border-gray-800 px-6 py-4 flex items-center justify-between"><div className="flex items-center gap-4"><button className="md:hidden p-2 text-gray-400" onClick={() => setSidebarOpen(true)}><Menu /></button></div><div className="relative w-full max-w-md hidden md:block"><Search className="absolute left-3 top-2.5 text-gray-500 w-4 h-4" /><input type="text" placeholder="Search any ledger..." className="w-full pl-10 pr-4 py-2 bg-[#1a1d29] border border-gray-700 rounded-lg text-sm text-gray-200 focus:outline-none focus:border-blue-500 transition-colors" value={searchTerm} onChange={e => setSearchTerm(e.target.value)} /></div></div>
+      <main className="flex-1 overflow-y-auto bg-gradient-to-br from-[#0f111a] via-[#13151f] to-[#0f111a] relative print:overflow-visible print:bg-none">
+        <div className="print:hidden sticky top-0 z-30 bg-[#0f111a]/80 backdrop-blur-md border-b border-gray-800 px-6 py-4 flex items-center justify-between"><div className="flex items-center gap-4"><button className="md:hidden p-2 text-gray-400" onClick={() => setSidebarOpen(true)}><Menu /></button>{companyIndex?.companies?.length > 1 && (<div className="flex items-center gap-2"><Building2 size={16} className="text-gray-500" /><select value={company} onChange={e => chooseCompany(e.target.value)} className="bg-[#1a1d29] border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-blue-500"><option value="">{companyIndex.default || 'Default company'}</option>{companyIndex.companies.filter(c => c.name !== companyIndex.default).map(c => (<option key={c.name} value={c.name}>{c.name}</option>))}<option value={ALL_COMPANIES}>All companies</option></select></div>)}{periodOptions.length > 0 && (<div className="flex items-center gap-2"><Calendar size={16} className="text-gray-500" /><select value={period} onChange={e => choosePeriod(e.target.value)} className="bg-[#1a1d29] border border-gray-700 rounded-lg px-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-blue-500"><option value="">Current FY</option>{periodOptions.map(fy => (<option key={fy} value={fy}>Since FY {fy}</option>))}</select></div>)}</div><div className="relative w-full max-w-md hidden md:block"><Search className="absolute left-3 top-2.5 text-gray-500 w-4 h-4" /><input type="text" placeholder="Search any ledger..." className="w-full pl-10 pr-4 py-2 bg-[#1a1d29] border border-gray-700 rounded-lg text-sm text-gray-200 focus:outline-none focus:border-blue-500 transition-colors" value={searchTerm} onChange={e => setSearchTerm(e.target.value)} /></div></div>
+        <StalenessBanner updatedAt={overview?.updatedAt} offline={offline} queued={queued} />
 
         <div className="p-6">
-          {activeLedger ? (<LedgerDetail ledger={activeLedger} onBack={() => setActiveLedger(null)} />) : activeGroup ? (<LedgerList groupName={activeGroup} ledgers={filteredGroups[activeGroup] || []} onSelect={setActiveLedger} onBack={() => setActiveGroup(null)} />) : view === 'aging' ? (<AgingView data={data} onSelectLedger={setActiveLedger} />) : view === 'debtors' ? (
-            <div className="max-w-7xl mx-auto"><div className="flex justify-between items-start mb-8"><div><h2 className="text-3xl font-bold text-white mb-2">Sundry Debtors</h2><p className="text-gray-400">Manage all your receivable accounts.</p></div><div className="flex bg-gray-900/50 rounded-lg p-1 border border-gray-700"><button onClick={() => setDebtorViewMode('group')} className={`px-4 py-2 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${debtorViewMode === 'group' ? 'bg-blue-600 text-white shadow-lg' : 'text-gray-400 hover:text-white'}`}><LayoutGrid size={16} /> Group View</button><button onClick={() => setDebtorViewMode('party')} className={`px-4 py-2 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${debtorViewMode === 'party' ? 'bg-blue-600 text-white shadow-lg' : 'text-gray-400 hover:text-white'}`}><List size={16} /> Party View</button></div></div>
-              {debtorViewMode === 'group' ? (<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">{Object.entries(filteredGroups).map(([gName, list]) => (<GroupCard key={gName} name={gName} ledgers={list} onClick={() => setActiveGroup(gName)} />))}</div>) : (<div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden shadow-2xl">{Object.values(filteredGroups).flat().sort((a, b) => a.name.localeCompare(b.name)).map((l, i) => (<div key={i} onClick={() => setActiveLedger(l)} className="flex items-center justify-between p-4 border-b border-gray-800 hover:bg-white/5 cursor-pointer transition-colors group"><div className="flex items-center gap-4"><div className="w-9 h-9 rounded-full bg-blue-500/10 flex items-center justify-center text-blue-400 font-bold text-sm">{l.name.charAt(0)}</div><div><h4 className="font-medium text-gray-300 group-hover:text-white transition-colors">{l.name}</h4><div className="flex gap-2 items-center"><span className="text-xs text-gray-500">{l.transactions?.length || 0} Txns</span></div></div></div><div className={`text-right font-mono font-semibold ${l.type === 'Dr' ? 'text-orange-400' : 'text-emerald-400'}`}>{formatCurrency(l.amount)}</div></div>))}</div>)}
+          {activeLedger ? (<LedgerLoader key={`${activeLedger.company}|${activeLedger.name}`} source={source} row={activeLedger} range={statementRange} onRangeChange={setStatementRange} onBack={() => setActiveLedger(null)} />) : activeGroup ? (<LedgerList key={activeGroup} source={source} groupName={activeGroup} search={searchTerm} range={statementRange} onSelect={setActiveLedger} onBack={() => setActiveGroup(null)} />) : view === 'aging' ? (<AgingView source={source} payables={!isLocal() || can(user, 'admin', 'accountant')} onSelectLedger={setActiveLedger} />) : view === 'analytics' ? (<AnalyticsView source={source} groups={debtorGroups} />) : view === 'forecast' ? (<ForecastView source={source} />) : view === 'debtors' ? (
+            <div className="max-w-7xl mx-auto"><div className="flex justify-between items-start mb-8"><div><h2 className="text-3xl font-bold text-white mb-2">Sundry Debtors</h2><p className="text-gray-400">Manage all your receivable accounts.</p></div><div className="flex flex-wrap justify-end items-center gap-3"><ExportButtons source={source} report={debtorViewMode === 'group' ? 'groups' : 'parties'} params={{ search: searchTerm, ...(debtorViewMode === 'party' && { kind: 'debtor', ...partyParams(partyView) }) }} /><div className="flex bg-gray-900/50 rounded-lg p-1 border border-gray-700"><button onClick={() => setDebtorViewMode('group')} className={`px-4 py-2 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${debtorViewMode === 'group' ? 'bg-blue-600 text-white shadow-lg' : 'text-gray-400 hover:text-white'}`}><LayoutGrid size={16} /> Group View</button><button onClick={() => setDebtorViewMode('party')} className={`px-4 py-2 rounded-md text-sm font-medium transition-all flex items-center gap-2 ${debtorViewMode === 'party' ? 'bg-blue-600 text-white shadow-lg' : 'text-gray-400 hover:text-white'}`}><List size={16} /> Party View</button></div></div></div>
+              {debtorViewMode === 'group' ? (<div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">{debtorGroups.map(g => (<GroupCard key={g.name} name={g.name} count={g.count} total={g.total} onClick={() => setActiveGroup(g.name)} />))}</div>) : (<PartyList source={source} search={searchTerm} view={partyView} onViewChange={setPartyView} onSelect={setActiveLedger} />)}
             </div>
-          ) : view === 'creditors' ? (<div className="max-w-5xl mx-auto"><h2 className="text-3xl font-bold text-white mb-6">Sundry Creditors</h2><div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden">{data?.creditors.map((c, i) => (<div key={i} onClick={() => setActiveLedger(c)} className="flex items-center justify-between p-4 border-b border-gray-800 hover:bg-white/5 cursor-pointer transition-colors"><div className="flex items-center gap-4"><div className="w-8 h-8 rounded-full bg-purple-500/10 flex items-center justify-center text-purple-400"><Wallet size={16} /></div><span className="font-medium text-gray-300">{c.name}</span></div><span className="font-mono text-emerald-400 font-bold">{formatCurrency(c.amount)}</span></div>))}</div></div>) : (<div className="max-w-7xl mx-auto space-y-8"><div><h2 className="text-3xl font-bold text-white tracking-tight">Financial Overview</h2><p className="text-gray-400 mt-2">Real-time status of your credit accounts.</p></div><div className="grid grid-cols-1 md:grid-cols-3 gap-6"><Card className="bg-gradient-to-br from-blue-900/20 to-transparent border-blue-500/20"><p className="text-blue-400 font-medium text-sm mb-1 uppercase tracking-wider">Total Receivables</p><h3 className="text-3xl font-bold text-white mb-4">{formatCurrency(stats.dr)}</h3><div className="w-full h-1 bg-gray-800 rounded-full overflow-hidden"><div className="h-full bg-blue-500 w-[70%]"></div></div><p className="text-xs text-gray-500 mt-3">{stats.count} Active Accounts</p></Card><Card className="bg-gradient-to-br from-purple-900/20 to-transparent border-purple-500/20"><p className="text-purple-400 font-medium text-sm mb-1 uppercase tracking-wider">Total Payables</p><h3 className="text-3xl font-bold text-white mb-4">{formatCurrency(stats.cr)}</h3><div className="w-full h-1 bg-gray-800 rounded-full overflow-hidden"><div className="h-full bg-purple-500 w-[30%]"></div></div><p className="text-xs text-gray-500 mt-3">{data?.creditors?.length} Active Vendors</p></Card><Card className="flex flex-col justify-center items-center"><div className="h-32 w-full mt-2"><ResponsiveContainer width="100%" height="100%"><PieChart><Pie data={[{ name: 'Dr', value: stats.dr }, { name: 'Cr', value: stats.cr }]} dataKey="value" cx="50%" cy="50%" innerRadius={40} outerRadius={55} paddingAngle={5}><Cell fill="#3b82f6" /><Cell fill="#8b5cf6" /></Pie><Tooltip contentStyle={{ background: '#1a1d29', border: 'none', borderRadius: '8px' }} itemStyle={{ color: 'white' }} /></PieChart></ResponsiveContainer></div><p className="text-xs text-gray-500 mt-2">Credit/Debit Ratio</p></Card></div><div className="grid grid-cols-1 lg:grid-cols-2 gap-8"><div><h3 className="text-xl font-bold text-white mb-4">Top Debtor Groups</h3><div className="space-y-3">{Object.entries(filteredGroups).slice(0, 5).map(([g, list], i) => {
-            const val = list.reduce((s, l) => {
-              const amt = parseFloat(l.amount);
-              return s + (isNaN(amt) ? 0 : amt);
-            }, 0); return (<div key={i} className="flex items-center p-4 rounded-xl bg-[#1a1d29] border border-gray-800"><div className="w-10 h-10 rounded-full bg-blue-500/10 flex items-center justify-center text-blue-500 font-bold mr-4">{i + 1}</div><div className="flex-1"><h4 className="font-semibold text-gray-200">{g}</h4><p className="text-xs text-gray-500">{list.length} Parties</p></div><div className="text-right font-mono text-gray-300">{formatCurrency(val)}</div></div>)
-          })}</div></div></div></div>)}
+          ) : view === 'followups' ? (<DueFollowUps company={company === ALL_COMPANIES ? 'all' : company} onSelectLedger={setActiveLedger} />) : view === 'collections' ? (<CollectionSheet company={company === ALL_COMPANIES ? 'all' : company} groups={debtorGroups} addToast={addToast} />) : view === 'reminders' ? (<Reminders company={company === ALL_COMPANIES ? 'all' : company} groups={debtorGroups} user={user} addToast={addToast} />) : view === 'changes' ? (<ChangesView company={company === ALL_COMPANIES ? '' : company} onSelectLedger={setActiveLedger} addToast={addToast} />) : view === 'settings' ? (<div className="space-y-12"><RouteGroupSettings onSaved={fetchData} addToast={addToast} /><VoucherTypeSettings onSaved={fetchData} addToast={addToast} /></div>) : view === 'creditors' ? (<CreditorList source={source} company={company === ALL_COMPANIES ? 'all' : company} onSelect={setActiveLedger} addToast={addToast} />) : (<div className="max-w-7xl mx-auto space-y-8"><div><h2 className="text-3xl font-bold text-white tracking-tight">Financial Overview</h2><p className="text-gray-400 mt-2">Real-time status of your credit accounts.</p></div><div className="grid grid-cols-1 md:grid-cols-3 gap-6"><Card className="bg-gradient-to-br from-blue-900/20 to-transparent border-blue-500/20"><p className="text-blue-400 font-medium text-sm mb-1 uppercase tracking-wider">Total Receivables</p><h3 className="text-3xl font-bold text-white mb-4">{formatCurrency(stats.dr)}</h3><div className="w-full h-1 bg-gray-800 rounded-full overflow-hidden"><div className="h-full bg-blue-500 w-[70%]"></div></div><p className="text-xs text-gray-500 mt-3">{stats.debtors} Active Accounts</p></Card><Card className="bg-gradient-to-br from-purple-900/20 to-transparent border-purple-500/20"><p className="text-purple-400 font-medium text-sm mb-1 uppercase tracking-wider">Total Payables</p><h3 className="text-3xl font-bold text-white mb-4">{formatCurrency(stats.cr)}</h3><div className="w-full h-1 bg-gray-800 rounded-full overflow-hidden"><div className="h-full bg-purple-500 w-[30%]"></div></div><p className="text-xs text-gray-500 mt-3">{stats.creditors} Active Vendors</p></Card><Card className="flex flex-col justify-center items-center"><div className="h-32 w-full mt-2"><ResponsiveContainer width="100%" height="100%"><PieChart><Pie data={[{ name: 'Dr', value: stats.dr }, { name: 'Cr', value: stats.cr }]} dataKey="value" cx="50%" cy="50%" innerRadius={40} outerRadius={55} paddingAngle={5}><Cell fill="#3b82f6" /><Cell fill="#8b5cf6" /></Pie><Tooltip contentStyle={{ background: '#1a1d29', border: 'none', borderRadius: '8px' }} itemStyle={{ color: 'white' }} /></PieChart></ResponsiveContainer></div><p className="text-xs text-gray-500 mt-2">Credit/Debit Ratio</p></Card></div>{company === ALL_COMPANIES && overview?.companies.length > 0 && (<div><h3 className="text-xl font-bold text-white mb-4">By Company</h3><div className="bg-[#1a1d29] border border-gray-800 rounded-xl overflow-hidden"><div className="grid grid-cols-3 p-4 border-b border-gray-800 text-xs text-gray-500 uppercase tracking-wider"><span>Company</span><span className="text-right">Receivables</span><span className="text-right">Payables</span></div>{overview.companies.map(c => (<button key={c.company} onClick={() => chooseCompany(c.company === companyIndex?.default ? '' : c.company)} className="w-full grid grid-cols-3 p-4 border-b border-gray-800 hover:bg-white/5 text-left transition-colors"><span className="text-gray-200 font-medium truncate">{c.company}<span className="block text-[10px] text-gray-500">{c.updatedAt ? new Date(c.updatedAt).toLocaleString() : 'never synced'}</span></span><span className="text-right font-mono text-blue-400">{formatCurrency(c.dr)}</span><span className="text-right font-mono text-purple-400">{formatCurrency(c.cr)}</span></button>))}<div className="grid grid-cols-3 p-4 font-bold"><span className="text-gray-400">Total</span><span className="text-right font-mono text-white">{formatCurrency(stats.dr)}</span><span className="text-right font-mono text-white">{formatCurrency(stats.cr)}</span></div></div></div>)}<div className="grid grid-cols-1 lg:grid-cols-2 gap-8"><div><h3 className="text-xl font-bold text-white mb-4">Top Debtor Groups</h3><div className="space-y-3">{debtorGroups.slice(0, 5).map((g, i) => (<div key={g.name} className="flex items-center p-4 rounded-xl bg-[#1a1d29] border border-gray-800"><div className="w-10 h-10 rounded-full bg-blue-500/10 flex items-center justify-center text-blue-500 font-bold mr-4">{i + 1}</div><div className="flex-1"><h4 className="font-semibold text-gray-200">{g.name}</h4><p className="text-xs text-gray-500">{g.count} Parties</p></div><div className="text-right font-mono text-gray-300">{formatCurrency(g.total)}</div></div>))}</div></div></div></div>)}
         </div>
       </main>
     </div>
@@ -1,3 +1,14 @@
+// Aging, risk scores, trends and the cash-flow forecast come from the server's own modules in
+// lib/shared, so the cloud dashboard works them out exactly as the API does
+import { BUCKETS, ledgerAging, riskCategory } from '../../lib/shared/aging.mjs';
+import { partyRisk } from '../../lib/shared/risk.mjs';
+import { voucherMonths, monthlyTrends } from '../../lib/shared/analytics.mjs';
+import { forecastCashFlow } from '../../lib/shared/forecast.mjs';
+import { CATEGORIES as VOUCHER_CATEGORIES, voucherCategory, voucherBreakdown } from '../../lib/shared/voucher-categories.mjs';
+import { ENVELOPE, fromBase64, importAesKey, deriveEnvelopeBits, decryptEnvelope } from '../../lib/shared/envelope.mjs';
+
+export { ledgerAging, VOUCHER_CATEGORIES, voucherCategory, voucherBreakdown };
+
 export const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-IN', {
         style: 'currency',
@@ -37,83 +48,533 @@ export const parseDate = (dateStr) => {
     }
 };
 
-export const calculateAging = (transactions, openingBalanceStr) => {
-    let totalCredits = 0;
-    const debits = [];
-    let opBal = 0;
+// --- API CONFIGURATION ---
+// The sync server's API. Phones and other machines reach it at VITE_API_BASE_URL (the office server
+// over the LAN, a VPN or a tunnel; its origin must be in the server's ALLOWED_ORIGINS).
+const API_BASE = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001').replace(/\/+$/, '');
 
-    // Convert OpBal to number safely
-    if (openingBalanceStr !== undefined && openingBalanceStr !== null && openingBalanceStr !== '') {
-        opBal = parseFloat(String(openingBalanceStr).replace(/,/g, ''));
-        if (isNaN(opBal)) opBal = 0;
-    }
+// "Local": the dashboard talks to the sync server (opened on its machine, or built with
+// VITE_API_BASE_URL) rather than reading the published files
+export const isLocal = () => {
+    const h = window.location.hostname;
+    return h === 'localhost' || h === '127.0.0.1' || !!import.meta.env.VITE_API_BASE_URL;
+};
 
-    // Tally often uses Negative for Debit in its export logic if mixed
-    // But here we rely on observation: "-47714" was a Debit.
-    if (opBal < 0) {
-        // Treated as Debit Invoice from the past
-        debits.push({ date: new Date('2020-01-01'), amount: Math.abs(opBal), type: 'Opening Balance' });
-    } else if (opBal > 0) {
-        // Treated as Credit (Surplus/Payment on account)
-        totalCredits += opBal;
+// Query string without the empty parameters
+const queryString = (params = {}) => new URLSearchParams(Object.entries(params).filter(([, v]) => v !== null && v !== undefined && v !== '')).toString();
+
+// Where the published data files can be fetched from: whatever the publish targets push to (a raw
+// git URL, a web-served folder, a public bucket). Set VITE_CLOUD_BASE_URL when building the dashboard;
+// the default is the published/ folder the git target commits to.
+const CLOUD_BASE = (import.meta.env.VITE_CLOUD_BASE_URL || 'https://raw.githubusercontent.com/sahilsync07/smart-credit/main/published/').replace(/\/*$/, '/');
+
+export const getEndpoints = () => {
+    const local = isLocal();
+    return {
+        // Data: If Local -> Local Server. If Cloud -> the published copy
+        data: local ? `${API_BASE}/api/data` : CLOUD_BASE + 'credit-data.json',
+        // Company index. Cloud serves the published companies.json, which may not exist for single-company setups
+        companies: local ? `${API_BASE}/api/companies` : CLOUD_BASE + 'companies.json',
+        companyData: (entry) => (local ? `${API_BASE}/api/data?company=${encodeURIComponent(entry.name)}` : CLOUD_BASE + entry.file),
+        // Frozen closed FYs, listed in the company index entry
+        archive: (entry, archive) => (local ? `${API_BASE}/api/archives/${archive.fy}?company=${encodeURIComponent(entry.name)}` : CLOUD_BASE + archive.file),
+        // Sync: always the sync server
+        sync: `${API_BASE}/api/sync`,
+        syncJob: (id) => `${API_BASE}/api/sync/jobs/${id}`,
+        syncHistory: `${API_BASE}/api/sync/history`,
+        routeGroups: `${API_BASE}/api/route-groups`,
+        voucherTypes: `${API_BASE}/api/voucher-types`,
+        // Snapshots stay on the sync machine (state/), so these are local only
+        snapshots: (company) => `${API_BASE}/api/snapshots${company ? `?company=${encodeURIComponent(company)}` : ''}`,
+        snapshotDiff: (company, from, to) => `${API_BASE}/api/snapshots/diff?${new URLSearchParams({ ...(company && { company }), ...(from && { from }), ...(to && { to }) })}`,
+        // Filtered, paginated ledger queries (see createApiSource)
+        groups: (params) => `${API_BASE}/api/groups?${queryString(params)}`,
+        ledgers: (params) => `${API_BASE}/api/ledgers?${queryString(params)}`,
+        ledger: (company, name, since) => `${API_BASE}/api/ledgers/${encodeURIComponent(name)}?${queryString({ company, since })}`,
+        // Follow-up notes and promises to pay are kept by the local server only
+        followUps: (company, ledger) => `${API_BASE}/api/followups?${queryString({ company, ledger })}`,
+        followUpsDue: (company, date) => `${API_BASE}/api/followups/due?${queryString({ company, date })}`,
+        followUp: (id) => `${API_BASE}/api/followups${id ? `/${id}` : ''}`,
+        // Payment reminders: settings, preview and send, and what each party was sent
+        reminders: `${API_BASE}/api/reminders`,
+        reminderTemplates: `${API_BASE}/api/reminders/templates`,
+        reminderProvider: `${API_BASE}/api/reminders/provider`,
+        reminderOptOut: `${API_BASE}/api/reminders/opt-outs`,
+        reminderPreview: (params) => `${API_BASE}/api/reminders/preview?${queryString(params)}`,
+        reminderSend: `${API_BASE}/api/reminders/send`,
+        reminderLog: (company, ledger) => `${API_BASE}/api/reminders/log?${queryString({ company, ledger })}`,
+        // Statement of account PDFs, rendered by the local server
+        statement: (company, name, params) => `${API_BASE}/api/statements/${encodeURIComponent(name)}?${queryString({ company, ...params })}`,
+        groupStatements: (params) => `${API_BASE}/api/statements?${queryString(params)}`,
+        // CSV / .xlsx exports (aging, groups, parties take the ledger query filters)
+        exportReport: (report, params) => `${API_BASE}/api/exports/${report}?${queryString(params)}`,
+        exportLedger: (company, name, params) => `${API_BASE}/api/exports/ledger/${encodeURIComponent(name)}?${queryString({ company, ...params })}`,
+        trends: (params) => `${API_BASE}/api/trends?${queryString(params)}`,
+        forecast: (params) => `${API_BASE}/api/forecast?${queryString(params)}`,
+        // Supplier payment plan; bills marked as scheduled are kept by the local server only
+        paymentPlan: (params) => `${API_BASE}/api/payables/plan?${queryString(params)}`,
+        paymentSchedule: `${API_BASE}/api/payables/schedule`,
+        // Route collection sheets, the amounts entered on them and saved visit orders
+        collectionSheet: (params) => `${API_BASE}/api/collections/sheet?${queryString(params)}`,
+        collections: `${API_BASE}/api/collections`,
+        visitOrder: `${API_BASE}/api/collections/visit-order`
+    };
+};
+
+// --- LOGIN ---
+// The local server wants "Authorization: Bearer <token>" on every API call. The session from
+// /api/auth/login is kept in localStorage; a 401 drops it and fires AUTH_REQUIRED_EVENT so the app
+// can ask for a login again.
+const LOCAL_API = `${API_BASE}/api`;
+const SESSION_STORAGE = 'smartcredit.session';
+export const AUTH_REQUIRED_EVENT = 'smartcredit:auth-required';
+
+// { token, expiresAt, user: { username, role, routeGroups } } or null
+export const getSession = () => {
+    try { return JSON.parse(localStorage.getItem(SESSION_STORAGE)); }
+    catch { return null; }
+};
+
+export const can = (user, ...roles) => roles.includes(user?.role);
+
+// fetch() that signs requests to the local server; other URLs (published data) go out untouched
+export const apiFetch = async (url, options = {}) => {
+    const local = url.startsWith(LOCAL_API);
+    const token = local && getSession()?.token;
+    const res = await fetch(url, token ? { ...options, headers: { ...options.headers, Authorization: `Bearer ${token}` } } : options);
+    if (local && res.status === 401) {
+        localStorage.removeItem(SESSION_STORAGE);
+        window.dispatchEvent(new Event(AUTH_REQUIRED_EVENT));
     }
+    return res;
+};
+
+// { setupRequired, roles }
+export const authStatus = async () => (await fetch(`${LOCAL_API}/auth/status`)).json();
+
+// `setup` creates the first admin instead (first run, on the server machine only)
+export const logIn = async (username, password, setup = false) => {
+    const res = await fetch(`${LOCAL_API}/auth/${setup ? 'setup' : 'login'}`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username, password }) });
+    const json = await res.json();
+    if (!res.ok) throw new Error(json.error || `Login failed (${res.status})`);
+    localStorage.setItem(SESSION_STORAGE, JSON.stringify({ token: json.token, expiresAt: json.expiresAt, user: json.user }));
+    return json.user;
+};
+
+export const logOut = async () => {
+    await apiFetch(`${LOCAL_API}/auth/logout`, { method: 'POST' }).catch(() => { });
+    localStorage.removeItem(SESSION_STORAGE);
+};
 
-    const sortedTxns = [...transactions].sort((a, b) => parseDate(a.date) - parseDate(b.date));
+// Follows a sync job until it finishes. Streams over SSE, falls back to polling if the stream drops.
+export const watchSyncJob = (jobId, onUpdate) => new Promise((resolve) => {
+    const url = getEndpoints().syncJob(jobId);
+    const handle = (job) => {
+        onUpdate(job);
+        if (job.status === 'running') return false;
+        resolve(job);
+        return true;
+    };
+    const poll = async () => {
+        try {
+            const res = await apiFetch(url);
+            if (res.status === 401) return resolve({ status: 'failed', error: 'Logged out' });
+            if (res.ok && handle((await res.json()).job)) return;
+        } catch (e) {
+            console.warn("Sync status poll failed", e);
+        }
+        setTimeout(poll, 1000);
+    };
+
+    if (typeof EventSource === 'undefined') return poll();
+    // EventSource cannot send headers: the stream is opened with a single-use ticket, never the session token
+    apiFetch(`${url}/ticket`, { method: 'POST' })
+        .then(res => (res.ok ? res.json() : Promise.reject(new Error(`Ticket refused (${res.status})`))))
+        .then(({ ticket }) => {
+            const stream = new EventSource(`${url}/events?${queryString({ ticket })}`);
+            stream.onmessage = (e) => { if (handle(JSON.parse(e.data))) stream.close(); };
+            // The ticket is spent, so no reconnecting: poll instead
+            stream.onerror = () => { stream.close(); poll(); };
+        })
+        .catch(() => poll());
+});
+
+export const SYNC_PHASE_LABELS = {
+    queued: 'Starting...',
+    structure: 'Reading groups & ledgers',
+    balances: 'Fetching balances',
+    vouchers: 'Fetching vouchers',
+    publish: 'Publishing to cloud',
+    done: 'Finished',
+    failed: 'Failed'
+};
+
+// --- OFFLINE ---
+// Phones in the field often have no signal. The app shell is cached by the service worker
+// (public/sw.js); this keeps the rest in IndexedDB:
+//   files   published files (company index, data files, archives) as last fetched, still encrypted
+//           if they were published that way, so the dashboard opens with the last copy
+//   outbox  writes to the local server that could not be sent (follow-ups, collections), sent in
+//           order once it can be reached again
+const OFFLINE_DB = 'smartcredit';
+export const OUTBOX_EVENT = 'smartcredit:outbox';
+let offlineDb = null;
 
-    sortedTxns.forEach(t => {
-        let amt = t.amount;
-        if (t.sign === 'Dr') { debits.push({ date: parseDate(t.date), amount: amt, type: t.type }); }
-        else { totalCredits += amt; }
+const openOfflineDb = () => (offlineDb ||= new Promise((resolve, reject) => {
+    const req = indexedDB.open(OFFLINE_DB, 1);
+    req.onupgradeneeded = () => {
+        req.result.createObjectStore('files');
+        req.result.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { offlineDb = null; reject(req.error); };
+}));
+
+// One request against a store; resolves with its result once the transaction commits
+const inStore = async (store, mode, fn) => {
+    const db = await openOfflineDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(store, mode);
+        const req = fn(tx.objectStore(store));
+        tx.oncomplete = () => resolve(req.result);
+        tx.onerror = () => reject(tx.error);
     });
+};
 
-    const overdue = [];
-    let remainingCredit = totalCredits;
+// A published file, or its last copy when the network fails: { json, fetchedAt, cached }, or null
+// when the file does not exist. `bust` adds a timestamp so CDNs hand out the latest version.
+export const fetchPublished = async (url, { bust = true } = {}) => {
+    try {
+        const res = await apiFetch(bust ? `${url}${url.includes('?') ? '&' : '?'}t=${Date.now()}` : url);
+        if (res.status === 404) return null;
+        if (!res.ok) throw new Error(`${url}: ${res.status} ${res.statusText}`);
+        const file = { json: await res.json(), fetchedAt: new Date().toISOString() };
+        inStore('files', 'readwrite', s => s.put(file, url)).catch(e => console.warn("Could not keep an offline copy", e));
+        return { ...file, cached: false };
+    } catch (e) {
+        const copy = await inStore('files', 'readonly', s => s.get(url)).catch(() => null);
+        if (copy) return { ...copy, cached: true };
+        throw e;
+    }
+};
+
+// apiFetch for writes that can wait. Without a network (fetch rejects with a TypeError) the request
+// is queued and null returned; flushOutbox sends it later with the session current then.
+export const sendOrQueue = async (url, options, label) => {
+    try {
+        return await apiFetch(url, options);
+    } catch (e) {
+        if (!(e instanceof TypeError)) throw e;
+        await inStore('outbox', 'readwrite', s => s.add({ url, method: options.method, headers: options.headers, body: options.body, label, queuedAt: new Date().toISOString() }));
+        window.dispatchEvent(new Event(OUTBOX_EVENT));
+        return null;
+    }
+};
 
-    // Clear debits/invoices using available credits (FIFO)
-    for (const d of debits) {
-        if (remainingCredit >= d.amount) { remainingCredit -= d.amount; }
-        else {
-            const unpaid = d.amount - remainingCredit;
-            remainingCredit = 0;
-            overdue.push({ date: d.date, amount: unpaid, originalAmount: d.amount, type: d.type });
+export const queuedWrites = () => inStore('outbox', 'readonly', s => s.getAll()).catch(() => []);
+
+// Sends the queue oldest first and stops at the first request that still cannot get through (no
+// network, server error, login needed). One the server turns down (4xx) is dropped and reported.
+// -> { sent, rejected: [{ label, error }], left }
+let flushing = null;
+export const flushOutbox = () => (flushing ||= (async () => {
+    const result = { sent: 0, rejected: [], left: 0 };
+    try {
+        const queue = await queuedWrites();
+        for (const [i, w] of queue.entries()) {
+            let res;
+            try { res = await apiFetch(w.url, { method: w.method, headers: w.headers, body: w.body }); }
+            catch { res = null; }
+            if (!res || res.status >= 500 || res.status === 401) {
+                result.left = queue.length - i;
+                break;
+            }
+            if (!res.ok) result.rejected.push({ label: w.label, error: (await res.json().catch(() => ({}))).error || `${res.status} ${res.statusText}` });
+            else result.sent++;
+            await inStore('outbox', 'readwrite', s => s.delete(w.id));
         }
+    } finally {
+        flushing = null;
+        window.dispatchEvent(new Event(OUTBOX_EVENT));
     }
+    return result;
+})());
 
-    const today = new Date(); // Use current date
-    const buckets = { '0-30': 0, '30-60': 0, '60-90': 0, '90+': 0 };
+// --- MULTI COMPANY ---
+export const ALL_COMPANIES = '__all__';
+
+// Consolidated view: concatenates every company's groups and creditors, tagging each ledger with its company
+export const mergeCompanyData = (datasets) => {
+    const merged = { updatedAt: null, company: ALL_COMPANIES, debtors: {}, hiddenDebtors: {}, creditors: [], companies: [] };
+    datasets.forEach(d => {
+        const tag = (l) => ({ ...l, company: d.company });
+        Object.entries(d.debtors || {}).forEach(([g, list]) => { merged.debtors[g] = [...(merged.debtors[g] || []), ...list.map(tag)]; });
+        Object.entries(d.hiddenDebtors || {}).forEach(([g, list]) => { merged.hiddenDebtors[g] = [...(merged.hiddenDebtors[g] || []), ...list.map(tag)]; });
+        merged.creditors.push(...(d.creditors || []).map(tag));
+        // The consolidated view is only as fresh as its oldest company
+        if (!merged.updatedAt || (d.updatedAt && d.updatedAt < merged.updatedAt)) merged.updatedAt = d.updatedAt;
+        merged.companies.push({ company: d.company, updatedAt: d.updatedAt });
+    });
+    return merged;
+};
 
-    overdue.forEach(item => {
-        const diffTime = Math.abs(today - item.date);
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+// --- FINANCIAL YEAR ARCHIVES ---
 
-        if (diffDays <= 30) buckets['0-30'] += item.amount;
-        else if (diffDays <= 60) buckets['30-60'] += item.amount;
-        else if (diffDays <= 90) buckets['60-90'] += item.amount;
-        else buckets['90+'] += item.amount;
+const mapLedgers = (data, fn) => ({
+    ...data,
+    debtors: Object.fromEntries(Object.entries(data.debtors || {}).map(([g, list]) => [g, list.map(fn)])),
+    hiddenDebtors: Object.fromEntries(Object.entries(data.hiddenDebtors || {}).map(([g, list]) => [g, list.map(fn)])),
+    creditors: (data.creditors || []).map(fn)
+});
+
+// Opening balances are as of the synced period's first day; FIFO aging dates them there
+export const withOpeningDate = (data) => mapLedgers(data, (l) => ({ ...l, openingDate: data.sync?.startDate || null }));
+
+// Archives that can be joined onto the running year: an unbroken run of FYs ending with last year.
+// Newest first, so the period selector lists "since last year" at the top.
+export const usableArchives = (archives = [], today = new Date()) => {
+    const fyStart = today.getMonth() < 3 ? today.getFullYear() - 1 : today.getFullYear();
+    const byFy = new Map(archives.map(a => [a.fy, a]));
+    const chain = [];
+    for (let y = fyStart - 1; ; y--) {
+        const a = byFy.get(`${y}-${String((y + 1) % 100).padStart(2, '0')}`);
+        if (!a) return chain;
+        chain.push(a);
+    }
+};
+
+// Prepends archived years to the running year's ledgers so statements and aging span them.
+// Each ledger's opening balance becomes the one at the start of the earliest archive:
+// that year's closing less its vouchers (Tally sign: negative = Dr).
+export const mergeArchives = (data, archives) => {
+    if (!archives.length) return data;
+    const sorted = [...archives].sort((a, b) => a.fy.localeCompare(b.fy));
+    const history = new Map();
+    sorted.forEach(a => a.ledgers.forEach(l => {
+        if (!history.has(l.name)) {
+            const net = l.transactions.reduce((s, t) => s + (t.sign === 'Dr' ? -t.amount : t.amount), 0);
+            history.set(l.name, { openingBalance: String(l.closingBalance - net), openingDate: a.startDate, transactions: [] });
+        }
+        history.get(l.name).transactions.push(...l.transactions);
+    }));
+    return {
+        ...mapLedgers(data, (l) => {
+            const h = history.get(l.name);
+            return h ? { ...l, openingBalance: h.openingBalance, openingDate: h.openingDate, transactions: [...h.transactions, ...(l.transactions || [])] } : l;
+        }),
+        fromFy: sorted[0].fy
+    };
+};
+
+// --- LEDGER QUERIES ---
+// Views never walk a whole data file. They ask a "source" for group totals and pages of ledger rows:
+// the local server answers from its SQLite index, while the cloud dashboard (a static file) runs the
+// same queries in the browser. Parameters follow parseLedgerQuery in lib/ledger-db.js.
+
+const signedAmount = (r) => (r.type === 'Dr' ? r.amount : -r.amount);
+const isoDay = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+// /api/ledgers rows built from a loaded data file; `ledger` keeps the full entry for statements
+const ledgerRows = (data) => {
+    const rows = [];
+    const add = (l, kind, group, hidden) => {
+        const aging = ledgerAging({ ...l, kind });
+        const txns = l.transactions || [];
+        const risk = kind === 'debtor' ? partyRisk(l) : null;
+        rows.push({
+            company: l.company || data.company || null, name: l.name, kind, group, subPath: l.subPath || [],
+            amount: l.amount, type: l.type, bucket: riskCategory(aging), aging, billWise: !!l.billWise,
+            voucherCount: txns.length, lastVoucherAt: txns.length ? txns.map(t => isoDay(parseDate(t.date))).sort().pop() : null,
+            creditLimit: l.creditLimit ?? null, creditPeriod: l.creditPeriod ?? null, overLimit: !!risk?.overLimit, risk,
+            breakdown: voucherBreakdown(txns), hidden, ledger: l
+        });
+    };
+    Object.entries(data.debtors || {}).forEach(([g, list]) => list.forEach(l => add(l, 'debtor', g, false)));
+    Object.entries(data.hiddenDebtors || {}).forEach(([g, list]) => list.forEach(l => add(l, 'debtor', g, true)));
+    (data.creditors || []).forEach(l => add(l, 'creditor', null, false));
+    return rows;
+};
+
+const matchesQuery = (r, p) => (!p.kind || r.kind === p.kind)
+    && (!p.group || r.group === p.group)
+    && (p.includeHidden || !r.hidden)
+    && (!p.type || r.type === p.type)
+    && (!p.bucket || r.bucket === p.bucket)
+    && (p.minAmount == null || r.amount >= p.minAmount)
+    && (p.maxAmount == null || r.amount <= p.maxAmount)
+    && (p.minRisk == null || (r.risk && r.risk.score >= p.minRisk))
+    && (!p.overLimit || r.overLimit)
+    && (!p.search || r.name.toLowerCase().includes(p.search.trim().toLowerCase()));
+
+const SORT_KEYS = {
+    name: (r) => r.name.toLowerCase(),
+    amount: (r) => r.amount,
+    balance: signedAmount,
+    bucket: (r) => BUCKETS.indexOf(r.bucket),
+    vouchers: (r) => r.voucherCount,
+    lastVoucher: (r) => r.lastVoucherAt || '',
+    // Creditors (no score) sort below every debtor
+    risk: (r) => r.risk?.score ?? -1
+};
+
+// In-browser /api/ledgers: filter, sort, then one page of rows
+export const queryLedgers = (rows, params = {}) => {
+    const p = { sort: 'name', order: 'asc', page: 1, pageSize: 50, ...params };
+    const key = SORT_KEYS[p.sort] || SORT_KEYS.name;
+    const dir = p.order === 'desc' ? -1 : 1;
+    const list = rows.filter(r => matchesQuery(r, p)).sort((a, b) => {
+        const x = key(a);
+        const y = key(b);
+        return (x < y ? -1 : x > y ? 1 : 0) * dir || a.name.localeCompare(b.name);
     });
+    const start = (p.page - 1) * p.pageSize;
+    return { total: list.length, net: list.reduce((s, r) => s + signedAmount(r), 0), page: p.page, pageSize: p.pageSize, ledgers: list.slice(start, start + p.pageSize) };
+};
 
-    return buckets;
+// In-browser /api/groups: route group cards in data file order, plus totals per company
+const summariseRows = (rows, params, companies) => {
+    const list = rows.filter(r => matchesQuery(r, { ...params, kind: null, group: null }));
+    const groups = new Map();
+    list.filter(r => r.kind === 'debtor').forEach(r => {
+        const g = groups.get(r.group) || { name: r.group, count: 0, total: 0, breakdown: {} };
+        const breakdown = { ...g.breakdown };
+        Object.entries(r.breakdown).forEach(([c, v]) => { breakdown[c] = { dr: (breakdown[c]?.dr || 0) + v.dr, cr: (breakdown[c]?.cr || 0) + v.cr }; });
+        groups.set(r.group, { ...g, count: g.count + 1, total: g.total + signedAmount(r), breakdown });
+    });
+    const perCompany = companies.map(({ company, updatedAt }) => {
+        const mine = list.filter(r => r.company === company);
+        const debtors = mine.filter(r => r.kind === 'debtor');
+        const creditors = mine.filter(r => r.kind === 'creditor');
+        return { company, updatedAt, dr: debtors.reduce((s, r) => s + signedAmount(r), 0), cr: -creditors.reduce((s, r) => s + signedAmount(r), 0), debtors: debtors.length, creditors: creditors.length };
+    });
+    const sum = (k) => perCompany.reduce((s, c) => s + c[k], 0);
+    return {
+        updatedAt: companies.map(c => c.updatedAt).filter(Boolean).sort()[0] || null,
+        groups: [...groups.values()],
+        totals: { dr: sum('dr'), cr: sum('cr'), debtors: sum('debtors'), creditors: sum('creditors') },
+        companies: perCompany
+    };
 };
 
-export const determineRiskCategory = (aging) => {
-    if (aging['90+'] > 0) return '90+';
-    if (aging['60-90'] > 0) return '60-90';
-    if (aging['30-60'] > 0) return '30-60';
-    return '0-30';
+// In-browser /api/trends over ledger rows
+const trendRows = (rows, { ledger, ...params }) => rows
+    .filter(r => r.kind === 'debtor' && matchesQuery(r, { ...params, kind: 'debtor' }) && (!ledger || r.name === ledger))
+    .map(r => ({
+        name: r.name, group: r.group, openingBalance: r.ledger.openingBalance,
+        start: r.ledger.openingDate ? `${r.ledger.openingDate.slice(0, 4)}-${r.ledger.openingDate.slice(4, 6)}` : null,
+        months: voucherMonths(r.ledger.transactions || [])
+    }));
+
+// Source over a data file already in memory (cloud mode), consolidated or not
+export const createBlobSource = (data) => {
+    const rows = ledgerRows(data);
+    const companies = data.companies || [{ company: data.company || null, updatedAt: data.updatedAt }];
+    return {
+        groups: async (params = {}) => summariseRows(rows, params, companies),
+        ledgers: async (params = {}) => queryLedgers(rows, params),
+        // params: ledger filters plus from, to (YYYY-MM), by (total|group), ledger (one party)
+        trends: async (params = {}) => monthlyTrends(trendRows(rows, params), params),
+        // params: ledger filters plus weeks (8-12) and opening (cash now)
+        forecast: async ({ weeks = 12, opening = 0, ...params } = {}) => forecastCashFlow(rows.filter(r => matchesQuery(r, params)).map(r => ({ ...r.ledger, kind: r.kind, group: r.group, company: r.company })), { weeks: Number(weeks), opening: Number(opening) || 0 }),
+        // Shaped like the server's /api/ledgers/:name: the data file entry plus the row's kind and risk
+        ledger: async ({ name, company }) => {
+            const r = rows.find(x => x.name === name && (!company || x.company === company));
+            return r ? { ...r.ledger, kind: r.kind, overLimit: r.overLimit, risk: r.risk } : null;
+        }
+    };
 };
 
-// --- API CONFIGURATION ---
-export const isLocal = () => {
-    const h = window.location.hostname;
-    return h === 'localhost' || h === '127.0.0.1';
+// Saves a file from the local server through the browser's download
+export const downloadFile = async (url, filename) => {
+    const res = await apiFetch(url);
+    if (!res.ok) {
+        const json = await res.json().catch(() => ({}));
+        throw new Error(json.error || `Download failed (${res.status})`);
+    }
+    const href = URL.createObjectURL(await res.blob());
+    const a = Object.assign(document.createElement('a'), { href, download: filename });
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(href);
 };
 
-export const getEndpoints = () => {
-    const local = isLocal();
+const EXPORT_NAMES = { aging: 'Aging', groups: 'Route groups', parties: 'Parties' };
+
+// Source backed by the local server. `since` (a FY label) joins archived years onto statements.
+// Only this source can render statement PDFs and exports; callers check for `statement` or
+// `exportReport` before offering them.
+export const createApiSource = (company, since) => {
+    const endpoints = getEndpoints();
+    const scope = company === ALL_COMPANIES ? 'all' : company;
+    const get = async (url) => {
+        const res = await apiFetch(url);
+        const json = await res.json();
+        if (!res.ok) throw new Error(json.error || `Request failed (${res.status})`);
+        return json;
+    };
+    // Rows in the consolidated view name their company; a bare name means the selected (or default) one
+    const owner = (row) => row.company || (scope === 'all' ? '' : scope);
     return {
-        // Data: If Local -> Local Server. If Cloud -> GitHub Raw
-        data: local ? 'http://localhost:3001/api/data' : 'https://raw.githubusercontent.com/sahilsync07/smart-credit/main/credit-data.json',
-        // Sync: Always try Localhost. 
-        sync: 'http://localhost:3001/api/sync'
+        groups: (params = {}) => get(endpoints.groups({ ...params, company: scope })),
+        ledgers: (params = {}) => get(endpoints.ledgers({ ...params, company: scope })),
+        ledger: (row) => get(endpoints.ledger(owner(row), row.name, since)),
+        trends: (params = {}) => get(endpoints.trends({ ...params, company: scope, since })),
+        forecast: (params = {}) => get(endpoints.forecast({ ...params, company: scope })),
+        // range: { from, to } as YYYY-MM-DD, either optional
+        statement: (row, range = {}) => downloadFile(endpoints.statement(owner(row), row.name, { ...range, since }), `Statement - ${row.name}.pdf`),
+        groupStatements: (group, range = {}) => downloadFile(endpoints.groupStatements({ company: scope, group, ...range, since }), `Statements - ${group}.pdf`),
+        // format: 'csv' or 'xlsx'
+        exportReport: (report, params = {}, format = 'xlsx') => downloadFile(endpoints.exportReport(report, { ...params, company: scope, format }), `${EXPORT_NAMES[report]}${params.group ? ` - ${params.group}` : ''}.${format}`),
+        exportLedger: (row, range = {}, format = 'xlsx') => downloadFile(endpoints.exportLedger(owner(row), row.name, { ...range, since, format }), `Ledger - ${row.name}.${format}`)
     };
 };
+
+// --- ENCRYPTED DATA ---
+// Published files may be envelopes (lib/encryption.js): AES-GCM ciphertext under a key derived from
+// a passphrase with PBKDF2, opened with lib/shared/envelope.mjs. The key is derived once per session;
+// on trusted devices it can be kept in localStorage so the passphrase is not asked again.
+const KEY_STORAGE = 'smartcredit.key';
+let sessionKey = null; // { salt, key }
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+const passphraseRequired = (envelope, message = 'Passphrase required') => Object.assign(new Error(message), { code: 'PASSPHRASE_REQUIRED', envelope });
+
+const keyFor = async (envelope) => {
+    if (sessionKey?.salt === envelope.kdf.salt) return sessionKey.key;
+    const stored = JSON.parse(localStorage.getItem(KEY_STORAGE) || 'null');
+    if (stored?.salt !== envelope.kdf.salt) return null;
+    sessionKey = { salt: stored.salt, key: await importAesKey(fromBase64(stored.key)) };
+    return sessionKey.key;
+};
+
+// Plain JSON passes through. Throws an error with code PASSPHRASE_REQUIRED when no key (or a stale one) is at hand.
+export const openEnvelope = async (json) => {
+    if (json?.encrypted !== ENVELOPE) return json;
+    const key = await keyFor(json);
+    if (!key) throw passphraseRequired(json);
+    try {
+        return await decryptEnvelope(json, key);
+    } catch {
+        // The passphrase changed since the key was remembered
+        forgetDataKey();
+        throw passphraseRequired(json, 'The saved key no longer opens the data. Enter the passphrase again.');
+    }
+};
+
+// Derives the key for `envelope`'s salt and checks it by opening the envelope
+export const unlockData = async (passphrase, envelope, remember = false) => {
+    const bits = await deriveEnvelopeBits(passphrase, envelope);
+    const key = await importAesKey(bits);
+    try { await decryptEnvelope(envelope, key); } catch { throw new Error('Wrong passphrase'); }
+    sessionKey = { salt: envelope.kdf.salt, key };
+    if (remember) localStorage.setItem(KEY_STORAGE, JSON.stringify({ salt: envelope.kdf.salt, key: toBase64(bits) }));
+};
+
+export const forgetDataKey = () => {
+    sessionKey = null;
+    localStorage.removeItem(KEY_STORAGE);
+};
+
+export const hasRememberedKey = () => !!localStorage.getItem(KEY_STORAGE);
@@ -5,4 +5,6 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: './', // Use relative paths for assets
+  // src/utils.js imports the aging, risk, trends and forecast modules the server uses
+  server: { fs: { allow: ['.', '../lib/shared'] } },
 })
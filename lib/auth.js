@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./json-store');
+
+// Users, login sessions and API tokens for the local server. Everything is kept in STATE_DIR;
+// passwords as scrypt hashes, sessions and tokens only as SHA-256 hashes of the bearer value.
+// Usage: node lib/auth.js add-user <username> <role> [route groups, comma separated]   (asks for the password)
+const USERS_FILE = 'users.json';
+const SESSIONS_FILE = 'sessions.json';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// API token use is recorded at most this often, so every request does not rewrite users.json
+const TOKEN_TOUCH_MS = 60 * 60 * 1000;
+// How long an event stream ticket can wait to be used
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+const ROLES = {
+    admin: 'Syncs, settings, users and all data',
+    accountant: 'All data and follow-ups; no sync or settings',
+    agent: 'Receivables and follow-ups in their assigned route groups only'
+};
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+const newToken = (prefix = '') => prefix + crypto.randomBytes(32).toString('base64url');
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    return `scrypt$${salt.toString('base64')}$${crypto.scryptSync(password, salt, 64).toString('base64')}`;
+}
+
+function checkPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt') return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function validateUser(u, { isNew }) {
+    const errors = [];
+    if (isNew && (typeof u.username !== 'string' || !/^[a-z0-9._-]{2,32}$/i.test(u.username))) errors.push('username must be 2-32 letters, digits, dots, dashes or underscores');
+    if (!ROLES[u.role]) errors.push(`role must be one of ${Object.keys(ROLES).join(', ')}`);
+    if (!Array.isArray(u.routeGroups) || u.routeGroups.some(g => typeof g !== 'string' || !g.trim())) errors.push('routeGroups must be a list of route group names');
+    else if (u.role === 'agent' && !u.routeGroups.length) errors.push('a collection agent needs at least one route group');
+    if ((isNew || u.password !== undefined) && (typeof u.password !== 'string' || u.password.length < 8)) errors.push('password must be at least 8 characters');
+    if (errors.length) throw new Error(`Invalid user: ${errors.join('; ')}`);
+}
+
+const loadUsers = () => readJson(USERS_FILE, []);
+const saveUsers = (users) => writeJson(USERS_FILE, users);
+
+// What the API shows: never hashes
+const publicUser = (u) => ({
+    username: u.username,
+    role: u.role,
+    routeGroups: u.routeGroups,
+    createdAt: u.createdAt,
+    tokens: (u.tokens || []).map(({ id, name, createdAt, lastUsedAt }) => ({ id, name, createdAt, lastUsedAt }))
+});
+
+function hasUsers() { return loadUsers().length > 0; }
+function listUsers() { return loadUsers().map(publicUser); }
+
+function createUser({ username, password, role, routeGroups = [] }) {
+    validateUser({ username, password, role, routeGroups }, { isNew: true });
+    const users = loadUsers();
+    if (users.some(u => u.username.toLowerCase() === username.toLowerCase())) throw new Error(`Invalid user: ${username} already exists`);
+    const user = { username, role, routeGroups: role === 'agent' ? routeGroups : [], passwordHash: hashPassword(password), tokens: [], createdAt: new Date().toISOString() };
+    saveUsers([...users, user]);
+    return publicUser(user);
+}
+
+const findIndex = (users, username) => {
+    const i = users.findIndex(u => u.username === username);
+    if (i === -1) throw Object.assign(new Error(`Unknown user ${username}`), { status: 404 });
+    return i;
+};
+
+// At least one admin must remain, or nobody could manage users or sync again
+const assertAdminLeft = (users) => {
+    if (!users.some(u => u.role === 'admin')) throw new Error('Invalid user: the last admin cannot be removed or demoted');
+};
+
+function updateUser(username, { password, role, routeGroups }) {
+    const users = loadUsers();
+    const i = findIndex(users, username);
+    const next = { ...users[i], role: role ?? users[i].role, routeGroups: routeGroups ?? users[i].routeGroups };
+    validateUser({ ...next, password }, { isNew: false });
+    if (next.role !== 'agent') next.routeGroups = [];
+    if (password !== undefined) next.passwordHash = hashPassword(password);
+    users[i] = next;
+    assertAdminLeft(users);
+    saveUsers(users);
+    // A new password or role ends the user's open sessions
+    if (password !== undefined || role !== undefined) dropSessions(username);
+    return publicUser(next);
+}
+
+function deleteUser(username) {
+    const users = loadUsers();
+    users.splice(findIndex(users, username), 1);
+    assertAdminLeft(users);
+    saveUsers(users);
+    dropSessions(username);
+}
+
+// --- SESSIONS AND TOKENS ---
+
+const loadSessions = () => readJson(SESSIONS_FILE, []).filter(s => Date.parse(s.expiresAt) > Date.now());
+const dropSessions = (username) => writeJson(SESSIONS_FILE, loadSessions().filter(s => s.username !== username));
+
+// Returns { token, expiresAt, user } or null
+function login(username, password) {
+    const user = loadUsers().find(u => u.username === username);
+    if (!user || !checkPassword(password, user.passwordHash)) return null;
+    const token = newToken();
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+    writeJson(SESSIONS_FILE, [...loadSessions(), { hash: sha256(token), username, createdAt: new Date().toISOString(), expiresAt }]);
+    return { token, expiresAt, user: publicUser(user) };
+}
+
+function logout(token) {
+    const hash = sha256(token);
+    writeJson(SESSIONS_FILE, loadSessions().filter(s => s.hash !== hash));
+}
+
+// Long-lived tokens for scripts (curl, schedulers). The value is shown once.
+function createApiToken(username, name) {
+    if (typeof name !== 'string' || !name.trim()) throw new Error('Invalid token: name is required');
+    const users = loadUsers();
+    const i = findIndex(users, username);
+    const token = newToken('sc_');
+    const entry = { id: crypto.randomBytes(6).toString('hex'), name: name.trim(), hash: sha256(token), createdAt: new Date().toISOString(), lastUsedAt: null };
+    users[i] = { ...users[i], tokens: [...(users[i].tokens || []), entry] };
+    saveUsers(users);
+    return { token, id: entry.id, name: entry.name };
+}
+
+function revokeApiToken(username, id) {
+    const users = loadUsers();
+    const i = findIndex(users, username);
+    if (!(users[i].tokens || []).some(t => t.id === id)) throw Object.assign(new Error(`Unknown token ${id}`), { status: 404 });
+    users[i] = { ...users[i], tokens: users[i].tokens.filter(t => t.id !== id) };
+    saveUsers(users);
+}
+
+// Bearer value -> public user, or null
+function authenticate(token) {
+    if (!token) return null;
+    const hash = sha256(token);
+    const users = loadUsers();
+    const session = loadSessions().find(s => s.hash === hash);
+    if (session) {
+        const user = users.find(u => u.username === session.username);
+        return user ? publicUser(user) : null;
+    }
+    const user = users.find(u => (u.tokens || []).some(t => t.hash === hash));
+    if (!user) return null;
+    const entry = user.tokens.find(t => t.hash === hash);
+    if (!entry.lastUsedAt || Date.now() - Date.parse(entry.lastUsedAt) > TOKEN_TOUCH_MS) {
+        entry.lastUsedAt = new Date().toISOString();
+        saveUsers(users);
+    }
+    return publicUser(user);
+}
+
+// EventSource cannot send headers, and a session or API token in a URL ends up in access logs and
+// browser history. An event stream is opened with a ticket instead: issued to a logged-in user by
+// an authenticated POST, good for one stream at one path, used once, within STREAM_TICKET_TTL_MS.
+// Only ticket hashes are kept, in memory.
+const streamTickets = new Map();
+
+function issueStreamTicket(user, streamPath) {
+    const now = Date.now();
+    for (const [hash, t] of streamTickets) if (t.expiresAt <= now) streamTickets.delete(hash);
+    const ticket = newToken('st_');
+    streamTickets.set(sha256(ticket), { username: user.username, path: streamPath, expiresAt: now + STREAM_TICKET_TTL_MS });
+    return { ticket, expiresAt: new Date(now + STREAM_TICKET_TTL_MS).toISOString() };
+}
+
+// Ticket -> public user, or null. A ticket is spent by any attempt, right path or not.
+function redeemStreamTicket(ticket, streamPath) {
+    if (!ticket) return null;
+    const hash = sha256(ticket);
+    const entry = streamTickets.get(hash);
+    if (!entry) return null;
+    streamTickets.delete(hash);
+    if (entry.expiresAt <= Date.now() || entry.path !== streamPath) return null;
+    const user = loadUsers().find(u => u.username === entry.username);
+    return user ? publicUser(user) : null;
+}
+
+// --- EXPRESS ---
+
+// Sets req.user from "Authorization: Bearer <token>", or for a GET of an event stream from ?ticket=
+function requireAuth(req, res, next) {
+    const header = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+    if (header) req.user = authenticate(header[1]);
+    else req.user = req.method === 'GET' && req.path.endsWith('/events') ? redeemStreamTicket(req.query.ticket, req.baseUrl + req.path) : null;
+    if (!req.user) return res.status(401).json({ success: false, error: hasUsers() ? 'Login required' : 'No users yet: create the first admin', setupRequired: !hasUsers() });
+    next();
+}
+
+const allow = (...roles) => (req, res, next) => {
+    if (roles.includes(req.user?.role)) return next();
+    res.status(403).json({ success: false, error: `Not allowed for ${req.user?.role || 'anonymous'} users` });
+};
+
+// Route groups a user may see; null = everything
+const visibleGroups = (user) => (user.role === 'agent' ? user.routeGroups : null);
+
+if (require.main === module) {
+    const [command, username, role, groups] = process.argv.slice(2);
+    if (command !== 'add-user' || !username || !role) {
+        console.error('Usage: node lib/auth.js add-user <username> <admin|accountant|agent> [route groups, comma separated]');
+        process.exit(1);
+    }
+    const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+    rl.question(`Password for ${username}: `, (password) => {
+        rl.close();
+        try {
+            createUser({ username, password, role, routeGroups: groups ? groups.split(',').map(g => g.trim()).filter(Boolean) : [] });
+            console.log(`Created ${role} ${username}`);
+        } catch (e) {
+            console.error(e.message);
+            process.exit(1);
+        }
+    });
+}
+
+module.exports = {
+    ROLES,
+    hasUsers,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    login,
+    logout,
+    createApiToken,
+    revokeApiToken,
+    authenticate,
+    issueStreamTicket,
+    requireAuth,
+    allow,
+    visibleGroups
+};
@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./json-store');
+const { DEFAULT_TERMS, openItems, parseVoucherDate } = require('./shared/aging.mjs');
+const { voucherCategory } = require('./voucher-types');
+
+// Daily collection sheets: the parties of one route group with a balance, for an agent to take
+// out on the line, and the amounts they bring back. Entered amounts are kept in
+// state/collections.json as pending until a sync brings in receipts that cover them
+// (reconcileCollections). A route group's saved visit order lives in state/visit-orders.json.
+const COLLECTIONS_FILE = 'collections.json';
+const VISIT_ORDER_FILE = 'visit-orders.json';
+const ORDERS = ['overdue', 'visit'];
+const MODES = ['cash', 'cheque', 'upi', 'other'];
+// A receipt this many days after the collection still reconciles it (cash banked late, cheques clearing)
+const GRACE_DAYS = 7;
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const isDay = (s) => typeof s === 'string' && DAY.test(s) && !isNaN(Date.parse(s));
+const isoDay = (d) => (d ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}` : null);
+const addDays = (day, n) => {
+    const d = new Date(`${day}T00:00:00`);
+    d.setDate(d.getDate() + n);
+    return isoDay(d);
+};
+const round = (n) => Math.round(n * 100) / 100;
+const partyKey = (company, ledger) => `${company || ''}\u0000${ledger}`;
+
+// ?group= (required) &date=YYYY-MM-DD (default today) &order=overdue|visit
+function parseSheetQuery(q) {
+    const query = { group: q.group || null, date: q.date || isoDay(new Date()), order: q.order || 'overdue' };
+    const errors = [];
+    if (!query.group) errors.push('group is required');
+    if (!isDay(query.date)) errors.push('date must be YYYY-MM-DD');
+    if (!ORDERS.includes(query.order)) errors.push(`order must be one of ${ORDERS.join(', ')}`);
+    if (errors.length) throw new Error(`Invalid query: ${errors.join('; ')}`);
+    return query;
+}
+
+const loadCollections = () => readJson(COLLECTIONS_FILE, []);
+const loadVisitOrders = () => readJson(VISIT_ORDER_FILE, {});
+
+// Receipts on a ledger, oldest first: { date: YYYY-MM-DD, no, amount }
+const receiptsOf = (ledger) => (ledger.transactions || [])
+    .filter(t => t.sign === 'Cr' && voucherCategory(t) === 'receipt')
+    .map(t => ({ date: isoDay(parseVoucherDate(t.date)), no: t.no || '', amount: t.amount }))
+    .filter(r => r.date)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// The oldest bill past its credit period (bill-wise: past its due date), or null
+function oldestOverdue(ledger, today) {
+    const terms = ledger.creditPeriod ?? DEFAULT_TERMS;
+    const item = openItems(ledger, today).find(i => i.days > (ledger.billWise ? 0 : terms));
+    return item ? { ref: item.ref, date: isoDay(item.date), overdueDays: ledger.billWise ? item.days : item.days - terms, amount: round(item.amount) } : null;
+}
+
+// ledgers: the group's debtors with a Dr balance, as ledgerDb.ledger returns them
+// -> { group, date, order, total, entries: [{ company, ledger, outstanding, oldestOverdue, lastReceipt, collected }] }
+// `collected` lists what was already entered against the party for that date.
+function collectionSheet(ledgers, { group, date, order }, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const entered = loadCollections().filter(c => c.group === group && c.date === date);
+    const entries = ledgers.map(l => {
+        const receipts = receiptsOf(l);
+        const last = receipts[receipts.length - 1];
+        return {
+            company: l.company || null,
+            ledger: l.name,
+            phone: l.phone || null,
+            outstanding: l.amount,
+            oldestOverdue: oldestOverdue(l, today),
+            lastReceipt: last ? { date: last.date, amount: last.amount } : null,
+            collected: entered.filter(c => c.company === (l.company || '') && c.ledger === l.name)
+        };
+    });
+
+    // Overdue severity: the longest overdue first, then the biggest balance
+    const severity = (a, b) => (b.oldestOverdue?.overdueDays ?? -1) - (a.oldestOverdue?.overdueDays ?? -1) || b.outstanding - a.outstanding;
+    const visits = (loadVisitOrders()[group] || []).map(v => partyKey(v.company, v.ledger));
+    const stop = (e) => {
+        const i = visits.indexOf(partyKey(e.company, e.ledger));
+        return i === -1 ? Infinity : i;
+    };
+    entries.sort(order === 'visit' ? (a, b) => stop(a) - stop(b) || severity(a, b) : severity);
+    return { group, date, order, hasVisitOrder: visits.length > 0, total: round(entries.reduce((s, e) => s + e.outstanding, 0)), entries };
+}
+
+// ledgers: [{ company, ledger }] in the order the agent visits them
+function saveVisitOrder(group, ledgers) {
+    if (!Array.isArray(ledgers) || ledgers.some(l => typeof l?.ledger !== 'string' || typeof (l.company ?? '') !== 'string')) {
+        throw new Error('Invalid visit order: ledgers must be a list of { company, ledger }');
+    }
+    const orders = loadVisitOrders();
+    const order = ledgers.map(l => ({ company: l.company || '', ledger: l.ledger }));
+    writeJson(VISIT_ORDER_FILE, { ...orders, [group]: order });
+    return order;
+}
+
+function validateCollection(input) {
+    const c = { amount: input.amount, mode: input.mode || 'cash', note: typeof input.note === 'string' ? input.note.trim() : input.note ?? '' };
+    const errors = [];
+    if (typeof input.ledger !== 'string' || !input.ledger) errors.push('ledger is required');
+    if (typeof c.amount !== 'number' || !(c.amount > 0)) errors.push('amount must be a positive number');
+    if (!MODES.includes(c.mode)) errors.push(`mode must be one of ${MODES.join(', ')}`);
+    if (typeof c.note !== 'string' || c.note.length > 500) errors.push('note must be text of at most 500 characters');
+    return { c, errors };
+}
+
+// Amounts from one sheet: { group, date, entries: [{ company, ledger, amount, mode, note }] }
+function addCollections({ group, date, entries }, username) {
+    const errors = [];
+    if (!isDay(date)) errors.push('date must be YYYY-MM-DD');
+    if (!Array.isArray(entries) || !entries.length) errors.push('give at least one entry');
+    const valid = (Array.isArray(entries) ? entries : []).map((e, i) => {
+        const { c, errors: own } = validateCollection(e || {});
+        errors.push(...own.map(m => `entries[${i}].${m}`));
+        return { ...c, company: e?.company || '', ledger: e?.ledger };
+    });
+    if (errors.length) throw new Error(`Invalid collections: ${errors.join('; ')}`);
+    const at = new Date().toISOString();
+    const added = valid.map(c => ({
+        id: crypto.randomBytes(6).toString('hex'),
+        company: c.company,
+        ledger: c.ledger,
+        group,
+        date,
+        amount: c.amount,
+        mode: c.mode,
+        note: c.note,
+        by: username,
+        at,
+        status: 'pending',
+        receipts: [],
+        settledAt: null
+    }));
+    writeJson(COLLECTIONS_FILE, [...loadCollections(), ...added]);
+    return added;
+}
+
+// Entries can be taken back by their author or an admin while still pending
+function deleteCollection(id, user) {
+    const entries = loadCollections();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) throw Object.assign(new Error(`Unknown collection ${id}`), { status: 404 });
+    if (entry.by !== user.username && user.role !== 'admin') throw Object.assign(new Error('Only the author or an admin can delete a collection'), { status: 403 });
+    if (entry.status !== 'pending') throw Object.assign(new Error('Only pending collections can be deleted'), { status: 409 });
+    writeJson(COLLECTIONS_FILE, entries.filter(e => e.id !== id));
+}
+
+// Newest first. Filters: company (null = every company), group, status, date
+function listCollections({ company = null, group = null, status = null, date = null } = {}) {
+    return loadCollections()
+        .filter(e => (company === null || e.company === company) && (!group || e.group === group) && (!status || e.status === status) && (!date || e.date === date))
+        .reverse();
+}
+
+// Checks the company's pending collections against its receipts after a sync. Receipts from the
+// collection date up to GRACE_DAYS later count, earliest collection first, and a receipt only
+// ever reconciles one collection. One still not covered once the grace period has passed is
+// unmatched: the money was entered on a sheet but never booked in Tally.
+function reconcileCollections(data) {
+    const company = data.company || '';
+    const entries = loadCollections();
+    const pending = entries.filter(e => e.company === company && e.status === 'pending').sort((a, b) => a.date.localeCompare(b.date) || a.at.localeCompare(b.at));
+    const result = { reconciled: 0, unmatched: 0 };
+    if (!pending.length) return result;
+
+    const today = isoDay(new Date(data.updatedAt || Date.now()));
+    const ledgers = new Map([...Object.values(data.debtors || {}).flat(), ...Object.values(data.hiddenDebtors || {}).flat()].map(l => [l.name, l]));
+    const receiptKey = (ledger, r) => [ledger, r.date, r.no, r.amount].join('|');
+    const used = new Set(entries.filter(e => e.company === company && e.status === 'reconciled').flatMap(e => e.receipts.map(r => receiptKey(e.ledger, r))));
+
+    pending.forEach(e => {
+        const until = addDays(e.date, GRACE_DAYS);
+        const receipts = receiptsOf(ledgers.get(e.ledger) || {}).filter(r => r.date >= e.date && r.date <= until && !used.has(receiptKey(e.ledger, r)));
+        const counted = [];
+        let received = 0;
+        for (const r of receipts) {
+            if (received >= e.amount) break;
+            counted.push(r);
+            received += r.amount;
+        }
+        if (received >= e.amount) {
+            counted.forEach(r => used.add(receiptKey(e.ledger, r)));
+            Object.assign(e, { status: 'reconciled', receipts: counted, settledAt: counted[counted.length - 1].date });
+            result.reconciled++;
+        } else if (today > until) {
+            Object.assign(e, { status: 'unmatched', receipts: counted, settledAt: today });
+            result.unmatched++;
+        }
+    });
+    writeJson(COLLECTIONS_FILE, entries);
+    return result;
+}
+
+module.exports = { MODES, parseSheetQuery, collectionSheet, saveVisitOrder, addCollections, deleteCollection, listCollections, reconcileCollections };
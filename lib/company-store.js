@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+const EMPTY_DATA = { updatedAt: null, debtors: {}, creditors: [] };
+
+const FY_RE = /^\d{4}-\d{2}$/;
+
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'company';
+
+// One JSON file per Tally company, next to the main data file:
+//   credit-data.json             default company (what older dashboards and the cloud URL read)
+//   credit-data--<slug>.json     every other company
+//   archives/<data file>/FY2023-24.json   frozen closed financial years of that company
+//   companies.json               index of the above, published with them
+// The first company ever synced becomes the default.
+function createCompanyStore(dataFile) {
+    const dir = path.dirname(dataFile);
+    const base = path.basename(dataFile, '.json');
+    const indexFile = path.join(dir, 'companies.json');
+
+    const readJsonFile = (file, fallback) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : fallback);
+
+    function loadIndex() {
+        const index = readJsonFile(indexFile, null);
+        if (index) return index;
+        // Data synced before multi-company support: the single file is the default company
+        const legacy = readJsonFile(dataFile, null);
+        const name = legacy?.company || null;
+        return { default: name, companies: legacy && name ? [{ name, file: path.basename(dataFile), updatedAt: legacy.updatedAt }] : [] };
+    }
+
+    function fileFor(name, index = loadIndex()) {
+        if (!name || !index.default || name === index.default) return dataFile;
+        return path.join(dir, `${base}--${slug(name)}.json`);
+    }
+
+    function load(name) {
+        return readJsonFile(fileFor(name), EMPTY_DATA);
+    }
+
+    function has(name) {
+        return fs.existsSync(fileFor(name));
+    }
+
+    function save(data) {
+        const index = loadIndex();
+        if (!index.default && data.company) index.default = data.company;
+        const file = fileFor(data.company, index);
+        fs.writeFileSync(file, JSON.stringify(data, null, 2));
+
+        if (data.company) updateEntry(index, data.company, { file: path.basename(file), updatedAt: data.updatedAt });
+        return file;
+    }
+
+    function updateEntry(index, name, patch) {
+        const existing = index.companies.find(c => c.name === name) || { name, file: path.basename(fileFor(name, index)), updatedAt: null, archives: [] };
+        const entry = { archives: [], ...existing, ...patch };
+        index.companies = [...index.companies.filter(c => c.name !== name), entry].sort((a, b) => a.name.localeCompare(b.name));
+        fs.writeFileSync(indexFile, JSON.stringify(index, null, 2));
+    }
+
+    // --- FY ARCHIVES ---
+
+    const archiveDir = (name, index) => path.join(dir, 'archives', path.basename(fileFor(name, index), '.json'));
+    // `fy` is a label like 2023-24; anything else (a path from a request, say) never reaches the disk
+    function archiveFile(name, fy, index = loadIndex()) {
+        if (!FY_RE.test(fy)) throw Object.assign(new Error(`Invalid financial year "${fy}" (use e.g. 2024-25)`), { status: 400 });
+        const root = path.resolve(dir, 'archives');
+        const file = path.resolve(archiveDir(name, index), `FY${fy}.json`);
+        if (!file.startsWith(root + path.sep)) throw Object.assign(new Error(`Invalid financial year "${fy}"`), { status: 400 });
+        return file;
+    }
+
+    function hasArchive(name, fy) { return fs.existsSync(archiveFile(name, fy)); }
+
+    function loadArchive(name, fy) { return readJsonFile(archiveFile(name, fy), null); }
+
+    function listArchives(name) {
+        const index = loadIndex();
+        const entry = index.companies.find(c => c.name === (name || index.default));
+        if (entry) return entry.archives || [];
+        // Company not in the index (legacy single file): look at the disk
+        const d = archiveDir(name, index);
+        return fs.existsSync(d) ? fs.readdirSync(d).filter(f => /^FY\d{4}-\d{2}\.json$/.test(f)).map(f => ({ fy: f.slice(2, -5), file: path.relative(dir, path.join(d, f)).split(path.sep).join('/') })) : [];
+    }
+
+    function saveArchive(archive) {
+        const index = loadIndex();
+        if (!index.default && archive.company) index.default = archive.company;
+        const file = archiveFile(archive.company, archive.fy, index);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(archive, null, 2));
+        if (archive.company) {
+            const existing = (index.companies.find(c => c.name === archive.company)?.archives || []).filter(a => a.fy !== archive.fy);
+            const rel = path.relative(dir, file).split(path.sep).join('/');
+            updateEntry(index, archive.company, { archives: [...existing, { fy: archive.fy, file: rel, frozenAt: archive.frozenAt }].sort((a, b) => a.fy.localeCompare(b.fy)) });
+        }
+        return file;
+    }
+
+    // Every data file, for changes (like route group config) that apply to all companies
+    function forEach(fn) {
+        const index = loadIndex();
+        const names = index.companies.length ? index.companies.map(c => c.name) : [null];
+        names.forEach(name => {
+            if (has(name)) fn(load(name), name);
+        });
+    }
+
+    // Files the publish step pushes
+    function publishedFiles() {
+        const index = loadIndex();
+        const files = index.companies.flatMap(c => [c.file, ...(c.archives || []).map(a => a.file)]).map(f => path.join(dir, f));
+        if (!files.includes(dataFile)) files.unshift(dataFile);
+        if (fs.existsSync(indexFile)) files.push(indexFile);
+        return files.filter(f => fs.existsSync(f));
+    }
+
+    return { loadIndex, fileFor, load, has, save, forEach, publishedFiles, hasArchive, loadArchive, listArchives, saveArchive };
+}
+
+module.exports = { createCompanyStore, EMPTY_DATA, slug };
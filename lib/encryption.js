@@ -0,0 +1,65 @@
+// Encryption of the published data. Files leave the machine as a JSON envelope holding AES-256-GCM
+// ciphertext under a key derived from a passphrase (PBKDF2-SHA256). The dashboard derives the same
+// key with WebCrypto (lib/shared/envelope.mjs, test/encryption.test.js checks it opens these files).
+// Usage: PUBLISH_PASSPHRASE=... node lib/encryption.js <envelope file>   prints the plaintext
+const crypto = require('crypto');
+const fs = require('fs');
+const { readJson, writeJson } = require('./json-store');
+const { ENVELOPE } = require('./shared/envelope.mjs');
+
+const ITERATIONS = 600000;
+// One salt per installation, so every file and every sync shares a key a browser can remember
+const SALT_FILE = 'publish-salt.json';
+
+function loadKdf() {
+    const stored = readJson(SALT_FILE, null);
+    if (stored) return stored;
+    return writeJson(SALT_FILE, { salt: crypto.randomBytes(16).toString('base64'), iterations: ITERATIONS });
+}
+
+const keys = new Map();
+function deriveKey(passphrase, { salt, iterations }) {
+    const id = `${salt}:${iterations}:${crypto.createHash('sha256').update(passphrase).digest('hex')}`;
+    if (!keys.has(id)) keys.set(id, crypto.pbkdf2Sync(passphrase, Buffer.from(salt, 'base64'), iterations, 32, 'sha256'));
+    return keys.get(id);
+}
+
+// Envelope fields other than `ciphertext` are public: format, KDF parameters and the IV
+function encryptPayload(plaintext, passphrase, kdf = loadKdf()) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, kdf), iv);
+    // WebCrypto expects the auth tag appended to the ciphertext
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    return Buffer.from(JSON.stringify({
+        encrypted: ENVELOPE,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: kdf.iterations, salt: kdf.salt },
+        cipher: { name: 'AES-GCM', iv: iv.toString('base64') },
+        ciphertext: ciphertext.toString('base64')
+    }));
+}
+
+const isEnvelope = (json) => json?.encrypted === ENVELOPE;
+
+// Throws on a wrong passphrase or tampered data (GCM authentication)
+function decryptPayload(envelope, passphrase) {
+    if (!isEnvelope(envelope)) throw new Error('Not an encrypted data file');
+    const data = Buffer.from(envelope.ciphertext, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(passphrase, envelope.kdf), Buffer.from(envelope.cipher.iv, 'base64'));
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    try {
+        return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]);
+    } catch (e) {
+        throw new Error('Wrong passphrase or damaged file');
+    }
+}
+
+if (require.main === module) {
+    const file = process.argv[2];
+    if (!file || !process.env.PUBLISH_PASSPHRASE) {
+        console.error('Usage: PUBLISH_PASSPHRASE=... node lib/encryption.js <envelope file>');
+        process.exit(1);
+    }
+    process.stdout.write(decryptPayload(JSON.parse(fs.readFileSync(file, 'utf-8')), process.env.PUBLISH_PASSPHRASE));
+}
+
+module.exports = { ENVELOPE, encryptPayload, decryptPayload, isEnvelope };
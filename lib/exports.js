@@ -0,0 +1,165 @@
+const ExcelJS = require('exceljs');
+const { BUCKETS } = require('./shared/aging.mjs');
+const { buildStatement } = require('./statements');
+
+// Spreadsheet exports of what the dashboard shows: the aging report, route group totals, party
+// lists and a single ledger. Each report is a list of sheets ({ name, columns, rows }). An .xlsx
+// carries all of them; a CSV carries the first, so every report puts its main table first.
+const FORMATS = ['csv', 'xlsx'];
+const MONEY_FORMAT = '"₹"#,##0.00';
+const BUCKET_LABELS = { '0-30': '< 30 Days', '30-60': '30-60 Days', '60-90': '60-90 Days', '90+': '> 90 Days' };
+
+const parseExportFormat = (format) => {
+    if (format === undefined) return 'xlsx';
+    if (!FORMATS.includes(format)) throw new Error(`Invalid query: format must be one of ${FORMATS.join(', ')}`);
+    return format;
+};
+
+const money = (header, value, width = 16) => ({ header, value, width, money: true });
+const text = (header, value, width = 14) => ({ header, value, width });
+// Balances go out unsigned next to a Dr/Cr column, the way Tally prints them
+const drCr = (n) => (n >= 0 ? 'Dr' : 'Cr');
+
+// Shared by the party list and the aging sheets; `company` only when rows span companies
+const partyColumns = (consolidated) => [
+    ...(consolidated ? [text('Company', r => r.company || '', 24)] : []),
+    text('Party', r => r.name, 36),
+    text('Route Group', r => r.group || '', 20)
+];
+
+// Rows from ledgerDb.ledgers, every page
+function agingReport(rows, { consolidated }) {
+    const columns = [
+        ...partyColumns(consolidated),
+        text('Type', r => r.type, 6),
+        ...BUCKETS.map(b => money(BUCKET_LABELS[b], r => r.aging[b])),
+        money('Of Which Not Due', r => r.aging.notDue),
+        money('Balance', r => r.amount),
+        text('Bucket', r => BUCKET_LABELS[r.bucket], 12)
+    ];
+    const byBucket = BUCKETS.map(b => ({ bucket: b, rows: rows.filter(r => r.bucket === b) }));
+    return [
+        { name: 'All Parties', columns, rows },
+        ...byBucket.map(({ bucket, rows: list }) => ({ name: BUCKET_LABELS[bucket], columns, rows: list })),
+        {
+            name: 'Summary',
+            columns: [
+                text('Bucket', r => BUCKET_LABELS[r.bucket], 14),
+                text('Parties', r => r.rows.length, 10),
+                ...BUCKETS.map(b => money(`${BUCKET_LABELS[b]} Amount`, r => r.rows.reduce((s, l) => s + l.aging[b], 0))),
+                money('Balance', r => r.rows.reduce((s, l) => s + l.amount, 0))
+            ],
+            rows: byBucket
+        }
+    ];
+}
+
+// ledgerDb.groups result
+function groupsReport(result) {
+    return [
+        {
+            name: 'Route Groups',
+            columns: [text('Route Group', r => r.name || '', 28), text('Parties', r => r.count, 10), money('Balance', r => Math.abs(r.total)), text('Dr/Cr', r => drCr(r.total), 6)],
+            rows: result.groups
+        },
+        {
+            name: 'Companies',
+            columns: [
+                text('Company', r => r.company || '', 28),
+                text('Debtors', r => r.debtors, 10), money('Receivable', r => r.dr),
+                text('Creditors', r => r.creditors, 10), money('Payable', r => r.cr),
+                text('Updated', r => r.updatedAt || '', 22)
+            ],
+            rows: result.companies
+        }
+    ];
+}
+
+function partiesReport(rows, { consolidated }) {
+    return [{
+        name: 'Parties',
+        columns: [
+            ...partyColumns(consolidated),
+            text('Sub-group', r => (r.subPath || []).join(' / '), 24),
+            text('Kind', r => r.kind, 10),
+            money('Balance', r => r.amount),
+            text('Dr/Cr', r => r.type, 6),
+            text('Vouchers', r => r.voucherCount, 10),
+            text('Last Voucher', r => r.lastVoucherAt || '', 14),
+            text('Bucket', r => BUCKET_LABELS[r.bucket], 12),
+            money('Credit Limit', r => r.creditLimit),
+            text('Risk Score', r => r.risk?.score ?? '', 10),
+            text('Over Limit', r => (r.overLimit ? 'Yes' : ''), 10)
+        ],
+        rows
+    }];
+}
+
+// A ledger from ledgerDb.ledger (archived years already joined on), cut to { from, to } like its statement
+function ledgerReport(ledger, range) {
+    const s = buildStatement(ledger, range);
+    const line = (particulars, n) => ({ particulars, debit: n < 0 ? -n : null, credit: n > 0 ? n : null, balance: n, bold: true });
+    const rows = [
+        line('Opening Balance', s.opening),
+        ...s.rows.map(r => ({ date: r.date, particulars: r.account || 'As per details', type: r.type, no: r.no, debit: r.sign === 'Dr' ? r.amount : null, credit: r.sign === 'Cr' ? r.amount : null, balance: r.balance })),
+        line('Closing Balance', s.closing)
+    ];
+    const sheets = [{
+        name: 'Vouchers',
+        columns: [
+            text('Date', r => r.date || '', 12), text('Particulars', r => r.particulars, 36), text('Vch Type', r => r.type || '', 12), text('Vch No.', r => r.no || '', 10),
+            money('Debit', r => r.debit), money('Credit', r => r.credit),
+            // Tally's sign: negative is Dr
+            money('Balance', r => Math.abs(r.balance)), text('Dr/Cr', r => (Math.abs(r.balance) < 0.005 ? '' : r.balance < 0 ? 'Dr' : 'Cr'), 6)
+        ],
+        rows
+    }];
+    if (ledger.bills?.length) {
+        sheets.push({
+            name: 'Outstanding Bills',
+            columns: [text('Bill', r => r.ref, 16), text('Bill Date', r => r.date || '', 12), text('Due Date', r => r.dueDate || '', 12), text('Credit Days', r => r.creditDays ?? '', 12), money('Pending', r => r.amount), text('Dr/Cr', r => r.sign, 6)],
+            rows: ledger.bills
+        });
+    }
+    return sheets;
+}
+
+// --- WRITERS ---
+
+// Cells starting like a formula are quoted so a spreadsheet shows them as text
+const csvCell = (v) => {
+    if (v === null || v === undefined) return '';
+    let s = typeof v === 'number' ? String(Math.round(v * 100) / 100) : String(v);
+    if (typeof v === 'string' && /^[=+\-@]/.test(s)) s = `'${s}`;
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// With a BOM, so Excel reads the file as UTF-8
+function toCsv([sheet]) {
+    const lines = [sheet.columns.map(c => csvCell(c.header)), ...sheet.rows.map(r => sheet.columns.map(c => csvCell(c.value(r))))];
+    return Buffer.from(`\ufeff${lines.map(l => l.join(',')).join('\r\n')}\r\n`);
+}
+
+async function toXlsx(sheets, title) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'SmartCredit';
+    workbook.title = title;
+    sheets.forEach(sheet => {
+        const ws = workbook.addWorksheet(sheet.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+        ws.columns = sheet.columns.map((c, i) => ({ header: c.header, key: String(i), width: c.width, style: c.money ? { numFmt: MONEY_FORMAT } : {} }));
+        ws.getRow(1).font = { bold: true };
+        sheet.rows.forEach(r => {
+            const row = ws.addRow(sheet.columns.map(c => c.value(r) ?? null));
+            if (r.bold) row.font = { bold: true };
+        });
+        ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: sheet.columns.length } };
+    });
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// -> { body, type } for the given format
+async function renderExport(sheets, format, title) {
+    return format === 'csv' ? { body: toCsv(sheets), type: 'text/csv; charset=utf-8' } : { body: await toXlsx(sheets, title), type: 'xlsx' };
+}
+
+module.exports = { FORMATS, parseExportFormat, agingReport, groupsReport, partiesReport, ledgerReport, renderExport };
@@ -0,0 +1,62 @@
+// Indian financial years run April 1 to March 31. A FY is identified by its label, "2024-25",
+// and internally by its start year (2024). Tally dates are YYYYMMDD strings.
+
+const pad = (n) => n.toString().padStart(2, '0');
+const tallyDate = (d) => `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+
+function fyStartYear(date = new Date()) {
+    return date.getMonth() < 3 ? date.getFullYear() - 1 : date.getFullYear();
+}
+
+const fyLabel = (startYear) => `${startYear}-${pad((startYear + 1) % 100)}`;
+
+// Accepts "2024-25", "2024" or 2024
+function parseFy(value) {
+    const m = /^(\d{4})(?:-(\d{2}))?$/.exec(String(value).trim());
+    if (!m) throw new Error(`Invalid financial year "${value}" (use e.g. 2024-25)`);
+    const start = parseInt(m[1], 10);
+    if (m[2] && parseInt(m[2], 10) !== (start + 1) % 100) throw new Error(`Invalid financial year "${value}"`);
+    return start;
+}
+
+// Accepts YYYYMMDD or YYYY-MM-DD
+function parseTallyDate(value) {
+    const m = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(String(value).trim());
+    if (!m) throw new Error(`Invalid date "${value}" (use YYYY-MM-DD)`);
+    const d = new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
+    if (isNaN(d.getTime()) || d.getDate() !== parseInt(m[3], 10)) throw new Error(`Invalid date "${value}"`);
+    return d;
+}
+
+// Full FY range, cut off at today for the running year
+function fyRange(startYear, now = new Date()) {
+    const end = new Date(startYear + 1, 2, 31);
+    return {
+        fy: fyLabel(startYear),
+        startDate: `${startYear}0401`,
+        endDate: end > now ? tallyDate(now) : tallyDate(end),
+        closed: end < now
+    };
+}
+
+// Start years of every FY touched by a from/to range. Archives are per FY, so ranges round out to whole years.
+function fysForRange(from, to = new Date()) {
+    const first = fyStartYear(parseTallyDate(from));
+    const last = fyStartYear(to instanceof Date ? to : parseTallyDate(to));
+    if (first > last) throw new Error('from must be before to');
+    const years = [];
+    for (let y = first; y <= last; y++) years.push(y);
+    return years;
+}
+
+// Archives that can be joined onto the running year: an unbroken run of FYs ending with last year,
+// newest first, back to `since` (a FY label). The dashboard's usableArchives does the same.
+function archiveChain(archives, since, now = new Date()) {
+    const byFy = new Map(archives.map(a => [a.fy, a]));
+    const first = parseFy(since);
+    const chain = [];
+    for (let y = fyStartYear(now) - 1; y >= first && byFy.has(fyLabel(y)); y--) chain.push(byFy.get(fyLabel(y)));
+    return chain;
+}
+
+module.exports = { tallyDate, fyStartYear, fyLabel, parseFy, parseTallyDate, fyRange, fysForRange, archiveChain };
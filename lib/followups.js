@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { readJson, writeJson } = require('./json-store');
+const { parseVoucherDate } = require('./shared/aging.mjs');
+const { voucherCategory } = require('./voucher-types');
+
+// Collection follow-ups per ledger: call and visit notes, promises to pay, the next action date.
+// They live in state/followups.json, apart from the synced data, so a sync never overwrites them.
+// A sync only settles open promises against the receipts it brought in (settlePromises).
+const FOLLOWUPS_FILE = 'followups.json';
+const CHANNELS = ['call', 'visit', 'message', 'other'];
+// A receipt this many days after the promised date still keeps the promise (cheques clear late)
+const GRACE_DAYS = 3;
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const isDay = (s) => typeof s === 'string' && DAY.test(s) && !isNaN(Date.parse(s));
+const isoDay = (d) => (d ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}` : null);
+const addDays = (day, n) => {
+    const d = new Date(`${day}T00:00:00`);
+    d.setDate(d.getDate() + n);
+    return isoDay(d);
+};
+
+function validateFollowUp(input) {
+    const f = {
+        channel: input.channel || 'call',
+        note: typeof input.note === 'string' ? input.note.trim() : input.note ?? '',
+        nextActionDate: input.nextActionDate || null,
+        promise: input.promise || null
+    };
+    const errors = [];
+    if (typeof input.ledger !== 'string' || !input.ledger) errors.push('ledger is required');
+    if (!CHANNELS.includes(f.channel)) errors.push(`channel must be one of ${CHANNELS.join(', ')}`);
+    if (typeof f.note !== 'string' || f.note.length > 2000) errors.push('note must be text of at most 2000 characters');
+    if (f.nextActionDate !== null && !isDay(f.nextActionDate)) errors.push('nextActionDate must be YYYY-MM-DD');
+    if (f.promise !== null) {
+        if (typeof f.promise.amount !== 'number' || !(f.promise.amount > 0)) errors.push('promise.amount must be a positive number');
+        if (!isDay(f.promise.date)) errors.push('promise.date must be YYYY-MM-DD');
+    }
+    if (!f.note && !f.promise && !f.nextActionDate) errors.push('give a note, a promise or a next action date');
+    if (errors.length) throw new Error(`Invalid follow-up: ${errors.join('; ')}`);
+    return f;
+}
+
+const loadFollowUps = () => readJson(FOLLOWUPS_FILE, []);
+
+// `company` as the ledger index stores it: '' for a data file without a company name
+function addFollowUp({ company, ledger, ...input }, username) {
+    const f = validateFollowUp({ ledger, ...input });
+    const entry = {
+        id: crypto.randomBytes(6).toString('hex'),
+        company: company || '',
+        ledger,
+        at: new Date().toISOString(),
+        by: username,
+        ...f,
+        promise: f.promise && { amount: f.promise.amount, date: f.promise.date, status: 'open', received: 0, receipts: [], settledAt: null }
+    };
+    writeJson(FOLLOWUPS_FILE, [...loadFollowUps(), entry]);
+    return entry;
+}
+
+// Authors can take back their own entries; admins any
+function deleteFollowUp(id, user) {
+    const entries = loadFollowUps();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) throw Object.assign(new Error(`Unknown follow-up ${id}`), { status: 404 });
+    if (entry.by !== user.username && user.role !== 'admin') throw Object.assign(new Error('Only the author or an admin can delete a follow-up'), { status: 403 });
+    writeJson(FOLLOWUPS_FILE, entries.filter(e => e.id !== id));
+}
+
+// Newest first
+function listFollowUps(company, ledger) {
+    return loadFollowUps().filter(e => e.company === (company || '') && e.ledger === ledger).reverse();
+}
+
+// Ledgers needing attention on `date` (YYYY-MM-DD), overdue ones included: the latest entry's next
+// action date has come, or an open promise is due. company null = every company.
+function dueFollowUps(date, company = null) {
+    const byLedger = new Map();
+    loadFollowUps().forEach(e => {
+        if (company !== null && e.company !== company) return;
+        const key = `${e.company}\u0000${e.ledger}`;
+        byLedger.set(key, [...(byLedger.get(key) || []), e]);
+    });
+    const due = [];
+    byLedger.forEach(entries => {
+        const latest = entries[entries.length - 1];
+        const promise = entries.filter(e => e.promise?.status === 'open' && e.promise.date <= date).map(e => e.promise).sort((a, b) => a.date.localeCompare(b.date))[0] || null;
+        const action = latest.nextActionDate && latest.nextActionDate <= date ? latest.nextActionDate : null;
+        if (!action && !promise) return;
+        due.push({
+            company: latest.company || null,
+            ledger: latest.ledger,
+            dueDate: [action, promise?.date].filter(Boolean).sort()[0],
+            nextActionDate: action,
+            promise,
+            last: { at: latest.at, by: latest.by, channel: latest.channel, note: latest.note }
+        });
+    });
+    return due.sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.ledger.localeCompare(b.ledger));
+}
+
+// Checks the company's open promises against its receipts after a sync. Receipts from the day the
+// promise was made up to its date (plus GRACE_DAYS) count, earliest promise first, and a receipt
+// only ever counts toward one promise. A promise covered in full is kept; one still short once
+// the grace period has passed is broken. Settled promises are not looked at again.
+function settlePromises(data) {
+    const company = data.company || '';
+    const entries = loadFollowUps();
+    const open = entries.filter(e => e.company === company && e.promise?.status === 'open').sort((a, b) => a.promise.date.localeCompare(b.promise.date));
+    const result = { kept: 0, broken: 0 };
+    if (!open.length) return result;
+
+    const today = isoDay(new Date(data.updatedAt || Date.now()));
+    const ledgers = new Map([...Object.values(data.debtors || {}).flat(), ...Object.values(data.hiddenDebtors || {}).flat()].map(l => [l.name, l]));
+    const receiptKey = (ledger, r) => [ledger, r.date, r.no, r.amount].join('|');
+    const used = new Set(entries.filter(e => e.company === company && e.promise?.status === 'kept').flatMap(e => e.promise.receipts.map(r => receiptKey(e.ledger, r))));
+
+    open.forEach(e => {
+        const from = isoDay(new Date(e.at));
+        const until = addDays(e.promise.date, GRACE_DAYS);
+        const receipts = (ledgers.get(e.ledger)?.transactions || [])
+            .filter(t => t.sign === 'Cr' && voucherCategory(t) === 'receipt')
+            .map(t => ({ date: isoDay(parseVoucherDate(t.date)), no: t.no || '', amount: t.amount }))
+            .filter(r => r.date && r.date >= from && r.date <= until && !used.has(receiptKey(e.ledger, r)))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        const counted = [];
+        let received = 0;
+        for (const r of receipts) {
+            if (received >= e.promise.amount) break;
+            counted.push(r);
+            received += r.amount;
+        }
+        if (received >= e.promise.amount) {
+            counted.forEach(r => used.add(receiptKey(e.ledger, r)));
+            e.promise = { ...e.promise, status: 'kept', received, receipts: counted, settledAt: counted[counted.length - 1].date };
+            result.kept++;
+        } else if (today > until) {
+            e.promise = { ...e.promise, status: 'broken', received, receipts: counted, settledAt: today };
+            result.broken++;
+        } else {
+            e.promise = { ...e.promise, received, receipts: counted };
+        }
+    });
+    writeJson(FOLLOWUPS_FILE, entries);
+    return result;
+}
+
+module.exports = { CHANNELS, GRACE_DAYS, addFollowUp, deleteFollowUp, listFollowUps, dueFollowUps, settlePromises };
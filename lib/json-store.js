@@ -0,0 +1,27 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server-side state that is not Tally data (settings, history, ...) lives in STATE_DIR as small
+// JSON files. It is never published; a sync only ever rewrites credit-data.json.
+const STATE_DIR = process.env.STATE_DIR ? path.resolve(process.env.STATE_DIR) : path.join(__dirname, '..', 'state');
+
+function readJson(name, fallback) {
+    const file = path.join(STATE_DIR, name);
+    if (!fs.existsSync(file)) return fallback;
+    try { return JSON.parse(fs.readFileSync(file, 'utf-8')); }
+    catch (e) {
+        console.error(`State file ${name} is unreadable, using defaults`, e.message);
+        return fallback;
+    }
+}
+
+// Write to a temp file first so a crash mid-write never leaves half a JSON file behind
+function writeJson(name, value) {
+    fs.mkdirSync(STATE_DIR, { recursive: true });
+    const file = path.join(STATE_DIR, name);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(value, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+    return value;
+}
+
+module.exports = { STATE_DIR, readJson, writeJson };
@@ -0,0 +1,321 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { STATE_DIR } = require('./json-store');
+const { ledgerAging, riskCategory, parseVoucherDate, BUCKETS } = require('./shared/aging.mjs');
+const { partyRisk } = require('./shared/risk.mjs');
+const { voucherCategory, voucherBreakdown } = require('./voucher-types');
+
+// Queryable copy of the synced data. The JSON data files stay the source of truth (they are what
+// gets published); every save re-indexes that company here so the API can filter and page
+// without shipping the whole file to the browser.
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS companies (
+    company TEXT PRIMARY KEY,
+    updated_at TEXT,
+    sync_start TEXT
+);
+CREATE TABLE IF NOT EXISTS ledgers (
+    company TEXT NOT NULL,
+    name TEXT NOT NULL,
+    kind TEXT NOT NULL,              -- debtor | creditor
+    route_group TEXT,                -- display bucket after route group rules; null for creditors
+    group_rank INTEGER,
+    hidden INTEGER NOT NULL DEFAULT 0,
+    sub_path TEXT,                   -- JSON list, Tally sub-groups below the route group
+    group_path TEXT,                 -- JSON list, full Tally path below Sundry Debtors/Creditors
+    amount REAL NOT NULL,            -- closing balance, always positive
+    type TEXT NOT NULL,              -- Dr | Cr
+    opening_balance TEXT,
+    bill_wise INTEGER NOT NULL DEFAULT 0,
+    bills TEXT,                      -- JSON list of pending bills
+    aging TEXT,                      -- JSON buckets as of the sync
+    bucket TEXT,
+    bucket_rank INTEGER,
+    voucher_count INTEGER NOT NULL DEFAULT 0,
+    last_voucher_at TEXT,            -- YYYY-MM-DD
+    phone TEXT,
+    credit_limit REAL,               -- from the Tally master; null when none is set
+    credit_period INTEGER,           -- days
+    risk TEXT,                       -- JSON from lib/shared/risk.mjs partyRisk; debtors only
+    risk_score INTEGER,
+    over_limit INTEGER NOT NULL DEFAULT 0,
+    breakdown TEXT,                  -- JSON from lib/shared/voucher-categories.mjs voucherBreakdown
+    PRIMARY KEY (company, name)
+);
+CREATE INDEX IF NOT EXISTS ledgers_group ON ledgers (company, kind, route_group);
+CREATE TABLE IF NOT EXISTS vouchers (
+    company TEXT NOT NULL,
+    ledger TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    date TEXT,                       -- as Tally reports it: 12-Nov-25
+    day TEXT,                        -- YYYY-MM-DD, for sorting and ranges
+    type TEXT,
+    no TEXT,
+    account TEXT,
+    amount REAL NOT NULL,
+    sign TEXT NOT NULL,
+    category TEXT                    -- lib/voucher-types.js CATEGORIES
+);
+CREATE INDEX IF NOT EXISTS vouchers_ledger ON vouchers (company, ledger, seq);
+`;
+
+const SORTS = {
+    name: 'name COLLATE NOCASE',
+    amount: 'amount',
+    // Dr positive, so "balance desc" puts the biggest receivables first
+    balance: "CASE type WHEN 'Dr' THEN amount ELSE -amount END",
+    bucket: 'bucket_rank',
+    vouchers: 'voucher_count',
+    lastVoucher: 'last_voucher_at',
+    risk: 'risk_score'
+};
+// Columns added after the first release, per table; older databases get them on open and are
+// re-indexed from the data files (needsReindex)
+const ADDED_COLUMNS = {
+    ledgers: {
+        phone: 'TEXT',
+        credit_limit: 'REAL',
+        credit_period: 'INTEGER',
+        risk: 'TEXT',
+        risk_score: 'INTEGER',
+        over_limit: 'INTEGER NOT NULL DEFAULT 0',
+        breakdown: 'TEXT'
+    },
+    vouchers: {
+        category: 'TEXT'
+    }
+};
+const MAX_PAGE_SIZE = 1000;
+
+const isoDay = (d) => (d ? `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}` : null);
+
+// Same recalculation the dashboard does on load: opening plus vouchers, so list totals match statements
+function closingFromVouchers(ledger) {
+    let running = parseFloat(String(ledger.openingBalance ?? '').replace(/,/g, ''));
+    if (isNaN(running)) running = 0;
+    (ledger.transactions || []).forEach(t => { running += t.sign === 'Dr' ? -t.amount : t.amount; });
+    return { amount: Math.abs(running), type: running < 0 ? 'Dr' : 'Cr' };
+}
+
+// Listing parameters shared by /api/ledgers and the dashboard's offline copy (utils.js queryLedgers)
+function parseLedgerQuery(q) {
+    const num = (v) => (v === undefined || v === '' ? null : Number(v));
+    const params = {
+        company: q.company ?? null,
+        kind: q.kind || null,
+        group: q.group || null,
+        type: q.type || null,
+        bucket: q.bucket || null,
+        search: q.search ? String(q.search).trim() : null,
+        minAmount: num(q.minAmount),
+        maxAmount: num(q.maxAmount),
+        minRisk: num(q.minRisk),
+        overLimit: q.overLimit === '1' || q.overLimit === true,
+        includeHidden: q.includeHidden === '1' || q.includeHidden === true,
+        // Set by the server, never from the query string: limits results to these debtor route groups
+        routeGroups: null,
+        sort: q.sort || 'name',
+        order: q.order === 'desc' ? 'desc' : 'asc',
+        page: Math.max(1, parseInt(q.page, 10) || 1),
+        pageSize: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(q.pageSize, 10) || 50))
+    };
+    const errors = [];
+    if (params.kind && !['debtor', 'creditor'].includes(params.kind)) errors.push('kind must be debtor or creditor');
+    if (params.type && !['Dr', 'Cr'].includes(params.type)) errors.push('type must be Dr or Cr');
+    if (params.bucket && !BUCKETS.includes(params.bucket)) errors.push(`bucket must be one of ${BUCKETS.join(', ')}`);
+    if ([params.minAmount, params.maxAmount].some(n => n !== null && isNaN(n))) errors.push('minAmount/maxAmount must be numbers');
+    if (params.minRisk !== null && !(params.minRisk >= 0 && params.minRisk <= 100)) errors.push('minRisk must be a number from 0 to 100');
+    if (!SORTS[params.sort]) errors.push(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+    if (errors.length) throw new Error(`Invalid query: ${errors.join('; ')}`);
+    return params;
+}
+
+function createLedgerDb(file = path.join(STATE_DIR, 'ledgers.db')) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+    let added = false;
+    Object.entries(ADDED_COLUMNS).forEach(([table, wanted]) => {
+        const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+        Object.entries(wanted).filter(([c]) => !columns.includes(c)).forEach(([c, type]) => {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${c} ${type}`);
+            added = true;
+        });
+    });
+
+    const insertLedger = db.prepare(`INSERT INTO ledgers (company, name, kind, route_group, group_rank, hidden, sub_path, group_path, amount, type, opening_balance, bill_wise, bills, aging, bucket, bucket_rank, voucher_count, last_voucher_at, phone, credit_limit, credit_period, risk, risk_score, over_limit, breakdown)
+        VALUES (@company, @name, @kind, @route_group, @group_rank, @hidden, @sub_path, @group_path, @amount, @type, @opening_balance, @bill_wise, @bills, @aging, @bucket, @bucket_rank, @voucher_count, @last_voucher_at, @phone, @credit_limit, @credit_period, @risk, @risk_score, @over_limit, @breakdown)`);
+    const insertVoucher = db.prepare('INSERT INTO vouchers (company, ledger, seq, date, day, type, no, account, amount, sign, category) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)');
+
+    // Replaces everything stored for one company with the contents of its data file
+    const replaceCompany = db.transaction((data) => {
+        const company = data.company || '';
+        const asOf = new Date(data.updatedAt || Date.now());
+        db.prepare('DELETE FROM ledgers WHERE company = ?').run(company);
+        db.prepare('DELETE FROM vouchers WHERE company = ?').run(company);
+        db.prepare('INSERT OR REPLACE INTO companies (company, updated_at, sync_start) VALUES (?, ?, ?)').run(company, data.updatedAt || null, data.sync?.startDate || null);
+
+        const add = (l, kind, group, rank, hidden) => {
+            const txns = l.transactions || [];
+            const days = txns.map(t => isoDay(parseVoucherDate(t.date)));
+            const full = { ...l, kind, openingDate: data.sync?.startDate };
+            const aging = ledgerAging(full, asOf);
+            const bucket = riskCategory(aging);
+            const risk = kind === 'debtor' ? partyRisk(full, asOf) : null;
+            insertLedger.run({
+                company, name: l.name, kind, route_group: group, group_rank: rank, hidden: hidden ? 1 : 0,
+                sub_path: JSON.stringify(l.subPath || []), group_path: JSON.stringify(l.groupPath || []),
+                ...closingFromVouchers(l),
+                opening_balance: l.openingBalance == null ? null : String(l.openingBalance),
+                bill_wise: l.billWise ? 1 : 0, bills: JSON.stringify(l.bills || []),
+                aging: JSON.stringify(aging), bucket, bucket_rank: BUCKETS.indexOf(bucket),
+                voucher_count: txns.length, last_voucher_at: days.filter(Boolean).sort().pop() || null,
+                phone: l.phone || null,
+                credit_limit: l.creditLimit ?? null, credit_period: l.creditPeriod ?? null,
+                risk: risk && JSON.stringify(risk), risk_score: risk?.score ?? null, over_limit: risk?.overLimit ? 1 : 0,
+                breakdown: JSON.stringify(voucherBreakdown(txns))
+            });
+            txns.forEach((t, i) => insertVoucher.run(company, l.name, i, t.date, days[i], t.type || '', t.no || '', t.account || '', t.amount, t.sign, voucherCategory(t)));
+        };
+        Object.entries(data.debtors || {}).forEach(([group, list], rank) => list.forEach(l => add(l, 'debtor', group, rank, false)));
+        Object.entries(data.hiddenDebtors || {}).forEach(([group, list], rank) => list.forEach(l => add(l, 'debtor', group, rank, true)));
+        (data.creditors || []).forEach(l => add(l, 'creditor', null, null, false));
+    });
+
+    const isEmpty = () => !db.prepare('SELECT 1 FROM companies LIMIT 1').get();
+    // Empty, or opened with columns the stored rows have no values for yet
+    const needsReindex = () => added || isEmpty();
+
+    // WHERE clause for a parsed query; company null = every company
+    function where(p, { withGroup = true } = {}) {
+        const clauses = [];
+        const args = [];
+        const add = (sql, ...values) => { clauses.push(sql); args.push(...values); };
+        if (p.company !== null) add('company = ?', p.company);
+        if (p.kind) add('kind = ?', p.kind);
+        if (withGroup && p.group) add('route_group = ?', p.group);
+        if (p.routeGroups) add("kind = 'debtor' AND route_group IN (SELECT value FROM json_each(?))", JSON.stringify(p.routeGroups));
+        if (!p.includeHidden) add('hidden = 0');
+        if (p.type) add('type = ?', p.type);
+        if (p.bucket) add('bucket = ?', p.bucket);
+        if (p.minAmount !== null) add('amount >= ?', p.minAmount);
+        if (p.maxAmount !== null) add('amount <= ?', p.maxAmount);
+        if (p.minRisk !== null) add('risk_score >= ?', p.minRisk);
+        if (p.overLimit) add('over_limit = 1');
+        if (p.search) add("name LIKE ? ESCAPE '\\'", `%${p.search.replace(/[\\%_]/g, c => `\\${c}`)}%`);
+        return { sql: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', args };
+    }
+
+    const toRow = (r) => ({
+        company: r.company || null,
+        name: r.name,
+        kind: r.kind,
+        group: r.route_group,
+        subPath: JSON.parse(r.sub_path),
+        amount: r.amount,
+        type: r.type,
+        bucket: r.bucket,
+        aging: JSON.parse(r.aging),
+        billWise: !!r.bill_wise,
+        voucherCount: r.voucher_count,
+        lastVoucherAt: r.last_voucher_at,
+        phone: r.phone,
+        creditLimit: r.credit_limit,
+        creditPeriod: r.credit_period,
+        overLimit: !!r.over_limit,
+        risk: r.risk ? JSON.parse(r.risk) : null,
+        breakdown: r.breakdown ? JSON.parse(r.breakdown) : {}
+    });
+
+    function ledgers(params) {
+        const w = where(params);
+        const total = db.prepare(`SELECT COUNT(*) n, SUM(CASE type WHEN 'Dr' THEN amount ELSE -amount END) net FROM ledgers ${w.sql}`).get(...w.args);
+        const rows = db.prepare(`SELECT * FROM ledgers ${w.sql} ORDER BY ${SORTS[params.sort]} ${params.order}, name COLLATE NOCASE LIMIT ? OFFSET ?`)
+            .all(...w.args, params.pageSize, (params.page - 1) * params.pageSize);
+        return { total: total.n, net: total.net || 0, page: params.page, pageSize: params.pageSize, ledgers: rows.map(toRow) };
+    }
+
+    // Route group cards and the overview totals. `search` narrows both to matching parties.
+    function groups(params) {
+        const debtors = where({ ...params, kind: 'debtor' }, { withGroup: false });
+        const groupRows = db.prepare(`SELECT route_group name, COUNT(*) count, SUM(CASE type WHEN 'Dr' THEN amount ELSE -amount END) total
+            FROM ledgers ${debtors.sql} GROUP BY route_group ORDER BY MIN(group_rank), route_group`).all(...debtors.args);
+        // Each group's vouchers per category, as voucherBreakdown has them per ledger
+        const categoryRows = db.prepare(`SELECT l.route_group, c.key category, SUM(json_extract(c.value, '$.dr')) dr, SUM(json_extract(c.value, '$.cr')) cr
+            FROM (SELECT route_group, breakdown FROM ledgers ${debtors.sql}) l, json_each(l.breakdown) c GROUP BY l.route_group, c.key`).all(...debtors.args);
+        groupRows.forEach(g => {
+            g.breakdown = Object.fromEntries(categoryRows.filter(c => c.route_group === g.name).map(c => [c.category, { dr: c.dr, cr: c.cr }]));
+        });
+        const all = where({ ...params, kind: null }, { withGroup: false });
+        const byCompany = db.prepare(`SELECT company, kind, COUNT(*) count, SUM(CASE type WHEN 'Dr' THEN amount ELSE -amount END) net
+            FROM ledgers ${all.sql} GROUP BY company, kind`).all(...all.args);
+        const meta = db.prepare(`SELECT * FROM companies ${params.company !== null ? 'WHERE company = ?' : ''} ORDER BY company`).all(...(params.company !== null ? [params.company] : []));
+
+        const companies = meta.map(m => {
+            const dr = byCompany.find(r => r.company === m.company && r.kind === 'debtor');
+            const cr = byCompany.find(r => r.company === m.company && r.kind === 'creditor');
+            return { company: m.company || null, updatedAt: m.updated_at, dr: dr?.net || 0, cr: -(cr?.net || 0), debtors: dr?.count || 0, creditors: cr?.count || 0 };
+        });
+        return {
+            // Consolidated view is only as fresh as its oldest company
+            updatedAt: meta.map(m => m.updated_at).filter(Boolean).sort()[0] || null,
+            groups: groupRows,
+            totals: {
+                dr: companies.reduce((s, c) => s + c.dr, 0),
+                cr: companies.reduce((s, c) => s + c.cr, 0),
+                debtors: companies.reduce((s, c) => s + c.debtors, 0),
+                creditors: companies.reduce((s, c) => s + c.creditors, 0)
+            },
+            companies
+        };
+    }
+
+    // One ledger with its vouchers and bills, shaped like an entry in the data file
+    function ledger(company, name) {
+        const r = db.prepare('SELECT * FROM ledgers WHERE company = ? AND name = ?').get(company || '', name);
+        if (!r) return null;
+        const transactions = db.prepare('SELECT date, type, no, account, amount, sign, category FROM vouchers WHERE company = ? AND ledger = ? ORDER BY seq').all(company || '', name);
+        const meta = db.prepare('SELECT sync_start FROM companies WHERE company = ?').get(company || '');
+        return {
+            ...toRow(r),
+            groupPath: JSON.parse(r.group_path),
+            openingBalance: r.opening_balance,
+            openingDate: meta?.sync_start || null,
+            bills: JSON.parse(r.bills),
+            transactions
+        };
+    }
+
+    // Vouchers summed per ledger and month, for lib/shared/analytics.mjs monthlyTrends
+    function voucherMonths(params) {
+        const w = where(params);
+        const rows = db.prepare(`WITH l AS (SELECT company, name, route_group, opening_balance FROM ledgers ${w.sql})
+            SELECT l.*, c.sync_start, substr(v.day, 1, 7) month,
+                SUM(CASE v.sign WHEN 'Dr' THEN v.amount ELSE 0 END) dr, SUM(CASE v.sign WHEN 'Cr' THEN v.amount ELSE 0 END) cr,
+                SUM(CASE WHEN v.sign = 'Cr' AND v.category = 'receipt' THEN v.amount ELSE 0 END) receipt,
+                SUM(CASE WHEN v.sign = 'Dr' AND v.category = 'reversal' THEN v.amount ELSE 0 END) reversal
+            FROM l LEFT JOIN companies c ON c.company = l.company LEFT JOIN vouchers v ON v.company = l.company AND v.ledger = l.name
+            GROUP BY l.company, l.name, month`).all(...w.args);
+        const byLedger = new Map();
+        rows.forEach(r => {
+            const key = `${r.company}|${r.name}`;
+            if (!byLedger.has(key)) {
+                byLedger.set(key, {
+                    company: r.company || null, name: r.name, group: r.route_group, openingBalance: r.opening_balance,
+                    start: r.sync_start ? `${r.sync_start.slice(0, 4)}-${r.sync_start.slice(4, 6)}` : null, months: {}
+                });
+            }
+            if (r.month) byLedger.get(key).months[r.month] = { dr: r.dr, cr: r.cr, receipt: r.receipt, reversal: r.reversal };
+        });
+        return [...byLedger.values()];
+    }
+
+    // Voucher type names as synced, with how many vouchers have each: [{ type, count }]
+    const voucherTypes = () => db.prepare("SELECT type, COUNT(*) count FROM vouchers WHERE type != '' GROUP BY type ORDER BY type").all();
+
+    return { replaceCompany, isEmpty, needsReindex, ledgers, groups, ledger, voucherMonths, voucherTypes, close: () => db.close() };
+}
+
+module.exports = { createLedgerDb, parseLedgerQuery, closingFromVouchers };
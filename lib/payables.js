@@ -0,0 +1,77 @@
+const { readJson, writeJson } = require('./json-store');
+const { openItems } = require('./shared/aging.mjs');
+
+// Supplier payment planning: the open creditor bills (payables aging in lib/shared/aging.mjs) that are
+// overdue or fall due this week or next, with the totals needed to pay them. Bills marked as
+// scheduled for payment live in state/payment-schedule.json, apart from the synced data.
+const SCHEDULE_FILE = 'payment-schedule.json';
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const isoDay = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+const round = (n) => Math.round(n * 100) / 100;
+
+// A bill is known by its ledger, reference and bill date; first-in first-out items by voucher number
+const billKey = (company, ledger, ref, date) => [company || '', ledger, ref || '', date].join('|');
+
+const loadSchedule = () => readJson(SCHEDULE_FILE, []);
+
+// ledgers: full creditor ledgers (ledgerDb.ledger)
+// -> { asOf, periods: [{ id, label, from, to, total, scheduled, bills }], total, scheduled }
+// Weeks run Monday to Sunday; bills due earlier this week than today count as overdue.
+function paymentPlan(ledgers, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const monday = addDays(today, -((today.getDay() + 6) % 7));
+    const periods = [
+        { id: 'overdue', label: 'Overdue', from: null, to: addDays(today, -1) },
+        { id: 'thisWeek', label: 'This week', from: today, to: addDays(monday, 6) },
+        { id: 'nextWeek', label: 'Next week', from: addDays(monday, 7), to: addDays(monday, 13) }
+    ].map(p => ({ ...p, bills: [] }));
+    const marks = new Map(loadSchedule().map(m => [m.key, m]));
+
+    ledgers.forEach(l => openItems(l, today).forEach(i => {
+        const period = periods.find(p => (!p.from || i.due >= p.from) && i.due < addDays(p.to, 1));
+        if (!period) return;
+        const date = isoDay(i.date);
+        const mark = marks.get(billKey(l.company, l.name, i.ref, date));
+        period.bills.push({
+            company: l.company || null, ledger: l.name, ref: i.ref, date, due: isoDay(i.due),
+            days: i.days, amount: round(i.amount), scheduled: mark ? { by: mark.by, at: mark.at } : null
+        });
+    }));
+
+    const sum = (bills) => round(bills.reduce((s, b) => s + b.amount, 0));
+    const list = periods.map(p => ({
+        ...p,
+        from: p.from && isoDay(p.from),
+        to: isoDay(p.to),
+        total: sum(p.bills),
+        scheduled: sum(p.bills.filter(b => b.scheduled)),
+        bills: p.bills.sort((a, b) => a.due.localeCompare(b.due) || b.amount - a.amount)
+    }));
+    return {
+        asOf: isoDay(today),
+        periods: list,
+        total: round(list.reduce((s, p) => s + p.total, 0)),
+        scheduled: round(list.reduce((s, p) => s + p.scheduled, 0))
+    };
+}
+
+// Marks one open bill of a creditor ledger as scheduled for payment, or clears the mark. Marks on
+// that ledger's bills which are no longer open (paid since) are dropped along the way.
+function scheduleBill(ledger, { ref, date }, scheduled, username, now = new Date()) {
+    if (typeof date !== 'string' || !DAY.test(date)) throw new Error('Invalid bill: date must be YYYY-MM-DD');
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const open = new Set(openItems(ledger, today).map(i => billKey(ledger.company, ledger.name, i.ref, isoDay(i.date))));
+    const key = billKey(ledger.company, ledger.name, ref, date);
+    if (!open.has(key)) throw Object.assign(new Error(`No open bill ${ref || ''} of ${date} for ${ledger.name}`), { status: 404 });
+
+    const mine = (m) => m.company === (ledger.company || '') && m.ledger === ledger.name;
+    const kept = loadSchedule().filter(m => m.key !== key && (!mine(m) || open.has(m.key)));
+    const mark = scheduled ? { key, company: ledger.company || '', ledger: ledger.name, ref: ref || null, date, by: username, at: new Date().toISOString() } : null;
+    writeJson(SCHEDULE_FILE, mark ? [...kept, mark] : kept);
+    return mark;
+}
+
+module.exports = { paymentPlan, scheduleBill };
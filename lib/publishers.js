@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const { readJson, writeJson } = require('./json-store');
+
+// Where the data files go after a sync. Each target gets the same list of files (data files,
+// archives, companies.json) and keeps their paths relative to the data folder. With an `encode`
+// step (encryption) targets receive the encoded bytes; the files on disk are left alone.
+//   git     commit them in the repo holding the data folder, rebase on the remote branch, push
+//   folder  copy them into a local or network folder
+//   s3      PUT them into an S3-compatible bucket (AWS, MinIO, R2, ...), signed with SigV4
+const CONFIG_FILE = 'publish.json';
+const TARGET_TYPES = ['git', 'folder', 's3'];
+const RETRY_DELAY_MS = 2000;
+// Where a git target with no `dir` puts the files. Never beside the local data files: those are
+// git-ignored, and encrypted copies there would overwrite them. The dashboard's default cloud base reads here.
+const PUBLISH_DIR = 'published';
+// GET /api/publish never returns stored secrets; sending the mask back keeps them
+const SECRET_MASK = '********';
+
+const DEFAULT_CONFIG = {
+    targets: [
+        // Push to origin/main of the repo the data lives in, under published/
+        { id: 'github', type: 'git', enabled: true, retries: 2, remote: 'origin', branch: 'main', repoDir: null, dir: '' }
+    ]
+};
+
+const TARGET_DEFAULTS = {
+    // `dir`: folder inside the repo to publish into ('' = PUBLISH_DIR)
+    git: { remote: 'origin', branch: 'main', repoDir: null, dir: '' },
+    folder: { path: '' },
+    s3: { endpoint: '', bucket: '', region: 'us-east-1', prefix: '', accessKeyId: '', secretAccessKey: '' }
+};
+
+const REF_RE = /^[A-Za-z0-9._\/-]+$/;
+// A remote name, or a URL (https://host/repo.git, ssh://..., git@host:repo.git)
+const REMOTE_RE = /^(?:[A-Za-z0-9._\/-]+|[a-z][a-z0-9+.-]*:\/\/[^\s]+|[A-Za-z0-9._-]+@[A-Za-z0-9.-]+:[^\s]+)$/;
+
+// Errors no retry can fix (the target's settings are wrong)
+const configError = (message) => Object.assign(new Error(message), { retryable: false });
+
+function validateTarget(input, i) {
+    const t = { id: input?.id, type: input?.type, enabled: true, retries: 2, ...TARGET_DEFAULTS[input?.type], ...input };
+    const errors = [];
+    const at = `targets[${i}]`;
+    if (typeof t.id !== 'string' || !/^[a-z0-9-]+$/i.test(t.id)) errors.push(`${at}.id must be letters, digits or dashes`);
+    if (!TARGET_TYPES.includes(t.type)) errors.push(`${at}.type must be one of ${TARGET_TYPES.join(', ')}`);
+    if (typeof t.enabled !== 'boolean') errors.push(`${at}.enabled must be true or false`);
+    if (!Number.isInteger(t.retries) || t.retries < 0 || t.retries > 5) errors.push(`${at}.retries must be a whole number from 0 to 5`);
+    if (t.type === 'git') {
+        if (!REMOTE_RE.test(t.remote || '') || t.remote.startsWith('-')) errors.push(`${at}.remote must be a git remote name or URL`);
+        if (!REF_RE.test(t.branch || '') || t.branch.startsWith('-')) errors.push(`${at}.branch must be a branch name`);
+        if (t.repoDir !== null && typeof t.repoDir !== 'string') errors.push(`${at}.repoDir must be a folder or null`);
+        if (typeof t.dir !== 'string' || path.isAbsolute(t.dir) || t.dir.split(/[\\/]/).includes('..')) errors.push(`${at}.dir must be a folder inside the repo`);
+    }
+    if (t.type === 'folder' && (typeof t.path !== 'string' || !t.path.trim())) errors.push(`${at}.path must be a folder`);
+    if (t.type === 's3') {
+        if (!/^https?:\/\/[^/]+/.test(t.endpoint || '')) errors.push(`${at}.endpoint must be an http(s) URL`);
+        if (!/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(t.bucket || '')) errors.push(`${at}.bucket must be a bucket name`);
+        if (typeof t.prefix !== 'string' || t.prefix.startsWith('/')) errors.push(`${at}.prefix must not start with /`);
+    }
+    return { target: t, errors };
+}
+
+function validatePublishConfig(input) {
+    const c = { ...DEFAULT_CONFIG, ...input };
+    if (!Array.isArray(c.targets)) throw new Error('Invalid publish config: targets must be a list');
+    const checked = c.targets.map(validateTarget);
+    const errors = checked.flatMap(x => x.errors);
+    const ids = c.targets.map(t => t?.id);
+    if (new Set(ids).size !== ids.length) errors.push('target ids must be unique');
+    if (errors.length) throw new Error(`Invalid publish config: ${errors.join('; ')}`);
+    return { targets: checked.map(x => x.target) };
+}
+
+function loadPublishConfig() { return validatePublishConfig(readJson(CONFIG_FILE, DEFAULT_CONFIG)); }
+
+function savePublishConfig(input) {
+    const stored = loadPublishConfig();
+    // A masked secret means "unchanged"
+    const targets = (input.targets || []).map(t => {
+        if (t?.secretAccessKey !== SECRET_MASK) return t;
+        return { ...t, secretAccessKey: stored.targets.find(s => s.id === t.id)?.secretAccessKey || '' };
+    });
+    return writeJson(CONFIG_FILE, validatePublishConfig({ ...input, targets }));
+}
+
+const maskSecrets = (config) => ({ ...config, targets: config.targets.map(t => (t.secretAccessKey ? { ...t, secretAccessKey: SECRET_MASK } : t)) });
+
+// --- GIT ---
+
+function git(args, cwd) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd }, (err, stdout, stderr) => {
+            if (err) return reject(Object.assign(new Error(`git ${args[0]} failed: ${(stderr || err.message).trim()}`), { code: err.code }));
+            resolve(stdout.trim());
+        });
+    });
+}
+
+// Entries are { key (path relative to the data folder), file (where it lives), body (what to publish) }
+async function publishGit(target, entries, { baseDir, message, encoded }) {
+    const cwd = target.repoDir ? path.resolve(target.repoDir) : baseDir;
+    const dir = target.dir || PUBLISH_DIR;
+    const paths = entries.map(e => {
+        const dest = path.join(cwd, dir, e.key);
+        if (dest === e.file) {
+            // Encoded bytes would overwrite the local data, which the server still reads
+            if (encoded) throw configError(`Publishing encrypted files in place would overwrite ${e.key}; set another "dir" for this target`);
+            return dest;
+        }
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        fs.writeFileSync(dest, e.body);
+        return dest;
+    });
+    // -f: a `dir` pointing back into the data folder holds git-ignored files
+    await git(['add', '-f', '--', ...paths], cwd);
+    // Only the published files go into the commit, whatever else is staged
+    const staged = await git(['diff', '--cached', '--name-only', '--', ...paths], cwd);
+    if (staged) await git(['commit', '-m', message, '--', ...paths], cwd);
+    try {
+        await git(['pull', '--rebase', '--autostash', target.remote, target.branch], cwd);
+    } catch (e) {
+        await git(['rebase', '--abort'], cwd).catch(() => { });
+        throw e;
+    }
+    await git(['push', target.remote, `HEAD:${target.branch}`], cwd);
+    return { committed: !!staged, commit: await git(['rev-parse', 'HEAD'], cwd), remote: target.remote, branch: target.branch };
+}
+
+// --- FOLDER ---
+
+async function publishFolder(target, entries) {
+    const dest = path.resolve(target.path);
+    entries.forEach(e => {
+        const out = path.join(dest, e.key);
+        fs.mkdirSync(path.dirname(out), { recursive: true });
+        // Readers on a network share never see half a file
+        fs.writeFileSync(`${out}.tmp`, e.body);
+        fs.renameSync(`${out}.tmp`, out);
+    });
+    return { path: dest };
+}
+
+// --- S3 ---
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+// RFC 3986 encoding, as SigV4 wants it
+const uriEncode = (s) => encodeURIComponent(s).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// AWS Signature Version 4 for S3. Returns the headers to send, including Authorization.
+function signS3Request({ method, url, headers = {}, body = '', region, accessKeyId, secretAccessKey, now = new Date() }) {
+    const u = new URL(url);
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const payloadHash = headers['x-amz-content-sha256'] || sha256(body);
+    const all = {};
+    Object.entries({ ...headers, host: u.host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash })
+        .forEach(([k, v]) => { all[k.toLowerCase()] = String(v).trim().replace(/\s+/g, ' '); });
+    const names = Object.keys(all).sort();
+    const query = [...u.searchParams].map(([k, v]) => [uriEncode(k), uriEncode(v)]).sort().map(([k, v]) => `${k}=${v}`).join('&');
+    const canonical = [method, u.pathname, query, names.map(n => `${n}:${all[n]}\n`).join(''), names.join(';'), payloadHash].join('\n');
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const toSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonical)].join('\n');
+    const key = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+    const signature = crypto.createHmac('sha256', key).update(toSign).digest('hex');
+    return { ...all, authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}` };
+}
+
+// Path-style URL (https://host/bucket/key), which every S3-compatible store accepts
+const s3ObjectUrl = (target, key) => `${target.endpoint.replace(/\/+$/, '')}/${target.bucket}/${key.split('/').map(uriEncode).join('/')}`;
+
+async function publishS3(target, entries) {
+    const accessKeyId = target.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = target.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+    if (!accessKeyId || !secretAccessKey) throw configError('No S3 credentials (set accessKeyId/secretAccessKey or S3_ACCESS_KEY_ID/S3_SECRET_ACCESS_KEY)');
+    const keys = [];
+    for (const { key: name, body } of entries) {
+        const key = target.prefix + name;
+        const url = s3ObjectUrl(target, key);
+        const headers = signS3Request({ method: 'PUT', url, headers: { 'content-type': 'application/json' }, body, region: target.region, accessKeyId, secretAccessKey });
+        delete headers.host;
+        try {
+            await axios.put(url, body, { headers, timeout: 30000, maxBodyLength: Infinity });
+        } catch (e) {
+            const status = e.response?.status;
+            const code = /<Code>([^<]+)<\/Code>/.exec(e.response?.data || '')?.[1];
+            const message = `PUT ${key} failed: ${status ? `HTTP ${status}${code ? ` ${code}` : ''}` : e.message}`;
+            // Refused keys or a missing bucket stay that way; timeouts, throttling and server errors may not
+            throw status >= 400 && status < 500 && ![408, 429].includes(status) ? configError(message) : new Error(message);
+        }
+        keys.push(key);
+    }
+    return { bucket: target.bucket, keys };
+}
+
+// --- PUBLISHING ---
+
+const PUBLISHERS = { git: publishGit, folder: publishFolder, s3: publishS3 };
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function publishTarget(target, entries, ctx) {
+    const startedAt = Date.now();
+    const attempts = target.retries + 1;
+    let error;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+        try {
+            const detail = await PUBLISHERS[target.type](target, entries, ctx);
+            return { id: target.id, type: target.type, success: true, attempts: attempt, files: entries.length, durationMs: Date.now() - startedAt, error: null, ...detail };
+        } catch (e) {
+            error = e;
+            console.log(`Publish to ${target.id} failed (attempt ${attempt}/${attempts}): ${e.message}`);
+            if (e.retryable === false) return { id: target.id, type: target.type, success: false, attempts: attempt, files: entries.length, durationMs: Date.now() - startedAt, error: e.message };
+            if (attempt < attempts) await sleep(ctx.retryDelayMs * attempt);
+        }
+    }
+    return { id: target.id, type: target.type, success: false, attempts, files: entries.length, durationMs: Date.now() - startedAt, error: error.message };
+}
+
+// Runs the chosen targets one after another (`targets`: ids; default every enabled one).
+// One failing target does not stop the others. `encode(buffer, key)` transforms each file first.
+async function publishFiles(files, { baseDir, targets = null, encode = null, config = loadPublishConfig(), message = `Auto Sync ${new Date().toLocaleString()}`, retryDelayMs = RETRY_DELAY_MS } = {}) {
+    if (targets !== null && !Array.isArray(targets)) throw new Error('targets must be a list of target ids');
+    const unknown = (targets || []).filter(id => !config.targets.some(t => t.id === id));
+    if (unknown.length) throw new Error(`Unknown publish target: ${unknown.join(', ')}`);
+    const chosen = config.targets.filter(t => (targets ? targets.includes(t.id) : t.enabled));
+    if (!chosen.length) return { success: true, skipped: true, error: null, targets: [] };
+
+    const entries = files.map(file => {
+        const key = path.relative(baseDir, file).split(path.sep).join('/');
+        const body = fs.readFileSync(file);
+        return { key, file, body: encode ? encode(body, key) : body };
+    });
+    const results = [];
+    for (const target of chosen) results.push(await publishTarget(target, entries, { baseDir, message, retryDelayMs, encoded: !!encode }));
+    const failed = results.filter(r => !r.success);
+    return { success: !failed.length, skipped: false, error: failed.length ? failed.map(r => `${r.id}: ${r.error}`).join('; ') : null, targets: results };
+}
+
+module.exports = {
+    DEFAULT_CONFIG,
+    SECRET_MASK,
+    loadPublishConfig,
+    savePublishConfig,
+    validatePublishConfig,
+    maskSecrets,
+    publishFiles,
+    signS3Request
+};
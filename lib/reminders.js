@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { STATE_DIR, readJson, writeJson } = require('./json-store');
+const { ledgerAging, openItems } = require('./shared/aging.mjs');
+
+// Payment reminders: message templates with {placeholders} filled in per party from its synced
+// ledger, sent through a messaging provider. Every attempt is logged against the ledger in
+// state/reminder-log.json.
+//   console  print the messages on the server (testing)
+//   file     append them to a JSON-lines outbox (testing, or a gateway that picks files up)
+//   webhook  POST each one to an SMS / WhatsApp gateway
+const CONFIG_FILE = 'reminders.json';
+const LOG_FILE = 'reminder-log.json';
+const PROVIDER_TYPES = ['console', 'file', 'webhook'];
+const SECRET_MASK = '********';
+const WEBHOOK_TIMEOUT_MS = 15000;
+
+const PLACEHOLDERS = {
+    party: 'Party name',
+    company: 'Company the balance is with',
+    outstanding: 'Balance due',
+    oldestBill: 'Oldest unpaid bill (or voucher) number',
+    oldestBillDate: 'Date of the oldest unpaid bill',
+    oldestBillDays: 'Days the oldest unpaid bill is overdue',
+    upTo30: 'Amount under 30 days',
+    days30to60: 'Amount 30-60 days',
+    days60to90: 'Amount 60-90 days',
+    over90: 'Amount over 90 days',
+    notDue: 'Amount not yet due',
+    today: "Today's date"
+};
+
+const DEFAULT_CONFIG = {
+    provider: { type: 'console' },
+    // Numbers without a country code get this one
+    countryCode: '91',
+    templates: [
+        { id: 'gentle', name: 'Gentle reminder', body: 'Dear {party}, a friendly reminder that {outstanding} is due on your account with {company}. The oldest unpaid bill is {oldestBill} of {oldestBillDate}. Please ignore this if already paid.' },
+        { id: 'overdue', name: 'Overdue over 90 days', body: 'Dear {party}, {over90} of your balance of {outstanding} with {company} is overdue by more than 90 days (bill {oldestBill}, {oldestBillDays} days). Kindly clear it at the earliest.' }
+    ],
+    // Parties who asked not to get reminders: { company, ledger }
+    optOuts: []
+};
+
+const PROVIDER_DEFAULTS = {
+    console: {},
+    // Relative paths are inside STATE_DIR
+    file: { path: 'outbox.jsonl' },
+    webhook: { url: '', token: '' }
+};
+
+function validateReminderConfig(input) {
+    const c = { ...DEFAULT_CONFIG, ...input };
+    c.provider = { ...PROVIDER_DEFAULTS[c.provider?.type], ...c.provider };
+    const errors = [];
+    const p = c.provider;
+    if (!PROVIDER_TYPES.includes(p.type)) errors.push(`provider.type must be one of ${PROVIDER_TYPES.join(', ')}`);
+    if (p.type === 'file' && (typeof p.path !== 'string' || !p.path.trim())) errors.push('provider.path must be a file');
+    if (p.type === 'webhook') {
+        if (!/^https?:\/\/[^/]+/.test(p.url || '')) errors.push('provider.url must be an http(s) URL');
+        if (typeof p.token !== 'string') errors.push('provider.token must be text');
+    }
+    if (typeof c.countryCode !== 'string' || !/^\d{1,3}$/.test(c.countryCode)) errors.push('countryCode must be 1-3 digits');
+    if (!Array.isArray(c.templates) || !c.templates.length) errors.push('give at least one template');
+    else {
+        c.templates.forEach((t, i) => {
+            const at = `templates[${i}]`;
+            if (typeof t?.id !== 'string' || !/^[a-z0-9-]+$/i.test(t.id)) errors.push(`${at}.id must be letters, digits or dashes`);
+            if (typeof t?.name !== 'string' || !t.name.trim()) errors.push(`${at}.name is required`);
+            if (typeof t?.body !== 'string' || !t.body.trim() || t.body.length > 1000) errors.push(`${at}.body must be text of at most 1000 characters`);
+            else {
+                const unknown = [...t.body.matchAll(/\{(\w+)\}/g)].map(m => m[1]).filter(k => !PLACEHOLDERS[k]);
+                if (unknown.length) errors.push(`${at}.body has unknown placeholders ${unknown.map(k => `{${k}}`).join(', ')}`);
+            }
+        });
+        const ids = c.templates.map(t => t?.id);
+        if (new Set(ids).size !== ids.length) errors.push('template ids must be unique');
+    }
+    if (!Array.isArray(c.optOuts) || c.optOuts.some(o => typeof o?.ledger !== 'string' || typeof (o.company ?? '') !== 'string')) errors.push('optOuts must be a list of { company, ledger }');
+    if (errors.length) throw new Error(`Invalid reminder settings: ${errors.join('; ')}`);
+    return c;
+}
+
+function loadReminderConfig() { return validateReminderConfig(readJson(CONFIG_FILE, DEFAULT_CONFIG)); }
+
+// Partial updates: { provider }, { templates }, { countryCode }. A masked token means "unchanged".
+function saveReminderConfig(input) {
+    const stored = loadReminderConfig();
+    const provider = input.provider && input.provider.token === SECRET_MASK ? { ...input.provider, token: stored.provider.token } : input.provider;
+    return writeJson(CONFIG_FILE, validateReminderConfig({ ...stored, ...input, ...(provider && { provider }), optOuts: stored.optOuts }));
+}
+
+const maskReminderConfig = (config) => ({ ...config, provider: config.provider.token ? { ...config.provider, token: SECRET_MASK } : config.provider });
+
+const isOptedOut = (config, company, ledger) => config.optOuts.some(o => (o.company || '') === (company || '') && o.ledger === ledger);
+
+function setOptOut(company, ledger, optOut) {
+    const config = loadReminderConfig();
+    const others = config.optOuts.filter(o => !((o.company || '') === (company || '') && o.ledger === ledger));
+    writeJson(CONFIG_FILE, { ...config, optOuts: optOut ? [...others, { company: company || '', ledger }] : others });
+    return !!optOut;
+}
+
+// --- MESSAGES ---
+
+const money = (n) => `₹${n.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const dateText = (d) => d.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+
+// Tally keeps numbers as typed: spaces, dashes, a leading 0. Gateways want +<country><number>.
+function normalizePhone(raw, countryCode) {
+    const digits = String(raw || '').replace(/[^\d+]/g, '').replace(/(?!^)\+/g, '');
+    const number = digits.startsWith('+') ? digits : digits.replace(/^0+/, '');
+    const bare = number.replace('+', '');
+    if (bare.length < 8 || bare.length > 15) return null;
+    if (number.startsWith('+')) return number;
+    return bare.length <= 10 ? `+${countryCode}${bare}` : `+${bare}`;
+}
+
+// Placeholder values for a ledger as ledgerDb.ledger returns it
+function reminderValues(ledger, today = new Date()) {
+    const aging = ledgerAging(ledger, today);
+    const oldest = openItems(ledger, today)[0] || null;
+    return {
+        party: ledger.name,
+        company: ledger.company || '',
+        outstanding: money(ledger.amount),
+        oldestBill: oldest?.ref || '-',
+        oldestBillDate: oldest ? dateText(oldest.date) : '-',
+        oldestBillDays: oldest ? String(Math.max(0, oldest.days)) : '0',
+        upTo30: money(aging['0-30']),
+        days30to60: money(aging['30-60']),
+        days60to90: money(aging['60-90']),
+        over90: money(aging['90+']),
+        notDue: money(aging.notDue),
+        today: dateText(today)
+    };
+}
+
+const fillTemplate = (body, values) => body.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match);
+
+function findTemplate(config, id) {
+    const template = config.templates.find(t => t.id === id);
+    if (!template) throw Object.assign(new Error(`Unknown template ${id}`), { status: 404 });
+    return template;
+}
+
+// One message per ledger: { company, ledger, group, amount, to, optedOut, body }
+function prepareReminders(ledgers, templateId, config = loadReminderConfig(), today = new Date()) {
+    const template = findTemplate(config, templateId);
+    return ledgers.map(l => ({
+        company: l.company || null,
+        ledger: l.name,
+        group: l.group,
+        amount: l.amount,
+        to: normalizePhone(l.phone, config.countryCode),
+        optedOut: isOptedOut(config, l.company, l.name),
+        body: fillTemplate(template.body, reminderValues(l, today))
+    }));
+}
+
+// --- PROVIDERS ---
+// A provider is { send(message) -> Promise<{ id }> } for a message { to, body, company, ledger }.
+// Throwing marks that one message failed; the rest still go out.
+
+const PROVIDERS = {
+    console: () => ({
+        send: async (m) => {
+            console.log(`Reminder to ${m.to} (${m.ledger}): ${m.body}`);
+            return { id: null };
+        }
+    }),
+    file: ({ path: file }) => ({
+        send: async (m) => {
+            const target = path.resolve(STATE_DIR, file);
+            const id = crypto.randomBytes(6).toString('hex');
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.appendFileSync(target, `${JSON.stringify({ id, at: new Date().toISOString(), to: m.to, company: m.company, ledger: m.ledger, body: m.body })}\n`);
+            return { id };
+        }
+    }),
+    webhook: ({ url, token }) => ({
+        send: async (m) => {
+            const res = await axios.post(url, { to: m.to, message: m.body, party: m.ledger, company: m.company }, {
+                headers: token ? { Authorization: `Bearer ${token}` } : {},
+                timeout: WEBHOOK_TIMEOUT_MS
+            });
+            return { id: res.data?.id ?? null };
+        }
+    })
+};
+
+const createProvider = (provider) => PROVIDERS[provider.type](provider);
+
+// --- SENDING AND LOG ---
+
+const loadLog = () => readJson(LOG_FILE, []);
+
+// Sends prepared messages one at a time. Opted-out parties and ones without a number are skipped;
+// every message that was tried, sent or failed, is logged as it goes.
+async function sendReminders(messages, { templateId, username, config = loadReminderConfig() }) {
+    const provider = createProvider(config.provider);
+    const results = [];
+    for (const m of messages) {
+        const result = { company: m.company, ledger: m.ledger, to: m.to };
+        if (m.optedOut) { results.push({ ...result, status: 'skipped', error: 'Opted out of reminders' }); continue; }
+        if (!m.to) { results.push({ ...result, status: 'skipped', error: 'No phone number in Tally' }); continue; }
+        const entry = {
+            id: crypto.randomBytes(6).toString('hex'),
+            company: m.company || '',
+            ledger: m.ledger,
+            at: new Date().toISOString(),
+            by: username,
+            to: m.to,
+            provider: config.provider.type,
+            template: templateId,
+            body: m.body,
+            status: 'sent',
+            providerId: null,
+            error: null
+        };
+        try {
+            entry.providerId = (await provider.send(m)).id ?? null;
+        } catch (e) {
+            entry.status = 'failed';
+            entry.error = e.response ? `${e.message}: ${JSON.stringify(e.response.data).slice(0, 200)}` : e.message;
+        }
+        writeJson(LOG_FILE, [...loadLog(), entry]);
+        results.push({ ...result, status: entry.status, error: entry.error });
+    }
+    return {
+        sent: results.filter(r => r.status === 'sent').length,
+        failed: results.filter(r => r.status === 'failed').length,
+        skipped: results.filter(r => r.status === 'skipped').length,
+        results
+    };
+}
+
+// Newest first
+function listReminderLog(company, ledger) {
+    return loadLog().filter(e => e.company === (company || '') && e.ledger === ledger).reverse();
+}
+
+module.exports = {
+    PLACEHOLDERS,
+    PROVIDER_TYPES,
+    loadReminderConfig,
+    saveReminderConfig,
+    maskReminderConfig,
+    setOptOut,
+    normalizePhone,
+    reminderValues,
+    fillTemplate,
+    prepareReminders,
+    sendReminders,
+    listReminderLog
+};
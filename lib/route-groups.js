@@ -0,0 +1,136 @@
+const { readJson, writeJson } = require('./json-store');
+
+const CONFIG_FILE = 'route-groups.json';
+const NO_GROUP = 'No-Group';
+
+// Admin overrides, keyed by the Tally name of a route group (a direct sub-group of Sundry Debtors):
+// { rules: { "Jk Line": { rename: "JK Line" }, "Jeypur": { mergeInto: "Koraput" }, "STAFF": { hidden: true } },
+//   order: ["RAYAGADA LOCAL", "Koraput"] }   <- display names; anything unlisted follows alphabetically
+const DEFAULT_CONFIG = { rules: {}, order: [] };
+
+function loadRouteGroupConfig() {
+    return { ...DEFAULT_CONFIG, ...readJson(CONFIG_FILE, DEFAULT_CONFIG) };
+}
+
+function validateRouteGroupConfig(input) {
+    const rules = input?.rules || {};
+    const order = input?.order || [];
+    const errors = [];
+    if (typeof rules !== 'object' || Array.isArray(rules)) errors.push('rules must be an object');
+    if (!Array.isArray(order) || order.some(o => typeof o !== 'string')) errors.push('order must be a list of group names');
+
+    const clean = {};
+    Object.entries(typeof rules === 'object' ? rules : {}).forEach(([name, rule]) => {
+        const r = {};
+        if (rule.rename !== undefined && rule.rename !== '') {
+            if (typeof rule.rename !== 'string' || !rule.rename.trim()) errors.push(`${name}: rename must be text`);
+            else r.rename = rule.rename.trim();
+        }
+        if (rule.mergeInto) {
+            if (rule.mergeInto === name) errors.push(`${name}: cannot merge into itself`);
+            else if (rules[rule.mergeInto]?.mergeInto) errors.push(`${name}: "${rule.mergeInto}" is itself merged into another group`);
+            else r.mergeInto = rule.mergeInto;
+        }
+        if (rule.hidden) r.hidden = true;
+        if (Object.keys(r).length) clean[name] = r;
+    });
+    if (errors.length) throw new Error(`Invalid route group config: ${errors.join('; ')}`);
+    return { rules: clean, order: [...new Set(order)] };
+}
+
+function saveRouteGroupConfig(input) {
+    return writeJson(CONFIG_FILE, validateRouteGroupConfig(input));
+}
+
+// --- DISCOVERY ---
+
+// Path of group names from just below `root` down to `parent`, or null if `parent` is not under `root`.
+// A ledger sitting directly in the root group gets an empty path.
+function groupPathUnder(parent, root, parentMap) {
+    const path = [];
+    let current = parent;
+    while (current) {
+        if (current === root) return path;
+        path.unshift(current);
+        current = parentMap.get(current);
+    }
+    return null;
+}
+
+// Nested tree of every group below `root`, built from the "List of Accounts" group masters
+function buildGroupTree(root, parentMap, groupNames) {
+    const node = (name) => ({
+        name,
+        children: groupNames.filter(g => parentMap.get(g) === name).sort((a, b) => a.localeCompare(b)).map(node)
+    });
+    return node(root).children;
+}
+
+// --- APPLYING THE CONFIG ---
+
+// Resolves where a top-level Tally group ends up: its bucket label and whether it is hidden
+function resolveGroup(tallyName, config) {
+    const rule = config.rules[tallyName] || {};
+    const target = rule.mergeInto || tallyName;
+    const targetRule = config.rules[target] || {};
+    return {
+        label: targetRule.rename || target,
+        hidden: !!(targetRule.hidden || rule.hidden),
+        mergedFrom: rule.mergeInto ? tallyName : null
+    };
+}
+
+function annotateTree(nodes, config, top = true) {
+    return nodes.map(n => {
+        const out = { name: n.name, children: annotateTree(n.children, config, false) };
+        if (top) Object.assign(out, resolveGroup(n.name, config));
+        return out;
+    });
+}
+
+// Rebuilds the debtor buckets from the ledgers' Tally group paths. Runs at the end of every sync and
+// whenever the config changes, so renames and merges apply without going back to Tally.
+function applyRouteGroups(data, config = loadRouteGroupConfig()) {
+    const buckets = [...Object.entries(data.debtors || {}), ...Object.entries(data.hiddenDebtors || {})];
+    const visible = new Map();
+    const hidden = new Map();
+
+    buckets.forEach(([bucket, list]) => list.forEach(l => {
+        // Data synced before group discovery has no path; its old bucket is the best guess
+        const path = l.groupPath || (bucket === NO_GROUP ? [] : [bucket]);
+        const top = path[0];
+        const { label, hidden: isHidden, mergedFrom } = top ? resolveGroup(top, config) : { label: NO_GROUP, hidden: false, mergedFrom: null };
+        // Path below the bucket, used by the dashboard to drill into sub-groups. A merged group shows up as a sub-group.
+        l.subPath = mergedFrom ? path : path.slice(1);
+        const target = isHidden ? hidden : visible;
+        if (!target.has(label)) target.set(label, []);
+        target.get(label).push(l);
+    }));
+
+    const rank = (name) => {
+        if (name === NO_GROUP) return Infinity;
+        const i = config.order.indexOf(name);
+        return i === -1 ? config.order.length : i;
+    };
+    const toObject = (map) => Object.fromEntries([...map.entries()].sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b)));
+
+    const tree = data.groupTree || { debtors: [], creditors: [] };
+    return {
+        ...data,
+        debtors: toObject(visible),
+        hiddenDebtors: toObject(hidden),
+        groupTree: { ...tree, debtors: annotateTree(stripAnnotations(tree.debtors), config) }
+    };
+}
+
+const stripAnnotations = (nodes = []) => nodes.map(n => ({ name: n.name, children: stripAnnotations(n.children) }));
+
+module.exports = {
+    NO_GROUP,
+    loadRouteGroupConfig,
+    saveRouteGroupConfig,
+    validateRouteGroupConfig,
+    groupPathUnder,
+    buildGroupTree,
+    applyRouteGroups
+};
@@ -0,0 +1,78 @@
+// Offline S3-compatible stand-in for trying the s3 publish target: accepts signed PUTs and serves
+// the objects back on GET, so the cloud dashboard can point at it too. Objects are plain files.
+// Usage: node lib/s3-sim.js <storage dir> [port] [accessKeyId] [secretAccessKey]
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { signS3Request } = require('./publishers');
+
+function createS3Simulator(storageDir, { accessKeyId = 'local', secretAccessKey = 'local-secret', region = 'us-east-1', log = false } = {}) {
+    const root = path.resolve(storageDir);
+    const stats = { puts: 0, rejected: 0 };
+
+    // Recomputes the signature from the headers the client says it signed
+    function verify(req, body) {
+        const m = /Credential=([^/]+)\/(\d{8})\/[^,]+, SignedHeaders=([^,]+), Signature=([0-9a-f]+)/.exec(req.headers.authorization || '');
+        if (!m || m[1] !== accessKeyId) return false;
+        const amz = req.headers['x-amz-date'] || '';
+        const now = new Date(`${amz.slice(0, 4)}-${amz.slice(4, 6)}-${amz.slice(6, 8)}T${amz.slice(9, 11)}:${amz.slice(11, 13)}:${amz.slice(13, 15)}Z`);
+        const signed = Object.fromEntries(m[3].split(';').filter(h => h !== 'host').map(h => [h, req.headers[h]]));
+        const expected = signS3Request({ method: req.method, url: `http://${req.headers.host}${req.url}`, headers: signed, body, region, accessKeyId, secretAccessKey, now });
+        return expected.authorization.endsWith(`Signature=${m[4]}`);
+    }
+
+    const server = http.createServer((req, res) => {
+        const file = path.join(root, ...decodeURIComponent(new URL(req.url, 'http://s3').pathname).split('/').filter(Boolean));
+        if (!file.startsWith(root + path.sep)) { res.writeHead(400); return res.end(); }
+
+        if (req.method === 'GET') {
+            if (!fs.existsSync(file) || fs.statSync(file).isDirectory()) { res.writeHead(404); return res.end(); }
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+            return fs.createReadStream(file).pipe(res);
+        }
+        if (req.method !== 'PUT') { res.writeHead(405); return res.end(); }
+
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const body = Buffer.concat(chunks);
+            if (!verify(req, body)) {
+                stats.rejected++;
+                if (log) console.log(`[s3-sim] rejected ${req.url}`);
+                res.writeHead(403);
+                return res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>');
+            }
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, body);
+            stats.puts++;
+            if (log) console.log(`[s3-sim] stored ${req.url}`);
+            res.writeHead(200);
+            res.end();
+        });
+    });
+
+    return {
+        server,
+        stats,
+        listen(port = 0) {
+            return new Promise(resolve => {
+                server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+if (require.main === module) {
+    const [dir, port = '9100', accessKeyId, secretAccessKey] = process.argv.slice(2);
+    if (!dir) {
+        console.error('Usage: node lib/s3-sim.js <storage dir> [port] [accessKeyId] [secretAccessKey]');
+        process.exit(1);
+    }
+    createS3Simulator(path.resolve(dir), { accessKeyId, secretAccessKey, log: true }).listen(parseInt(port, 10))
+        .then(url => console.log(`S3 stand-in on ${url}, storing in ${path.resolve(dir)}`));
+}
+
+module.exports = { createS3Simulator };
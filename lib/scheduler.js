@@ -0,0 +1,129 @@
+const { readJson, writeJson } = require('./json-store');
+
+const SCHEDULE_FILE = 'schedule.json';
+const HISTORY_FILE = 'sync-history.json';
+const HISTORY_LIMIT = 200;
+const TICK_MS = 60 * 1000;
+// A fixed time still counts as due if the server was busy or asleep for a few minutes around it
+const FIXED_TIME_GRACE_MIN = 15;
+
+const DEFAULT_SCHEDULE = {
+    enabled: false,
+    // Interval mode: every N minutes inside the window on the listed days
+    intervalMinutes: 30,
+    windowStart: '09:00',
+    windowEnd: '20:00',
+    days: [1, 2, 3, 4, 5, 6], // 0 = Sunday
+    // Fixed mode: when non-empty, run at these clock times instead of on an interval
+    times: [],
+    // Company to sync: a name, 'all', or null for whichever company is active in Tally
+    company: null
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const minutesOf = (hhmm) => parseInt(hhmm.slice(0, 2), 10) * 60 + parseInt(hhmm.slice(3), 10);
+
+function validateSchedule(input) {
+    const s = { ...DEFAULT_SCHEDULE, ...input };
+    const errors = [];
+    if (typeof s.enabled !== 'boolean') errors.push('enabled must be true or false');
+    if (!Number.isInteger(s.intervalMinutes) || s.intervalMinutes < 5) errors.push('intervalMinutes must be a whole number of at least 5');
+    if (!TIME_RE.test(s.windowStart) || !TIME_RE.test(s.windowEnd)) errors.push('windowStart/windowEnd must be HH:MM');
+    else if (minutesOf(s.windowStart) >= minutesOf(s.windowEnd)) errors.push('windowStart must be before windowEnd');
+    if (!Array.isArray(s.days) || s.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) errors.push('days must be a list of 0-6 (0 = Sunday)');
+    if (!Array.isArray(s.times) || s.times.some(t => !TIME_RE.test(t))) errors.push('times must be a list of HH:MM');
+    if (s.company !== null && (typeof s.company !== 'string' || !s.company.trim())) errors.push('company must be a company name, "all" or null');
+    if (errors.length) throw new Error(`Invalid schedule: ${errors.join('; ')}`);
+    return { ...s, days: [...new Set(s.days)].sort(), times: [...new Set(s.times)].sort() };
+}
+
+function isDue(schedule, lastRunAt, now) {
+    if (!schedule.enabled || !schedule.days.includes(now.getDay())) return false;
+    const nowMin = now.getHours() * 60 + now.getMinutes();
+    const last = lastRunAt ? new Date(lastRunAt) : null;
+
+    if (schedule.times.length) {
+        return schedule.times.some(t => {
+            const at = new Date(now);
+            at.setHours(0, minutesOf(t), 0, 0);
+            return nowMin >= minutesOf(t) && nowMin < minutesOf(t) + FIXED_TIME_GRACE_MIN && (!last || last < at);
+        });
+    }
+
+    if (nowMin < minutesOf(schedule.windowStart) || nowMin > minutesOf(schedule.windowEnd)) return false;
+    return !last || now - last >= schedule.intervalMinutes * 60 * 1000;
+}
+
+// Walks forward minute by minute; a week covers every schedule shape
+function nextRunAt(schedule, lastRunAt, from = new Date()) {
+    if (!schedule.enabled) return null;
+    const t = new Date(from);
+    t.setSeconds(0, 0);
+    for (let i = 0; i < 7 * 24 * 60; i++) {
+        t.setMinutes(t.getMinutes() + 1);
+        if (isDue(schedule, lastRunAt, t)) return t.toISOString();
+    }
+    return null;
+}
+
+// --- RUN HISTORY ---
+
+function loadHistory() { return readJson(HISTORY_FILE, []); }
+
+function recordRun(entry) {
+    const history = [entry, ...loadHistory()].slice(0, HISTORY_LIMIT);
+    writeJson(HISTORY_FILE, history);
+    return entry;
+}
+
+// --- SCHEDULER ---
+
+// `startSync(options)` must return { job, alreadyRunning } like syncJobs.start.
+// `isTallyUp()` is checked first so an unreachable Tally is logged as a skipped run, not a failure.
+function createScheduler({ startSync, isTallyUp }) {
+    let schedule = validateSchedule(readJson(SCHEDULE_FILE, DEFAULT_SCHEDULE));
+    let lastAttemptAt = null;
+    let timer = null;
+    let ticking = false;
+
+    const lastRunAt = () => {
+        const last = loadHistory().find(h => h.trigger === 'schedule');
+        return [lastAttemptAt, last?.startedAt].filter(Boolean).sort().pop() || null;
+    };
+
+    async function tick(now = new Date()) {
+        if (ticking || !isDue(schedule, lastRunAt(), now)) return;
+        ticking = true;
+        lastAttemptAt = now.toISOString();
+        try {
+            if (!(await isTallyUp())) {
+                console.log("Scheduled sync skipped: Tally not reachable");
+                recordRun({ id: null, trigger: 'schedule', status: 'skipped', startedAt: lastAttemptAt, finishedAt: new Date().toISOString(), error: 'Tally not reachable' });
+                return;
+            }
+            const { alreadyRunning } = startSync({ trigger: 'schedule', company: schedule.company });
+            if (alreadyRunning) console.log("Scheduled sync skipped: a sync is already running");
+        } catch (e) {
+            console.error("Scheduler error", e);
+        } finally {
+            ticking = false;
+        }
+    }
+
+    return {
+        start() {
+            if (timer) return;
+            timer = setInterval(tick, TICK_MS);
+            timer.unref();
+        },
+        stop() { clearInterval(timer); timer = null; },
+        tick,
+        get: () => ({ schedule, nextRunAt: nextRunAt(schedule, lastRunAt()) }),
+        update(input) {
+            schedule = writeJson(SCHEDULE_FILE, validateSchedule({ ...schedule, ...input }));
+            return this.get();
+        }
+    };
+}
+
+module.exports = { createScheduler, loadHistory, recordRun, validateSchedule, isDue, nextRunAt, DEFAULT_SCHEDULE };
@@ -0,0 +1,120 @@
+// Receivable and payable aging. The modules in lib/shared are plain ES modules with no Node APIs:
+// the server requires them and the dashboard imports them, so both age a ledger the same way.
+import { voucherCategory } from './voucher-categories.mjs';
+
+export const BUCKETS = ['0-30', '30-60', '60-90', '90+'];
+// Credit period assumed when Tally has none on the ledger
+export const DEFAULT_TERMS = 30;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+// Voucher dates as Tally reports them: 12-Nov-25
+export function parseVoucherDate(str) {
+    const m = /^(\d{1,2})-([A-Za-z]{3})-(\d{2})$/.exec(str || '');
+    if (m && MONTHS[m[2]] !== undefined) return new Date(2000 + parseInt(m[3], 10), MONTHS[m[2]], parseInt(m[1], 10));
+    const d = new Date(str);
+    return isNaN(d.getTime()) ? null : d;
+}
+
+// YYYY-MM-DD (bill dates) or YYYYMMDD (sync dates)
+export function parseIsoDate(str) {
+    const m = /^(\d{4})-?(\d{2})-?(\d{2})$/.exec(str || '');
+    return m ? new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10)) : null;
+}
+
+const emptyBuckets = () => ({ '0-30': 0, '30-60': 0, '60-90': 0, '90+': 0, notDue: 0 });
+
+function addToBucket(buckets, daysOverdue, amount) {
+    if (daysOverdue < 0) buckets.notDue += amount;
+    if (daysOverdue <= 30) buckets['0-30'] += amount;
+    else if (daysOverdue <= 60) buckets['30-60'] += amount;
+    else if (daysOverdue <= 90) buckets['60-90'] += amount;
+    else buckets['90+'] += amount;
+}
+
+// What is still unpaid, oldest first: { date, due, days overdue, amount, ref } per pending bill (on
+// the side of the net balance, after set-offs) or per voucher on the owed side that the other side
+// has not cleared
+function openBills(bills, today) {
+    const net = bills.reduce((s, b) => s + (b.sign === 'Dr' ? b.amount : -b.amount), 0);
+    const side = net >= 0 ? 'Dr' : 'Cr';
+    let setOff = bills.filter(b => b.sign !== side).reduce((s, b) => s + b.amount, 0);
+    const open = [];
+    bills.filter(b => b.sign === side)
+        .map(b => ({ ...b, due: parseIsoDate(b.dueDate) || parseIsoDate(b.date) || today }))
+        .sort((a, b) => a.due - b.due)
+        .forEach(b => {
+            const used = Math.min(setOff, b.amount);
+            setOff -= used;
+            if (b.amount > used) open.push({ date: parseIsoDate(b.date) || b.due, due: b.due, days: Math.floor((today - b.due) / DAY_MS), amount: b.amount - used, ref: b.ref || null });
+        });
+    return open;
+}
+
+// `owed` is the side that raises the balance: Dr (sales) for a debtor, Cr (purchases) for a creditor
+function openDebits(ledger, today, owed = 'Dr') {
+    const txns = [...(ledger.transactions || [])]
+        .map(t => ({ ...t, at: parseVoucherDate(t.date) || today }))
+        .sort((a, b) => a.at - b.at);
+    let opBal = parseFloat(String(ledger.openingBalance ?? '').replace(/,/g, ''));
+    if (isNaN(opBal)) opBal = 0;
+    // Tally sign: a negative opening is Dr; flipped for a creditor so what is owed is negative
+    if (owed === 'Cr') opBal = -opBal;
+
+    const debits = [];
+    let credits = 0;
+    // An owed opening is dated at the start of the synced period
+    if (opBal < 0) debits.push({ at: parseIsoDate(ledger.openingDate) || (txns[0]?.at ?? today), amount: -opBal, ref: 'Opening Balance' });
+    else credits += opBal;
+    txns.forEach(t => {
+        if (t.sign !== owed) credits += t.amount;
+        else if (voucherCategory(t) === 'reversal') {
+            // A bounced cheque takes its receipt back, so the bills it had cleared are open again
+            const back = Math.min(credits, t.amount);
+            credits -= back;
+            if (t.amount > back) debits.push({ at: t.at, amount: t.amount - back, ref: t.no || null });
+        } else debits.push({ at: t.at, amount: t.amount, ref: t.no || null });
+    });
+
+    const open = [];
+    debits.forEach(d => {
+        const used = Math.min(credits, d.amount);
+        credits -= used;
+        if (d.amount > used) open.push({ date: d.at, days: Math.ceil(Math.abs(today - d.at) / DAY_MS), amount: d.amount - used, ref: d.ref });
+    });
+    return open;
+}
+
+// Payables: purchase bills (Cr) cleared by payments (Dr), aged from their due date, the supplier's
+// credit period after the bill. Bill-wise bills carry Tally's due date already. A creditor with a
+// Dr balance (an advance to the supplier) has nothing to pay.
+function openPayables(ledger, today) {
+    if (ledger.billWise) {
+        const bills = ledger.bills || [];
+        return bills.reduce((s, b) => s + (b.sign === 'Cr' ? b.amount : -b.amount), 0) > 0 ? openBills(bills, today) : [];
+    }
+    const terms = ledger.creditPeriod ?? DEFAULT_TERMS;
+    return openDebits(ledger, today, 'Cr').map(i => {
+        const due = new Date(i.date.getTime() + terms * DAY_MS);
+        return { ...i, due, days: Math.floor((today - due) / DAY_MS) };
+    });
+}
+
+// Bill-wise when the sync found bill-by-bill tracking, otherwise first-in first-out over the vouchers.
+// Creditors (`kind: 'creditor'`) are aged as payables. `openingDate` (YYYYMMDD) is not stored on
+// ledgers; pass the data file's sync.startDate in.
+export function openItems(ledger, today = new Date()) {
+    if (ledger.kind === 'creditor') return openPayables(ledger, today);
+    return ledger.billWise ? openBills(ledger.bills || [], today) : openDebits(ledger, today);
+}
+
+export function ledgerAging(ledger, today = new Date()) {
+    const buckets = emptyBuckets();
+    openItems(ledger, today).forEach(i => addToBucket(buckets, i.days, i.amount));
+    return buckets;
+}
+
+// Oldest bucket holding money, like the dashboard's Aging Analysis tabs
+export function riskCategory(buckets) {
+    return [...BUCKETS].reverse().find(b => buckets[b] > 0) || '0-30';
+}
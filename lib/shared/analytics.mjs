@@ -0,0 +1,110 @@
+import { parseVoucherDate } from './aging.mjs';
+import { voucherCategory } from './voucher-categories.mjs';
+
+// Monthly collection trends from the synced vouchers of debtors, served by /api/trends and run in
+// the browser by the cloud dashboard. Per month, in receivables (Dr positive):
+//   billed      Dr vouchers: sales, debit notes (bounced cheques are receipts taken back, not sales)
+//   receipts    money received: receipt vouchers less bounced cheques (voucher-categories.mjs)
+//   credits     other Cr vouchers: credit notes, returns, discounts, journals
+//   opening / closing   net receivables at the start and end of the month
+//   dso         days sales outstanding: closing / billed over the last three months x their days
+//   efficiency  receipts as a % of what was collectible: opening + billed
+const MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+const BY = ['total', 'group'];
+
+// ?from=&to= as YYYY-MM (either optional), by=total|group, ledger= for one party
+export function parseTrendQuery(q) {
+    const query = { from: q.from || null, to: q.to || null, by: q.by || 'total', ledger: q.ledger || null };
+    const errors = [];
+    if (query.from && !MONTH.test(query.from)) errors.push('from must be YYYY-MM');
+    if (query.to && !MONTH.test(query.to)) errors.push('to must be YYYY-MM');
+    if (!BY.includes(query.by)) errors.push(`by must be one of ${BY.join(', ')}`);
+    if (errors.length) throw new Error(`Invalid query: ${errors.join('; ')}`);
+    return query;
+}
+
+export const monthKey = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+const daysIn = (month) => new Date(Number(month.slice(0, 4)), Number(month.slice(5)), 0).getDate();
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+function monthsBetween(first, last) {
+    const months = [];
+    for (let d = new Date(Number(first.slice(0, 4)), Number(first.slice(5)) - 1, 1); monthKey(d) <= last; d.setMonth(d.getMonth() + 1)) months.push(monthKey(d));
+    return months;
+}
+
+// A ledger's vouchers summed per month: { 'YYYY-MM': { dr, cr, receipt, reversal } }, receipt and
+// reversal being the Cr receipts and Dr reversals within dr / cr
+export function voucherMonths(transactions) {
+    const months = {};
+    transactions.forEach(t => {
+        const d = parseVoucherDate(t.date);
+        if (!d) return;
+        const m = (months[monthKey(d)] ||= { dr: 0, cr: 0, receipt: 0, reversal: 0 });
+        const category = voucherCategory(t);
+        if (t.sign === 'Dr') {
+            m.dr += t.amount;
+            if (category === 'reversal') m.reversal += t.amount;
+        } else {
+            m.cr += t.amount;
+            if (category === 'receipt') m.receipt += t.amount;
+        }
+    });
+    return months;
+}
+
+// rows: one per ledger { name, group, openingBalance (Tally sign), start: 'YYYY-MM', months: { 'YYYY-MM': { dr, cr, receipt, reversal } } }
+// -> { from, to, series: [{ name, months: [{ month, billed, receipts, credits, opening, closing, dso, efficiency }] }] }
+// The total series has name null; with by=group there is one per route group, largest receivables first.
+export function monthlyTrends(rows, { from = null, to = null, by = 'total' } = {}, today = new Date()) {
+    const seen = rows.flatMap(r => [r.start, ...Object.keys(r.months)]).filter(Boolean).sort();
+    if (!seen.length) return { from, to, series: [] };
+    const first = seen[0];
+    const last = [seen[seen.length - 1], monthKey(today)].sort()[1];
+    const span = monthsBetween(first, last);
+    const lo = from && from > first ? from : first;
+    const hi = to && to < last ? to : last;
+
+    const groups = new Map();
+    rows.forEach(r => {
+        const name = by === 'group' ? r.group : null;
+        const s = groups.get(name) || { name, opening: 0, months: {} };
+        const opening = parseFloat(String(r.openingBalance ?? '').replace(/,/g, ''));
+        if (!isNaN(opening)) s.opening -= opening;
+        Object.entries(r.months).forEach(([month, v]) => {
+            const m = (s.months[month] ||= { dr: 0, cr: 0, receipt: 0, reversal: 0 });
+            m.dr += v.dr;
+            m.cr += v.cr;
+            m.receipt += v.receipt || 0;
+            m.reversal += v.reversal || 0;
+        });
+        groups.set(name, s);
+    });
+
+    const series = [...groups.values()].map(s => {
+        let balance = s.opening;
+        const months = span.map((month, i) => {
+            const { dr = 0, cr = 0, receipt = 0, reversal = 0 } = s.months[month] || {};
+            const opening = balance;
+            balance += dr - cr;
+            const sales = dr - reversal;
+            const received = receipt - reversal;
+            const window = span.slice(Math.max(0, i - 2), i + 1);
+            const billed = window.reduce((sum, m) => sum + (s.months[m]?.dr || 0) - (s.months[m]?.reversal || 0), 0);
+            const collectible = Math.max(opening, 0) + sales;
+            return {
+                month,
+                billed: round(sales),
+                receipts: round(received),
+                credits: round(cr - receipt),
+                opening: round(opening),
+                closing: round(balance),
+                dso: billed > 0 ? Math.round((Math.max(balance, 0) / billed) * window.reduce((sum, m) => sum + daysIn(m), 0)) : null,
+                efficiency: collectible > 0 ? round((received / collectible) * 100, 1) : null
+            };
+        });
+        return { name: s.name, months: months.filter(m => m.month >= lo && m.month <= hi) };
+    });
+    series.sort((a, b) => (b.months[b.months.length - 1]?.closing || 0) - (a.months[a.months.length - 1]?.closing || 0));
+    return { from: lo, to: hi, series };
+}
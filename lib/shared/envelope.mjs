@@ -0,0 +1,18 @@
+// Opening an encrypted data file (the envelope lib/encryption.js writes) with WebCrypto. The dashboard
+// decrypts published files with these; the tests run them against the server's envelopes.
+export const ENVELOPE = 'smart-credit/v1';
+
+export const fromBase64 = (b64) => Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+export const importAesKey = (raw) => crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['decrypt']);
+
+// The raw AES key for `envelope`'s KDF settings, to import or to remember
+export async function deriveEnvelopeBits(passphrase, envelope) {
+    const base = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    return crypto.subtle.deriveBits({ name: 'PBKDF2', hash: envelope.kdf.hash, salt: fromBase64(envelope.kdf.salt), iterations: envelope.kdf.iterations }, base, 256);
+}
+
+// The parsed plaintext; rejects on a wrong key or tampered data (GCM authentication)
+export async function decryptEnvelope(envelope, key) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) }, key, fromBase64(envelope.ciphertext));
+    return JSON.parse(new TextDecoder().decode(plain));
+}
@@ -0,0 +1,93 @@
+import { DEFAULT_TERMS, openItems } from './aging.mjs';
+import { paymentHistory } from './risk.mjs';
+
+// Week-by-week cash-flow forecast, served by /api/forecast and run in the browser by the cloud dashboard.
+//   inflows   open debtor bills, expected on the bill date plus the days that party has taken to
+//             pay before (its credit period when it has never paid)
+//   outflows  open creditor bills, expected on their due date (payables aging in aging.mjs)
+// Anything already past its expected date falls in the first week. Debtor bills more than
+// DOUBTFUL_DAYS past it are left out as doubtful and reported on their own.
+const DOUBTFUL_DAYS = 90;
+const WEEKS = { min: 8, max: 12 };
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// ?weeks= (8-12, default 12) and ?opening= (cash in hand now, default 0)
+export function parseForecastQuery(q) {
+    const query = { weeks: q.weeks === undefined || q.weeks === '' ? WEEKS.max : Number(q.weeks), opening: q.opening === undefined || q.opening === '' ? 0 : Number(q.opening) };
+    const errors = [];
+    if (!Number.isInteger(query.weeks) || query.weeks < WEEKS.min || query.weeks > WEEKS.max) errors.push(`weeks must be a whole number from ${WEEKS.min} to ${WEEKS.max}`);
+    if (isNaN(query.opening)) errors.push('opening must be a number');
+    if (errors.length) throw new Error(`Invalid query: ${errors.join('; ')}`);
+    return query;
+}
+
+const isoDay = (d) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const round = (n) => Math.round(n * 100) / 100;
+const net = (l) => {
+    let n = parseFloat(String(l.openingBalance ?? '').replace(/,/g, ''));
+    if (isNaN(n)) n = 0;
+    (l.transactions || []).forEach(t => { n += t.sign === 'Dr' ? -t.amount : t.amount; });
+    return n;
+};
+
+// Open bills of one party with the day each is expected to be paid: { ref, date, expected, amount }
+function expectedPayments(l, today) {
+    if (l.kind !== 'debtor') return openItems(l, today).map(i => ({ ref: i.ref, date: i.date, expected: i.due, amount: i.amount }));
+    if (net(l) >= 0) return [];
+    const days = paymentHistory(l, today).paidDays ?? l.creditPeriod ?? DEFAULT_TERMS;
+    return openItems(l, today).map(i => ({ ref: i.ref, date: i.date, expected: new Date(i.date.getTime() + days * DAY_MS), amount: i.amount }));
+}
+
+// ledgers: full ledgers (vouchers, bills, creditPeriod) with `kind`, debtors and creditors
+// -> { asOf, opening, weeks: [{ from, to, inflow, outflow, net, position, inflows, outflows }], later, doubtful }
+// inflows / outflows list the parties behind a week's number, largest first, with their bills.
+export function forecastCashFlow(ledgers, { weeks = WEEKS.max, opening = 0 } = {}, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const slots = Array.from({ length: weeks }, (_, i) => ({
+        from: new Date(today.getTime() + i * 7 * DAY_MS),
+        to: new Date(today.getTime() + (i * 7 + 6) * DAY_MS),
+        inflows: new Map(),
+        outflows: new Map()
+    }));
+    const later = { inflow: 0, outflow: 0 };
+    const doubtful = { amount: 0, parties: new Set() };
+    ledgers.forEach(l => {
+        const side = l.kind === 'debtor' ? 'inflows' : 'outflows';
+        expectedPayments(l, today).forEach(b => {
+            const late = Math.floor((today - b.expected) / DAY_MS);
+            if (side === 'inflows' && late > DOUBTFUL_DAYS) {
+                doubtful.amount += b.amount;
+                doubtful.parties.add(`${l.company || ''}|${l.name}`);
+                return;
+            }
+            const week = Math.max(0, Math.floor((b.expected - today) / (7 * DAY_MS)));
+            if (week >= weeks) {
+                later[side === 'inflows' ? 'inflow' : 'outflow'] += b.amount;
+                return;
+            }
+            const parties = slots[week][side];
+            const key = `${l.company || ''}|${l.name}`;
+            if (!parties.has(key)) parties.set(key, { company: l.company || null, name: l.name, group: l.group || null, amount: 0, bills: [] });
+            const p = parties.get(key);
+            p.amount += b.amount;
+            p.bills.push({ ref: b.ref, date: isoDay(b.date), expected: isoDay(b.expected), amount: round(b.amount), late: late > 0 });
+        });
+    });
+
+    let position = opening;
+    const list = (parties) => [...parties.values()].map(p => ({ ...p, amount: round(p.amount) })).sort((a, b) => b.amount - a.amount);
+    return {
+        asOf: isoDay(today),
+        opening,
+        weeks: slots.map(s => {
+            const inflows = list(s.inflows);
+            const outflows = list(s.outflows);
+            const inflow = inflows.reduce((sum, p) => sum + p.amount, 0);
+            const outflow = outflows.reduce((sum, p) => sum + p.amount, 0);
+            position += inflow - outflow;
+            return { from: isoDay(s.from), to: isoDay(s.to), inflow: round(inflow), outflow: round(outflow), net: round(inflow - outflow), position: round(position), inflows, outflows };
+        }),
+        later: { inflow: round(later.inflow), outflow: round(later.outflow) },
+        doubtful: { amount: round(doubtful.amount), parties: doubtful.parties.size }
+    };
+}
@@ -0,0 +1,111 @@
+import { DEFAULT_TERMS, openItems, parseVoucherDate, parseIsoDate } from './aging.mjs';
+import { voucherCategory } from './voucher-categories.mjs';
+
+// Behaviour-based risk score for a debtor, 0 (safe) to 100 (risky). Four factors, each 0-1:
+//   utilisation  receivable against the Tally credit limit (1 at or over the limit)
+//   daysToPay    how late payments come against the credit period, 60 days late = 1
+//   regularity   how uneven the gaps between payments are, the wait since the last one included
+//   overdue      amount past due on a log scale: up to ₹1,000 = 0, ₹5 lakh or more = 1
+// A factor without data (no limit set, no payments seen) is left out and the others re-weighted.
+const WEIGHTS = { utilisation: 30, daysToPay: 25, regularity: 15, overdue: 30 };
+const LEVELS = [['high', 65], ['medium', 35], ['low', 0]];
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const clamp = (n) => Math.min(1, Math.max(0, n));
+const round = (n, places = 0) => Math.round(n * 10 ** places) / 10 ** places;
+
+const riskLevel = (score) => (score === null ? null : LEVELS.find(([, min]) => score >= min)[0]);
+
+// Amount-weighted days from each debit to the credit that cleared it (first-in first-out).
+// Debits still open count as unpaid up to today, so a party that stops paying drifts up.
+export function paymentHistory(ledger, today) {
+    const txns = [...(ledger.transactions || [])]
+        .map(t => ({ ...t, at: parseVoucherDate(t.date) || today }))
+        .sort((a, b) => a.at - b.at);
+    let opening = parseFloat(String(ledger.openingBalance ?? '').replace(/,/g, ''));
+    if (isNaN(opening)) opening = 0;
+    const start = parseIsoDate(ledger.openingDate) || (txns[0]?.at ?? today);
+
+    // Tally sign: a negative opening is Dr
+    const debits = opening < 0 ? [{ at: start, amount: -opening }] : [];
+    let advance = opening > 0 ? opening : 0;
+    let weighted = 0;
+    let cleared = 0;
+    const settle = (at, amount) => {
+        while (amount > 0.005 && debits.length) {
+            const d = debits[0];
+            const used = Math.min(amount, d.amount);
+            weighted += used * Math.max(0, (at - d.at) / DAY_MS);
+            cleared += used;
+            d.amount -= used;
+            amount -= used;
+            if (d.amount <= 0.005) debits.shift();
+        }
+        return amount;
+    };
+    const payments = [];
+    txns.forEach(t => {
+        if (t.sign === 'Dr') {
+            debits.push({ at: t.at, amount: t.amount });
+            advance = settle(t.at, advance);
+        } else {
+            // Credit notes and discounts clear bills too, but only money received is a payment
+            if (voucherCategory(t) === 'receipt') payments.push(t.at);
+            advance += settle(t.at, t.amount);
+        }
+    });
+    // Paid amounts only: what the cash-flow forecast expects of the bills still open
+    const paidDays = cleared > 0 ? weighted / cleared : null;
+    const open = debits.reduce((s, d) => s + d.amount, 0);
+    debits.forEach(d => { weighted += d.amount * Math.max(0, (today - d.at) / DAY_MS); });
+    return { avgDaysToPay: cleared + open > 0 ? weighted / (cleared + open) : null, paidDays, payments };
+}
+
+// Coefficient of variation of the gaps between payments; with a balance due, the wait since the
+// last payment is one more gap. Fewer than two payments says little, so it scores by count.
+function regularityFactor(payments, receivable, today) {
+    if (payments.length < 2) return receivable > 0 ? (payments.length ? 0.5 : 1) : null;
+    const gaps = payments.slice(1).map((at, i) => (at - payments[i]) / DAY_MS);
+    if (receivable > 0) gaps.push((today - payments[payments.length - 1]) / DAY_MS);
+    const mean = gaps.reduce((s, g) => s + g, 0) / gaps.length;
+    if (mean <= 0) return 0;
+    const sd = Math.sqrt(gaps.reduce((s, g) => s + (g - mean) ** 2, 0) / gaps.length);
+    return clamp(sd / mean / 1.5);
+}
+
+// -> { score, level, overLimit, receivable, utilisation, avgDaysToPay, overdue, factors }
+// for a ledger as the data file (or ledgerDb.ledger) has it, with creditLimit / creditPeriod
+export function partyRisk(ledger, today = new Date()) {
+    let net = parseFloat(String(ledger.openingBalance ?? '').replace(/,/g, ''));
+    if (isNaN(net)) net = 0;
+    (ledger.transactions || []).forEach(t => { net += t.sign === 'Dr' ? -t.amount : t.amount; });
+    const receivable = Math.max(0, -net);
+    const limit = ledger.creditLimit > 0 ? ledger.creditLimit : null;
+    const terms = ledger.creditPeriod ?? DEFAULT_TERMS;
+
+    const history = paymentHistory(ledger, today);
+    // Bill-wise items are aged from their due date; first-in first-out ones from the voucher date
+    const overdue = openItems(ledger, today)
+        .filter(i => i.days > (ledger.billWise ? 0 : terms))
+        .reduce((s, i) => s + i.amount, 0);
+
+    const factors = {
+        utilisation: limit ? clamp(receivable / limit) : null,
+        daysToPay: history.avgDaysToPay === null ? null : clamp((history.avgDaysToPay - terms) / 60),
+        regularity: regularityFactor(history.payments, receivable, today),
+        overdue: overdue > 1000 ? clamp(Math.log10(overdue / 1000) / Math.log10(500)) : 0
+    };
+    const used = Object.keys(WEIGHTS).filter(k => factors[k] !== null);
+    const weight = used.reduce((s, k) => s + WEIGHTS[k], 0);
+    const score = Math.round((100 * used.reduce((s, k) => s + WEIGHTS[k] * factors[k], 0)) / weight);
+    return {
+        score,
+        level: riskLevel(score),
+        overLimit: !!limit && receivable > limit,
+        receivable: round(receivable, 2),
+        utilisation: limit ? round(receivable / limit, 3) : null,
+        avgDaysToPay: history.avgDaysToPay === null ? null : Math.round(history.avgDaysToPay),
+        overdue: round(overdue, 2),
+        factors: Object.fromEntries(Object.entries(factors).map(([k, v]) => [k, v === null ? null : round(v, 2)]))
+    };
+}
@@ -0,0 +1,31 @@
+// Voucher categories (see lib/voucher-types.js for what each means and how admins map their own
+// voucher type names). Synced vouchers carry their category; vouchers synced before categories
+// existed fall back to a guess from the type name.
+export const CATEGORIES = ['sale', 'receipt', 'return', 'discount', 'adjustment', 'reversal', 'purchase', 'payment'];
+// First match wins. Tally's own abbreviations (Sale, Rcpt, C/Note, Jrnl) and common custom names.
+const GUESSES = [
+    [/bounce|dishono|revers/i, 'reversal'],
+    [/c\/note|credit note|return|rejection/i, 'return'],
+    [/discount|rebate/i, 'discount'],
+    [/rcpt|receipt/i, 'receipt'],
+    [/pymt|payment/i, 'payment'],
+    [/purc|purchase/i, 'purchase'],
+    [/sale|invoice|d\/note|debit note/i, 'sale']
+];
+
+export const guessCategory = (type) => GUESSES.find(([pattern]) => pattern.test(type || ''))?.[1] || 'adjustment';
+
+// A voucher's category as synced, or guessed for vouchers synced before categories existed
+export const voucherCategory = (t) => t.category || guessCategory(t.type);
+
+// Amounts per category and side over a ledger's vouchers: { receipt: { dr, cr }, ... }, only the
+// categories it has. Separates money received from credit notes, discounts and journals.
+export function voucherBreakdown(transactions) {
+    const breakdown = {};
+    (transactions || []).forEach(t => {
+        const c = (breakdown[voucherCategory(t)] ||= { dr: 0, cr: 0 });
+        if (t.sign === 'Dr') c.dr += t.amount;
+        else c.cr += t.amount;
+    });
+    return breakdown;
+}
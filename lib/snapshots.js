@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { STATE_DIR, readJson, writeJson } = require('./json-store');
+const { slug } = require('./company-store');
+const { ledgerAging, riskCategory, BUCKETS } = require('./shared/aging.mjs');
+const { voucherCategory } = require('./voucher-types');
+
+// Every sync leaves a dated copy of the company's data in state/snapshots/<company>/<id>.json,
+// so "what changed" can be answered without digging through the published git history.
+const SNAPSHOT_DIR = path.join(STATE_DIR, 'snapshots');
+const RETENTION_FILE = 'snapshot-retention.json';
+
+const DEFAULT_RETENTION = {
+    // The most recent N snapshots are always kept
+    keepLast: 10,
+    // Beyond those, the last snapshot of each day is kept for this many days
+    keepDailyDays: 30
+};
+
+function validateRetention(input) {
+    const r = { ...DEFAULT_RETENTION, ...input };
+    const errors = [];
+    if (!Number.isInteger(r.keepLast) || r.keepLast < 2) errors.push('keepLast must be a whole number of at least 2');
+    if (!Number.isInteger(r.keepDailyDays) || r.keepDailyDays < 0) errors.push('keepDailyDays must be a whole number, 0 or more');
+    if (errors.length) throw new Error(`Invalid snapshot retention: ${errors.join('; ')}`);
+    return { keepLast: r.keepLast, keepDailyDays: r.keepDailyDays };
+}
+
+function loadRetention() { return validateRetention(readJson(RETENTION_FILE, DEFAULT_RETENTION)); }
+function saveRetention(input) { return writeJson(RETENTION_FILE, validateRetention({ ...loadRetention(), ...input })); }
+
+const companyDir = (company) => path.join(SNAPSHOT_DIR, company ? slug(company) : 'default');
+
+// Ids sort by time: 2026-01-02T17:30:00.000Z -> 2026-01-02T17-30-00-000Z
+const snapshotId = (iso) => iso.replace(/[:.]/g, '-');
+const takenAtOf = (id) => `${id.slice(0, 10)}T${id.slice(11, 13)}:${id.slice(14, 16)}:${id.slice(17, 19)}.${id.slice(20, 23)}Z`;
+
+function takeSnapshot(data, retention = loadRetention()) {
+    const dir = companyDir(data.company);
+    fs.mkdirSync(dir, { recursive: true });
+    const takenAt = data.updatedAt || new Date().toISOString();
+    const id = snapshotId(takenAt);
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify({ ...data, snapshot: { id, takenAt } }));
+    pruneSnapshots(data.company, retention);
+    return { id, takenAt };
+}
+
+// Newest first: [{ id, takenAt }]
+function listSnapshots(company) {
+    const dir = companyDir(company);
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort().reverse()
+        .map(id => ({ id, takenAt: takenAtOf(id) }));
+}
+
+// Anything not shaped like a snapshotId (e.g. "../../users" from a query) is unknown
+const SNAPSHOT_ID_RE = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
+function loadSnapshot(company, id) {
+    if (!SNAPSHOT_ID_RE.test(id)) return null;
+    const file = path.join(companyDir(company), `${id}.json`);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : null;
+}
+
+function pruneSnapshots(company, retention = loadRetention(), now = new Date()) {
+    const snaps = listSnapshots(company);
+    const keep = new Set(snaps.slice(0, retention.keepLast).map(s => s.id));
+    const cutoff = now.getTime() - retention.keepDailyDays * 24 * 60 * 60 * 1000;
+    const seenDays = new Set();
+    snaps.forEach(({ id, takenAt }) => {
+        // Newest first, so the first snapshot seen for a day is that day's last
+        const day = takenAt.slice(0, 10);
+        if (!seenDays.has(day) && Date.parse(takenAt) >= cutoff) keep.add(id);
+        seenDays.add(day);
+    });
+    snaps.map(s => s.id).filter(id => !keep.has(id)).forEach(id => fs.unlinkSync(path.join(companyDir(company), `${id}.json`)));
+}
+
+// --- DIFF ---
+
+const voucherKey = (t) => [t.date, t.type, t.no, t.sign, t.amount, t.account].join('|');
+
+// Flattens a data file into name -> { kind, group, balance (Dr positive), bucket, vouchers }
+function summarise(data) {
+    const asOf = new Date(data.snapshot?.takenAt || data.updatedAt || Date.now());
+    const parties = new Map();
+    const add = (l, kind, group) => {
+        const balance = (l.type === 'Dr' ? 1 : -1) * Math.abs(l.amount || 0);
+        // Buckets only mean something for money owed to us
+        const bucket = kind === 'debtor' && balance > 0 ? riskCategory(ledgerAging({ ...l, openingDate: data.sync?.startDate }, asOf)) : null;
+        const vouchers = new Map();
+        (l.transactions || []).forEach(t => {
+            const k = voucherKey(t);
+            vouchers.set(k, { ...t, count: (vouchers.get(k)?.count || 0) + 1 });
+        });
+        parties.set(l.name, { name: l.name, kind, group, balance, bucket, vouchers });
+    };
+    [...Object.entries(data.debtors || {}), ...Object.entries(data.hiddenDebtors || {})].forEach(([group, list]) => list.forEach(l => add(l, 'debtor', group)));
+    (data.creditors || []).forEach(l => add(l, 'creditor', null));
+    return parties;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const partyRow = ({ name, kind, group, balance, bucket }) => ({ name, kind, group, balance, bucket });
+
+// Vouchers in `after` that `before` did not have (an altered voucher shows up as removed + new)
+function voucherChanges(before, after) {
+    const added = [];
+    after.forEach((v, k) => {
+        const extra = v.count - (before.get(k)?.count || 0);
+        for (let i = 0; i < extra; i++) added.push({ date: v.date, type: v.type, no: v.no, account: v.account, amount: v.amount, sign: v.sign, category: voucherCategory(v) });
+    });
+    return added;
+}
+
+function diffSnapshots(older, newer) {
+    const a = summarise(older);
+    const b = summarise(newer);
+    const empty = new Map();
+
+    const newParties = [...b.values()].filter(p => !a.has(p.name)).map(partyRow);
+    const removedParties = [...a.values()].filter(p => !b.has(p.name)).map(partyRow);
+    const balanceChanges = [];
+    const bucketMoves = [];
+    const newVouchers = [];
+    const removedVouchers = [];
+
+    b.forEach(p => {
+        const prev = a.get(p.name);
+        voucherChanges(prev?.vouchers || empty, p.vouchers).forEach(v => newVouchers.push({ ledger: p.name, kind: p.kind, ...v }));
+        if (!prev) return;
+        voucherChanges(p.vouchers, prev.vouchers).forEach(v => removedVouchers.push({ ledger: p.name, kind: p.kind, ...v }));
+        const change = round2(p.balance - prev.balance);
+        if (change !== 0) balanceChanges.push({ name: p.name, kind: p.kind, group: p.group, before: prev.balance, after: p.balance, change });
+        if (prev.bucket !== p.bucket) {
+            const rank = (bk) => (bk ? BUCKETS.indexOf(bk) : -1);
+            bucketMoves.push({ name: p.name, group: p.group, from: prev.bucket, to: p.bucket, balance: p.balance, direction: rank(p.bucket) > rank(prev.bucket) ? 'worse' : 'better' });
+        }
+    });
+    balanceChanges.sort((x, y) => Math.abs(y.change) - Math.abs(x.change));
+
+    const debtorVouchers = newVouchers.filter(v => v.kind === 'debtor');
+    const total = (filter) => round2(debtorVouchers.filter(filter).reduce((s, v) => s + v.amount, 0));
+    const reversed = total(v => v.sign === 'Dr' && v.category === 'reversal');
+    return {
+        company: newer.company || null,
+        from: older.snapshot || { id: null, takenAt: older.updatedAt },
+        to: newer.snapshot || { id: null, takenAt: newer.updatedAt },
+        summary: {
+            newParties: newParties.length,
+            removedParties: removedParties.length,
+            balanceChanges: balanceChanges.length,
+            newVouchers: newVouchers.length,
+            removedVouchers: removedVouchers.length,
+            // New vouchers on receivables between the two snapshots, measured as the trends are
+            // (lib/shared/analytics.mjs): money received less bounced cheques, billing without the
+            // bounced cheques, and the credit notes, discounts and journals that are not money
+            received: round2(total(v => v.sign === 'Cr' && v.category === 'receipt') - reversed),
+            billed: round2(total(v => v.sign === 'Dr') - reversed),
+            credits: total(v => v.sign === 'Cr' && v.category !== 'receipt'),
+            movedInto90: bucketMoves.filter(m => m.to === '90+' && m.from !== '90+').length
+        },
+        balanceChanges,
+        newParties,
+        removedParties,
+        newVouchers,
+        removedVouchers,
+        bucketMoves
+    };
+}
+
+module.exports = {
+    DEFAULT_RETENTION,
+    loadRetention,
+    saveRetention,
+    validateRetention,
+    takeSnapshot,
+    listSnapshots,
+    loadSnapshot,
+    pruneSnapshots,
+    diffSnapshots
+};
@@ -0,0 +1,147 @@
+const PDFDocument = require('pdfkit');
+const { ledgerAging, parseVoucherDate, parseIsoDate } = require('./shared/aging.mjs');
+
+// Statements of account as PDF (pdfkit). buildStatement is the server's copy of processLedgerData
+// and sliceStatement in dashboard/src/App.jsx, so a printed statement matches the screen; keep
+// the three in step.
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// ?from=&to= as YYYY-MM-DD, either optional
+function parseStatementRange(q) {
+    const range = { from: q.from || null, to: q.to || null };
+    const errors = [];
+    if (range.from && !DAY.test(range.from)) errors.push('from must be YYYY-MM-DD');
+    if (range.to && !DAY.test(range.to)) errors.push('to must be YYYY-MM-DD');
+    if (errors.length) throw new Error(`Invalid query: ${errors.join('; ')}`);
+    return range;
+}
+
+// Running balances in Tally's sign (negative = Dr) over vouchers in date order, cut to the range.
+// The opening of a range is the balance just before `from`, so a slice still reconciles.
+function buildStatement(ledger, { from = null, to = null } = {}, today = new Date()) {
+    const raw = parseFloat(String(ledger.openingBalance ?? '').replace(/,/g, ''));
+    let running = isNaN(raw) ? 0 : raw;
+    let opening = running;
+    const rows = [...(ledger.transactions || [])]
+        .map(t => ({ ...t, day: parseVoucherDate(t.date) }))
+        .sort((a, b) => (a.day || 0) - (b.day || 0))
+        .map(t => {
+            running += t.sign === 'Dr' ? -t.amount : t.amount;
+            return { ...t, balance: running };
+        });
+
+    const fromD = from ? new Date(`${from}T00:00:00`) : null;
+    const toD = to ? new Date(`${to}T23:59:59`) : null;
+    const inRange = rows.filter(r => {
+        if (fromD && r.day < fromD) { opening = r.balance; return false; }
+        return !toD || r.day <= toD;
+    });
+    return {
+        name: ledger.name,
+        company: ledger.company || null,
+        group: ledger.group || null,
+        from: fromD || parseIsoDate(ledger.openingDate) || (rows[0]?.day ?? null),
+        to: toD || today,
+        opening,
+        closing: inRange.length ? inRange[inRange.length - 1].balance : opening,
+        rows: inRange,
+        billWise: !!ledger.billWise,
+        aging: ledgerAging(ledger, today),
+        today
+    };
+}
+
+// --- PDF ---
+
+const MARGIN = 40;
+const ROW = 16;
+const money = (n) => Math.abs(n).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+const balance = (n) => (Math.abs(n) < 0.005 ? money(0) : `${money(n)} ${n < 0 ? 'Dr' : 'Cr'}`);
+const longDate = (d) => (d ? d.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' }) : '-');
+
+// Widths add up to the A4 text width (595 - 2 * MARGIN)
+const COLUMNS = [
+    { label: 'Date', width: 58 },
+    { label: 'Particulars', width: 157 },
+    { label: 'Vch Type', width: 55 },
+    { label: 'Vch No.', width: 50 },
+    { label: 'Debit', width: 65, align: 'right' },
+    { label: 'Credit', width: 65, align: 'right' },
+    { label: 'Balance', width: 65, align: 'right' }
+];
+
+function tableRow(doc, y, cells, { font = 'Helvetica', fill = null } = {}) {
+    if (fill) doc.rect(MARGIN, y - 3, 515, ROW).fill(fill).fillColor('black');
+    doc.font(font).fontSize(8);
+    let x = MARGIN;
+    COLUMNS.forEach((c, i) => {
+        doc.text(cells[i] ?? '', x + 2, y, { width: c.width - 4, align: c.align || 'left', lineBreak: false, ellipsis: true, height: ROW });
+        x += c.width;
+    });
+    return y + ROW;
+}
+
+function writeStatement(doc, s) {
+    const bottom = doc.page.height - MARGIN - 20;
+    doc.font('Helvetica-Bold').fontSize(14).text(s.company || 'Statement of Account', MARGIN, MARGIN);
+    doc.font('Helvetica').fontSize(9).fillColor('#555').text(s.company ? 'Statement of Account' : ' ').fillColor('black');
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(12).text(s.name);
+    doc.font('Helvetica').fontSize(9).text(`${s.group ? `${s.group} · ` : ''}Period ${longDate(s.from)} to ${longDate(s.to)}`);
+    doc.text(`Closing balance ${balance(s.closing)}`);
+    doc.moveDown(0.8);
+
+    // Aging summary above the vouchers, as in the dashboard
+    let y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(9).text(`Aging as of ${longDate(s.today)}${s.billWise ? ' (by bill due dates)' : ' (first-in first-out)'}`, MARGIN, y);
+    y += 14;
+    // ledgerAging counts bills not yet due inside 0-30; here they get their own box so the boxes add up to the balance
+    const cells = [['Not yet due', s.aging.notDue], ['< 30 days', s.aging['0-30'] - s.aging.notDue], ['30-60 days', s.aging['30-60']], ['60-90 days', s.aging['60-90']], ['> 90 days', s.aging['90+']]];
+    cells.forEach(([label, value], i) => {
+        const x = MARGIN + i * 103;
+        doc.rect(x, y, 99, 32).stroke('#c8ccd6');
+        doc.font('Helvetica').fontSize(7).fillColor('#555').text(label, x + 5, y + 5, { width: 89, lineBreak: false }).fillColor('black');
+        doc.font('Helvetica-Bold').fontSize(9).text(money(value), x + 5, y + 17, { width: 89, lineBreak: false });
+    });
+    y += 48;
+
+    const header = (y) => tableRow(doc, y, COLUMNS.map(c => c.label), { font: 'Helvetica-Bold', fill: '#e8eaf0' });
+    y = header(y);
+    const row = (cells, options) => {
+        if (y + ROW > bottom) {
+            doc.addPage();
+            y = header(MARGIN);
+        }
+        y = tableRow(doc, y, cells, options);
+    };
+    row(['', 'Opening Balance', '', '', s.opening < 0 ? money(s.opening) : '', s.opening > 0 ? money(s.opening) : '', balance(s.opening)], { font: 'Helvetica-Oblique' });
+    s.rows.forEach(r => row([r.date, r.account || 'As per details', r.type || '', r.no || '', r.sign === 'Dr' ? money(r.amount) : '', r.sign === 'Cr' ? money(r.amount) : '', balance(r.balance)]));
+    row(['', 'Closing Balance', '', '', s.closing < 0 ? money(s.closing) : '', s.closing > 0 ? money(s.closing) : '', balance(s.closing)], { font: 'Helvetica-Bold', fill: '#f3f4f7' });
+}
+
+// One PDF for one or many statements; each party starts on a new page and pages are numbered per party
+function renderStatements(statements, out, title = 'Statement of Account') {
+    const doc = new PDFDocument({ size: 'A4', margin: MARGIN, bufferPages: true, info: { Title: title, Producer: 'SmartCredit' } });
+    doc.pipe(out);
+    const firstPages = statements.map((s, i) => {
+        if (i) doc.addPage();
+        const first = doc.bufferedPageRange().count - 1;
+        writeStatement(doc, s);
+        return first;
+    });
+    const total = doc.bufferedPageRange().count;
+    statements.forEach((s, i) => {
+        const last = (firstPages[i + 1] ?? total) - 1;
+        for (let p = firstPages[i]; p <= last; p++) {
+            doc.switchToPage(p);
+            // Writing into the bottom margin would otherwise start a new page
+            doc.page.margins.bottom = 0;
+            doc.font('Helvetica').fontSize(7).fillColor('#888')
+                .text(`${s.name} · page ${p - firstPages[i] + 1} of ${last - firstPages[i] + 1} · generated ${longDate(s.today)}`, MARGIN, doc.page.height - MARGIN, { width: 515, align: 'center', lineBreak: false });
+        }
+    });
+    doc.end();
+}
+
+module.exports = { parseStatementRange, buildStatement, renderStatements };
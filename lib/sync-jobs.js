@@ -0,0 +1,97 @@
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const KEEP_JOBS = 20;
+
+// Runs one sync at a time and keeps a snapshot of each job that API clients can poll or stream.
+// `run(options, progress)` does the work and reports through the progress helpers below;
+// `onFinish(job)` sees every finished job once (used for the persisted run history).
+function createSyncJobs(run, { onFinish } = {}) {
+    const jobs = new Map();
+    const promises = new Map();
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    let running = null;
+
+    const snapshot = (job) => ({ ...job, warnings: [...job.warnings] });
+    const emit = (job) => events.emit(job.id, snapshot(job));
+
+    function progressFor(job) {
+        return {
+            phase(name, message = '') {
+                job.phase = name;
+                job.message = message;
+                job.done = 0;
+                job.total = 0;
+                emit(job);
+            },
+            step(done, total) {
+                job.done = done;
+                job.total = total;
+                emit(job);
+            },
+            warn(message) {
+                job.warnings.push(message);
+                emit(job);
+            }
+        };
+    }
+
+    function start(options = {}) {
+        // A second request while a sync runs joins the running job instead of starting another
+        if (running) return { job: snapshot(running), alreadyRunning: true };
+
+        const job = {
+            id: crypto.randomBytes(6).toString('hex'),
+            status: 'running',
+            options,
+            phase: 'queued',
+            message: '',
+            done: 0,
+            total: 0,
+            warnings: [],
+            result: null,
+            error: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null
+        };
+        jobs.set(job.id, job);
+        running = job;
+        if (jobs.size > KEEP_JOBS) {
+            const oldest = jobs.keys().next().value;
+            jobs.delete(oldest);
+            promises.delete(oldest);
+        }
+
+        promises.set(job.id, Promise.resolve()
+            .then(() => run(options, progressFor(job)))
+            .then((result) => { job.status = 'done'; job.result = result; })
+            .catch((e) => { job.status = 'failed'; job.error = e.message; console.error(e); })
+            .finally(() => {
+                job.finishedAt = new Date().toISOString();
+                job.phase = job.status;
+                job.message = '';
+                running = null;
+                if (onFinish) {
+                    try { onFinish(snapshot(job)); } catch (e) { console.error("Sync job onFinish failed", e); }
+                }
+                emit(job);
+            }));
+
+        return { job: snapshot(job), alreadyRunning: false };
+    }
+
+    return {
+        start,
+        get: (id) => (jobs.has(id) ? snapshot(jobs.get(id)) : null),
+        current: () => (running ? snapshot(running) : null),
+        // Resolves once the job finishes, with the final snapshot
+        wait: (id) => promises.get(id).then(() => snapshot(jobs.get(id))),
+        subscribe(id, listener) {
+            events.on(id, listener);
+            return () => events.off(id, listener);
+        }
+    };
+}
+
+module.exports = { createSyncJobs };
@@ -0,0 +1,143 @@
+const xml2js = require('xml2js');
+
+// Talking to Tally and reading what it sends back. Requests are retried with a growing delay and
+// run at most `concurrency` at a time; responses are checked before anything is read from them.
+// Tally answers a bad request with <RESPONSE> or a LINEERROR rather than an HTTP error, and its
+// reports come back as parallel DSPVCH* / DSPACC* lists that only line up if every column has
+// one entry per row. A response that fails these checks is an error, never an empty result: an
+// empty result would sync as a zero balance or a party without history.
+const DEFAULTS = { timeout: 30000, retries: 2, retryDelayMs: 1000, concurrency: 20 };
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const asArray = (v) => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+const text = (v) => (v && typeof v === 'object' ? (v._ || '') : (v ?? '')).toString().trim();
+// "-1,02,514.00", "1,000.00 Dr"; blank is 0, anything else that isn't a number is NaN
+const amountOf = (v) => {
+    const s = text(v).replace(/Dr|Cr|,/gi, '').trim();
+    return s === '' ? 0 : Number(s);
+};
+
+// Answers that retrying will not change (Tally refused the request, or the report has the wrong shape)
+const responseError = (message) => Object.assign(new Error(message), { retryable: false });
+
+function checkResponse(data) {
+    if (data?.RESPONSE !== undefined) throw responseError(`Tally refused the request: ${text(asArray(data.RESPONSE)[0]) || 'no reason given'}`);
+    if (!data || !('ENVELOPE' in data)) throw responseError('Response is not a Tally envelope');
+    const envelope = asArray(data.ENVELOPE)[0];
+    const lineError = envelope?.LINEERROR ?? asArray(asArray(asArray(envelope?.BODY)[0]?.DATA)[0]?.LINEERROR)[0];
+    if (lineError !== undefined) throw responseError(`Tally error: ${text(asArray(lineError)[0])}`);
+    return data;
+}
+
+// Runs fn over items with at most `limit` in flight; results keep the items' order
+async function mapLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+// `request(xml, { timeout })` resolves to Tally's raw XML (server.js passes its tallyRequest so
+// recording sees every call). Timeouts, dropped connections, HTTP errors and unreadable XML are
+// retried after retryDelayMs, then twice that, and so on.
+function createTallyClient(request, options = {}) {
+    const config = { ...DEFAULTS, ...options };
+
+    async function post(xml, { explicitArray = false } = {}) {
+        const attempts = config.retries + 1;
+        let error;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const raw = await request(xml, { timeout: config.timeout });
+                return checkResponse(await new xml2js.Parser({ explicitArray }).parseStringPromise(raw));
+            } catch (e) {
+                error = e;
+                if (e.retryable === false) break;
+                if (attempt < attempts) await sleep(config.retryDelayMs * 2 ** (attempt - 1));
+            }
+        }
+        throw new Error(`Tally API Error: ${error.message}`);
+    }
+
+    return { post, map: (items, fn) => mapLimit(items, config.concurrency, fn) };
+}
+
+// --- PARSERS (responses posted with explicitArray: false) ---
+
+const VOUCHER_COLUMNS = { date: 'DSPVCHDATE', type: 'DSPVCHTYPE', no: 'DSPVCHNUMBER', account: 'DSPVCHLEDACCOUNT', dr: 'DSPVCHDRAMT', cr: 'DSPVCHCRAMT' };
+
+// Ledger Vouchers report -> [{ date, type, no, account, amount, sign }]. Vouchers without an amount
+// are left out. Throws when the columns don't line up or an amount isn't a number.
+function parseLedgerVouchers(data) {
+    const envelope = asArray(data.ENVELOPE)[0] || {};
+    const columns = Object.fromEntries(Object.entries(VOUCHER_COLUMNS).map(([key, tag]) => [key, asArray(envelope[tag])]));
+    const rows = columns.date.length;
+    if (!rows) return [];
+    if (!columns.dr.length && !columns.cr.length) throw responseError(`Ledger Vouchers has ${rows} dates but no amounts`);
+    const uneven = Object.entries(columns).filter(([, column]) => column.length && column.length !== rows);
+    if (uneven.length) throw responseError(`Ledger Vouchers columns don't line up: ${rows} dates, ${uneven.map(([key, column]) => `${column.length} ${key}`).join(', ')}`);
+
+    const txns = [];
+    for (let i = 0; i < rows; i++) {
+        // Tally exports debit amounts as negatives ("-11,800.00"), so compare magnitudes
+        const dr = Math.abs(amountOf(columns.dr[i]));
+        const cr = Math.abs(amountOf(columns.cr[i]));
+        if (isNaN(dr) || isNaN(cr)) throw responseError(`Ledger Vouchers row ${i + 1}: "${text(isNaN(dr) ? columns.dr[i] : columns.cr[i])}" is not an amount`);
+        const date = text(columns.date[i]);
+        if (dr > 0) txns.push({ date, type: text(columns.type[i]), no: text(columns.no[i]), account: text(columns.account[i]), amount: dr, sign: 'Dr' });
+        else if (cr > 0) txns.push({ date, type: text(columns.type[i]), no: text(columns.no[i]), account: text(columns.account[i]), amount: cr, sign: 'Cr' });
+    }
+    return txns;
+}
+
+// Group Summary report -> { balances: Map(name -> { amount, type }), errors: [{ ledger, error }] }.
+// Amounts keep Tally's sign; `type` is the column they came in. A row whose amount isn't a number
+// goes to `errors` instead of counting as zero. Throws when names and balances don't pair up.
+function parseGroupSummary(data) {
+    const envelope = asArray(data.ENVELOPE)[0] || {};
+    const names = asArray(envelope.DSPACCNAME);
+    const infos = asArray(envelope.DSPACCINFO);
+    if (names.length !== infos.length) throw responseError(`Group Summary has ${names.length} names but ${infos.length} balances`);
+
+    const balances = new Map();
+    const errors = [];
+    names.forEach((n, i) => {
+        const name = text(n?.DSPDISPNAME);
+        if (!name) return;
+        const dr = text(infos[i]?.DSPCLDRAMT?.DSPCLDRAMTA);
+        const cr = text(infos[i]?.DSPCLCRAMT?.DSPCLCRAMTA);
+        if (!dr && !cr) return;
+        const amount = amountOf(cr || dr);
+        if (isNaN(amount)) errors.push({ ledger: name, error: `closing balance "${cr || dr}" is not an amount` });
+        else balances.set(name, { amount, type: cr ? 'Cr' : 'Dr' });
+    });
+    return { balances, errors };
+}
+
+// --- SYNC REPORT ---
+
+// What went wrong fetching one company (or one archived FY): ledgers Tally could not answer for,
+// and ledgers whose answer looks wrong next to the last sync. A ledger fails once, at its first stage.
+function createSyncReport() {
+    const failed = new Map();
+    const suspicious = [];
+    return {
+        fail(ledger, stage, error) {
+            if (!failed.has(ledger)) failed.set(ledger, { ledger, stage, error });
+        },
+        suspect(ledger, reason) { suspicious.push({ ledger, reason }); },
+        failed: (ledger) => failed.has(ledger),
+        // More failures than `maxFailed` refuses the result: it is neither saved nor published
+        summary(ledgers, maxFailed) {
+            return { ledgers, maxFailed, refused: failed.size > maxFailed, failed: [...failed.values()], suspicious: [...suspicious] };
+        }
+    };
+}
+
+module.exports = { DEFAULTS, createTallyClient, mapLimit, parseLedgerVouchers, parseGroupSummary, createSyncReport };
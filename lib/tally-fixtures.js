@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Fixtures are keyed by report (or TDL collection ID) + the one variable that identifies the request
+// (account type, group or ledger), plus the company when one is named. Dates are deliberately left out
+// of the key so a recording taken on one day can be replayed against any sync date range.
+const SUBJECT_TAGS = ['ACCOUNTTYPE', 'GROUPNAME', 'LEDGERNAME'];
+
+function readTag(xml, tag) {
+    const m = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`).exec(xml || '');
+    return m ? m[1].trim() : '';
+}
+
+function slug(str) {
+    return str.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'x';
+}
+
+function fixtureKey(requestXml, { ignoreCompany = false } = {}) {
+    const report = readTag(requestXml, 'REPORTNAME') || readTag(requestXml, 'ID') || 'request';
+    let subject = '';
+    for (const tag of SUBJECT_TAGS) {
+        subject = readTag(requestXml, tag);
+        if (subject) break;
+    }
+    const company = ignoreCompany ? '' : readTag(requestXml, 'SVCURRENTCOMPANY');
+    // Ledger names like "A.K Footwear, Tikiri" and "A K Footwear Tikiri" slug the same, so add a short hash
+    const hash = crypto.createHash('sha1').update(company ? `${report}|${subject}|${company}` : `${report}|${subject}`).digest('hex').slice(0, 8);
+    const prefix = company ? `${slug(company)}--` : '';
+    return subject ? `${prefix}${slug(report)}--${slug(subject)}--${hash}` : `${prefix}${slug(report)}--${hash}`;
+}
+
+function describeRequest(requestXml) {
+    const report = readTag(requestXml, 'REPORTNAME') || readTag(requestXml, 'ID');
+    const subject = SUBJECT_TAGS.map(t => readTag(requestXml, t)).find(Boolean) || '';
+    return { report, subject };
+}
+
+// --- RECORDING ---
+
+function recordResponse(dir, requestXml, responseXml) {
+    fs.mkdirSync(dir, { recursive: true });
+    const key = fixtureKey(requestXml);
+    fs.writeFileSync(path.join(dir, `${key}.xml`), responseXml);
+
+    // index.json keeps the human readable request behind each file
+    const indexFile = path.join(dir, 'index.json');
+    const index = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, 'utf-8')) : {};
+    index[key] = { ...describeRequest(requestXml), recordedAt: new Date().toISOString() };
+    fs.writeFileSync(indexFile, JSON.stringify(index, null, 2));
+    return key;
+}
+
+// --- REPLAY ---
+
+// behaviours.json lets a fixture set simulate misbehaving Tally responses:
+// { "<fixture key>": { "delayMs": 45000 }, "<other key>": { "status": 500 }, "<key>": { "drop": true } }
+// The "*" key applies to every request that has no entry of its own.
+function loadBehaviours(dir) {
+    const file = path.join(dir, 'behaviours.json');
+    if (!fs.existsSync(file)) return {};
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+}
+
+// A company-specific fixture wins; otherwise the company-less one answers for every company
+function readFixture(dir, requestXml) {
+    let key = fixtureKey(requestXml);
+    let file = path.join(dir, `${key}.xml`);
+    if (!fs.existsSync(file)) {
+        const generic = fixtureKey(requestXml, { ignoreCompany: true });
+        if (fs.existsSync(path.join(dir, `${generic}.xml`))) {
+            key = generic;
+            file = path.join(dir, `${key}.xml`);
+        }
+    }
+    const behaviours = loadBehaviours(dir);
+    return {
+        key,
+        body: fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null,
+        behaviour: behaviours[key] || behaviours['*'] || {}
+    };
+}
+
+module.exports = { fixtureKey, describeRequest, recordResponse, readFixture };
@@ -0,0 +1,68 @@
+// Offline TallyPrime stand-in: serves XML fixtures captured with TALLY_RECORD_DIR.
+// Usage: node lib/tally-sim.js <fixture dir> [port]
+const http = require('http');
+const path = require('path');
+const { readFixture, describeRequest } = require('./tally-fixtures');
+
+const EMPTY_ENVELOPE = '<ENVELOPE></ENVELOPE>';
+
+function createTallySimulator(fixtureDir, { log = false } = {}) {
+    const stats = { requests: 0, missing: [] };
+
+    const server = http.createServer((req, res) => {
+        // Tally answers a plain GET with a status line; checkTallyConnection relies on it
+        if (req.method !== 'POST') {
+            res.writeHead(200, { 'Content-Type': 'text/xml' });
+            return res.end('<RESPONSE>TallyPrime Server is Running</RESPONSE>');
+        }
+
+        let body = '';
+        req.setEncoding('utf-8');
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            stats.requests++;
+            const fixture = readFixture(fixtureDir, body);
+            const { delayMs = 0, status = 200, drop = false } = fixture.behaviour;
+
+            if (fixture.body === null) {
+                const { report, subject } = describeRequest(body);
+                stats.missing.push(fixture.key);
+                if (log) console.log(`[tally-sim] no fixture for ${report} "${subject}" (${fixture.key})`);
+            } else if (log) {
+                console.log(`[tally-sim] ${fixture.key}`);
+            }
+
+            setTimeout(() => {
+                if (drop) return req.socket.destroy();
+                res.writeHead(status, { 'Content-Type': 'text/xml' });
+                res.end(status === 200 ? (fixture.body ?? EMPTY_ENVELOPE) : '');
+            }, delayMs);
+        });
+    });
+
+    return {
+        server,
+        stats,
+        listen(port = 0) {
+            return new Promise(resolve => {
+                server.listen(port, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+            });
+        },
+        close() {
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
+
+if (require.main === module) {
+    const dir = process.argv[2];
+    const port = parseInt(process.argv[3] || '9000', 10);
+    if (!dir) {
+        console.error('Usage: node lib/tally-sim.js <fixture dir> [port]');
+        process.exit(1);
+    }
+    createTallySimulator(path.resolve(dir), { log: true }).listen(port)
+        .then(url => console.log(`Tally simulator on ${url} serving ${path.resolve(dir)}`));
+}
+
+module.exports = { createTallySimulator };
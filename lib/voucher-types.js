@@ -0,0 +1,62 @@
+const { readJson, writeJson } = require('./json-store');
+const { CATEGORIES, guessCategory, voucherCategory, voucherBreakdown } = require('./shared/voucher-categories.mjs');
+
+// What each Tally voucher type means for a party. A sync reduces vouchers to Dr/Cr; the category
+// says whether a Cr is money received or a non-cash credit, and whether a Dr is a sale or a
+// bounced cheque taken back. Every synced voucher carries one (`category`).
+//   sale        sales invoices, debit notes
+//   receipt     cash, cheque and bank receipts
+//   return      credit notes, sales returns
+//   discount    discounts and rebates allowed
+//   adjustment  journals, contras and anything else that moves a balance without cash
+//   reversal    bounced cheques and reversed receipts
+//   purchase / payment   the same two for creditors
+// Admins map their own voucher type names in state/voucher-types.json: { types: { "GST Sales": "sale" } }.
+// Anything not mapped there is guessed from the name (guessCategory in shared/voucher-categories.mjs,
+// which the dashboard uses too).
+const CONFIG_FILE = 'voucher-types.json';
+
+function validateVoucherTypeConfig(input) {
+    const types = input?.types ?? {};
+    const errors = [];
+    if (typeof types !== 'object' || Array.isArray(types)) errors.push('types must map voucher type names to categories');
+    else Object.entries(types).forEach(([type, category]) => {
+        if (!CATEGORIES.includes(category)) errors.push(`${type}: category must be one of ${CATEGORIES.join(', ')}`);
+    });
+    if (errors.length) throw new Error(`Invalid voucher types: ${errors.join('; ')}`);
+    return { types };
+}
+
+const loadVoucherTypeConfig = () => validateVoucherTypeConfig(readJson(CONFIG_FILE, { types: {} }));
+const saveVoucherTypeConfig = (input) => writeJson(CONFIG_FILE, validateVoucherTypeConfig(input));
+
+const categorize = (type, config) => config.types[type] || guessCategory(type);
+
+// Sets `category` on every voucher of a data file or a FY archive (`ledgers`), in place
+function classifyVouchers(data, config = loadVoucherTypeConfig()) {
+    const ledgers = data.ledgers || [...Object.values(data.debtors || {}).flat(), ...Object.values(data.hiddenDebtors || {}).flat(), ...(data.creditors || [])];
+    ledgers.forEach(l => (l.transactions || []).forEach(t => { t.category = categorize(t.type, config); }));
+    return data;
+}
+
+// Voucher types seen in the synced vouchers ([{ type, count }]) with the category each gets
+function describeVoucherTypes(seen, config = loadVoucherTypeConfig()) {
+    const names = new Set([...seen.map(s => s.type), ...Object.keys(config.types)]);
+    return [...names].sort((a, b) => a.localeCompare(b)).map(type => ({
+        type,
+        count: seen.find(s => s.type === type)?.count || 0,
+        category: categorize(type, config),
+        mapped: !!config.types[type]
+    }));
+}
+
+module.exports = {
+    CATEGORIES,
+    guessCategory,
+    voucherCategory,
+    loadVoucherTypeConfig,
+    saveVoucherTypeConfig,
+    classifyVouchers,
+    voucherBreakdown,
+    describeVoucherTypes
+};
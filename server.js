@@ -1,31 +1,74 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const xml2js = require('xml2js');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
+const { recordResponse } = require('./lib/tally-fixtures');
+const { createTallySimulator } = require('./lib/tally-sim');
+const { createTallyClient, parseLedgerVouchers, parseGroupSummary, createSyncReport } = require('./lib/tally-client');
+const { createSyncJobs } = require('./lib/sync-jobs');
+const { createScheduler, loadHistory, recordRun } = require('./lib/scheduler');
+const { createCompanyStore } = require('./lib/company-store');
+const { createLedgerDb, parseLedgerQuery } = require('./lib/ledger-db');
+const { loadPublishConfig, savePublishConfig, maskSecrets, publishFiles } = require('./lib/publishers');
+const { encryptPayload } = require('./lib/encryption');
+const { takeSnapshot, listSnapshots, loadSnapshot, diffSnapshots, loadRetention, saveRetention } = require('./lib/snapshots');
+const { fyStartYear, fyLabel, parseFy, fyRange, fysForRange, archiveChain } = require('./lib/financial-years');
+const { NO_GROUP, loadRouteGroupConfig, saveRouteGroupConfig, groupPathUnder, buildGroupTree, applyRouteGroups } = require('./lib/route-groups');
+const { parseStatementRange, buildStatement, renderStatements } = require('./lib/statements');
+const { parseExportFormat, agingReport, groupsReport, partiesReport, ledgerReport, renderExport } = require('./lib/exports');
+const { addFollowUp, deleteFollowUp, listFollowUps, dueFollowUps, settlePromises } = require('./lib/followups');
+const { parseTrendQuery, voucherMonths, monthlyTrends } = require('./lib/shared/analytics.mjs');
+const { parseForecastQuery, forecastCashFlow } = require('./lib/shared/forecast.mjs');
+const { paymentPlan, scheduleBill } = require('./lib/payables');
+const { MODES, parseSheetQuery, collectionSheet, saveVisitOrder, addCollections, deleteCollection, listCollections, reconcileCollections } = require('./lib/collections');
+const { CATEGORIES, loadVoucherTypeConfig, saveVoucherTypeConfig, classifyVouchers, describeVoucherTypes } = require('./lib/voucher-types');
+const { PLACEHOLDERS, PROVIDER_TYPES, loadReminderConfig, saveReminderConfig, maskReminderConfig, setOptOut, prepareReminders, sendReminders, listReminderLog } = require('./lib/reminders');
+const auth = require('./lib/auth');
+const { requireAuth, allow, visibleGroups } = auth;
+
+// Browsers may call the API only from the dashboard's own origins: localhost (dev server and docs/)
+// plus ALLOWED_ORIGINS, e.g. the published dashboard when it uses "Sync Now"
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+const isAllowedOrigin = (origin) => !origin || /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:\d+)?$/.test(origin) || ALLOWED_ORIGINS.includes(origin);
 
 const app = express();
-app.use(cors());
+app.use(cors({ origin: (origin, done) => done(null, isAllowedOrigin(origin)) }));
+app.use(express.json());
 app.use(express.static('docs'));
 
 const PORT = 3001;
-const TALLY_URL = 'http://localhost:9000';
-const DATA_FILE = path.join(__dirname, 'credit-data.json');
+const DATA_FILE = process.env.DATA_FILE ? path.resolve(process.env.DATA_FILE) : path.join(__dirname, 'credit-data.json');
+const companies = createCompanyStore(DATA_FILE);
+// Set to publish only ciphertext (see lib/encryption.js); local routes keep serving plaintext
+const PUBLISH_PASSPHRASE = process.env.PUBLISH_PASSPHRASE || null;
+// Query index over the data files, rebuilt for a company on every save
+const ledgerDb = createLedgerDb();
 
-const KNOWN_GROUPS = new Set([
-    "TIKIRI & KASIPUR LINE", "Balimela,Chitrokunda,Malkangiri", "DURGI-KD-THERUBALI-JK LINE",
-    "GUDARI & GUNUPUR", "Jeypur", "Jk Line", "KALYAN SINGHPUR LINE", "Koraput",
-    "MUNIGUDA & B.CTC LINE", "Parlakhimundi Line", "Parvathipuram", "PHULBAANI LINE",
-    "RAYAGADA LOCAL", "Srikakulam Line", "STAFF"
-]);
+// TALLY_RECORD_DIR captures every raw Tally response as a fixture.
+// TALLY_REPLAY_DIR serves a fixture set from an in-process simulator instead of TallyPrime.
+const TALLY = {
+    url: process.env.TALLY_URL || 'http://localhost:9000',
+    recordDir: process.env.TALLY_RECORD_DIR ? path.resolve(process.env.TALLY_RECORD_DIR) : null,
+    replayDir: process.env.TALLY_REPLAY_DIR ? path.resolve(process.env.TALLY_REPLAY_DIR) : null
+};
 
 const SYNC_CONFIG = {
-    batchSize: 20,
-    timeout: 30000
+    // Voucher requests in flight at once
+    concurrency: 20,
+    timeout: 30000,
+    // A failed Tally request is tried again after 1s, then 2s
+    retries: 2,
+    retryDelayMs: 1000,
+    // More failed ledgers than this share of a company's (and at least maxFailedMin) refuses the
+    // sync: the last good data file stays and nothing is published
+    maxFailedShare: 0.05,
+    maxFailedMin: 3
 };
 
+// performSync reports through phase/step/warn; direct callers that don't watch progress get this
+const SILENT_PROGRESS = { phase() { }, step() { }, warn() { } };
+
 // --- UTILS ---
 function getFinancialYearDates() {
     const now = new Date();
@@ -50,273 +93,1193 @@ function getFinancialYearDates() {
     return { startDate, endDate };
 }
 
-function loadData() {
-    if (fs.existsSync(DATA_FILE)) { return JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8')); }
-    return { updatedAt: null, debtors: {}, creditors: [] };
+const escapeXml = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const asArray = (v) => (v === undefined || v === null ? [] : Array.isArray(v) ? v : [v]);
+// Typed TDL fields come back as { _: ' 1234', $: { TYPE: 'Number' } }
+const xmlText = (v) => (v && typeof v === 'object' ? (v._ || '') : (v || '')).toString().trim();
+
+// Data is stored per Tally company; no name means the default company (credit-data.json)
+function loadData(company = null) { return companies.load(company); }
+function saveData(data) {
+    const file = companies.save(data);
+    ledgerDb.replaceCompany(data);
+    return file;
 }
-function saveData(data) { fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2)); }
+// Every synced ledger, including debtors in hidden route groups
+const allLedgers = (data) => [...Object.values(data.debtors || {}).flat(), ...Object.values(data.hiddenDebtors || {}).flat(), ...(data.creditors || [])];
 
-async function postTally(xml) {
-    try {
-        const response = await axios.post(TALLY_URL, xml, { headers: { 'Content-Type': 'text/xml' }, timeout: SYNC_CONFIG.timeout });
-        const parser = new xml2js.Parser({ explicitArray: false });
-        return await parser.parseStringPromise(response.data);
-    } catch (e) { throw new Error("Tally API Error: " + e.message); }
+// Raw XML round trip. Every Tally request goes through here so recording sees all of them.
+async function tallyRequest(xml, options = {}) {
+    const response = await axios.post(TALLY.url, xml, { headers: { 'Content-Type': 'text/xml' }, responseType: 'text', ...options });
+    if (TALLY.recordDir) recordResponse(TALLY.recordDir, xml, response.data);
+    return response.data;
 }
 
+// Retries, response checks and the concurrency limit (lib/tally-client.js)
+const tally = createTallyClient(tallyRequest, SYNC_CONFIG);
+const postTally = (xml) => tally.post(xml);
+
 async function checkTallyConnection() {
-    try { await axios.get(TALLY_URL, { timeout: 2000 }); return true; }
+    try { await axios.get(TALLY.url, { timeout: 2000 }); return true; }
     catch (e) { if (e.code === 'ECONNREFUSED') return false; return true; }
 }
 
-function pushToGitHub() {
-    return new Promise((resolve) => {
-        console.log("Git Auto-Push Initiated...");
-        exec('git add credit-data.json', () => {
-            exec(`git commit -m "Auto Sync ${new Date().toLocaleString()}"`, (err, stdout) => {
-                if (err && !stdout.includes("nothing")) return resolve({ success: false, error: "Commit" });
-                console.log("Pulling...");
-                exec('git pull --rebase origin main', (err) => {
-                    if (err) console.log("Pull diff (ignored)");
-                    exec('git push origin main', (err) => {
-                        if (err) return resolve({ success: false, error: "Push Failed" });
-                        console.log("Push OK");
-                        resolve({ success: true });
-                    });
-                });
-            });
-        });
-    });
+// Sends the data files to the configured publish targets (state/publish.json, see lib/publishers.js).
+// `targets` picks target ids for this run; null means every enabled target.
+async function publishData(targets = null) {
+    // Fixture data must never reach the published copy
+    if (TALLY.replayDir) return { success: true, skipped: true, error: null, targets: [] };
+    console.log(PUBLISH_PASSPHRASE ? "Publishing (encrypted)..." : "Publishing...");
+    const encode = PUBLISH_PASSPHRASE ? (body) => encryptPayload(body, PUBLISH_PASSPHRASE) : null;
+    const result = await publishFiles(companies.publishedFiles(), { baseDir: path.dirname(DATA_FILE), targets, encode });
+    console.log(result.success ? "Publish OK" : `Publish failed: ${result.error}`);
+    return { ...result, encrypted: !!PUBLISH_PASSPHRASE };
 }
 
 // --- FETCHING ---
+// `scope` is { startDate, endDate, company }. Without a company Tally answers for whichever one is active.
 
-async function fetchList(accountType) {
-    const xml = `<ENVELOPE><HEADER><TALLYREQUEST>Export Data</TALLYREQUEST></HEADER><BODY><EXPORTDATA><REQUESTDESC><REPORTNAME>List of Accounts</REPORTNAME><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT><ACCOUNTTYPE>${accountType}</ACCOUNTTYPE></STATICVARIABLES></REQUESTDESC></EXPORTDATA></BODY></ENVELOPE>`;
+const companyVar = (scope) => (scope?.company ? `<SVCURRENTCOMPANY>${escapeXml(scope.company)}</SVCURRENTCOMPANY>` : '');
+
+// Companies currently open in Tally
+async function fetchCompanies() {
+    const xml = `<ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>SCOpenCompanies</ID></HEADER><BODY><DESC><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT></STATICVARIABLES><TDL><TDLMESSAGE><COLLECTION NAME="SCOpenCompanies"><TYPE>Company</TYPE><FETCH>Name</FETCH></COLLECTION></TDLMESSAGE></TDL></DESC></BODY></ENVELOPE>`;
+    const data = await postTally(xml);
+    return asArray(data?.ENVELOPE?.BODY?.DATA?.COLLECTION?.COMPANY).map(c => c.$?.NAME || xmlText(c.NAME)).filter(Boolean);
+}
+
+async function fetchList(accountType, scope) {
+    const xml = `<ENVELOPE><HEADER><TALLYREQUEST>Export Data</TALLYREQUEST></HEADER><BODY><EXPORTDATA><REQUESTDESC><REPORTNAME>List of Accounts</REPORTNAME><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>${companyVar(scope)}<ACCOUNTTYPE>${accountType}</ACCOUNTTYPE></STATICVARIABLES></REQUESTDESC></EXPORTDATA></BODY></ENVELOPE>`;
     const data = await postTally(xml);
     let msgs = data?.ENVELOPE?.BODY?.IMPORTDATA?.REQUESTDATA?.TALLYMESSAGE || [];
     if (!Array.isArray(msgs)) msgs = [msgs];
     return msgs;
 }
 
-// SUPER ROBUST BALANCE FETCH: Direct TDL Collection Request
-// This asks Tally for Name, Parent, Closing Balance, and Opening Balance for ALL Ledgers directly.
-// Bypasses report formatting issues.
-async function fetchBalancesDirect(dates) {
-    console.log(`Fetching Direct Ledger Balances via Group Summary (${dates.startDate} - ${dates.endDate})...`);
-
-    const debtorsMap = await fetchGroupSummary("Sundry Debtors", dates);
-    const creditorsMap = await fetchGroupSummary("Sundry Creditors", dates);
-
-    // Merge
-    return new Map([...debtorsMap, ...creditorsMap]);
+// Closing balances of every party via the Group Summary of Sundry Debtors and Sundry Creditors.
+// When one of the two reports can't be had, each of its parties fails in `report` (stage 'balance')
+// rather than syncing with a zero balance.
+async function fetchBalancesDirect(parties, scope, report, progress = SILENT_PROGRESS) {
+    console.log(`Fetching Direct Ledger Balances via Group Summary (${scope.startDate} - ${scope.endDate})...`);
+    const balances = new Map();
+    for (const [groupName, isDebtor] of [["Sundry Debtors", true], ["Sundry Creditors", false]]) {
+        try {
+            const { balances: found, errors } = await fetchGroupSummary(groupName, scope);
+            found.forEach((bal, name) => balances.set(name, bal));
+            errors.forEach(e => report.fail(e.ledger, 'balance', e.error));
+        } catch (e) {
+            console.error(`Group Summary Error (${groupName})`, e.message);
+            progress.warn(`Balances for ${groupName} could not be fetched: ${e.message}`);
+            parties.filter(p => p.isDebtor === isDebtor).forEach(p => report.fail(p.name, 'balance', e.message));
+        }
+    }
+    return balances;
 }
 
-async function fetchGroupSummary(groupName, dates) {
+async function fetchGroupSummary(groupName, scope) {
     // Inject Date Range to ensure proper closing balance calculation
-    const xml = `<ENVELOPE><HEADER><TALLYREQUEST>Export Data</TALLYREQUEST></HEADER><BODY><EXPORTDATA><REQUESTDESC><REPORTNAME>Group Summary</REPORTNAME><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT><GROUPNAME>${groupName}</GROUPNAME><EXPLODEFLAG>Yes</EXPLODEFLAG><DSPSHOWOPENING>Yes</DSPSHOWOPENING><SVFROMDATE>${dates.startDate}</SVFROMDATE><SVTODATE>${dates.endDate}</SVTODATE></STATICVARIABLES></REQUESTDESC></EXPORTDATA></BODY></ENVELOPE>`;
+    const xml = `<ENVELOPE><HEADER><TALLYREQUEST>Export Data</TALLYREQUEST></HEADER><BODY><EXPORTDATA><REQUESTDESC><REPORTNAME>Group Summary</REPORTNAME><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>${companyVar(scope)}<GROUPNAME>${groupName}</GROUPNAME><EXPLODEFLAG>Yes</EXPLODEFLAG><DSPSHOWOPENING>Yes</DSPSHOWOPENING><SVFROMDATE>${scope.startDate}</SVFROMDATE><SVTODATE>${scope.endDate}</SVTODATE></STATICVARIABLES></REQUESTDESC></EXPORTDATA></BODY></ENVELOPE>`;
+    return parseGroupSummary(await postTally(xml));
+}
 
+// Throws when Tally doesn't answer (after retries) or the report doesn't parse; an empty list is a
+// ledger without vouchers in the period
+async function fetchVouchers(ledgerName, scope) {
+    const xml = `<ENVELOPE><HEADER><TALLYREQUEST>Export Data</TALLYREQUEST></HEADER><BODY><EXPORTDATA><REQUESTDESC><REPORTNAME>Ledger Vouchers</REPORTNAME><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>${companyVar(scope)}<LEDGERNAME>${escapeXml(ledgerName)}</LEDGERNAME><SVFROMDATE>${scope.startDate}</SVFROMDATE><SVTODATE>${scope.endDate}</SVTODATE></STATICVARIABLES></REQUESTDESC></EXPORTDATA></BODY></ENVELOPE>`;
+    return parseLedgerVouchers(await postTally(xml));
+}
+
+// Company level change counters. AltMstId moves on any master edit, AltVchId on any voucher edit.
+async function fetchCompanyAlterIds(scope) {
+    const xml = `<ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>SCCompanyAlterIds</ID></HEADER><BODY><DESC><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>${companyVar(scope)}</STATICVARIABLES><TDL><TDLMESSAGE><COLLECTION NAME="SCCompanyAlterIds"><TYPE>Company</TYPE><FETCH>Name, AltMstId, AltVchId</FETCH><FILTER>SCIsCurrentCompany</FILTER></COLLECTION><SYSTEM TYPE="Formulae" NAME="SCIsCurrentCompany">$Name = ##SVCurrentCompany</SYSTEM></TDLMESSAGE></TDL></DESC></BODY></ENVELOPE>`;
     try {
-        const response = await axios.post(TALLY_URL, xml, { headers: { 'Content-Type': 'text/xml' } });
-        const parser = new xml2js.Parser({ explicitArray: true });
-        const data = await parser.parseStringPromise(response.data);
-        const envelope = data?.ENVELOPE;
-        if (!envelope) return new Map();
-
-        const names = envelope.DSPACCNAME || [];
-        const infos = envelope.DSPACCINFO || [];
-
-        const map = new Map();
-
-        for (let i = 0; i < names.length; i++) {
-            const nameObj = names[i];
-            const infoObj = infos[i];
-            const name = nameObj?.DSPDISPNAME?.[0];
-            if (!name) continue;
-
-            const clDrObj = infoObj.DSPCLDRAMT?.[0];
-            const clCrObj = infoObj.DSPCLCRAMT?.[0];
-            let amount = 0, type = '';
-
-            if (clDrObj) {
-                // DSPCLDRAMTA is "1,000.00 Dr" or just "1,000.00"
-                const val = clDrObj.DSPCLDRAMTA?.[0];
-                if (val) {
-                    // Remove ' Dr', ' Cr', commas
-                    const clean = val.replace(/Dr|Cr|,/gi, '').trim();
-                    amount = parseFloat(clean);
-                    type = 'Dr';
-                }
-            }
-            if (clCrObj) {
-                const val = clCrObj.DSPCLCRAMTA?.[0];
-                if (val) {
-                    const clean = val.replace(/Dr|Cr|,/gi, '').trim();
-                    amount = parseFloat(clean);
-                    type = 'Cr';
-                }
-            }
-            if (type) map.set(name, { amount, type });
-        }
-        return map;
+        const data = await postTally(xml);
+        const company = asArray(data?.ENVELOPE?.BODY?.DATA?.COLLECTION?.COMPANY)[0];
+        if (!company) return null;
+        const masterAlterId = parseInt(xmlText(company.ALTMSTID), 10);
+        const voucherAlterId = parseInt(xmlText(company.ALTVCHID), 10);
+        if (isNaN(masterAlterId) || isNaN(voucherAlterId)) return null;
+        // When a company was asked for by name, that name is its identity even if Tally spells it differently
+        return { name: scope?.company || company.$?.NAME || xmlText(company.NAME), masterAlterId, voucherAlterId };
     } catch (e) {
-        console.error(`Group Summary Error (${groupName})`, e.message);
-        return new Map();
+        console.error("Company AlterID Error", e.message);
+        return null;
     }
 }
 
+// Names of every ledger touched by a voucher created or altered after `sinceAlterId`
+async function fetchChangedVoucherLedgers(sinceAlterId, scope) {
+    const xml = `<ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>SCChangedVouchers</ID></HEADER><BODY><DESC><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>${companyVar(scope)}<SVFROMDATE>${scope.startDate}</SVFROMDATE><SVTODATE>${scope.endDate}</SVTODATE></STATICVARIABLES><TDL><TDLMESSAGE><COLLECTION NAME="SCChangedVouchers"><TYPE>Voucher</TYPE><FETCH>AlterID, AllLedgerEntries.LedgerName, LedgerEntries.LedgerName</FETCH><FILTER>SCAlteredSince</FILTER></COLLECTION><SYSTEM TYPE="Formulae" NAME="SCAlteredSince">$AlterID > ${sinceAlterId}</SYSTEM></TDLMESSAGE></TDL></DESC></BODY></ENVELOPE>`;
+    const data = await postTally(xml);
+    const names = new Set();
+    asArray(data?.ENVELOPE?.BODY?.DATA?.COLLECTION?.VOUCHER).forEach(v => {
+        [...asArray(v['ALLLEDGERENTRIES.LIST']), ...asArray(v['LEDGERENTRIES.LIST'])].forEach(e => {
+            const name = xmlText(e?.LEDGERNAME);
+            if (name) names.add(name);
+        });
+    });
+    return names;
+}
+
+// Tally dates come as YYYYMMDD from collections and as d-Mon-yy(yy) in reports. Returns YYYY-MM-DD or null.
+const MONTHS = { Jan: 1, Feb: 2, Mar: 3, Apr: 4, May: 5, Jun: 6, Jul: 7, Aug: 8, Sep: 9, Oct: 10, Nov: 11, Dec: 12 };
+function isoDate(text) {
+    let m = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+    if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+    m = /^(\d{1,2})-([A-Za-z]{3})-(\d{2}|\d{4})$/.exec(text);
+    if (!m || !MONTHS[m[2]]) return null;
+    const year = m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10);
+    return `${year}-${String(MONTHS[m[2]]).padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+}
+
+const addDays = (iso, days) => {
+    const d = new Date(`${iso}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
 
-async function fetchVouchers(ledgerName, dates) {
-    const xml = `<ENVELOPE><HEADER><TALLYREQUEST>Export Data</TALLYREQUEST></HEADER><BODY><EXPORTDATA><REQUESTDESC><REPORTNAME>Ledger Vouchers</REPORTNAME><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT><LEDGERNAME>${ledgerName}</LEDGERNAME><SVFROMDATE>${dates.startDate}</SVFROMDATE><SVTODATE>${dates.endDate}</SVTODATE></STATICVARIABLES></REQUESTDESC></EXPORTDATA></BODY></ENVELOPE>`;
+// Pending bills of every party using bill-by-bill tracking, i.e. what Bills Receivable/Payable list.
+// Credit period is either "30 Days" or a fixed due date. Returns Map(ledger -> bills), or null if Tally refused.
+async function fetchOutstandingBills(scope, progress = SILENT_PROGRESS) {
+    const xml = `<ENVELOPE><HEADER><VERSION>1</VERSION><TALLYREQUEST>Export</TALLYREQUEST><TYPE>Collection</TYPE><ID>SCOutstandingBills</ID></HEADER><BODY><DESC><STATICVARIABLES><SVEXPORTFORMAT>$$SysName:XML</SVEXPORTFORMAT>${companyVar(scope)}<SVFROMDATE>${scope.startDate}</SVFROMDATE><SVTODATE>${scope.endDate}</SVTODATE></STATICVARIABLES><TDL><TDLMESSAGE><COLLECTION NAME="SCOutstandingBills"><TYPE>Bills</TYPE><FETCH>Name, Parent, BillDate, BillCreditPeriod, ClosingBalance</FETCH><FILTER>SCIsPending</FILTER></COLLECTION><SYSTEM TYPE="Formulae" NAME="SCIsPending">NOT $$IsEmpty:$ClosingBalance</SYSTEM></TDLMESSAGE></TDL></DESC></BODY></ENVELOPE>`;
     try {
-        const result = await postTally(xml);
-        const envelope = result?.ENVELOPE;
-        if (!envelope) return [];
-        let dateArr = envelope.DSPVCHDATE;
-        let typeArr = envelope.DSPVCHTYPE;
-        let acctArr = envelope.DSPVCHLEDACCOUNT;
-        let drArr = envelope.DSPVCHDRAMT;
-        let crArr = envelope.DSPVCHCRAMT;
-        let noArr = envelope.DSPVCHNUMBER;
-        if (!dateArr) return [];
-        if (!Array.isArray(dateArr)) dateArr = [dateArr];
-        if (typeArr && !Array.isArray(typeArr)) typeArr = [typeArr];
-        if (acctArr && !Array.isArray(acctArr)) acctArr = [acctArr];
-        if (drArr && !Array.isArray(drArr)) drArr = [drArr];
-        if (crArr && !Array.isArray(crArr)) crArr = [crArr];
-        if (noArr && !Array.isArray(noArr)) noArr = [noArr];
-        const txns = [];
-        for (let i = 0; i < dateArr.length; i++) {
-            const dr = drArr ? parseFloat((drArr[i] || '0').toString().replace(/,/g, '')) : 0;
-            const cr = crArr ? parseFloat((crArr[i] || '0').toString().replace(/,/g, '')) : 0;
-            let amt = 0, sign = '';
-            if (dr > 0) { amt = dr; sign = 'Dr'; }
-            else if (cr > 0) { amt = cr; sign = 'Cr'; }
-            if (amt > 0) {
-                txns.push({ date: dateArr[i], type: typeArr ? typeArr[i] : '', no: noArr ? noArr[i] : '', account: acctArr ? acctArr[i] : '', amount: amt, sign: sign });
-            }
-        }
-        return txns;
-    } catch (e) { return []; }
+        const data = await postTally(xml);
+        const byLedger = new Map();
+        asArray(data?.ENVELOPE?.BODY?.DATA?.COLLECTION?.BILL).forEach(b => {
+            const ledger = xmlText(b.PARENT);
+            const closing = parseFloat(xmlText(b.CLOSINGBALANCE).replace(/,/g, ''));
+            if (!ledger || isNaN(closing) || closing === 0) return;
+            const date = isoDate(xmlText(b.BILLDATE));
+            const period = xmlText(b.BILLCREDITPERIOD);
+            const days = /^(\d+)\s*Days?$/i.exec(period);
+            const creditDays = days ? parseInt(days[1], 10) : null;
+            const dueDate = days ? (date && addDays(date, creditDays)) : (isoDate(period) || date);
+            if (!byLedger.has(ledger)) byLedger.set(ledger, []);
+            byLedger.get(ledger).push({
+                ref: b.$?.NAME || xmlText(b.NAME),
+                date,
+                dueDate,
+                creditDays,
+                // Tally sign again: a negative closing is a Dr bill (receivable)
+                amount: Math.abs(closing),
+                sign: closing < 0 ? 'Dr' : 'Cr'
+            });
+        });
+        byLedger.forEach(bills => bills.sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || '')));
+        return byLedger;
+    } catch (e) {
+        console.error("Outstanding Bills Error", e.message);
+        progress.warn(`Bill-wise details unavailable (${e.message}), aging falls back to FIFO`);
+        return null;
+    }
 }
 
-async function performSync() {
-    console.log("--- STARTING SYNC ---");
-    if (!(await checkTallyConnection())) throw new Error("Tally Not Connected (Port 9000)");
+// Decides which ledgers need their vouchers refetched. Returns null when a full rebuild is required.
+async function planIncrementalSync(previous, company, scope, balanceMap, progress) {
+    const prevSync = previous?.sync;
+    if (!prevSync || !company || prevSync.voucherAlterId === null) return null;
+    if (prevSync.startDate !== scope.startDate) return null; // New financial year
+    if (previous.company && company.name && previous.company !== company.name) return null;
 
-    const dates = getFinancialYearDates();
-    console.log(`Date Range: ${dates.startDate} to ${dates.endDate}`);
+    const prevLedgers = new Map();
+    allLedgers(previous).forEach(l => prevLedgers.set(l.name, l));
 
-    // 1. Fetch Structure
-    const groupsRaw = await fetchList('Groups');
-    const ledgersRaw = await fetchList('Ledgers');
+    const changed = new Set();
+    if (company.voucherAlterId !== prevSync.voucherAlterId) {
+        try {
+            (await fetchChangedVoucherLedgers(prevSync.voucherAlterId, scope)).forEach(n => changed.add(n));
+        } catch (e) {
+            console.error("Changed Voucher Lookup Failed, falling back to full sync", e.message);
+            progress.warn(`Changed voucher lookup failed (${e.message}), ran a full sync instead`);
+            return null;
+        }
+    }
+    return {
+        prevLedgers,
+        needsFetch: (name, alterId) => {
+            const prev = prevLedgers.get(name);
+            if (!prev || changed.has(name)) return true;
+            if (alterId === null || prev.alterId !== alterId) return true;
+            // Deleted vouchers leave no AlterID trail, but they do move the closing balance
+            const bal = balanceMap.get(name);
+            return !!bal && (bal.amount !== prev.amount || bal.type !== prev.type);
+        }
+    };
+}
+
+// Groups and party ledgers (Sundry Debtors/Creditors) with their route group paths.
+// Route groups are the sub-groups Tally has under Sundry Debtors; the admin config in
+// lib/route-groups.js renames, merges, hides and orders them afterwards.
+async function fetchStructure(scope) {
+    const groupsRaw = await fetchList('Groups', scope);
+    const ledgersRaw = await fetchList('Ledgers', scope);
     const parentMap = new Map();
     groupsRaw.forEach(m => { if (m.GROUP) parentMap.set(m.GROUP.$.NAME, m.GROUP.PARENT); });
     ledgersRaw.forEach(m => { if (m.LEDGER) parentMap.set(m.LEDGER.$.NAME, m.LEDGER.PARENT); });
 
-    // 2. Fetch Balances via Group Summary (Debtors + Creditors)
-    const balanceMap = await fetchBalancesDirect(dates);
+    const groupNames = groupsRaw.filter(m => m.GROUP).map(m => m.GROUP.$.NAME);
+    const groupTree = {
+        debtors: buildGroupTree("Sundry Debtors", parentMap, groupNames),
+        creditors: buildGroupTree("Sundry Creditors", parentMap, groupNames)
+    };
 
-    // 3. Classify
-    const debtorBuckets = {};
-    KNOWN_GROUPS.forEach(g => debtorBuckets[g] = []);
-    debtorBuckets["No-Group"] = [];
-    const creditorsList = [];
+    const parties = [];
+    ledgersRaw.forEach(m => {
+        if (!m.LEDGER) return;
+        const parent = m.LEDGER.PARENT;
+        const debtorPath = groupPathUnder(parent, "Sundry Debtors", parentMap);
+        const creditorPath = debtorPath ? null : groupPathUnder(parent, "Sundry Creditors", parentMap);
+        if (!debtorPath && !creditorPath) return;
+        const alterId = parseInt(xmlText(m.LEDGER.ALTERID), 10);
+        // Tally signs the limit like a balance (negative = Dr); blank or 0 means none
+        const creditLimit = Math.abs(parseFloat(xmlText(m.LEDGER.CREDITLIMIT).replace(/,/g, '')));
+        const creditPeriod = /^(\d+)\s*Days?$/i.exec(xmlText(m.LEDGER.BILLCREDITPERIOD));
+        parties.push({
+            name: m.LEDGER.$.NAME,
+            isDebtor: !!debtorPath,
+            groupPath: debtorPath || creditorPath,
+            openingBalance: m.LEDGER.OPENINGBALANCE,
+            alterId: isNaN(alterId) ? null : alterId,
+            billWise: xmlText(m.LEDGER.ISBILLWISEON) === 'Yes',
+            // For payment reminders; the mobile number when Tally has both
+            phone: xmlText(m.LEDGER.LEDGERMOBILE) || xmlText(m.LEDGER.LEDGERPHONE) || null,
+            creditLimit: creditLimit > 0 ? creditLimit : null,
+            creditPeriod: creditPeriod ? parseInt(creditPeriod[1], 10) : null
+        });
+    });
+    return { groupTree, parties };
+}
 
-    const traceParent = (startName, targetRoot) => {
-        let current = startName;
-        while (current) {
-            if (current === targetRoot) return true;
-            current = parentMap.get(current);
-        }
-        return false;
-    };
+// Fetches each ledger's `transactions`, SYNC_CONFIG.concurrency at a time. A ledger Tally can't
+// answer for keeps the `transactions` it came with and fails in `report`.
+async function fetchAllVouchers(ledgers, scope, progress, report) {
+    progress.step(0, ledgers.length);
+    let processed = 0;
+    await tally.map(ledgers, async (l) => {
+        try { l.transactions = await fetchVouchers(l.name, scope); }
+        catch (e) { report.fail(l.name, 'vouchers', e.message); }
+        processed++;
+        process.stdout.write(`\r${processed}/${ledgers.length}`);
+        progress.step(processed, ledgers.length);
+    });
+}
 
-    const getGroupBucket = (startName) => {
-        let current = startName;
-        while (current) {
-            if (KNOWN_GROUPS.has(current)) return current;
-            current = parentMap.get(current);
-        }
-        return "No-Group";
+// How many failed ledgers a company's sync tolerates before it is refused
+const maxFailed = (ledgers) => Math.max(SYNC_CONFIG.maxFailedMin, Math.floor(ledgers * SYNC_CONFIG.maxFailedShare));
+
+// Progress warnings for a finished report; `what` names the company or year in the message
+function warnReport(summary, what, progress) {
+    const names = (list) => list.slice(0, 5).map(f => f.ledger).join(', ') + (list.length > 5 ? ` and ${list.length - 5} more` : '');
+    if (summary.refused) progress.warn(`${what} not saved: ${summary.failed.length} of ${summary.ledgers} ledgers could not be fetched (${names(summary.failed)})`);
+    else if (summary.failed.length) progress.warn(`${what}: ${summary.failed.length} ledger(s) could not be fetched and keep their last synced data (${names(summary.failed)})`);
+    if (summary.suspicious.length) progress.warn(`${what}: ${summary.suspicious.length} ledger(s) look wrong next to the last sync (${names(summary.suspicious)})`);
+}
+
+// Freezes a closed financial year: every party's vouchers and closing balance for that FY.
+// Archives are never refetched unless asked for with `full`.
+async function archiveFinancialYear(companyName, startYear, progress, label = '') {
+    const range = fyRange(startYear);
+    const scope = { startDate: range.startDate, endDate: range.endDate, company: companyName };
+    console.log(`${label}Archiving FY ${range.fy} (${scope.startDate} to ${scope.endDate})`);
+
+    progress.phase('structure', `${label}FY ${range.fy}: reading ledgers`);
+    const { parties } = await fetchStructure(scope);
+    progress.phase('balances', `${label}FY ${range.fy}: fetching balances`);
+    const report = createSyncReport();
+    const balanceMap = await fetchBalancesDirect(parties, scope, report, progress);
+    const company = await fetchCompanyAlterIds(scope);
+
+    progress.phase('vouchers', `${label}FY ${range.fy}: fetching vouchers`);
+    const ledgers = parties.map(p => ({
+        name: p.name,
+        kind: p.isDebtor ? 'debtor' : 'creditor',
+        groupPath: p.groupPath,
+        // Signed the Tally way: negative is Dr. The FY's opening is this minus the FY's vouchers.
+        closingBalance: balanceMap.has(p.name) ? balanceMap.get(p.name).amount : 0,
+        transactions: []
+    }));
+    await fetchAllVouchers(ledgers, scope, progress, report);
+
+    const archive = {
+        company: company?.name || companyName || null,
+        fy: range.fy,
+        startDate: scope.startDate,
+        endDate: scope.endDate,
+        frozenAt: new Date().toISOString(),
+        ledgers: ledgers.filter(l => l.transactions.length || l.closingBalance)
     };
+    // An archive is never refetched, so it is only frozen when every ledger came through
+    const summary = report.summary(ledgers.length, 0);
+    warnReport(summary, `${label}FY ${range.fy}`, progress);
+    if (!summary.refused) companies.saveArchive(classifyVouchers(archive));
+    return { archive, report: summary };
+}
 
-    const ledgersToFetch = [];
+// Syncs one company's running financial year into its own data file.
+// `label` prefixes progress messages when several companies run in a row.
+async function syncCompany(companyName, { full }, progress, label = '') {
+    const scope = { ...getFinancialYearDates(), company: companyName };
+    console.log(`${label}Date Range: ${scope.startDate} to ${scope.endDate}`);
 
-    ledgersRaw.forEach(m => {
-        if (!m.LEDGER) return;
-        const name = m.LEDGER.$.NAME;
-        const parent = m.LEDGER.PARENT;
-        const opBalStr = m.LEDGER.OPENINGBALANCE;
+    // 1. Fetch Structure
+    progress.phase('structure', `${label}Reading groups and ledgers`);
+    const { groupTree, parties } = await fetchStructure(scope);
+
+    // 2. Fetch Balances via Group Summary (Debtors + Creditors)
+    progress.phase('balances', `${label}Fetching closing balances`);
+    const report = createSyncReport();
+    const balanceMap = await fetchBalancesDirect(parties, scope, report, progress);
 
-        const isDebtor = traceParent(parent, "Sundry Debtors");
-        const isCreditor = !isDebtor && traceParent(parent, "Sundry Creditors");
+    // 2a. Pending bills, refreshed on every sync since receipts settle bills of untouched ledgers too
+    const billMap = await fetchOutstandingBills(scope, progress);
 
-        if (!isDebtor && !isCreditor) return;
+    // 2b. Work out what changed since the last sync (delta mode)
+    const company = await fetchCompanyAlterIds(scope);
+    const previous = loadData(company?.name || companyName);
+    const plan = full ? null : await planIncrementalSync(previous, company, scope, balanceMap, progress);
+    console.log(plan ? `Incremental sync since voucher AlterID ${previous.sync.voucherAlterId}` : "Full sync");
+    // This FY's ledgers as last synced: what a ledger Tally fails to answer for keeps, and what
+    // suspicious answers are checked against
+    const before = previous?.sync?.startDate === scope.startDate ? new Map(allLedgers(previous).map(l => [l.name, l])) : new Map();
 
+    // 3. Classify
+    const debtorsList = [];
+    const creditorsList = [];
+    const ledgersToFetch = [];
+
+    parties.forEach(p => {
         // CRITICAL CHECK
-        const balObj = balanceMap.get(name);
+        const balObj = balanceMap.get(p.name);
         // If not in map, it might be 0, OR it might be in a subgroup not returned by "Group Summary Exploded" if Tally limits depth.
         // But usually ExplodeFlag covers it.
 
+        const prev = before.get(p.name);
         let balAmt = balObj ? balObj.amount : 0;
-        let balType = balObj ? balObj.type : (isDebtor ? 'Dr' : 'Cr');
+        let balType = balObj ? balObj.type : (p.isDebtor ? 'Dr' : 'Cr');
+        if (!balObj && prev && report.failed(p.name)) { balAmt = prev.amount; balType = prev.type; }
+        else if (!balObj && prev?.amount) report.suspect(p.name, `Missing from the Group Summary; was ${Math.abs(prev.amount)} ${prev.type} at the last sync`);
 
         let newItem = {
-            name: name,
+            name: p.name,
             amount: balAmt,
             type: balType,
-            transactions: [],
-            openingBalance: opBalStr,
+            // Replaced by the fetch below unless the ledger is unchanged (incremental) or Tally fails on it
+            transactions: prev?.transactions || [],
+            openingBalance: p.openingBalance,
+            alterId: p.alterId,
+            groupPath: p.groupPath,
+            // Bill-wise aging needs the bill list; without it the dashboard falls back to FIFO
+            billWise: !!billMap && (p.billWise || billMap.has(p.name)),
+            bills: billMap?.get(p.name) || [],
+            phone: p.phone,
+            // Risk scores and over-limit flags (lib/shared/risk.mjs)
+            creditLimit: p.creditLimit,
+            creditPeriod: p.creditPeriod,
         };
 
-        ledgersToFetch.push(newItem);
+        if (!plan || plan.needsFetch(p.name, newItem.alterId)) ledgersToFetch.push(newItem);
 
-        if (isDebtor) {
-            const bucket = getGroupBucket(parent);
-            if (debtorBuckets[bucket]) debtorBuckets[bucket].push(newItem);
-            else debtorBuckets["No-Group"].push(newItem);
-        } else {
-            creditorsList.push(newItem);
-        }
+        if (p.isDebtor) debtorsList.push(newItem);
+        else creditorsList.push(newItem);
     });
 
     console.log(`Syncing transactions for ${ledgersToFetch.length} ledgers...`);
 
     // 4. Batch Fetch Transactions
-    let processed = 0;
-    for (let i = 0; i < ledgersToFetch.length; i += SYNC_CONFIG.batchSize) {
-        const batch = ledgersToFetch.slice(i, i + SYNC_CONFIG.batchSize);
-        await Promise.all(batch.map(async (l) => {
-            const txns = await fetchVouchers(l.name, dates);
-            l.transactions = txns;
-        }));
-        processed += batch.length;
-        process.stdout.write(`\r${processed}/${ledgersToFetch.length}`);
-    }
+    progress.phase('vouchers', `${label}${plan ? 'Fetching changed ledgers' : 'Fetching all ledgers'}`);
+    await fetchAllVouchers(ledgersToFetch, scope, progress, report);
+    ledgersToFetch.forEach(l => {
+        const prev = before.get(l.name);
+        // A failed ledger loses its AlterID so the next incremental sync fetches it again
+        if (report.failed(l.name)) l.alterId = null;
+        else if (prev?.transactions?.length && !l.transactions.length) report.suspect(l.name, `Tally returned no vouchers; ${prev.transactions.length} at the last sync`);
+    });
+    const summary = report.summary(parties.length, maxFailed(parties.length));
+    warnReport(summary, company?.name || companyName || 'Active company', progress);
 
-    const finalData = {
+    const finalData = applyRouteGroups({
         updatedAt: new Date().toISOString(),
-        debtors: debtorBuckets,
+        company: company?.name || companyName || null,
+        sync: {
+            mode: plan ? 'incremental' : 'full',
+            startDate: scope.startDate,
+            endDate: scope.endDate,
+            // Without company counters the next run cannot diff, so it will rebuild
+            masterAlterId: company?.masterAlterId ?? null,
+            voucherAlterId: company?.voucherAlterId ?? null,
+            refetched: ledgersToFetch.length,
+            report: { failed: summary.failed, suspicious: summary.suspicious }
+        },
+        groupTree,
+        debtors: { [NO_GROUP]: debtorsList },
         creditors: creditorsList
-    };
-    saveData(finalData);
-    const gitRes = await pushToGitHub();
-    return { data: finalData, gitResult: gitRes };
+    });
+    // Too many failures: the last good data file stays as it is
+    if (summary.refused) return { data: finalData, report: summary };
+    saveData(classifyVouchers(finalData));
+    takeSnapshot(finalData);
+    const settled = settlePromises(finalData);
+    if (settled.kept || settled.broken) console.log(`Promises to pay: ${settled.kept} kept, ${settled.broken} broken`);
+    const collected = reconcileCollections(finalData);
+    if (collected.reconciled || collected.unmatched) console.log(`Collections: ${collected.reconciled} reconciled, ${collected.unmatched} unmatched`);
+    return { data: finalData, report: summary };
 }
 
-app.get('/api/data', (req, res) => {
-    if (fs.existsSync(DATA_FILE)) res.json(loadData());
+// Which closed FYs a sync should archive and whether it covers the running FY.
+// `years` is a list of FY labels; `from`/`to` a date range rounded out to whole FYs.
+function resolveSyncYears({ years, from, to }) {
+    const current = fyStartYear();
+    if (!years && !from) return { closed: [], includeCurrent: true };
+    const starts = years ? [...new Set(asArray(years).map(parseFy))] : fysForRange(from, to || new Date());
+    if (starts.some(y => y > current)) throw new Error(`FY ${fyLabel(starts.find(y => y > current))} has not started yet`);
+    return { closed: starts.filter(y => y < current).sort(), includeCurrent: starts.includes(current) };
+}
+
+// `company`: a company name, 'all' for every company open in Tally, or null for the active one.
+// `years` / `from` / `to` add closed financial years as archives (see resolveSyncYears).
+async function performSync({ full = false, company = null, years = null, from = null, to = null, publish = null } = {}, progress = SILENT_PROGRESS) {
+    console.log("--- STARTING SYNC ---");
+    const { closed, includeCurrent } = resolveSyncYears({ years, from, to });
+    progress.phase('structure', 'Connecting to Tally');
+    if (!(await checkTallyConnection())) throw new Error(`Tally Not Connected (${TALLY.url})`);
+
+    const names = company === 'all' ? await fetchCompanies() : [company];
+    if (!names.length) throw new Error("No companies are open in Tally");
+
+    const results = [];
+    const archived = [];
+    // One per company synced and per year archived: { company, fy, ledgers, maxFailed, refused, failed, suspicious }
+    const reports = [];
+    for (const name of names) {
+        const label = names.length > 1 ? `${name}: ` : '';
+        // A new FY has begun since the last sync: freeze the year that just closed before rebuilding
+        const lastStart = loadData(name).sync?.startDate;
+        const toArchive = new Set(closed);
+        if (includeCurrent && lastStart && parseInt(lastStart.slice(0, 4), 10) < fyStartYear()) toArchive.add(parseInt(lastStart.slice(0, 4), 10));
+
+        for (const y of [...toArchive].sort()) {
+            if (!full && companies.hasArchive(name, fyLabel(y))) continue;
+            const { archive, report } = await archiveFinancialYear(name, y, progress, label);
+            reports.push({ company: archive.company, fy: archive.fy, ...report });
+            if (!report.refused) archived.push({ company: archive.company, fy: archive.fy, ledgers: archive.ledgers.length });
+        }
+        if (includeCurrent) {
+            const { data, report } = await syncCompany(name, { full }, progress, label);
+            reports.push({ company: data.company, fy: null, ...report });
+            results.push(data);
+        }
+    }
+
+    progress.phase('publish', 'Publishing');
+    // A refused company or year is not published either, not even next to the others
+    const refused = reports.filter(r => r.refused).map(r => [r.company, r.fy && `FY ${r.fy}`].filter(Boolean).join(' ') || 'the active company');
+    const published = refused.length
+        ? { success: false, skipped: true, refused: true, error: `Not published: too many ledgers failed for ${refused.join(', ')}`, targets: [] }
+        : await publishData(publish);
+    if (!published.success) progress.warn(published.refused ? published.error : `Publish failed: ${published.error}`);
+    return { data: results[0] || null, companies: results, archived, reports, publish: published };
+}
+
+// Failed and suspicious ledgers kept per report in the run history
+const REPORT_SAMPLE = 20;
+
+// Job result is a summary; the data itself is served by /api/data
+const syncJobs = createSyncJobs(async (options, progress) => {
+    const { data, companies: synced, archived, reports, publish } = await performSync(options, progress);
+    const perCompany = synced.map(d => ({ company: d.company, mode: d.sync.mode, ledgers: allLedgers(d).length, refetched: d.sync.refetched, refused: reports.some(r => r.refused && !r.fy && r.company === d.company) }));
+    return {
+        updatedAt: data?.updatedAt || new Date().toISOString(),
+        // Archive-only runs (past years requested without the current one) have no sync mode
+        mode: synced.length > 1 ? 'multi' : data?.sync.mode || 'archive',
+        ledgers: perCompany.reduce((n, c) => n + c.ledgers, 0),
+        refetched: perCompany.reduce((n, c) => n + c.refetched, 0),
+        companies: perCompany,
+        archived,
+        reports,
+        publish
+    };
+}, {
+    onFinish: (job) => recordRun({
+        id: job.id,
+        trigger: job.options.trigger || 'manual',
+        status: job.status,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        mode: job.result?.mode || null,
+        ledgers: job.result?.ledgers ?? null,
+        refetched: job.result?.refetched ?? null,
+        companies: job.result?.companies.map(c => c.company) || (job.options.company ? [job.options.company] : []),
+        archived: job.result?.archived.map(a => a.fy) || [],
+        publish: job.result?.publish || null,
+        // The job keeps the full lists; the history the first few of each
+        reports: (job.result?.reports || []).map(r => ({ ...r, failed: r.failed.slice(0, REPORT_SAMPLE), suspicious: r.suspicious.slice(0, REPORT_SAMPLE), failedCount: r.failed.length, suspiciousCount: r.suspicious.length })),
+        warnings: job.warnings,
+        error: job.error
+    })
+});
+
+const scheduler = createScheduler({ startSync: (options) => syncJobs.start(options), isTallyUp: checkTallyConnection });
+
+// --- AUTH ---
+// Every /api route needs "Authorization: Bearer <session or API token>"; only the routes below are
+// open. Nothing rides on cookies, so another site cannot make a browser send authenticated requests.
+
+const isLoopback = (req) => ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+
+app.get('/api/auth/status', (req, res) => res.json({ setupRequired: !auth.hasUsers(), roles: auth.ROLES }));
+
+// First run: creates the first admin. Only from this machine, and only while there are no users.
+app.post('/api/auth/setup', (req, res) => {
+    if (auth.hasUsers()) return res.status(409).json({ success: false, error: "Already set up; log in instead" });
+    if (!isLoopback(req)) return res.status(403).json({ success: false, error: "The first admin can only be created on the server machine" });
+    const { username, password } = req.body || {};
+    try { auth.createUser({ username, password, role: 'admin' }); }
+    catch (e) { return res.status(400).json({ success: false, error: e.message }); }
+    res.status(201).json({ success: true, ...auth.login(username, password) });
+});
+
+app.post('/api/auth/login', (req, res) => {
+    const session = auth.login(req.body?.username, req.body?.password);
+    if (!session) return res.status(401).json({ success: false, error: "Wrong username or password" });
+    res.json({ success: true, ...session });
+});
+
+app.use('/api', requireAuth);
+
+app.get('/api/auth/me', (req, res) => res.json({ user: req.user }));
+
+app.post('/api/auth/logout', (req, res) => {
+    auth.logout(req.get('authorization').slice('Bearer '.length));
+    res.json({ success: true });
+});
+
+// --- USERS (admin) ---
+
+// Errors from lib/auth carry status 404 for unknown users or tokens; the rest are bad input
+const authError = (res, e) => res.status(e.status || 400).json({ success: false, error: e.message });
+
+app.get('/api/users', allow('admin'), (req, res) => res.json({ users: auth.listUsers(), roles: auth.ROLES }));
+
+// { username, password, role, routeGroups } — routeGroups only for agents
+app.post('/api/users', allow('admin'), (req, res) => {
+    try { res.status(201).json({ success: true, user: auth.createUser(req.body || {}) }); }
+    catch (e) { authError(res, e); }
+});
+
+app.put('/api/users/:username', allow('admin'), (req, res) => {
+    try { res.json({ success: true, user: auth.updateUser(req.params.username, req.body || {}) }); }
+    catch (e) { authError(res, e); }
+});
+
+app.delete('/api/users/:username', allow('admin'), (req, res) => {
+    try { auth.deleteUser(req.params.username); res.json({ success: true }); }
+    catch (e) { authError(res, e); }
+});
+
+// { name } -> { token } for scripts; the token is only ever shown in this response
+app.post('/api/users/:username/tokens', allow('admin'), (req, res) => {
+    try { res.status(201).json({ success: true, ...auth.createApiToken(req.params.username, req.body?.name) }); }
+    catch (e) { authError(res, e); }
+});
+
+app.delete('/api/users/:username/tokens/:id', allow('admin'), (req, res) => {
+    try { auth.revokeApiToken(req.params.username, req.params.id); res.json({ success: true }); }
+    catch (e) { authError(res, e); }
+});
+
+// --- DATA ---
+
+const ALL_ROLES = Object.keys(auth.ROLES);
+
+// Collection agents see only the debtors in their route groups: no creditors, no hidden groups
+const scopeData = (data, user) => {
+    const groups = visibleGroups(user);
+    if (!groups) return data;
+    const { groupTree, ...rest } = data;
+    const debtors = Object.fromEntries(Object.entries(data.debtors || {}).filter(([group]) => groups.includes(group)));
+    // The sync report names ledgers too: only the agent's own
+    const visible = new Set(Object.values(debtors).flat().map(l => l.name));
+    const report = data.sync?.report && {
+        failed: data.sync.report.failed.filter(f => visible.has(f.ledger)),
+        suspicious: data.sync.report.suspicious.filter(f => visible.has(f.ledger))
+    };
+    return { ...rest, sync: data.sync && { ...data.sync, report }, debtors, hiddenDebtors: {}, creditors: [] };
+};
+
+// ?company=<name> picks a company; without it the default company is served
+app.get('/api/data', allow(...ALL_ROLES), (req, res) => {
+    const company = req.query.company || null;
+    if (companies.has(company)) res.json(scopeData(loadData(company), req.user));
     else res.status(404).send('No Data');
 });
-app.get('/api/sync', async (req, res) => {
+
+// Synced companies (with their data files) and, when Tally is reachable, the companies open in it
+app.get('/api/companies', allow(...ALL_ROLES), async (req, res) => {
+    const index = companies.loadIndex();
+    let open = null;
+    if (await checkTallyConnection()) {
+        try { open = await fetchCompanies(); } catch (e) { console.error("Company list failed", e.message); }
+    }
+    res.json({ ...index, open });
+});
+
+// Past years come as `years` (["2023-24"] or "2023-24,2022-23") or a `from`/`to` date range.
+// Throws on bad input so the routes can answer 400 before a job starts.
+const syncOptions = (req) => {
+    const pick = (key) => req.body?.[key] ?? req.query[key] ?? null;
+    const years = pick('years');
+    const publish = pick('publish');
+    const options = {
+        full: req.query.full === '1' || req.body?.full === true,
+        company: pick('company'),
+        years: typeof years === 'string' ? years.split(',').map(y => y.trim()).filter(Boolean) : years,
+        from: pick('from'),
+        to: pick('to'),
+        // Publish targets for this run: ids (list or comma separated), "none", or absent for the enabled ones
+        publish: publish === 'none' ? [] : typeof publish === 'string' ? publish.split(',').map(t => t.trim()).filter(Boolean) : publish
+    };
+    resolveSyncYears(options);
+    const unknown = (options.publish || []).filter(id => !loadPublishConfig().targets.some(t => t.id === id));
+    if (unknown.length) throw new Error(`Unknown publish target: ${unknown.join(', ')}`);
+    return options;
+};
+
+// Starts a sync job (or joins the one already running) and returns its id straight away.
+// ?wait=1 blocks until the job finishes and returns its summary instead (for scripts).
+app.post('/api/sync', allow('admin'), async (req, res) => {
+    let options;
+    try { options = syncOptions(req); }
+    catch (e) { return res.status(400).json({ success: false, error: e.message }); }
+    const { job, alreadyRunning } = syncJobs.start(options);
+    if (req.query.wait !== '1') return res.status(202).json({ success: true, jobId: job.id, alreadyRunning, job });
+
+    const final = await syncJobs.wait(job.id);
+    if (final.status === 'failed') return res.status(500).json({ success: false, error: final.error });
+    res.json({ success: true, message: "Sync OK", mode: final.result.mode, refetched: final.result.refetched, archived: final.result.archived, reports: final.result.reports, publish: final.result.publish, warnings: final.warnings });
+});
+
+// Syncing changes data, so a link or an <img> must not be able to start one
+app.get('/api/sync', (req, res) => {
+    res.set('Allow', 'POST').status(405).json({ success: false, error: "Use POST /api/sync" });
+});
+
+app.get('/api/sync/jobs/current', allow('admin', 'accountant'), (req, res) => {
+    res.json({ job: syncJobs.current() });
+});
+
+app.get('/api/sync/jobs/:id', allow('admin', 'accountant'), (req, res) => {
+    const job = syncJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: "Unknown job" });
+    res.json({ job });
+});
+
+// A single-use ticket for the job's event stream, which cannot send the Authorization header
+app.post('/api/sync/jobs/:id/ticket', allow('admin', 'accountant'), (req, res) => {
+    const job = syncJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: "Unknown job" });
+    res.json({ success: true, ...auth.issueStreamTicket(req.user, `/api/sync/jobs/${job.id}/events`) });
+});
+
+// Server-Sent Events: one message per progress update, stream ends when the job finishes.
+// Opened with ?ticket= from the route above.
+app.get('/api/sync/jobs/:id/events', allow('admin', 'accountant'), (req, res) => {
+    const job = syncJobs.get(req.params.id);
+    if (!job) return res.status(404).json({ success: false, error: "Unknown job" });
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    const send = (snap) => {
+        res.write(`data: ${JSON.stringify(snap)}\n\n`);
+        if (snap.status !== 'running') { unsubscribe(); res.end(); }
+    };
+    const unsubscribe = syncJobs.subscribe(job.id, send);
+    req.on('close', unsubscribe);
+    send(job);
+});
+
+app.get('/api/sync/history', allow('admin', 'accountant'), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 200);
+    res.json({ history: loadHistory().slice(0, limit), ...scheduler.get() });
+});
+
+app.get('/api/sync/schedule', allow('admin'), (req, res) => res.json(scheduler.get()));
+
+app.put('/api/sync/schedule', allow('admin'), (req, res) => {
+    try { res.json(scheduler.update(req.body || {})); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// --- ROUTE GROUPS ---
+
+const routeGroupSummary = (company = null) => {
+    const data = loadData(company);
+    const counts = {};
+    [...Object.values(data.debtors || {}).flat(), ...Object.values(data.hiddenDebtors || {}).flat()].forEach(l => {
+        const top = l.groupPath?.[0] || NO_GROUP;
+        counts[top] = (counts[top] || 0) + 1;
+    });
+    return { config: loadRouteGroupConfig(), tree: data.groupTree?.debtors || [], counts };
+};
+
+app.get('/api/route-groups', allow('admin'), (req, res) => res.json(routeGroupSummary(req.query.company || null)));
+
+// Saves the admin config (shared by all companies) and regroups the stored data right away;
+// the cloud copy follows on the next sync
+app.put('/api/route-groups', allow('admin'), (req, res) => {
+    try {
+        const config = saveRouteGroupConfig(req.body);
+        companies.forEach(data => saveData(applyRouteGroups(data, config)));
+        res.json({ success: true, ...routeGroupSummary(req.query.company || null) });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// --- VOUCHER TYPES ---
+
+const voucherTypeSummary = () => ({ categories: CATEGORIES, types: describeVoucherTypes(ledgerDb.voucherTypes(), loadVoucherTypeConfig()) });
+
+app.get('/api/voucher-types', allow('admin'), (req, res) => res.json(voucherTypeSummary()));
+
+// Saves the mapping and re-classifies the stored data and archives right away, as route groups do
+app.put('/api/voucher-types', allow('admin'), (req, res) => {
+    try {
+        const config = saveVoucherTypeConfig(req.body);
+        companies.forEach(data => {
+            saveData(classifyVouchers(data, config));
+            companies.listArchives(data.company || null).forEach(a => {
+                const archive = companies.loadArchive(data.company || null, a.fy);
+                if (archive) companies.saveArchive(classifyVouchers(archive, config));
+            });
+        });
+        res.json({ success: true, ...voucherTypeSummary() });
+    } catch (e) {
+        res.status(400).json({ success: false, error: e.message });
+    }
+});
+
+// --- LEDGER QUERIES ---
+
+// company=all spans every company; no company means the default one
+const queryCompany = (company) => (company === 'all' ? null : company || companies.loadIndex().default || '');
+// The ledger if the user may see it: agents only reach debtors in their route groups
+const scopedLedger = (req, company, name) => {
+    const ledger = ledgerDb.ledger(company, name);
+    const scope = visibleGroups(req.user);
+    return ledger && (!scope || (ledger.kind === 'debtor' && scope.includes(ledger.group))) ? ledger : null;
+};
+const ledgerQuery = (req) => ({ ...parseLedgerQuery({ ...req.query, company: queryCompany(req.query.company) }), routeGroups: visibleGroups(req.user) });
+// Every row matching a ledger query, ignoring its paging
+const queryAllLedgers = (query) => {
+    const rows = [];
+    for (let page = 1; ; page++) {
+        const result = ledgerDb.ledgers({ ...query, page, pageSize: 1000 });
+        rows.push(...result.ledgers);
+        if (!result.ledgers.length || rows.length >= result.total) return rows;
+    }
+};
+
+// Route group cards with totals, plus per-company totals (search narrows both)
+app.get('/api/groups', allow(...ALL_ROLES), (req, res) => {
+    try { res.json(ledgerDb.groups(ledgerQuery(req))); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// ?kind=&group=&type=&bucket=&minAmount=&maxAmount=&search=&sort=&order=&page=&pageSize=
+app.get('/api/ledgers', allow(...ALL_ROLES), (req, res) => {
+    try { res.json(ledgerDb.ledgers(ledgerQuery(req))); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// Prepends the archived years from `since` (a FY label, see mergeArchives in the dashboard) to a
+// ledger's vouchers. Throws on a bad label.
+function withArchivedYears(company, ledger, since) {
+    if (!since) return ledger;
+    const archives = archiveChain(companies.listArchives(company || null), since).map(a => companies.loadArchive(company || null, a.fy)).filter(Boolean).reverse();
+    const history = archives.map(a => ({ archive: a, entry: a.ledgers.find(l => l.name === ledger.name) })).filter(h => h.entry);
+    if (!history.length) return ledger;
+    const first = history[0];
+    const net = first.entry.transactions.reduce((s, t) => s + (t.sign === 'Dr' ? -t.amount : t.amount), 0);
+    return {
+        ...ledger,
+        openingBalance: String(first.entry.closingBalance - net),
+        openingDate: first.archive.startDate,
+        transactions: [...history.flatMap(h => h.entry.transactions), ...ledger.transactions]
+    };
+}
+
+// One ledger with its vouchers. ?since=2023-24 prepends archived years.
+app.get('/api/ledgers/:name', allow(...ALL_ROLES), (req, res) => {
+    const company = queryCompany(req.query.company);
+    // Out of scope answers like a missing ledger, so agents cannot probe for names
+    const ledger = scopedLedger(req, company, req.params.name);
+    if (!ledger) return res.status(404).json({ success: false, error: `Unknown ledger ${req.params.name}` });
+    try { res.json(withArchivedYears(company, ledger, req.query.since)); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// --- TRENDS ---
+
+// Prepends archived years (from `since`) to voucherMonths rows, as withArchivedYears does for one ledger
+function withArchivedMonths(rows, since) {
+    if (!since) return rows;
+    const chains = new Map();
+    const chain = (company) => {
+        if (!chains.has(company)) chains.set(company, archiveChain(companies.listArchives(company), since).map(a => companies.loadArchive(company, a.fy)).filter(Boolean).reverse());
+        return chains.get(company);
+    };
+    return rows.map(r => {
+        const history = chain(r.company).map(a => ({ archive: a, entry: a.ledgers.find(l => l.name === r.name) })).filter(h => h.entry);
+        if (!history.length) return r;
+        const first = history[0];
+        const net = first.entry.transactions.reduce((s, t) => s + (t.sign === 'Dr' ? -t.amount : t.amount), 0);
+        const months = { ...r.months };
+        history.forEach(h => Object.entries(voucherMonths(h.entry.transactions)).forEach(([month, v]) => {
+            const m = months[month] || {};
+            months[month] = { dr: (m.dr || 0) + v.dr, cr: (m.cr || 0) + v.cr, receipt: (m.receipt || 0) + v.receipt, reversal: (m.reversal || 0) + v.reversal };
+        }));
+        return { ...r, openingBalance: String(first.entry.closingBalance - net), start: `${first.archive.startDate.slice(0, 4)}-${first.archive.startDate.slice(4, 6)}`, months };
+    });
+}
+
+// Monthly billed, receipts, receivables, DSO and collection efficiency for debtors.
+// Ledger filters as /api/ledgers (company, group, search, ...) plus from=&to= (YYYY-MM), by=total|group,
+// ledger= for one party and since= to include archived years.
+app.get('/api/trends', allow(...ALL_ROLES), (req, res) => {
+    try {
+        const trend = parseTrendQuery(req.query);
+        const rows = ledgerDb.voucherMonths({ ...ledgerQuery(req), kind: 'debtor' }).filter(r => !trend.ledger || r.name === trend.ledger);
+        if (trend.ledger && !rows.length) return res.status(404).json({ success: false, error: `Unknown ledger ${trend.ledger}` });
+        res.json(monthlyTrends(withArchivedMonths(rows, req.query.since), trend));
+    } catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// --- CASH-FLOW FORECAST ---
+
+// Expected receipts and supplier payments per week from the open bills (lib/shared/forecast.mjs).
+// ?weeks=8-12&opening=<cash now>, plus the /api/ledgers filters (company, group, ...).
+app.get('/api/forecast', allow('admin', 'accountant'), (req, res) => {
+    try {
+        const options = parseForecastQuery(req.query);
+        const ledgers = queryAllLedgers(ledgerQuery(req)).map(r => ledgerDb.ledger(r.company, r.name));
+        res.json(forecastCashFlow(ledgers, options));
+    } catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// --- PAYABLES ---
+
+// ?company= plus the /api/ledgers filters: creditor bills overdue or due this week and next
+app.get('/api/payables/plan', allow('admin', 'accountant'), (req, res) => {
+    try {
+        const ledgers = queryAllLedgers({ ...ledgerQuery(req), kind: 'creditor' }).map(r => ledgerDb.ledger(r.company, r.name));
+        res.json(paymentPlan(ledgers));
+    } catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// { company, ledger, ref, date: YYYY-MM-DD (bill date), scheduled: true|false }
+app.put('/api/payables/schedule', allow('admin', 'accountant'), (req, res) => {
+    const company = queryCompany(req.body?.company);
+    const ledger = ledgerDb.ledger(company, req.body?.ledger);
+    if (!ledger || ledger.kind !== 'creditor') return res.status(404).json({ success: false, error: `Unknown creditor ${req.body?.ledger}` });
+    try { res.json({ success: true, scheduled: scheduleBill(ledger, req.body, req.body.scheduled === true, req.user.username) }); }
+    catch (e) { res.status(e.status || 400).json({ success: false, error: e.message }); }
+});
+
+// --- STATEMENTS ---
+
+const sendStatements = (res, filename, statements) => {
+    res.attachment(filename);
+    res.type('pdf');
+    renderStatements(statements, res, filename.replace(/\.pdf$/, ''));
+};
+
+// Batch: ?group=<route group> -> one PDF with a statement for every party in it with a balance.
+// Takes company (all for every company), from, to and since like the single statement.
+app.get('/api/statements', allow(...ALL_ROLES), (req, res) => {
+    let statements;
+    try {
+        const range = parseStatementRange(req.query);
+        if (!req.query.group) throw new Error('Invalid query: group is required');
+        const rows = queryAllLedgers({ ...ledgerQuery(req), kind: 'debtor', minAmount: 0.01, sort: 'name', order: 'asc' });
+        statements = rows.map(r => buildStatement(withArchivedYears(r.company, ledgerDb.ledger(r.company, r.name), req.query.since), range));
+    } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+    }
+    if (!statements.length) return res.status(404).json({ success: false, error: `No parties with a balance in ${req.query.group}` });
+    sendStatements(res, `Statements - ${req.query.group}.pdf`, statements);
+});
+
+// ?company=&from=YYYY-MM-DD&to=YYYY-MM-DD&since=2023-24
+app.get('/api/statements/:name', allow(...ALL_ROLES), (req, res) => {
+    const company = queryCompany(req.query.company);
+    const ledger = scopedLedger(req, company, req.params.name);
+    if (!ledger) return res.status(404).json({ success: false, error: `Unknown ledger ${req.params.name}` });
+    let statement;
+    try { statement = buildStatement(withArchivedYears(company, ledger, req.query.since), parseStatementRange(req.query)); }
+    catch (e) { return res.status(400).json({ success: false, error: e.message }); }
+    sendStatements(res, `Statement - ${ledger.name}.pdf`, [statement]);
+});
+
+// --- EXPORTS ---
+
+const sendExport = async (res, filename, sheets, format) => {
+    const { body, type } = await renderExport(sheets, format, filename);
+    res.attachment(`${filename}.${format}`);
+    res.type(type);
+    res.send(body);
+};
+
+// ?format=csv|xlsx (default xlsx). Takes the /api/ledgers filters (company, search, group, kind,
+// bucket, minAmount, sort, ...) and exports every matching party, not one page.
+app.get('/api/exports/:report(aging|groups|parties)', allow(...ALL_ROLES), async (req, res) => {
+    let format, query;
+    try {
+        format = parseExportFormat(req.query.format);
+        query = ledgerQuery(req);
+    } catch (e) {
+        return res.status(400).json({ success: false, error: e.message });
+    }
+    const consolidated = query.company === null;
+    const { report } = req.params;
+    if (report === 'groups') return sendExport(res, 'Route groups', groupsReport(ledgerDb.groups(query)), format);
+    // The aging list is biggest first unless asked otherwise, like the Aging Analysis page
+    if (report === 'aging') return sendExport(res, 'Aging', agingReport(queryAllLedgers(req.query.sort ? query : { ...query, sort: 'amount', order: 'desc' }), { consolidated }), format);
+    sendExport(res, query.group ? `Parties - ${query.group}` : 'Parties', partiesReport(queryAllLedgers(query), { consolidated }), format);
+});
+
+// One ledger's vouchers (and pending bills): ?company=&from=&to=&since=&format=
+app.get('/api/exports/ledger/:name', allow(...ALL_ROLES), async (req, res) => {
+    const company = queryCompany(req.query.company);
+    const ledger = scopedLedger(req, company, req.params.name);
+    if (!ledger) return res.status(404).json({ success: false, error: `Unknown ledger ${req.params.name}` });
+    let format, sheets;
     try {
-        const result = await performSync();
-        res.json({ success: true, message: "Sync OK", gitResult: result.gitResult });
+        format = parseExportFormat(req.query.format);
+        sheets = ledgerReport(withArchivedYears(company, ledger, req.query.since), parseStatementRange(req.query));
     } catch (e) {
-        console.error(e);
-        res.status(500).json({ success: false, error: e.message });
+        return res.status(400).json({ success: false, error: e.message });
     }
+    sendExport(res, `Ledger - ${ledger.name}`, sheets, format);
+});
+
+// --- FOLLOW-UPS ---
+
+// ?company=&ledger= -> that ledger's timeline, newest first
+app.get('/api/followups', allow(...ALL_ROLES), (req, res) => {
+    const company = queryCompany(req.query.company);
+    if (!scopedLedger(req, company, req.query.ledger)) return res.status(404).json({ success: false, error: `Unknown ledger ${req.query.ledger}` });
+    res.json({ followUps: listFollowUps(company, req.query.ledger) });
+});
+
+// ?date=YYYY-MM-DD (default today) &company= (all for every company): next actions and promises due by then
+app.get('/api/followups/due', allow(...ALL_ROLES), (req, res) => {
+    const date = req.query.date || new Date().toLocaleDateString('en-CA');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ success: false, error: "Invalid query: date must be YYYY-MM-DD" });
+    const due = dueFollowUps(date, queryCompany(req.query.company)).map(item => {
+        const ledger = scopedLedger(req, item.company, item.ledger);
+        return ledger && { ...item, group: ledger.group, amount: ledger.amount, type: ledger.type };
+    }).filter(Boolean);
+    res.json({ date, due });
+});
+
+// { company, ledger, channel, note, nextActionDate, promise: { amount, date } }
+app.post('/api/followups', allow(...ALL_ROLES), (req, res) => {
+    const company = queryCompany(req.body?.company);
+    if (!scopedLedger(req, company, req.body?.ledger)) return res.status(404).json({ success: false, error: `Unknown ledger ${req.body?.ledger}` });
+    try { res.status(201).json({ success: true, followUp: addFollowUp({ ...req.body, company }, req.user.username) }); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+app.delete('/api/followups/:id', allow(...ALL_ROLES), (req, res) => {
+    try { deleteFollowUp(req.params.id, req.user); res.json({ success: true }); }
+    catch (e) { res.status(e.status || 400).json({ success: false, error: e.message }); }
+});
+
+// --- COLLECTION SHEETS ---
+
+// Agents only reach their own route groups
+const groupVisible = (req, group) => !visibleGroups(req.user) || visibleGroups(req.user).includes(group);
+
+// ?group=&date=&order=overdue|visit (&company=, all for every company): the group's parties with a balance
+app.get('/api/collections/sheet', allow(...ALL_ROLES), (req, res) => {
+    try {
+        const query = parseSheetQuery(req.query);
+        if (!groupVisible(req, query.group)) return res.status(404).json({ success: false, error: `Unknown route group ${query.group}` });
+        const rows = queryAllLedgers({ ...ledgerQuery(req), kind: 'debtor', type: 'Dr', group: query.group });
+        const ledgers = rows.filter(r => r.amount > 0).map(r => ledgerDb.ledger(r.company, r.name));
+        res.json({ ...collectionSheet(ledgers, query), modes: MODES });
+    } catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// { group, ledgers: [{ company, ledger }] } in visiting order
+app.put('/api/collections/visit-order', allow(...ALL_ROLES), (req, res) => {
+    const group = req.body?.group;
+    if (typeof group !== 'string' || !group || !groupVisible(req, group)) return res.status(404).json({ success: false, error: `Unknown route group ${group}` });
+    try { res.json({ success: true, group, ledgers: saveVisitOrder(group, req.body.ledgers) }); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// ?company=&group=&date=&status=pending|reconciled|unmatched
+app.get('/api/collections', allow(...ALL_ROLES), (req, res) => {
+    const scope = visibleGroups(req.user);
+    const collections = listCollections({ company: queryCompany(req.query.company), group: req.query.group || null, status: req.query.status || null, date: req.query.date || null })
+        .filter(c => !scope || scope.includes(c.group));
+    res.json({ collections });
+});
+
+// { group, date, entries: [{ company, ledger, amount, mode, note }] }: amounts entered on a sheet
+app.post('/api/collections', allow(...ALL_ROLES), (req, res) => {
+    const { group, entries } = req.body || {};
+    if (typeof group !== 'string' || !group || !groupVisible(req, group)) return res.status(404).json({ success: false, error: `Unknown route group ${group}` });
+    const list = Array.isArray(entries) ? entries.map(e => ({ ...e, company: queryCompany(e?.company) })) : entries;
+    const unknown = (Array.isArray(list) ? list : []).filter(e => typeof e.ledger === 'string' && scopedLedger(req, e.company, e.ledger)?.group !== group).map(e => e.ledger);
+    if (unknown.length) return res.status(404).json({ success: false, error: `Not in ${group}: ${unknown.join(', ')}` });
+    try { res.status(201).json({ success: true, collections: addCollections({ ...req.body, entries: list }, req.user.username) }); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+app.delete('/api/collections/:id', allow(...ALL_ROLES), (req, res) => {
+    try { deleteCollection(req.params.id, req.user); res.json({ success: true }); }
+    catch (e) { res.status(e.status || 400).json({ success: false, error: e.message }); }
+});
+
+// --- REMINDERS ---
+
+app.get('/api/reminders', allow(...ALL_ROLES), (req, res) => {
+    res.json({ ...maskReminderConfig(loadReminderConfig()), placeholders: PLACEHOLDERS, providerTypes: PROVIDER_TYPES });
+});
+
+// { templates: [{ id, name, body }] }
+app.put('/api/reminders/templates', allow('admin', 'accountant'), (req, res) => {
+    try { res.json({ success: true, ...maskReminderConfig(saveReminderConfig({ templates: req.body?.templates })) }); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// { provider: { type, ... }, countryCode }
+app.put('/api/reminders/provider', allow('admin'), (req, res) => {
+    const { provider, countryCode } = req.body || {};
+    try { res.json({ success: true, ...maskReminderConfig(saveReminderConfig({ provider, ...(countryCode !== undefined && { countryCode }) })) }); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
 });
 
-app.listen(PORT, () => console.log(`Server on ${PORT}`));
+// { company, ledger, optOut: true|false }
+app.put('/api/reminders/opt-outs', allow(...ALL_ROLES), (req, res) => {
+    const company = queryCompany(req.body?.company);
+    const ledger = scopedLedger(req, company, req.body?.ledger);
+    if (!ledger) return res.status(404).json({ success: false, error: `Unknown ledger ${req.body?.ledger}` });
+    res.json({ success: true, ledger: ledger.name, optOut: setOptOut(company, ledger.name, req.body.optOut === true) });
+});
+
+// ?template=<id> plus the /api/ledgers filters (company, group, bucket, search, minAmount):
+// the message each party with a debit balance would get. Nothing is sent.
+app.get('/api/reminders/preview', allow(...ALL_ROLES), (req, res) => {
+    try {
+        const query = ledgerQuery(req);
+        const rows = queryAllLedgers({ ...query, kind: 'debtor', type: 'Dr', minAmount: query.minAmount ?? 1 });
+        const messages = prepareReminders(rows.map(r => ledgerDb.ledger(r.company, r.name)), req.query.template);
+        res.json({ template: req.query.template, messages });
+    } catch (e) {
+        res.status(e.status || 400).json({ success: false, error: e.message });
+    }
+});
+
+// { template, parties: [{ company, ledger }] } -> sends the previewed messages, freshly filled in
+app.post('/api/reminders/send', allow(...ALL_ROLES), async (req, res) => {
+    const { template, parties } = req.body || {};
+    if (!Array.isArray(parties) || !parties.length || parties.length > 1000) return res.status(400).json({ success: false, error: 'Invalid reminders: parties must list 1 to 1000 { company, ledger }' });
+    const ledgers = parties.map(p => scopedLedger(req, queryCompany(p?.company), p?.ledger));
+    const missing = parties.filter((p, i) => !ledgers[i]).map(p => p?.ledger);
+    if (missing.length) return res.status(404).json({ success: false, error: `Unknown ledger ${missing.join(', ')}` });
+    let messages;
+    try { messages = prepareReminders(ledgers, template); }
+    catch (e) { return res.status(e.status || 400).json({ success: false, error: e.message }); }
+    res.json({ success: true, ...await sendReminders(messages, { templateId: template, username: req.user.username }) });
+});
+
+// ?company=&ledger= -> reminders sent to that party, newest first
+app.get('/api/reminders/log', allow(...ALL_ROLES), (req, res) => {
+    const company = queryCompany(req.query.company);
+    if (!scopedLedger(req, company, req.query.ledger)) return res.status(404).json({ success: false, error: `Unknown ledger ${req.query.ledger}` });
+    res.json({ reminders: listReminderLog(company, req.query.ledger) });
+});
+
+// --- PUBLISHING ---
+
+// Targets with secrets masked; PUT the same shape back (a masked secret stays as it was)
+app.get('/api/publish', allow('admin'), (req, res) => res.json(maskSecrets(loadPublishConfig())));
+
+app.put('/api/publish', allow('admin'), (req, res) => {
+    try { res.json({ success: true, ...maskSecrets(savePublishConfig(req.body || {})) }); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// Publishes the current data files without syncing. Body { targets: [ids] } limits it to those.
+app.post('/api/publish', allow('admin'), async (req, res) => {
+    if (syncJobs.current()) return res.status(409).json({ success: false, error: "A sync is running; it publishes when it finishes" });
+    try { res.json(await publishData(req.body?.targets ?? null)); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// --- SNAPSHOTS ---
+
+const snapshotCompany = (req) => req.query.company || companies.loadIndex().default || null;
+
+app.get('/api/snapshots', allow('admin', 'accountant'), (req, res) => {
+    res.json({ company: snapshotCompany(req), snapshots: listSnapshots(snapshotCompany(req)), retention: loadRetention() });
+});
+
+// ?from=<id>&to=<id>; defaults to the latest snapshot against the one before it
+app.get('/api/snapshots/diff', allow('admin', 'accountant'), (req, res) => {
+    const company = snapshotCompany(req);
+    const ids = listSnapshots(company).map(s => s.id);
+    const to = req.query.to || ids[0];
+    const from = req.query.from || ids[ids.indexOf(to) + 1];
+    if (!to || !from) return res.status(404).json({ success: false, error: "Need at least two snapshots to compare" });
+    const older = loadSnapshot(company, from);
+    const newer = loadSnapshot(company, to);
+    if (!older || !newer) return res.status(404).json({ success: false, error: `Unknown snapshot ${older ? to : from}` });
+    res.json(diffSnapshots(older, newer));
+});
+
+app.get('/api/snapshots/retention', allow('admin'), (req, res) => res.json(loadRetention()));
+
+app.put('/api/snapshots/retention', allow('admin'), (req, res) => {
+    try { res.json(saveRetention(req.body || {})); }
+    catch (e) { res.status(400).json({ success: false, error: e.message }); }
+});
+
+// --- FY ARCHIVES ---
+
+app.get('/api/archives', allow('admin', 'accountant'), (req, res) => {
+    res.json({ archives: companies.listArchives(req.query.company || null) });
+});
+
+app.get('/api/archives/:fy', allow('admin', 'accountant'), (req, res) => {
+    let archive;
+    try {
+        if (!/^\d{4}-\d{2}$/.test(req.params.fy)) throw new Error(`Invalid financial year "${req.params.fy}" (use e.g. 2024-25)`);
+        archive = companies.loadArchive(req.query.company || null, fyLabel(parseFy(req.params.fy)));
+    } catch (e) { return res.status(400).json({ success: false, error: e.message }); }
+    if (archive) res.json(archive);
+    else res.status(404).json({ success: false, error: `No archive for FY ${req.params.fy}` });
+});
+
+async function start() {
+    if (TALLY.replayDir) {
+        TALLY.url = await createTallySimulator(TALLY.replayDir).listen();
+        console.log(`Replaying Tally fixtures from ${TALLY.replayDir} (${TALLY.url})`);
+    }
+    if (TALLY.recordDir) console.log(`Recording Tally responses to ${TALLY.recordDir}`);
+    if (!PUBLISH_PASSPHRASE) console.log('PUBLISH_PASSPHRASE is not set: published data is readable by anyone who can fetch it');
+    if (!auth.hasUsers()) console.log('No users yet: open the dashboard on this machine to create the first admin (or run node lib/auth.js add-user)');
+    // Data synced before the query index existed, or indexed before its newer columns
+    if (ledgerDb.needsReindex()) companies.forEach(data => ledgerDb.replaceCompany(data));
+    scheduler.start();
+    const { schedule, nextRunAt } = scheduler.get();
+    if (schedule.enabled) console.log(`Scheduled sync on, next run ${nextRunAt ? new Date(nextRunAt).toLocaleString() : 'not in the coming week'}`);
+    return app.listen(PORT, () => console.log(`Server on ${PORT}`));
+}
+
+if (require.main === module) start();
+
+module.exports = { app, start, performSync, syncJobs, scheduler, TALLY };
@@ -0,0 +1,132 @@
+// Logins, API tokens, role checks and agent scoping over HTTP, on data synced from fixtures/sample.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'sample');
+// State and data files live in a scratch folder; both are read when the modules load
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-credit-test-'));
+process.env.STATE_DIR = path.join(scratch, 'state');
+process.env.DATA_FILE = path.join(scratch, 'credit-data.json');
+delete process.env.TALLY_REPLAY_DIR;
+delete process.env.PUBLISH_PASSPHRASE;
+
+const { createTallySimulator } = require('../lib/tally-sim');
+const { app, TALLY } = require('../server');
+
+const AGENT_GROUP = 'Koraput';
+let sim;
+let server;
+let base;
+let admin;
+let agent;
+let data;
+
+// -> { status, json } (json is null for a non-JSON body)
+async function call(url, { token, method = 'GET', body } = {}) {
+    const res = await fetch(`${base}${url}`, {
+        method,
+        headers: { ...(token && { Authorization: `Bearer ${token}` }), ...(body && { 'Content-Type': 'application/json' }) },
+        body: body && JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* event stream */ }
+    return { status: res.status, json, text };
+}
+
+before(async () => {
+    fs.mkdirSync(process.env.STATE_DIR, { recursive: true });
+    sim = createTallySimulator(FIXTURES);
+    TALLY.url = await sim.listen();
+    // Replayed data is never published
+    TALLY.replayDir = FIXTURES;
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}/api`;
+
+    admin = (await call('/auth/setup', { method: 'POST', body: { username: 'boss', password: 'longpassword' } })).json.token;
+    // Syncs as a job; its event stream ends when the job does
+    const { jobId } = (await call('/sync', { token: admin, method: 'POST', body: {} })).json;
+    const { ticket } = (await call(`/sync/jobs/${jobId}/ticket`, { token: admin, method: 'POST' })).json;
+    await call(`/sync/jobs/${jobId}/events?ticket=${ticket}`);
+    data = JSON.parse(fs.readFileSync(process.env.DATA_FILE, 'utf-8'));
+
+    await call('/users', { token: admin, method: 'POST', body: { username: 'ravi', password: 'agentpassword', role: 'agent', routeGroups: [AGENT_GROUP] } });
+    agent = (await call('/auth/login', { method: 'POST', body: { username: 'ravi', password: 'agentpassword' } })).json.token;
+});
+
+after(async () => {
+    server?.closeAllConnections();
+    await new Promise(resolve => (server ? server.close(resolve) : resolve()));
+    sim?.server.closeAllConnections();
+    await sim?.close();
+    fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+test('requests without a login are refused', async () => {
+    assert.strictEqual((await call('/ledgers')).status, 401);
+    assert.strictEqual((await call('/ledgers', { token: 'not-a-token' })).status, 401);
+    assert.strictEqual((await call('/auth/login', { method: 'POST', body: { username: 'boss', password: 'wrong password' } })).status, 401);
+    assert.strictEqual((await call('/ledgers', { token: admin })).status, 200);
+});
+
+test('an agent cannot sync or change settings', async () => {
+    assert.strictEqual((await call('/sync', { token: agent, method: 'POST', body: {} })).status, 403);
+    assert.strictEqual((await call('/publish', { token: agent })).status, 403);
+    assert.strictEqual((await call('/users', { token: agent })).status, 403);
+});
+
+test('an agent only sees the debtors in their route groups', async () => {
+    const mine = data.debtors[AGENT_GROUP][0];
+    const [otherGroup, others] = Object.entries(data.debtors).find(([group, list]) => group !== AGENT_GROUP && list.length);
+    assert.ok(otherGroup);
+
+    assert.strictEqual((await call(`/ledgers/${encodeURIComponent(mine.name)}`, { token: agent })).status, 200);
+    // Out of scope answers like a ledger that does not exist
+    const outside = await call(`/ledgers/${encodeURIComponent(others[0].name)}`, { token: agent });
+    assert.strictEqual(outside.status, 404);
+    assert.strictEqual((await call(`/ledgers/${encodeURIComponent(others[0].name)}`, { token: admin })).status, 200);
+
+    const listed = (await call('/ledgers?pageSize=500', { token: agent })).json.ledgers;
+    assert.ok(listed.length > 0);
+    assert.ok(listed.every(l => l.kind === 'debtor' && l.group === AGENT_GROUP));
+});
+
+test('a revoked API token stops working', async () => {
+    const { token, id } = (await call('/users/boss/tokens', { token: admin, method: 'POST', body: { name: 'nightly export' } })).json;
+    assert.strictEqual((await call('/ledgers', { token })).status, 200);
+    assert.strictEqual((await call(`/users/boss/tokens/${id}`, { token: admin, method: 'DELETE' })).status, 200);
+    assert.strictEqual((await call('/ledgers', { token })).status, 401);
+});
+
+test('a logged-out session stops working', async () => {
+    const session = (await call('/auth/login', { method: 'POST', body: { username: 'ravi', password: 'agentpassword' } })).json.token;
+    assert.strictEqual((await call('/auth/me', { token: session })).json.user.username, 'ravi');
+    await call('/auth/logout', { token: session, method: 'POST' });
+    assert.strictEqual((await call('/auth/me', { token: session })).status, 401);
+});
+
+test('URLs carry only single-use event stream tickets, never tokens', async () => {
+    const { jobId } = (await call('/sync', { token: admin, method: 'POST', body: {} })).json;
+    const events = `/sync/jobs/${jobId}/events`;
+    const ticket = async () => (await call(`/sync/jobs/${jobId}/ticket`, { token: admin, method: 'POST' })).json.ticket;
+
+    // Session and API tokens in the query string are ignored, on event streams too
+    assert.strictEqual((await call(`${events}?access_token=${admin}`)).status, 401);
+    assert.strictEqual((await call(`/ledgers?access_token=${admin}`)).status, 401);
+    // A ticket opens nothing but the event stream it was issued for, and any try at a stream spends it
+    const spent = await ticket();
+    assert.strictEqual((await call(`/sync/jobs/${jobId}?ticket=${spent}`)).status, 401);
+    assert.strictEqual((await call(`/sync/jobs/000000000000/events?ticket=${spent}`)).status, 401);
+    assert.strictEqual((await call(`${events}?ticket=${spent}`)).status, 401);
+    assert.strictEqual((await call(`/sync/jobs/${jobId}/ticket`, { token: agent, method: 'POST' })).status, 403);
+
+    const fresh = await ticket();
+    const stream = await call(`${events}?ticket=${fresh}`);
+    assert.strictEqual(stream.status, 200);
+    assert.match(stream.text, /^data: /);
+    assert.strictEqual((await call(`${events}?ticket=${fresh}`)).status, 401);
+});
@@ -0,0 +1,60 @@
+// Published-file encryption: the server's envelopes round-trip, and the dashboard's WebCrypto
+// decrypt (lib/shared/envelope.mjs) opens them and refuses the wrong passphrase or tampered data.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { encryptPayload, decryptPayload, isEnvelope } = require('../lib/encryption');
+const { importAesKey, deriveEnvelopeBits, decryptEnvelope } = require('../lib/shared/envelope.mjs');
+
+// A real installation uses 600,000 rounds; a few keep the test quick
+const KDF = { salt: crypto.randomBytes(16).toString('base64'), iterations: 1000 };
+const PASSPHRASE = 'a long phrase only the team knows';
+const DATA = { company: 'Smart Traders', debtors: { Koraput: [{ name: 'A.K Stores', amount: 50214, type: 'Dr' }] } };
+
+const seal = () => JSON.parse(encryptPayload(Buffer.from(JSON.stringify(DATA)), PASSPHRASE, KDF));
+const openInBrowser = async (envelope, passphrase) => decryptEnvelope(envelope, await importAesKey(await deriveEnvelopeBits(passphrase, envelope)));
+
+// Flips one bit of the decoded ciphertext at `index` (negative counts from the end)
+const flip = (envelope, index) => {
+    const bytes = Buffer.from(envelope.ciphertext, 'base64');
+    bytes[index < 0 ? bytes.length + index : index] ^= 1;
+    return { ...envelope, ciphertext: bytes.toString('base64') };
+};
+
+test('an envelope names its format and KDF settings and keeps the data out of sight', () => {
+    const envelope = seal();
+    assert.ok(isEnvelope(envelope));
+    assert.deepStrictEqual(envelope.kdf, { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF.iterations, salt: KDF.salt });
+    assert.strictEqual(envelope.cipher.name, 'AES-GCM');
+    assert.ok(!JSON.stringify(envelope).includes('A.K Stores'));
+    // A fresh IV every time
+    assert.notStrictEqual(seal().cipher.iv, envelope.cipher.iv);
+});
+
+test('the same passphrase decrypts it, on the server and in the dashboard', async () => {
+    const envelope = seal();
+    assert.deepStrictEqual(JSON.parse(decryptPayload(envelope, PASSPHRASE)), DATA);
+    assert.deepStrictEqual(await openInBrowser(envelope, PASSPHRASE), DATA);
+});
+
+test('a wrong passphrase is refused', async () => {
+    const envelope = seal();
+    assert.throws(() => decryptPayload(envelope, 'not the phrase'), /Wrong passphrase or damaged file/);
+    await assert.rejects(openInBrowser(envelope, 'not the phrase'));
+});
+
+test('a tampered ciphertext or GCM tag is refused', async () => {
+    const envelope = seal();
+    for (const tampered of [flip(envelope, 0), flip(envelope, -1)]) {
+        assert.throws(() => decryptPayload(tampered, PASSPHRASE), /Wrong passphrase or damaged file/);
+        await assert.rejects(openInBrowser(tampered, PASSPHRASE));
+    }
+    const otherIv = { ...envelope, cipher: { ...envelope.cipher, iv: crypto.randomBytes(12).toString('base64') } };
+    assert.throws(() => decryptPayload(otherIv, PASSPHRASE), /Wrong passphrase or damaged file/);
+});
+
+test('plain JSON is not taken for an envelope', () => {
+    assert.ok(!isEnvelope(DATA));
+    assert.throws(() => decryptPayload(DATA, PASSPHRASE), /Not an encrypted data file/);
+});
@@ -0,0 +1,56 @@
+// The s3 publish target against lib/s3-sim.js: signed PUTs are stored, a wrong secret fails once, without retries.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { publishFiles, validatePublishConfig } = require('../lib/publishers');
+const { createS3Simulator } = require('../lib/s3-sim');
+
+const KEYS = { accessKeyId: 'test-key', secretAccessKey: 'test-secret' };
+const DATA = { company: 'Smart Traders', debtors: { Koraput: [{ name: 'A.K Stores', amount: 50214, type: 'Dr' }] } };
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-credit-test-'));
+const dataDir = path.join(scratch, 'data');
+const bucketDir = path.join(scratch, 'bucket');
+let sim;
+let endpoint;
+
+const publish = (keys) => publishFiles([path.join(dataDir, 'companies', 'smart-traders.json')], {
+    baseDir: dataDir,
+    config: validatePublishConfig({ targets: [{ id: 'cloud', type: 's3', endpoint, bucket: 'credit-data', prefix: 'live/', retries: 2, ...keys }] }),
+    retryDelayMs: 0
+});
+
+before(async () => {
+    fs.mkdirSync(path.join(dataDir, 'companies'), { recursive: true });
+    fs.writeFileSync(path.join(dataDir, 'companies', 'smart-traders.json'), JSON.stringify(DATA));
+    sim = createS3Simulator(bucketDir, KEYS);
+    endpoint = await sim.listen();
+});
+
+after(async () => {
+    await sim?.close();
+    fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+test('a signed PUT stores the file under the prefix, and it reads back', async () => {
+    const result = await publish(KEYS);
+    assert.strictEqual(result.success, true);
+    const [cloud] = result.targets;
+    assert.deepStrictEqual({ attempts: cloud.attempts, bucket: cloud.bucket, keys: cloud.keys }, { attempts: 1, bucket: 'credit-data', keys: ['live/companies/smart-traders.json'] });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(bucketDir, 'credit-data', 'live', 'companies', 'smart-traders.json'), 'utf-8')), DATA);
+    const res = await fetch(`${endpoint}/credit-data/live/companies/smart-traders.json`);
+    assert.deepStrictEqual(await res.json(), DATA);
+});
+
+test('a wrong secret fails on the first attempt with the S3 error', async () => {
+    const rejected = sim.stats.rejected;
+    const result = await publish({ ...KEYS, secretAccessKey: 'not-the-secret' });
+    assert.strictEqual(result.success, false);
+    const [cloud] = result.targets;
+    assert.deepStrictEqual({ id: cloud.id, type: cloud.type, success: cloud.success, attempts: cloud.attempts, files: cloud.files }, { id: 'cloud', type: 's3', success: false, attempts: 1, files: 1 });
+    assert.strictEqual(cloud.error, 'PUT live/companies/smart-traders.json failed: HTTP 403 SignatureDoesNotMatch');
+    assert.strictEqual(result.error, `cloud: ${cloud.error}`);
+    assert.strictEqual(sim.stats.rejected, rejected + 1);
+});
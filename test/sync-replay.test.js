@@ -0,0 +1,90 @@
+// Runs the sync end to end against fixtures/sample through the Tally simulator (npm test).
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'sample');
+// State and data files live in a scratch folder; both are read when the modules load
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-credit-test-'));
+process.env.STATE_DIR = path.join(scratch, 'state');
+process.env.DATA_FILE = path.join(scratch, 'credit-data.json');
+delete process.env.TALLY_REPLAY_DIR;
+delete process.env.PUBLISH_PASSPHRASE;
+
+const { createTallySimulator } = require('../lib/tally-sim');
+const { performSync, TALLY } = require('../server');
+
+const ledgers = (data) => [...Object.values(data.debtors).flat(), ...Object.values(data.hiddenDebtors || {}).flat(), ...data.creditors];
+
+// Serves a fixture set for one test; `behaviours` replaces its behaviours.json
+async function simulate(behaviours = null) {
+    let dir = FIXTURES;
+    if (behaviours) {
+        dir = fs.mkdtempSync(path.join(scratch, 'fixtures-'));
+        fs.cpSync(FIXTURES, dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'behaviours.json'), JSON.stringify(behaviours));
+    }
+    const sim = createTallySimulator(dir);
+    TALLY.url = await sim.listen();
+    // Replayed data is never published
+    TALLY.replayDir = dir;
+    return sim;
+}
+
+let sim = null;
+const stop = async () => {
+    if (!sim) return;
+    sim.server.closeAllConnections();
+    await sim.close();
+    sim = null;
+};
+
+before(() => fs.mkdirSync(process.env.STATE_DIR, { recursive: true }));
+after(async () => {
+    await stop();
+    fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+test('a full sync builds every party from the fixtures and reports the failing ledger', async () => {
+    sim = await simulate();
+    const { data, reports, publish } = await performSync();
+    await stop();
+
+    assert.strictEqual(data.sync.mode, 'full');
+    assert.strictEqual(ledgers(data).length, 6);
+    assert.deepStrictEqual(Object.keys(data.debtors).sort(), ['Koraput', 'No-Group', 'RAYAGADA LOCAL']);
+    const ak = ledgers(data).find(l => l.name === 'A.K Footwear, Tikiri');
+    assert.strictEqual(ak.amount, -50214);
+    assert.strictEqual(ak.transactions.length, 4);
+    assert.ok(ak.transactions.every(t => t.category));
+
+    // behaviours.json answers this ledger's vouchers with HTTP 500
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].refused, false);
+    assert.deepStrictEqual(reports[0].failed.map(f => [f.ledger, f.stage]), [['Nayak Footwear, Jeypur', 'vouchers']]);
+    assert.strictEqual(publish.skipped, true);
+    assert.ok(fs.existsSync(process.env.DATA_FILE));
+});
+
+test('the next sync is incremental and refetches only the ledger that failed', async () => {
+    sim = await simulate();
+    const { data } = await performSync();
+    await stop();
+
+    assert.strictEqual(data.sync.mode, 'incremental');
+    assert.strictEqual(data.sync.refetched, 1);
+});
+
+test('a sync without the debtor balances is refused and keeps the last data file', async () => {
+    const saved = fs.readFileSync(process.env.DATA_FILE, 'utf-8');
+    sim = await simulate({ 'group-summary--sundry-debtors--7849afee': { status: 500 } });
+    const { reports, publish } = await performSync({ full: true });
+    await stop();
+
+    assert.strictEqual(reports[0].refused, true);
+    assert.strictEqual(reports[0].failed.filter(f => f.stage === 'balance').length, 5);
+    assert.strictEqual(publish.refused, true);
+    assert.strictEqual(fs.readFileSync(process.env.DATA_FILE, 'utf-8'), saved);
+});